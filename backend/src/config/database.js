@@ -81,6 +81,7 @@ export async function initializeDatabase() {
         id SERIAL PRIMARY KEY,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
         upload_id INTEGER REFERENCES attendance_uploads(id) ON DELETE CASCADE,
+        organization_id VARCHAR(36),
         employee_id VARCHAR(100) NOT NULL,
         employee_name VARCHAR(255),
         attrition_risk_score DECIMAL(5,2),
@@ -96,6 +97,10 @@ export async function initializeDatabase() {
         UNIQUE(upload_id, employee_id)
       );
     `);
+    // Scoring runs write one row per employee, keyed by organization (tables created before that lack the column)
+    await client.query(`
+      ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS organization_id VARCHAR(36);
+    `);
     console.log('✅ Analysis results table ready');
 
     // Create reports table
@@ -118,6 +123,7 @@ export async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_attendance_date ON attendance_records(date);
       CREATE INDEX IF NOT EXISTS idx_analysis_employee ON analysis_results(employee_id);
       CREATE INDEX IF NOT EXISTS idx_analysis_risk ON analysis_results(attrition_risk_level);
+      CREATE INDEX IF NOT EXISTS idx_analysis_organization ON analysis_results(organization_id, employee_id, analysis_date);
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
     `);
     console.log('✅ Database indexes created');
@@ -1,9 +1,34 @@
 const express = require('express');
 const router = express.Router();
+const fs = require('fs');
 const { PrismaClient } = require('@prisma/client');
 const multer = require('multer');
-const xlsx = require('xlsx');
 const { body, validationResult } = require('express-validator');
+const {
+  EXPECTED_FORMAT,
+  readSheetRows,
+  mapRows,
+  getUploadDir,
+  storeUploadedFile,
+  importAttendanceRows
+} = require('../services/attendanceImport');
+const { collectHeaders, resolveMapping, getMappingProfile } = require('../services/columnMapper');
+const { createPreview, getPreview, confirmPreview, getAnnotatedWorkbook } = require('../services/attendancePreview');
+const {
+  computeChecksum,
+  computeFileChecksum,
+  findDuplicateUpload,
+  startUpload,
+  finishUpload,
+  markUploadFailed
+} = require('../services/uploadHistory');
+const { enqueueJob, JOB_TYPES } = require('../services/jobQueue');
+const { normalizeDateOrder } = require('../services/dateParsing');
+const { importPunchLog } = require('../services/punchLogImport');
+const { normalizeReconcileRule, parseStatusPriority } = require('../services/importReconciler');
+const columnMappingRoutes = require('./columnMappings');
+const statusCodeRoutes = require('./statusCodes');
+const shiftRoutes = require('./shifts');
 
 const prisma = new PrismaClient();
 
@@ -22,110 +47,238 @@ const upload = multer({
   }
 });
 
-// POST /api/attendance/upload - Upload attendance data
+// Punch logs come as CSV or device text dumps whose mimetypes vary; check the extension
+const PUNCH_LOG_EXTENSIONS = ['csv', 'txt', 'dat', 'log'];
+const punchUpload = multer({
+  storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (PUNCH_LOG_EXTENSIONS.includes(file.originalname.split('.').pop().toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV punch logs and device text dumps (.txt, .dat, .log) are allowed.'));
+    }
+  }
+});
+
+const DEFAULT_MAX_STREAM_UPLOAD_MB = 500;
+const STREAMABLE_EXTENSIONS = ['csv', 'xlsx'];
+
+/**
+ * Disk-backed upload for large files; the limit is read per request so
+ * MAX_STREAM_UPLOAD_MB loaded by dotenv applies
+ */
+function streamUpload(req, res, next) {
+  const maxMb = parseInt(process.env.MAX_STREAM_UPLOAD_MB) || DEFAULT_MAX_STREAM_UPLOAD_MB;
+
+  const diskUpload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => {
+        const uploadDir = getUploadDir();
+        fs.mkdir(uploadDir, { recursive: true }, error => cb(error, uploadDir));
+      },
+      filename: (req, file, cb) => {
+        cb(null, `${Date.now()}_${file.originalname.replace(/[^a-z0-9._-]/gi, '_')}`);
+      }
+    }),
+    limits: { fileSize: maxMb * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      const extension = file.originalname.split('.').pop().toLowerCase();
+      if (STREAMABLE_EXTENSIONS.includes(extension)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Invalid file type. Only CSV and XLSX files can be streamed.'));
+      }
+    }
+  }).single('file');
+
+  diskUpload(req, res, error => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File exceeds the ${maxMb} MB upload limit` });
+    }
+    res.status(400).json({ error: error.message });
+  });
+}
+
+// dateOrder ('auto' | 'DMY' | 'MDY') from the form or the query string; null when invalid
+function readDateOrder(req) {
+  return normalizeDateOrder(req.body.dateOrder || req.query.dateOrder);
+}
+
+const INVALID_DATE_ORDER = {
+  error: 'Invalid dateOrder',
+  details: ["dateOrder must be 'auto', 'DMY' (DD/MM/YYYY) or 'MDY' (MM/DD/YYYY)"]
+};
+
+// Files accepted in one /validate batch
+const MAX_BATCH_FILES = 20;
+
+/**
+ * Sheet selection and duplicate reconciliation from the form or the query string
+ *   sheets: 'first' (default), 'all' or comma-separated names; sheetPattern: glob such as 'Week*'
+ *   reconcile: 'latest' (default) | 'error' | 'priority'; statusPriority: comma-separated statuses
+ * @returns {{ options?: Object, error?: Object }} error is a 400 body
+ */
+function readBatchOptions(req) {
+  const param = name => req.body[name] || req.query[name];
+
+  const reconcile = normalizeReconcileRule(param('reconcile'));
+  if (!reconcile) {
+    return {
+      error: { error: 'Invalid reconcile', details: ["reconcile must be 'latest', 'error' or 'priority'"] }
+    };
+  }
+
+  const { statusPriority, error } = parseStatusPriority(param('statusPriority'));
+  if (error) {
+    return { error: { error: 'Invalid statusPriority', details: [error] } };
+  }
+
+  return {
+    options: {
+      sheets: param('sheets') || undefined,
+      sheetPattern: param('sheetPattern') || undefined,
+      reconcile,
+      statusPriority
+    }
+  };
+}
+
+// Column mapping profiles - /api/attendance/mappings
+router.use('/mappings', columnMappingRoutes);
+
+// Status code dictionary - /api/attendance/status-codes
+router.use('/status-codes', statusCodeRoutes);
+
+// Shift definitions for punch logs - /api/attendance/shifts
+router.use('/shifts', shiftRoutes);
+
+// POST /api/attendance/upload - Upload attendance data (optional mappingId selects a column mapping profile, dateOrder the DD/MM order,
+// sheets/sheetPattern the workbook sheets and reconcile/statusPriority how duplicate employee + date rows are resolved)
 router.post('/upload', upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const dateOrder = readDateOrder(req);
+    if (!dateOrder) {
+      return res.status(400).json(INVALID_DATE_ORDER);
+    }
+
+    const batchOptions = readBatchOptions(req);
+    if (batchOptions.error) {
+      return res.status(400).json(batchOptions.error);
+    }
+    const { sheets, sheetPattern, reconcile, statusPriority } = batchOptions.options;
+
     // Parse Excel/CSV file
-    const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
-    const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
-    const data = xlsx.utils.sheet_to_json(sheet);
+    let sheetRows;
+    try {
+      sheetRows = readSheetRows(req.file.buffer, { sheets, sheetPattern });
+    } catch (readError) {
+      return res.status(400).json({ error: readError.message });
+    }
+    const data = sheetRows.flatMap(({ rows }) => rows);
+    // Errors name the sheet when rows come from more than one
+    const sources = sheetRows.flatMap(({ sheet, rows }) => rows.map((row, i) => ({
+      sheet: sheetRows.length > 1 ? sheet : null,
+      row: i + 2
+    })));
 
     if (!data || data.length === 0) {
       return res.status(400).json({ error: 'File is empty or invalid format' });
     }
 
-    // Validate required columns
-    const requiredColumns = ['employeeId', 'name', 'date', 'status'];
-    const firstRow = data[0];
-    const missingColumns = requiredColumns.filter(col => !(col in firstRow));
+    // Map source headers onto the canonical columns
+    const mappingId = req.body.mappingId || req.query.mappingId;
+    const { mapping, source, suggestion } = await resolveMapping(req.companyId, collectHeaders(data), { mappingId });
+
+    if (!mapping) {
+      return res.status(404).json({ error: 'Column mapping profile not found' });
+    }
+
+    const { rows, missingColumns } = mapRows(data, mapping);
     
     if (missingColumns.length > 0) {
       return res.status(400).json({ 
         error: `Missing required columns: ${missingColumns.join(', ')}`,
-        expectedFormat: {
-          employeeId: 'Unique employee identifier',
-          name: 'Employee name',
-          date: 'Date (YYYY-MM-DD)',
-          status: 'Attendance status (Planned Leave / Unplanned Leave / Absent / Present)'
-        }
+        expectedFormat: EXPECTED_FORMAT,
+        suggestedMapping: suggestion
       });
     }
 
-    // Process attendance records
-    const processedRecords = [];
-    const errors = [];
-
-    for (let i = 0; i < data.length; i++) {
-      const row = data[i];
-      const { employeeId, name, date, status } = row;
-
-      // Validate status
-      const validStatuses = ['Planned Leave', 'Unplanned Leave', 'Absent', 'Present'];
-      if (!validStatuses.includes(status)) {
-        errors.push(`Row ${i + 2}: Invalid status '${status}'. Must be one of: ${validStatuses.join(', ')}`);
-        continue;
-      }
-
-      // Validate date
-      const parsedDate = new Date(date);
-      if (isNaN(parsedDate.getTime())) {
-        errors.push(`Row ${i + 2}: Invalid date format '${date}'. Expected YYYY-MM-DD`);
-        continue;
-      }
-
-      // Find or create employee
-      let employee = await prisma.employee.findFirst({
-        where: {
-          employeeId: String(employeeId),
-          companyId: req.companyId
-        }
-      });
+    const mappingSummary = { source, name: mapping.name, columns: mapping.columns };
+    const runAsync = req.query.async === 'true';
 
-      if (!employee) {
-        employee = await prisma.employee.create({
-          data: {
-            employeeId: String(employeeId),
-            name: String(name),
-            companyId: req.companyId
-          }
-        });
-      }
+    // Record provenance: who uploaded which file (kept on disk) and its checksum
+    const checksum = computeChecksum(req.file.buffer);
+    const duplicateOf = await findDuplicateUpload(req.companyId, checksum);
+    const uploadedFile = await startUpload(req.companyId, {
+      originalName: req.file.originalname,
+      storedPath: await storeUploadedFile(req.file),
+      checksum,
+      source: runAsync ? 'JOB' : 'UPLOAD',
+      totalRows: rows.length,
+      uploadedById: req.user?.userId ? String(req.user.userId) : null
+    });
 
-      // Create or update attendance record
-      const attendance = await prisma.attendance.upsert({
-        where: {
-          employeeId_date: {
-            employeeId: employee.id,
-            date: parsedDate
-          }
+    // Large files can be processed in the background (?async=true)
+    if (runAsync) {
+      const job = await enqueueJob(req.companyId, JOB_TYPES.ATTENDANCE_IMPORT, {
+        uploadedFileId: uploadedFile.id,
+        storedPath: uploadedFile.storedPath,
+        originalName: req.file.originalname,
+        mapping: {
+          columns: mapping.columns,
+          transforms: mapping.transforms,
+          defaults: mapping.defaults
         },
-        update: {
-          status
-        },
-        create: {
-          employeeId: employee.id,
-          date: parsedDate,
-          status
-        }
+        dateOrder,
+        sheets,
+        sheetPattern,
+        reconcile,
+        statusPriority
+      }, { createdById: req.user?.userId ? String(req.user.userId) : null });
+
+      return res.status(202).json({
+        message: 'Attendance import queued',
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        uploadId: uploadedFile.id,
+        duplicateOf: duplicateOf || undefined,
+        mapping: mappingSummary
       });
+    }
 
-      processedRecords.push({
-        employeeId: employee.employeeId,
-        name: employee.name,
-        date: parsedDate.toISOString().split('T')[0],
-        status
+    let result;
+    try {
+      result = await importAttendanceRows(req.companyId, rows, {
+        uploadedFileId: uploadedFile.id,
+        dateOrder,
+        sources,
+        reconcile,
+        statusPriority
       });
+    } catch (importError) {
+      await markUploadFailed(uploadedFile.id);
+      throw importError;
     }
+    const { processedRecords, errors, warnings, duplicates, counts } = result;
+    await finishUpload(uploadedFile.id, counts);
 
     res.status(200).json({
       message: 'Attendance data uploaded successfully',
+      uploadId: uploadedFile.id,
+      duplicateOf: duplicateOf || undefined,
+      counts,
+      mapping: mappingSummary,
+      sheets: sheetRows.map(({ sheet, rows }) => ({ sheet, rows: rows.length })),
+      reconcile: { rule: reconcile, duplicates },
       processed: processedRecords.length,
       errors: errors.length > 0 ? errors : undefined,
+      warnings: warnings.length > 0 ? warnings : undefined,
       records: processedRecords
     });
   } catch (error) {
@@ -134,6 +287,237 @@ router.post('/upload', upload.single('file'), async (req, res) => {
   }
 });
 
+// POST /api/attendance/upload/stream - Upload a large file; it is streamed into the database by a background job
+// (sheets/sheetPattern and reconcile/statusPriority as for /upload); a failed import is rolled back
+router.post('/upload/stream', streamUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const dateOrder = readDateOrder(req);
+    if (!dateOrder) {
+      return res.status(400).json(INVALID_DATE_ORDER);
+    }
+
+    const batchOptions = readBatchOptions(req);
+    if (batchOptions.error) {
+      return res.status(400).json(batchOptions.error);
+    }
+
+    const checksum = await computeFileChecksum(req.file.path);
+    const duplicateOf = await findDuplicateUpload(req.companyId, checksum);
+    const uploadedFile = await startUpload(req.companyId, {
+      originalName: req.file.originalname,
+      storedPath: req.file.path,
+      checksum,
+      source: 'JOB',
+      uploadedById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    // The mapping is resolved from the file headers when the job starts reading
+    const job = await enqueueJob(req.companyId, JOB_TYPES.ATTENDANCE_IMPORT, {
+      uploadedFileId: uploadedFile.id,
+      storedPath: req.file.path,
+      originalName: req.file.originalname,
+      mappingId: req.body.mappingId || req.query.mappingId || null,
+      dateOrder,
+      ...batchOptions.options
+    }, { createdById: req.user?.userId ? String(req.user.userId) : null });
+
+    res.status(202).json({
+      message: 'Attendance import queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      uploadId: uploadedFile.id,
+      size: req.file.size,
+      duplicateOf: duplicateOf || undefined
+    });
+  } catch (error) {
+    console.error('Stream upload error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attendance/punches - Import a biometric punch log (hours worked, late arrivals and early departures)
+router.post('/punches', punchUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const dateOrder = readDateOrder(req);
+    if (!dateOrder) {
+      return res.status(400).json(INVALID_DATE_ORDER);
+    }
+
+    const checksum = computeChecksum(req.file.buffer);
+    const duplicateOf = await findDuplicateUpload(req.companyId, checksum);
+    const uploadedFile = await startUpload(req.companyId, {
+      originalName: req.file.originalname,
+      storedPath: await storeUploadedFile(req.file),
+      checksum,
+      source: 'PUNCH_LOG',
+      uploadedById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    let result;
+    try {
+      result = await importPunchLog(req.companyId, req.file.buffer, req.file.originalname, {
+        uploadedFileId: uploadedFile.id,
+        dateOrder
+      });
+    } catch (importError) {
+      await markUploadFailed(uploadedFile.id);
+      // File-level problems (no usable punches or columns)
+      return res.status(400).json({ error: importError.message, uploadId: uploadedFile.id });
+    }
+    await finishUpload(uploadedFile.id, { ...result.counts, totalRows: result.punches });
+
+    res.json({
+      message: 'Punch log imported successfully',
+      uploadId: uploadedFile.id,
+      duplicateOf: duplicateOf || undefined,
+      processed: result.processed,
+      punches: result.punches,
+      counts: result.counts,
+      summary: result.summary,
+      anomalies: result.anomalies.length > 0 ? result.anomalies : undefined,
+      errors: result.errors.length > 0 ? result.errors : undefined,
+      warnings: result.warnings.length > 0 ? result.warnings : undefined
+    });
+  } catch (error) {
+    console.error('Punch log import error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attendance/validate - Dry-run an upload: row errors, coverage and changes, nothing imported
+// Several files can be validated as one batch ('files' fields); sheets/sheetPattern pick workbook sheets and
+// reconcile/statusPriority resolve duplicate employee + date rows across them
+router.post('/validate', upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: MAX_BATCH_FILES }
+]), async (req, res) => {
+  try {
+    const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const dateOrder = readDateOrder(req);
+    if (!dateOrder) {
+      return res.status(400).json(INVALID_DATE_ORDER);
+    }
+
+    const batchOptions = readBatchOptions(req);
+    if (batchOptions.error) {
+      return res.status(400).json(batchOptions.error);
+    }
+
+    // Without a profile each sheet is mapped from its own headers
+    const mappingId = req.body.mappingId || req.query.mappingId;
+    const mapping = mappingId ? await getMappingProfile(req.companyId, mappingId) : null;
+
+    if (mappingId && !mapping) {
+      return res.status(404).json({ error: 'Column mapping profile not found' });
+    }
+
+    let preview;
+    try {
+      preview = await createPreview(req.companyId, files, {
+        ...batchOptions.options,
+        mapping,
+        dateOrder,
+        createdById: req.user?.userId ? String(req.user.userId) : null
+      });
+    } catch (parseError) {
+      // File-level problems (format, missing columns or sheets) from FileParserService
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    res.json({
+      ...preview,
+      mapping: mapping ? { source: 'profile', name: mapping.name, columns: mapping.columns } : undefined,
+      confirmUrl: preview.valid ? `/api/attendance/previews/${preview.previewId}/confirm` : undefined,
+      errorWorkbookUrls: preview.valid
+        ? undefined
+        : files.map((file, i) => `/api/attendance/previews/${preview.previewId}/errors.xlsx?file=${i}`)
+    });
+  } catch (error) {
+    console.error('Validate upload error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attendance/previews/:id - Get a stored validation preview
+router.get('/previews/:id', async (req, res) => {
+  try {
+    const preview = await getPreview(req.companyId, req.params.id);
+
+    if (!preview) {
+      return res.status(404).json({ error: 'Preview not found' });
+    }
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Get preview error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attendance/previews/:id/errors.xlsx - Download a file of the preview with invalid cells highlighted (?file=N in a batch)
+router.get('/previews/:id/errors.xlsx', async (req, res) => {
+  try {
+    const fileIndex = req.query.file === undefined ? 0 : parseInt(req.query.file);
+    if (isNaN(fileIndex) || fileIndex < 0) {
+      return res.status(400).json({ error: 'file must be the position of a file in the batch' });
+    }
+
+    const workbook = await getAnnotatedWorkbook(req.companyId, req.params.id, fileIndex);
+    if (!workbook) {
+      return res.status(404).json({ error: 'Preview not found' });
+    }
+
+    res.attachment(workbook.fileName);
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(Buffer.from(workbook.buffer));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(410).json({ error: 'The uploaded file is no longer available' });
+    }
+    console.error('Error workbook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attendance/previews/:id/confirm - Import a validated preview in one transaction
+router.post('/previews/:id/confirm', async (req, res) => {
+  try {
+    const result = await confirmPreview(req.companyId, req.params.id, {
+      confirmedById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Preview not found' });
+    }
+
+    res.json({
+      message: 'Attendance data imported successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.message.startsWith('Preview has expired')) {
+      return res.status(410).json({ error: error.message });
+    }
+    if (error.message.startsWith('Preview has')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Confirm preview error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/attendance - Get attendance records
 router.get('/', async (req, res) => {
   try {
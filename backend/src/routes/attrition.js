@@ -1,34 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const { calculateAttritionRisk, generateAttritionReport } = require('../services/attritionEngine');
+const { calculateAttritionRisk, generateAttritionReport, summarizeRisk } = require('../services/attritionEngine');
+const { getProfileVersion } = require('../services/scoringModel');
+const { getEmployeeRiskHistory } = require('../services/scoreHistory');
+const { enqueueJob, JOB_TYPES } = require('../services/jobQueue');
+const { findEmployeesInScope } = require('../services/employees');
+const { runBacktest, DEFAULT_HORIZON_MONTHS, MAX_HORIZON_MONTHS } = require('../services/backtest');
+const { SEPARATION_TYPES } = require('../services/exits');
+const { COHORT_GROUPS, COHORT_METHODS, DEFAULT_COHORT } = require('../services/cohortScoring');
+const { runSimulation } = require('../services/simulation');
+const scoringModelRoutes = require('./scoringModel');
+const riskModelRoutes = require('./riskModel');
 
 const prisma = new PrismaClient();
 
-// GET /api/attrition/report - Generate full attrition report for company
+// Scoring profile management - /api/attrition/model
+router.use('/model', scoringModelRoutes);
+// Learned exit model trained on the organization's history - /api/attrition/learned-model
+router.use('/learned-model', riskModelRoutes);
+
+/**
+ * Org slice from ?department= and ?manager= (employee id; everyone reporting to them)
+ * @returns {Promise<{ scope: Object|null, employeeIds?: Set }|null>} null when the manager does not exist
+ */
+async function readOrgScope(req) {
+  const { department, manager } = req.query;
+  if (!department && !manager) return { scope: null };
+
+  const employeeIds = await findEmployeesInScope(req.companyId, { department, managerEmployeeId: manager });
+  if (!employeeIds) return null;
+
+  return { scope: { department, manager }, employeeIds };
+}
+
+// GET /api/attrition/report - Generate full attrition report for company (optional department / manager slice)
 router.get('/report', async (req, res) => {
   try {
-    const { months = 3 } = req.query;
-    
-    const report = await generateAttritionReport(req.companyId, parseInt(months));
+    const { months = 3, refresh } = req.query;
+
+    const orgScope = await readOrgScope(req);
+    if (!orgScope) {
+      return res.status(404).json({ error: 'Manager not found' });
+    }
     
-    // Save report to database
-    const savedReport = await prisma.attritionReport.create({
-      data: {
-        companyId: req.companyId,
-        period: report.period,
-        totalEmployees: report.totalEmployees,
-        highRiskCount: report.summary.high,
-        moderateRiskCount: report.summary.moderate,
-        lowRiskCount: report.summary.low,
-        reportData: report
-      }
+    // Saved to the report history when computed (the whole organization; slices are views of it)
+    const report = await generateAttritionReport(req.companyId, parseInt(months), {
+      refresh: refresh === 'true',
+      save: true
     });
 
+    let scopedReport = report;
+    if (orgScope.scope) {
+      const employees = report.employees.filter(e => orgScope.employeeIds.has(e.employeeId));
+      scopedReport = {
+        ...report,
+        scope: orgScope.scope,
+        totalEmployees: employees.length,
+        summary: summarizeRisk(employees),
+        employees
+      };
+    }
+
     res.json({
       message: 'Attrition report generated successfully',
-      reportId: savedReport.id,
-      report
+      reportId: report.reportId,
+      report: scopedReport
     });
   } catch (error) {
     console.error('Generate report error:', error);
@@ -36,11 +73,151 @@ router.get('/report', async (req, res) => {
   }
 });
 
-// GET /api/attrition/employee/:employeeId - Get attrition risk for specific employee
+// POST /api/attrition/report - Queue attrition report generation as a background job
+router.post('/report', async (req, res) => {
+  try {
+    const { months = 3, refresh = false } = req.body;
+
+    const job = await enqueueJob(req.companyId, JOB_TYPES.ATTRITION_REPORT, {
+      months: parseInt(months),
+      refresh: refresh === true
+    }, { createdById: req.user?.userId ? String(req.user.userId) : null });
+
+    res.status(202).json({
+      message: 'Attrition report queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('Queue report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attrition/report/export - Queue PDF/Excel export of the attrition report
+router.post('/report/export', async (req, res) => {
+  try {
+    const { months = 3, format = 'both' } = req.body;
+
+    if (!['excel', 'pdf', 'both'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: excel, pdf, both' });
+    }
+
+    const job = await enqueueJob(req.companyId, JOB_TYPES.REPORT_EXPORT, {
+      months: parseInt(months),
+      format
+    }, { createdById: req.user?.userId ? String(req.user.userId) : null });
+
+    res.status(202).json({
+      message: 'Report export queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('Queue report export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Backtest parameters from a query string or body -> { options } or { error }
+function readBacktestOptions({ cutoff, horizon = DEFAULT_HORIZON_MONTHS, months = 3, modelVersion, separationType }) {
+  if (!cutoff || !/^\d{4}-\d{2}-\d{2}$/.test(cutoff) || isNaN(new Date(cutoff))) {
+    return { error: 'cutoff must be a date (YYYY-MM-DD)' };
+  }
+  if (new Date(`${cutoff}T00:00:00.000Z`) >= new Date()) {
+    return { error: 'cutoff must be in the past' };
+  }
+
+  const horizonMonths = parseInt(horizon);
+  if (isNaN(horizonMonths) || horizonMonths < 1 || horizonMonths > MAX_HORIZON_MONTHS) {
+    return { error: `horizon must be between 1 and ${MAX_HORIZON_MONTHS} months` };
+  }
+
+  const type = separationType ? String(separationType).toUpperCase() : undefined;
+  if (type && !Object.values(SEPARATION_TYPES).includes(type)) {
+    return { error: 'separationType must be VOLUNTARY or INVOLUNTARY' };
+  }
+  if (modelVersion !== undefined && isNaN(parseInt(modelVersion))) {
+    return { error: 'modelVersion must be a number' };
+  }
+
+  return {
+    options: {
+      cutoffDate: cutoff,
+      horizonMonths,
+      months: parseInt(months) || 3,
+      modelVersion: modelVersion === undefined ? undefined : parseInt(modelVersion),
+      separationType: type
+    }
+  };
+}
+
+// GET /api/attrition/backtest - Score the organization as of a past cutoff and compare with
+// the exits that followed (cutoff, horizon months, optional months, modelVersion, separationType)
+router.get('/backtest', async (req, res) => {
+  try {
+    const { options, error } = readBacktestOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const backtest = await runBacktest(req.companyId, options);
+
+    if (!backtest) {
+      return res.status(404).json({ error: 'Scoring profile version not found' });
+    }
+
+    res.json({ backtest });
+  } catch (error) {
+    console.error('Backtest error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attrition/backtest - Queue a backtest as a background job with a PDF report
+router.post('/backtest', async (req, res) => {
+  try {
+    const { options, error } = readBacktestOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const job = await enqueueJob(req.companyId, JOB_TYPES.BACKTEST_REPORT, options, {
+      createdById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    res.status(202).json({
+      message: 'Backtest queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      downloadUrl: `/api/jobs/${job.id}/download?format=pdf`
+    });
+  } catch (error) {
+    console.error('Queue backtest error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attrition/employee/:employeeId - Get attrition risk for specific employee; with
+// cohort=department|designation (optional cohortMethod=percentile|zscore) also relative to peers,
+// which scores the whole cohort
 router.get('/employee/:employeeId', async (req, res) => {
   try {
     const { employeeId } = req.params;
-    const { months = 3 } = req.query;
+    const { months = 3, modelVersion, cohort, cohortMethod = DEFAULT_COHORT.method } = req.query;
+
+    const groupBy = cohort === undefined ? null : String(cohort).toLowerCase();
+    if (groupBy !== null && !Object.values(COHORT_GROUPS).includes(groupBy)) {
+      return res.status(400).json({ error: `cohort must be one of: ${Object.values(COHORT_GROUPS).join(', ')}` });
+    }
+    const method = String(cohortMethod).toLowerCase();
+    if (!Object.values(COHORT_METHODS).includes(method)) {
+      return res.status(400).json({ error: `cohortMethod must be one of: ${Object.values(COHORT_METHODS).join(', ')}` });
+    }
+    const version = modelVersion === undefined ? undefined : Number(modelVersion);
+    if (version !== undefined && !(Number.isInteger(version) && version >= 0)) {
+      return res.status(400).json({ error: 'modelVersion must be a non-negative integer' });
+    }
 
     // Find employee by employeeId string
     const employee = await prisma.employee.findFirst({
@@ -54,7 +231,21 @@ router.get('/employee/:employeeId', async (req, res) => {
       return res.status(404).json({ error: 'Employee not found' });
     }
 
-    const risk = await calculateAttritionRisk(employee.id, parseInt(months));
+    // Optionally re-score with a historic profile version to reproduce an old score
+    let profile;
+    if (version !== undefined) {
+      profile = await getProfileVersion(req.companyId, version);
+      if (!profile) {
+        return res.status(404).json({ error: 'Scoring profile version not found' });
+      }
+    }
+
+    // Historic re-scores are not stored as new snapshots
+    const risk = await calculateAttritionRisk(employee.id, parseInt(months), {
+      profile,
+      persist: profile === undefined,
+      cohort: groupBy ? { groupBy, method } : undefined
+    });
 
     res.json({ risk });
   } catch (error) {
@@ -63,17 +254,92 @@ router.get('/employee/:employeeId', async (req, res) => {
   }
 });
 
-// GET /api/attrition/high-risk - Get employees with high attrition risk
+// POST /api/attrition/simulate - What-if: score an employee (or a made-up attendance profile) with
+// hypothetical records and / or factor overrides; nothing is stored
+router.post('/simulate', async (req, res) => {
+  try {
+    const result = await runSimulation(req.companyId, req.body);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid simulation', details: result.errors });
+    }
+
+    res.json({ simulation: result.simulation });
+  } catch (error) {
+    console.error('Simulate risk error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attrition/employee/:employeeId/history - Get risk score history for an employee
+router.get('/employee/:employeeId/history', async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { from, to, limit = 100 } = req.query;
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value)))) {
+        return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+      }
+    }
+
+    const employee = await prisma.employee.findFirst({
+      where: {
+        employeeId,
+        companyId: req.companyId
+      }
+    });
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const history = await getEmployeeRiskHistory(employee.id, {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      limit: Math.min(parseInt(limit) || 100, 500)
+    });
+
+    res.json({
+      employeeId: employee.employeeId,
+      name: employee.name,
+      ...history
+    });
+  } catch (error) {
+    console.error('Get risk history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attrition/high-risk - Get employees with high attrition risk (optional department / manager slice);
+// without ?threshold= the High band of the organization's scoring profile decides, as in the report
 router.get('/high-risk', async (req, res) => {
   try {
-    const { months = 3, threshold = 70 } = req.query;
+    const { months = 3, threshold } = req.query;
+
+    const minScore = threshold === undefined ? null : Number(threshold);
+    if (minScore !== null && !(Number.isFinite(minScore) && minScore >= 0 && minScore <= 100)) {
+      return res.status(400).json({ error: 'threshold must be a number between 0 and 100' });
+    }
+
+    const orgScope = await readOrgScope(req);
+    if (!orgScope) {
+      return res.status(404).json({ error: 'Manager not found' });
+    }
     
     const report = await generateAttritionReport(req.companyId, parseInt(months));
-    const highRiskEmployees = report.employees.filter(e => e.score >= parseInt(threshold));
+    const highRiskEmployees = report.employees.filter(e =>
+      (minScore === null ? e.riskLevel === 'High' : e.score >= minScore) &&
+      (!orgScope.scope || orgScope.employeeIds.has(e.employeeId))
+    );
 
     res.json({
       count: highRiskEmployees.length,
-      threshold: parseInt(threshold),
+      threshold: minScore ?? report.riskBands.high,
+      scope: orgScope.scope || undefined,
       employees: highRiskEmployees
     });
   } catch (error) {
@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const {
+  toDateKey,
+  normalizeWorkDays,
+  describeWorkDays,
+  loadCalendar,
+  getTimezone,
+  setTimezone,
+  listWorkWeeks,
+  setWorkWeek,
+  deleteWorkWeek,
+  listHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importIcs
+} = require('../services/workCalendar');
+const scoreCache = require('../services/scoreCache');
+const { isValidTimeZone } = require('../services/dateParsing');
+
+// Calendar files are small; keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }, // 1MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.ics') || file.mimetype === 'text/calendar') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .ics calendar files are allowed.'));
+    }
+  }
+});
+
+function parseDay(value) {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date.getTime()) ? date : null;
+}
+
+// GET /api/calendars/holidays - List holidays
+router.get('/holidays', async (req, res) => {
+  try {
+    const { from, to, department } = req.query;
+
+    const holidays = await listHolidays(req.companyId, {
+      from: from ? parseDay(from) : undefined,
+      to: to ? parseDay(to) : undefined,
+      department
+    });
+
+    res.json({
+      count: holidays.length,
+      holidays: holidays.map(h => ({ ...h, date: toDateKey(h.date) }))
+    });
+  } catch (error) {
+    console.error('List holidays error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/calendars/holidays - Add a holiday
+router.post('/holidays', async (req, res) => {
+  try {
+    const { date, name, department } = req.body;
+
+    const parsedDate = date ? parseDay(date) : null;
+    if (!parsedDate) {
+      return res.status(400).json({ error: 'date is required in YYYY-MM-DD format' });
+    }
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const holiday = await createHoliday(req.companyId, {
+      date: parsedDate,
+      name: String(name).trim(),
+      department: department ? String(department).trim() : null
+    });
+    await scoreCache.invalidate(req.companyId);
+
+    res.status(201).json({
+      message: 'Holiday created successfully',
+      holiday: { ...holiday, date: toDateKey(holiday.date) }
+    });
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/calendars/holidays/:id - Update a holiday
+router.put('/holidays/:id', async (req, res) => {
+  try {
+    const { date, name, department } = req.body;
+
+    const parsedDate = date !== undefined ? parseDay(date) : undefined;
+    if (parsedDate === null) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+
+    const holiday = await updateHoliday(req.companyId, req.params.id, {
+      date: parsedDate,
+      name: name !== undefined ? String(name).trim() : undefined,
+      department: department !== undefined ? (department ? String(department).trim() : null) : undefined
+    });
+
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    await scoreCache.invalidate(req.companyId);
+
+    res.json({
+      message: 'Holiday updated successfully',
+      holiday: { ...holiday, date: toDateKey(holiday.date) }
+    });
+  } catch (error) {
+    console.error('Update holiday error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/calendars/holidays/:id - Remove a holiday
+router.delete('/holidays/:id', async (req, res) => {
+  try {
+    const deleted = await deleteHoliday(req.companyId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    await scoreCache.invalidate(req.companyId);
+
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/calendars/holidays/import - Import holidays from an .ics file
+router.post('/holidays/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const department = req.body.department ? String(req.body.department).trim() : null;
+    const result = await importIcs(req.companyId, req.file.buffer.toString('utf8'), { department });
+    await scoreCache.invalidate(req.companyId);
+
+    res.status(201).json({
+      message: 'Holidays imported successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.message === 'No events found in calendar file') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Import holidays error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/calendars/working-days - Count working days in a range
+router.get('/working-days', async (req, res) => {
+  try {
+    const { from, to, department } = req.query;
+
+    const start = from ? parseDay(from) : null;
+    const end = to ? parseDay(to) : null;
+    if (!start || !end || start > end) {
+      return res.status(400).json({ error: 'from and to are required (YYYY-MM-DD) and from must not be after to' });
+    }
+
+    const calendar = await loadCalendar(req.companyId, { from: start, to: end });
+
+    res.json({
+      from,
+      to,
+      department: department || null,
+      workWeek: describeWorkDays(calendar.workDaysFor(department || null)),
+      workingDays: calendar.countWorkingDays(start, end, department || null)
+    });
+  } catch (error) {
+    console.error('Working days error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/calendars/work-weeks - Organization and department work weeks
+router.get('/work-weeks', async (req, res) => {
+  try {
+    const { organization, departments } = await listWorkWeeks(req.companyId);
+    const describe = workWeek => ({ ...workWeek, description: describeWorkDays(workWeek.workDays) });
+
+    res.json({
+      organization: describe(organization),
+      departments: departments.map(describe)
+    });
+  } catch (error) {
+    console.error('List work weeks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/calendars/work-weeks - Set the organization work week, or a department's when department is given
+router.put('/work-weeks', async (req, res) => {
+  try {
+    const { department, workDays } = req.body;
+
+    const normalized = normalizeWorkDays(workDays);
+    if (!normalized) {
+      return res.status(400).json({
+        error: 'Invalid work week',
+        details: ['workDays must be a non-empty array of day numbers (0 = Sunday ... 6 = Saturday) or day names']
+      });
+    }
+
+    const workWeek = await setWorkWeek(req.companyId, {
+      department: department ? String(department).trim() : null,
+      workDays: normalized
+    });
+    await scoreCache.invalidate(req.companyId);
+
+    res.json({
+      message: 'Work week saved successfully',
+      workWeek: { ...workWeek, description: describeWorkDays(workWeek.workDays) }
+    });
+  } catch (error) {
+    console.error('Set work week error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/calendars/work-weeks/:id - Remove a work week (falls back to the organization or default week)
+router.delete('/work-weeks/:id', async (req, res) => {
+  try {
+    const deleted = await deleteWorkWeek(req.companyId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Work week not found' });
+    }
+    await scoreCache.invalidate(req.companyId);
+
+    res.json({ message: 'Work week deleted successfully' });
+  } catch (error) {
+    console.error('Delete work week error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/calendars/timezone - Get the organization timezone used to read upload times
+router.get('/timezone', async (req, res) => {
+  try {
+    const timezone = await getTimezone(req.companyId);
+    res.json({ timezone });
+  } catch (error) {
+    console.error('Get timezone error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/calendars/timezone - Set the organization timezone (IANA name, e.g. Asia/Kolkata)
+router.put('/timezone', async (req, res) => {
+  try {
+    const { timezone } = req.body;
+
+    if (!timezone || typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        error: 'Invalid timezone',
+        details: ['timezone must be an IANA timezone name such as UTC or Europe/Berlin']
+      });
+    }
+
+    const saved = await setTimezone(req.companyId, timezone);
+
+    res.json({
+      message: 'Timezone saved successfully',
+      timezone: saved
+    });
+  } catch (error) {
+    console.error('Set timezone error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
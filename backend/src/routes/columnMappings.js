@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { readRows } = require('../services/attendanceImport');
+const {
+  CANONICAL_FIELDS,
+  DATE_FORMATS,
+  collectHeaders,
+  suggestMappings,
+  applyMapping,
+  listMappingProfiles,
+  getMappingProfile,
+  createMappingProfile,
+  updateMappingProfile,
+  deleteMappingProfile
+} = require('../services/columnMapper');
+
+// Only the headers and a few rows are needed to suggest a mapping
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+const PREVIEW_ROWS = 5;
+
+// Prisma unique constraint violation (organizationId + name)
+function isDuplicateName(error) {
+  return error.code === 'P2002';
+}
+
+// GET /api/attendance/mappings - List column mapping profiles
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await listMappingProfiles(req.companyId);
+    res.json({
+      profiles,
+      fields: CANONICAL_FIELDS,
+      dateFormats: DATE_FORMATS
+    });
+  } catch (error) {
+    console.error('List column mappings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attendance/mappings/suggest - Suggest a mapping from an uploaded file or a list of headers
+router.post('/suggest', upload.single('file'), async (req, res) => {
+  try {
+    let headers = req.body.headers;
+    let preview = [];
+
+    if (req.file) {
+      const rows = readRows(req.file.buffer);
+      headers = collectHeaders(rows);
+      preview = rows.slice(0, PREVIEW_ROWS);
+    }
+
+    if (!Array.isArray(headers) || headers.length === 0) {
+      return res.status(400).json({ error: 'Upload a file or provide a non-empty headers array' });
+    }
+
+    const suggestion = suggestMappings(headers);
+
+    res.json({
+      headers,
+      ...suggestion,
+      preview: applyMapping(preview, { columns: suggestion.columns })
+    });
+  } catch (error) {
+    console.error('Suggest column mapping error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attendance/mappings/:id - Get a column mapping profile
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await getMappingProfile(req.companyId, req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Column mapping profile not found' });
+    }
+
+    res.json({ profile });
+  } catch (error) {
+    console.error('Get column mapping error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attendance/mappings - Create a column mapping profile
+router.post('/', async (req, res) => {
+  try {
+    const { name, columns, transforms, defaults, isDefault = false } = req.body;
+
+    const result = await createMappingProfile(
+      req.companyId,
+      { name, columns, transforms, defaults, isDefault },
+      { createdById: req.user?.userId ? String(req.user.userId) : null }
+    );
+
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: result.errors });
+    }
+
+    res.status(201).json({
+      message: 'Column mapping profile created successfully',
+      profile: result.profile
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A column mapping profile with this name already exists' });
+    }
+    console.error('Create column mapping error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/attendance/mappings/:id - Update a column mapping profile
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, columns, transforms, defaults, isDefault } = req.body;
+
+    const result = await updateMappingProfile(req.companyId, req.params.id, {
+      name, columns, transforms, defaults, isDefault
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Column mapping profile not found' });
+    }
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: result.errors });
+    }
+
+    res.json({
+      message: 'Column mapping profile updated successfully',
+      profile: result.profile
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A column mapping profile with this name already exists' });
+    }
+    console.error('Update column mapping error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/attendance/mappings/:id - Delete a column mapping profile
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteMappingProfile(req.companyId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Column mapping profile not found' });
+    }
+
+    res.json({ message: 'Column mapping profile deleted successfully' });
+  } catch (error) {
+    console.error('Delete column mapping error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
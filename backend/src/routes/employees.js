@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const {
+  listEmployees,
+  getEmployee,
+  getEmployeeHistory,
+  createEmployee,
+  updateEmployee,
+  deactivateEmployee,
+  getReportingTree,
+  readRosterFile,
+  importRoster
+} = require('../services/employees');
+const { normalizeDateOrder } = require('../services/dateParsing');
+
+// Configure multer for roster uploads (memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.ms-excel', 'text/csv'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only Excel and CSV files are allowed.'));
+    }
+  }
+});
+
+// Prisma unique constraint violation (organization + employee id)
+function isDuplicateEmployee(error) {
+  return error.code === 'P2002';
+}
+
+// Employee fields accepted by create and update
+function readEmployeeInput(body) {
+  const { employeeId, name, email, department, designation, joinDate, isActive, managerEmployeeId, effectiveDate } = body;
+  return { employeeId, name, email, department, designation, joinDate, isActive, managerEmployeeId, effectiveDate };
+}
+
+// GET /api/employees - List employees (filters: department, manager, active, search; page, limit)
+router.get('/', async (req, res) => {
+  try {
+    const { department, manager, active, search, page = 1, limit = 50 } = req.query;
+
+    const result = await listEmployees(req.companyId, {
+      department,
+      managerEmployeeId: manager,
+      isActive: active === undefined ? undefined : active === 'true',
+      search,
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 50
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Manager not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('List employees error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/employees - Create an employee
+router.post('/', async (req, res) => {
+  try {
+    const result = await createEmployee(req.companyId, readEmployeeInput(req.body), {
+      changedById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid employee', details: result.errors });
+    }
+
+    res.status(201).json({
+      message: 'Employee created successfully',
+      employee: result.employee
+    });
+  } catch (error) {
+    if (isDuplicateEmployee(error)) {
+      return res.status(409).json({ error: 'An employee with this employee id already exists' });
+    }
+    console.error('Create employee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/employees/import - Create or update employees from a roster file
+// (optional dateOrder for join dates, effectiveDate for org changes, deactivateMissing=true for a full roster)
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const dateOrder = normalizeDateOrder(req.body.dateOrder || req.query.dateOrder);
+    if (!dateOrder) {
+      return res.status(400).json({
+        error: 'Invalid dateOrder',
+        details: ["dateOrder must be 'auto', 'DMY' (DD/MM/YYYY) or 'MDY' (MM/DD/YYYY)"]
+      });
+    }
+
+    const effectiveDate = req.body.effectiveDate || req.query.effectiveDate;
+    if (effectiveDate && !/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate)) {
+      return res.status(400).json({ error: 'effectiveDate must be YYYY-MM-DD' });
+    }
+
+    let rows;
+    try {
+      rows = readRosterFile(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      // File-level problems (format, missing columns)
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    const result = await importRoster(req.companyId, rows, {
+      dateOrder,
+      effectiveDate: effectiveDate || undefined,
+      deactivateMissing: (req.body.deactivateMissing || req.query.deactivateMissing) === 'true',
+      changedById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    res.json({
+      message: 'Roster imported successfully',
+      ...result,
+      errors: result.errors.length > 0 ? result.errors : undefined,
+      warnings: result.warnings.length > 0 ? result.warnings : undefined
+    });
+  } catch (error) {
+    console.error('Import roster error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/employees/:employeeId - Get an employee with their manager, direct reports and exit
+router.get('/:employeeId', async (req, res) => {
+  try {
+    const employee = await getEmployee(req.companyId, req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json({ employee });
+  } catch (error) {
+    console.error('Get employee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/employees/:employeeId - Update an employee (effectiveDate dates department, designation and manager changes)
+router.put('/:employeeId', async (req, res) => {
+  try {
+    const { employeeId, ...input } = readEmployeeInput(req.body);
+
+    const result = await updateEmployee(req.companyId, req.params.employeeId, input, {
+      changedById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid employee', details: result.errors });
+    }
+
+    res.json({
+      message: 'Employee updated successfully',
+      employee: result.employee
+    });
+  } catch (error) {
+    console.error('Update employee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/employees/:employeeId - Deactivate an employee (attendance and risk history are kept)
+router.delete('/:employeeId', async (req, res) => {
+  try {
+    const deactivated = await deactivateEmployee(req.companyId, req.params.employeeId);
+
+    if (!deactivated) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json({ message: 'Employee deactivated successfully' });
+  } catch (error) {
+    console.error('Deactivate employee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/employees/:employeeId/history - Effective-dated department, designation and manager changes
+router.get('/:employeeId/history', async (req, res) => {
+  try {
+    const history = await getEmployeeHistory(req.companyId, req.params.employeeId);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json({ employeeId: req.params.employeeId, history });
+  } catch (error) {
+    console.error('Get employee history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/employees/:employeeId/reports - Direct and indirect reports as a tree (optional depth)
+router.get('/:employeeId/reports', async (req, res) => {
+  try {
+    const depth = req.query.depth === undefined ? Infinity : parseInt(req.query.depth);
+    if (isNaN(depth) || depth < 1) {
+      return res.status(400).json({ error: 'depth must be a positive integer' });
+    }
+
+    const tree = await getReportingTree(req.companyId, req.params.employeeId, { depth });
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json(tree);
+  } catch (error) {
+    console.error('Get reporting tree error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const {
+  SEPARATION_TYPES,
+  listExits,
+  getExit,
+  recordExit,
+  updateExit,
+  rehireEmployee,
+  deleteExit,
+  readExitFile,
+  importExits
+} = require('../services/exits');
+const { normalizeDateOrder } = require('../services/dateParsing');
+
+// Configure multer for exit file uploads (memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.ms-excel', 'text/csv'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only Excel and CSV files are allowed.'));
+    }
+  }
+});
+
+// Exit fields accepted by record and update
+function readExitInput(body) {
+  const { employeeId, exitDate, separationType, regrettable, reason } = body;
+  return { employeeId, exitDate, separationType, regrettable, reason };
+}
+
+// GET /api/exits - List exits (filters: from, to, separationType, regrettable; page, limit)
+router.get('/', async (req, res) => {
+  try {
+    const { from, to, separationType, regrettable, page = 1, limit = 50 } = req.query;
+
+    const dateFilter = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !dateFilter.test(from)) || (to && !dateFilter.test(to))) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+
+    const type = separationType ? String(separationType).toUpperCase() : undefined;
+    if (type && !Object.values(SEPARATION_TYPES).includes(type)) {
+      return res.status(400).json({ error: 'separationType must be VOLUNTARY or INVOLUNTARY' });
+    }
+
+    const result = await listExits(req.companyId, {
+      from,
+      to,
+      separationType: type,
+      regrettable: regrettable === undefined ? undefined : regrettable === 'true',
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 50
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('List exits error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/exits - Record an employee's exit
+router.post('/', async (req, res) => {
+  try {
+    const result = await recordExit(req.companyId, readExitInput(req.body), {
+      recordedById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid exit', details: result.errors });
+    }
+
+    res.status(201).json({
+      message: 'Exit recorded successfully',
+      exit: result.exit
+    });
+  } catch (error) {
+    // Prisma unique constraint violation (one exit per employee and date)
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'An exit is already recorded for this employee on this date; update it instead' });
+    }
+    console.error('Record exit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/exits/import - Record or replace exits from a file (optional dateOrder for exit dates)
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const dateOrder = normalizeDateOrder(req.body.dateOrder || req.query.dateOrder);
+    if (!dateOrder) {
+      return res.status(400).json({
+        error: 'Invalid dateOrder',
+        details: ["dateOrder must be 'auto', 'DMY' (DD/MM/YYYY) or 'MDY' (MM/DD/YYYY)"]
+      });
+    }
+
+    let rows;
+    try {
+      rows = readExitFile(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      // File-level problems (format, missing columns)
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    const result = await importExits(req.companyId, rows, {
+      dateOrder,
+      recordedById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    res.json({
+      message: 'Exits imported successfully',
+      ...result,
+      errors: result.errors.length > 0 ? result.errors : undefined,
+      warnings: result.warnings.length > 0 ? result.warnings : undefined
+    });
+  } catch (error) {
+    console.error('Import exits error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/exits/:employeeId - Get an employee's latest exit with the last risk score before it (and earlier exits of a rehire)
+router.get('/:employeeId', async (req, res) => {
+  try {
+    const exit = await getExit(req.companyId, req.params.employeeId);
+
+    if (!exit) {
+      return res.status(404).json({ error: 'Exit not found' });
+    }
+
+    res.json({ exit });
+  } catch (error) {
+    console.error('Get exit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/exits/:employeeId - Update the latest exit (the last risk score is re-linked when the date changes)
+router.put('/:employeeId', async (req, res) => {
+  try {
+    const { employeeId, ...input } = readExitInput(req.body);
+
+    const result = await updateExit(req.companyId, req.params.employeeId, input, {
+      recordedById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Exit not found' });
+    }
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid exit', details: result.errors });
+    }
+
+    res.json({
+      message: 'Exit updated successfully',
+      exit: result.exit
+    });
+  } catch (error) {
+    console.error('Update exit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/exits/:employeeId/rehire - Record that the employee came back (rehireDate); the exit is kept
+router.post('/:employeeId/rehire', async (req, res) => {
+  try {
+    const result = await rehireEmployee(req.companyId, req.params.employeeId, { rehireDate: req.body.rehireDate });
+
+    if (!result) {
+      return res.status(404).json({ error: 'No exit to rehire from' });
+    }
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid rehire', details: result.errors });
+    }
+
+    res.json({
+      message: 'Rehire recorded and employee reactivated',
+      exit: result.exit
+    });
+  } catch (error) {
+    console.error('Rehire employee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/exits/:employeeId - Remove the latest exit recorded by mistake and reactivate the employee
+router.delete('/:employeeId', async (req, res) => {
+  try {
+    const deleted = await deleteExit(req.companyId, req.params.employeeId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Exit not found' });
+    }
+
+    res.json({ message: 'Exit removed and employee reactivated' });
+  } catch (error) {
+    console.error('Delete exit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { getJob, listJobs, JOB_STATUS } = require('../services/jobQueue');
+const { getReportDir } = require('../services/jobHandlers');
+
+// Stacks and worker names stay in the database for operators
+function serializeError(error) {
+  if (!error) return null;
+  return {
+    message: error.message,
+    attempt: error.attempt,
+    failedAt: error.failedAt
+  };
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    progressMessage: job.progressMessage,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    result: job.result,
+    error: serializeError(job.error),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// GET /api/jobs - List recent jobs
+router.get('/', async (req, res) => {
+  try {
+    const { type, status, limit = 20 } = req.query;
+
+    const jobs = await listJobs(req.companyId, {
+      type,
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({ jobs: jobs.map(serializeJob) });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/jobs/:id - Get job status and progress
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.companyId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job: serializeJob(job) });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/jobs/:id/download - Download a file produced by a completed job
+router.get('/:id/download', async (req, res) => {
+  try {
+    const { format = 'pdf' } = req.query;
+    const job = await getJob(req.companyId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== JOB_STATUS.COMPLETED) {
+      return res.status(409).json({ error: 'Job has not completed yet', status: job.status });
+    }
+
+    const filename = format === 'excel' ? job.result?.excelPath : job.result?.pdfPath;
+    if (!filename) {
+      return res.status(404).json({ error: `No ${format} file was produced by this job` });
+    }
+
+    res.download(path.resolve(getReportDir(job.organizationId), filename));
+  } catch (error) {
+    console.error('Download job file error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getActiveModel,
+  getModelVersion,
+  listModels,
+  activateModelVersion,
+  deactivateModels
+} = require('../services/riskModel');
+const { DEFAULT_TRAINING } = require('../services/modelTraining');
+const { getActiveProfile } = require('../services/scoringModel');
+const { SEPARATION_TYPES } = require('../services/exits');
+const { enqueueJob, JOB_TYPES } = require('../services/jobQueue');
+
+const MAX_HORIZON_MONTHS = 24;
+const MAX_CUTOFFS = 36;
+
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// GET /api/attrition/learned-model - Get the learned model in use (null: scores use the formula alone)
+router.get('/', async (req, res) => {
+  try {
+    const [model, profile] = await Promise.all([getActiveModel(req.companyId), getActiveProfile(req.companyId)]);
+
+    res.json({
+      model,
+      // Predictions need the factor scores the model was trained on
+      inUse: Boolean(model && model.profileVersion === profile.version),
+      warning: model && model.profileVersion !== profile.version
+        ? `Model was trained on scoring profile version ${model.profileVersion} but version ${profile.version} is active; retrain to use it.`
+        : undefined
+    });
+  } catch (error) {
+    console.error('Get learned model error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attrition/learned-model/versions - List trained models
+router.get('/versions', async (req, res) => {
+  try {
+    const models = await listModels(req.companyId);
+    res.json({ models });
+  } catch (error) {
+    console.error('List learned models error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attrition/learned-model/train - Queue training on the organization's exit history
+// (optional horizonMonths, cutoffs, months, separationType, activate)
+router.post('/train', async (req, res) => {
+  try {
+    const {
+      horizonMonths = DEFAULT_TRAINING.horizonMonths,
+      cutoffs = DEFAULT_TRAINING.cutoffs,
+      months = DEFAULT_TRAINING.months,
+      separationType,
+      activate = true
+    } = req.body;
+
+    const horizon = parseInt(horizonMonths);
+    if (isNaN(horizon) || horizon < 1 || horizon > MAX_HORIZON_MONTHS) {
+      return res.status(400).json({ error: `horizonMonths must be between 1 and ${MAX_HORIZON_MONTHS}` });
+    }
+
+    const cutoffCount = parseInt(cutoffs);
+    if (isNaN(cutoffCount) || cutoffCount < 1 || cutoffCount > MAX_CUTOFFS) {
+      return res.status(400).json({ error: `cutoffs must be between 1 and ${MAX_CUTOFFS}` });
+    }
+
+    const type = separationType ? String(separationType).toUpperCase() : undefined;
+    if (type && !Object.values(SEPARATION_TYPES).includes(type)) {
+      return res.status(400).json({ error: 'separationType must be VOLUNTARY or INVOLUNTARY' });
+    }
+
+    const job = await enqueueJob(req.companyId, JOB_TYPES.RISK_MODEL_TRAINING, {
+      horizonMonths: horizon,
+      cutoffs: cutoffCount,
+      months: parseInt(months) || DEFAULT_TRAINING.months,
+      separationType: type,
+      activate: activate !== false
+    }, { createdById: req.user?.userId ? String(req.user.userId) : null });
+
+    res.status(202).json({
+      message: 'Model training queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('Queue model training error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/attrition/learned-model/active - Stop using learned predictions (back to the formula alone)
+router.delete('/active', async (req, res) => {
+  try {
+    const deactivated = await deactivateModels(req.companyId);
+    res.json({ message: 'Learned model deactivated; scores use the formula alone', deactivated });
+  } catch (error) {
+    console.error('Deactivate learned model error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attrition/learned-model/:version - Get a trained model with its coefficients and metrics
+router.get('/:version', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (version === null) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
+    }
+
+    const model = await getModelVersion(req.companyId, version);
+    if (!model) {
+      return res.status(404).json({ error: 'Learned model version not found' });
+    }
+
+    res.json({ model });
+  } catch (error) {
+    console.error('Get learned model version error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/attrition/learned-model/:version/activate - Use a trained version for predictions
+router.put('/:version/activate', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (version === null) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
+    }
+
+    const model = await activateModelVersion(req.companyId, version);
+    if (!model) {
+      return res.status(404).json({ error: 'Learned model version not found' });
+    }
+
+    res.json({
+      message: 'Learned model activated successfully',
+      model
+    });
+  } catch (error) {
+    console.error('Activate learned model error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getActiveProfile,
+  getProfileVersion,
+  listProfiles,
+  createProfileVersion,
+  activateProfileVersion,
+  retireProfileVersion
+} = require('../services/scoringModel');
+
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+}
+
+// GET /api/attrition/model - Get the active scoring profile
+router.get('/', async (req, res) => {
+  try {
+    const profile = await getActiveProfile(req.companyId);
+    res.json({ profile });
+  } catch (error) {
+    console.error('Get scoring profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attrition/model/versions - List stored scoring profile versions
+router.get('/versions', async (req, res) => {
+  try {
+    const profiles = await listProfiles(req.companyId, {
+      includeRetired: req.query.includeRetired === 'true'
+    });
+    res.json({ profiles });
+  } catch (error) {
+    console.error('List scoring profiles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attrition/model/:version - Get a specific scoring profile version
+router.get('/:version', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (version === null) {
+      return res.status(400).json({ error: 'Version must be a non-negative integer' });
+    }
+
+    const profile = await getProfileVersion(req.companyId, version);
+    if (!profile) {
+      return res.status(404).json({ error: 'Scoring profile version not found' });
+    }
+
+    res.json({ profile });
+  } catch (error) {
+    console.error('Get scoring profile version error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attrition/model - Create a new scoring profile version
+// (calendar-aware unless algorithmVersion picks the original record-window algorithm)
+router.post('/', async (req, res) => {
+  try {
+    const { name, algorithmVersion, weights, thresholds, riskBands, activate = true } = req.body;
+
+    const result = await createProfileVersion(
+      req.companyId,
+      { name, algorithmVersion, weights, thresholds, riskBands },
+      { createdById: req.user?.userId ? String(req.user.userId) : null, activate: activate !== false }
+    );
+
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid scoring profile', details: result.errors });
+    }
+
+    res.status(201).json({
+      message: 'Scoring profile created successfully',
+      profile: result.profile
+    });
+  } catch (error) {
+    console.error('Create scoring profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/attrition/model/:version/activate - Make a stored version the active profile
+router.put('/:version/activate', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (version === null || version === 0) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
+    }
+
+    const profile = await activateProfileVersion(req.companyId, version);
+    if (!profile) {
+      return res.status(404).json({ error: 'Scoring profile version not found' });
+    }
+
+    res.json({
+      message: 'Scoring profile activated successfully',
+      profile
+    });
+  } catch (error) {
+    console.error('Activate scoring profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/attrition/model/:version - Retire a scoring profile version
+router.delete('/:version', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (version === null || version === 0) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
+    }
+
+    const profile = await retireProfileVersion(req.companyId, version);
+    if (!profile) {
+      return res.status(404).json({ error: 'Scoring profile version not found' });
+    }
+
+    res.json({
+      message: 'Scoring profile retired successfully',
+      profile
+    });
+  } catch (error) {
+    if (error.message.startsWith('Cannot retire')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Retire scoring profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
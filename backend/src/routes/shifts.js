@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listShifts,
+  createShift,
+  updateShift,
+  deleteShift
+} = require('../services/shifts');
+
+// Prisma unique constraint violation (organizationId + name)
+function isDuplicateName(error) {
+  return error.code === 'P2002';
+}
+
+// GET /api/attendance/shifts - List shift definitions
+router.get('/', async (req, res) => {
+  try {
+    const shifts = await listShifts(req.companyId);
+    res.json({ shifts });
+  } catch (error) {
+    console.error('List shifts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/attendance/shifts - Create a shift definition (department omitted = organization-wide)
+router.post('/', async (req, res) => {
+  try {
+    const { name, department, startTime, endTime, graceMinutes, earlyDepartureGraceMinutes } = req.body;
+
+    const result = await createShift(req.companyId, {
+      name, department, startTime, endTime, graceMinutes, earlyDepartureGraceMinutes
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid shift', details: result.errors });
+    }
+
+    res.status(201).json({
+      message: 'Shift created successfully',
+      shift: result.shift
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A shift with this name already exists' });
+    }
+    console.error('Create shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/attendance/shifts/:id - Update a shift definition
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, department, startTime, endTime, graceMinutes, earlyDepartureGraceMinutes } = req.body;
+
+    const result = await updateShift(req.companyId, req.params.id, {
+      name, department, startTime, endTime, graceMinutes, earlyDepartureGraceMinutes
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid shift', details: result.errors });
+    }
+
+    res.json({
+      message: 'Shift updated successfully',
+      shift: result.shift
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A shift with this name already exists' });
+    }
+    console.error('Update shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/attendance/shifts/:id - Delete a shift definition
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteShift(req.companyId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    res.json({ message: 'Shift deleted successfully' });
+  } catch (error) {
+    console.error('Delete shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
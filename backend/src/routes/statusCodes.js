@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const {
+  STATUS_CATEGORIES,
+  listStatusCodes,
+  setStatusCode,
+  deleteStatusCode
+} = require('../services/statusDictionary');
+
+// GET /api/attendance/status-codes - List the organization status codes and the built-in codes still in effect
+router.get('/', async (req, res) => {
+  try {
+    const { codes, defaults } = await listStatusCodes(req.companyId);
+    res.json({
+      codes,
+      defaults,
+      categories: Object.keys(STATUS_CATEGORIES)
+    });
+  } catch (error) {
+    console.error('List status codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/attendance/status-codes - Create or replace the mapping of a raw status code
+router.put('/', async (req, res) => {
+  try {
+    const { code, label, category, dayFraction } = req.body;
+
+    const result = await setStatusCode(req.companyId, { code, label, category, dayFraction });
+
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid status code', details: result.errors });
+    }
+
+    res.json({
+      message: 'Status code saved successfully',
+      statusCode: result.statusCode
+    });
+  } catch (error) {
+    console.error('Set status code error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/attendance/status-codes/:id - Remove an organization status code (a built-in code of the same name applies again)
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteStatusCode(req.companyId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Status code not found' });
+    }
+
+    res.json({ message: 'Status code deleted successfully' });
+  } catch (error) {
+    console.error('Delete status code error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { listUploads, getUpload, rollbackUpload } = require('../services/uploadHistory');
+
+// GET /api/uploads - List attendance imports with their row counts
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit = 20, offset = 0 } = req.query;
+
+    const { uploads, total } = await listUploads(req.companyId, {
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({ total, uploads });
+  } catch (error) {
+    console.error('List uploads error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/uploads/:id - Get an import and a sample of the records it changed
+router.get('/:id', async (req, res) => {
+  try {
+    const upload = await getUpload(req.companyId, req.params.id);
+
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    res.json({ upload });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/uploads/:id - Roll back an import, restoring the values it overwrote
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await rollbackUpload(req.companyId, req.params.id, {
+      rolledBackById: req.user?.userId ? String(req.user.userId) : null
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    res.json({
+      message: 'Upload rolled back successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.message.startsWith('Upload has already') || error.message.startsWith('Upload is still')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Rollback upload error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -16,6 +16,14 @@ import { auth } from './middleware/auth.js';
 import authRoutes from './routes/authRoutes.js';
 import attendanceRoutes from './routes/attendance.js';
 import attritionRoutes from './routes/attrition.js';
+import jobRoutes from './routes/jobs.js';
+import calendarRoutes from './routes/calendars.js';
+import uploadRoutes from './routes/uploads.js';
+import employeeRoutes from './routes/employees.js';
+import exitRoutes from './routes/exits.js';
+
+// Background jobs
+import jobWorker from './services/jobWorker.js';
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -65,6 +73,11 @@ app.use('/api/auth', authRoutes);
 // Protected routes (require authentication)
 app.use('/api/attendance', auth, attendanceRoutes);
 app.use('/api/attrition', auth, attritionRoutes);
+app.use('/api/jobs', auth, jobRoutes);
+app.use('/api/calendars', auth, calendarRoutes);
+app.use('/api/uploads', auth, uploadRoutes);
+app.use('/api/employees', auth, employeeRoutes);
+app.use('/api/exits', auth, exitRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -96,6 +109,11 @@ async function startServer() {
       console.log(`🔗 Health check: http://localhost:${PORT}/health`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'production'}`);
     });
+
+    // Run background jobs in this process unless a separate worker handles them
+    if ((process.env.JOB_WORKER_MODE || 'inline') === 'inline') {
+      await jobWorker.start();
+    }
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -105,8 +123,9 @@ async function startServer() {
 startServer();
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
+  await jobWorker.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,426 @@
+/**
+ * Attendance Import Service
+ * Row processing for the simple attendance upload, shared by the synchronous
+ * upload route and ATTENDANCE_IMPORT jobs (which stream the stored file). Rows are mapped onto the canonical
+ * columns (employee_id, employee_name, date, status, hours_worked, informed_time) by the
+ * column mapper before they get here.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const xlsx = require('xlsx');
+const fs = require('fs').promises;
+const path = require('path');
+const scoreCache = require('./scoreCache');
+const { applyMapping, findUnmappedFields, resolveMapping } = require('./columnMapper');
+const { writeAttendanceBatch } = require('./uploadHistory');
+const { getTimezone } = require('./workCalendar');
+const { parseDateValue, parseDateTimeValue, resolveDateOrder } = require('./dateParsing');
+const { createStatusDictionary, loadStatusDictionary } = require('./statusDictionary');
+const { RECONCILE_RULES, DEFAULT_STATUS_PRIORITY, reconcileEntries } = require('./importReconciler');
+const fileParser = require('./fileParser');
+
+const prisma = new PrismaClient();
+
+const EXPECTED_FORMAT = {
+  employee_id: 'Unique employee identifier',
+  employee_name: 'Employee name',
+  date: 'Date (YYYY-MM-DD, DD/MM/YYYY, MM/DD/YYYY or an Excel date)',
+  status: 'Attendance status (Present / Remote / Absent / Planned Leave / Unplanned Leave, or a code from the status dictionary such as P, A, HD, WFH, CL, SL, OD)',
+  hours_worked: 'Hours worked (optional)',
+  informed_time: 'When the leave was notified, date and time (optional; feeds the leave notice factor)'
+};
+
+const WRITE_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 1000;
+
+/**
+ * Read the rows of the selected sheets of an Excel/CSV buffer
+ * @param {Object} selection - { sheets, sheetPattern } as for fileParser.selectSheets (first sheet by default)
+ * @returns {Array} [{ sheet, rows }] in workbook order
+ */
+function readSheetRows(buffer, selection = {}) {
+  const workbook = xlsx.read(buffer, { type: 'buffer' });
+  const { selected, missing } = fileParser.selectSheets(workbook.SheetNames, selection);
+
+  if (missing.length > 0) {
+    throw new Error(`Sheet(s) not found: ${missing.join(', ')}. Available: ${workbook.SheetNames.join(', ')}`);
+  }
+  if (selected.length === 0) {
+    throw new Error(`No sheet matches '${selection.sheetPattern}'. Available: ${workbook.SheetNames.join(', ')}`);
+  }
+
+  return selected.map(sheet => ({ sheet, rows: xlsx.utils.sheet_to_json(workbook.Sheets[sheet]) }));
+}
+
+/**
+ * Read the rows of the selected sheets of an Excel/CSV buffer, one sheet after another
+ */
+function readRows(buffer, selection) {
+  return readSheetRows(buffer, selection).flatMap(({ rows }) => rows);
+}
+
+/**
+ * Map source rows onto the canonical columns
+ * @returns {{ rows: Array, missingColumns: Array }} missingColumns lists required fields the mapping does not provide
+ */
+function mapRows(data, mapping) {
+  const missingColumns = findUnmappedFields(mapping);
+  return {
+    rows: missingColumns.length === 0 ? applyMapping(data, mapping) : [],
+    missingColumns
+  };
+}
+
+/**
+ * Keep an uploaded file on disk so a background job can process it
+ * @returns {Promise<string>} Path of the stored file
+ */
+function getUploadDir() {
+  return process.env.UPLOAD_DIR || './uploads';
+}
+
+async function storeUploadedFile(file) {
+  const uploadDir = getUploadDir();
+  await fs.mkdir(uploadDir, { recursive: true });
+
+  const sanitizedName = file.originalname.replace(/[^a-z0-9._-]/gi, '_');
+  const storedPath = path.join(uploadDir, `${Date.now()}_${sanitizedName}`);
+  await fs.writeFile(storedPath, file.buffer);
+  return storedPath;
+}
+
+/**
+ * Validate one mapped row
+ * @param {Object} options - { dateOrder, timezone, statusDictionary }
+ *   dateOrder, timezone: as for dateParsing.parseDateValue
+ *   statusDictionary: resolves raw status codes (built-in codes when not given)
+ * @returns {{ record?: Object, error?: string }} record is normalized for writeAttendanceBatch
+ */
+function validateRow(row, rowNumber, { dateOrder, timezone, statusDictionary = createStatusDictionary() } = {}) {
+  const {
+    employee_id: employeeId,
+    employee_name: name,
+    date,
+    status,
+    hours_worked: hoursWorked,
+    informed_time: informedTime,
+    department
+  } = row;
+
+  // Validate status
+  const resolvedStatus = statusDictionary.resolve(status);
+  if (!resolvedStatus) {
+    return { error: `Row ${rowNumber}: Unknown status '${status}'. Add it to the status dictionary or use one of: Present, Remote, Absent, Planned Leave, Unplanned Leave` };
+  }
+
+  // Validate date
+  const parsedDate = parseDateValue(date, { dateOrder, timezone });
+  if (parsedDate.error) {
+    return { error: `Row ${rowNumber}: Invalid date: ${parsedDate.error}` };
+  }
+
+  // Validate hours worked (optional)
+  const hasHours = hoursWorked !== undefined && hoursWorked !== '';
+  const parsedHours = hasHours ? Number(hoursWorked) : null;
+  if (hasHours && (isNaN(parsedHours) || parsedHours < 0 || parsedHours > 24)) {
+    return { error: `Row ${rowNumber}: Invalid hours_worked '${hoursWorked}'. Must be between 0 and 24` };
+  }
+
+  // Validate informed time (optional); without the column the stored value is left as it is
+  let parsedInformed;
+  if (informedTime !== undefined) {
+    const hasInformed = informedTime !== null && String(informedTime).trim() !== '';
+    parsedInformed = hasInformed ? parseDateTimeValue(informedTime, { dateOrder, timezone }) : { instant: null };
+    if (parsedInformed.error) {
+      return { error: `Row ${rowNumber}: Invalid informed_time: ${parsedInformed.error}` };
+    }
+  }
+
+  return {
+    record: {
+      employeeId: String(employeeId),
+      employeeName: String(name),
+      department: department ? String(department).trim() : null,
+      date: parsedDate.date,
+      status: resolvedStatus.status,
+      statusCode: resolvedStatus.statusCode,
+      dayFraction: resolvedStatus.dayFraction,
+      hoursWorked: parsedHours,
+      ...(parsedInformed && { informedTime: parsedInformed.instant })
+    }
+  };
+}
+
+// Row number for messages, with the sheet when several were read
+function rowLabel({ sheet, row }) {
+  return sheet ? `${row} (sheet ${sheet})` : row;
+}
+
+/**
+ * Write validated records in batches of WRITE_BATCH_SIZE, one transaction per batch
+ */
+async function writeInBatches(companyId, uploadedFileId, records, counts) {
+  for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+    const result = await prisma.$transaction(tx =>
+      writeAttendanceBatch(tx, companyId, uploadedFileId, records.slice(i, i + WRITE_BATCH_SIZE))
+    );
+    counts.created += result.created;
+    counts.updated += result.updated;
+    counts.unchanged += result.unchanged;
+  }
+}
+
+/**
+ * Validate and write attendance rows for an organization
+ * Rows for the same employee and date (e.g. from several sheets) are
+ * reconciled before anything is written (see importReconciler).
+ * @param {string} companyId - Organization ID
+ * @param {Array} data - Mapped rows
+ * @param {Object} options - { uploadedFileId, dateOrder, sources, reconcile, statusPriority, onProgress(percent, message) }
+ *   uploadedFileId: UploadedFile the records and their change log are attributed to
+ *   dateOrder: 'DMY' | 'MDY' | 'auto' (detected from the dates)
+ *   sources: { sheet, row } of each row, for error messages (row i + 2 of the file otherwise)
+ *   reconcile, statusPriority: duplicate rule ('latest' by default) and status ranking for 'priority'
+ * @returns {Promise<{ processedRecords: Array, errors: Array, warnings: Array, duplicates: number, counts: Object }>}
+ */
+async function importAttendanceRows(companyId, data, {
+  uploadedFileId,
+  dateOrder: requestedOrder,
+  sources,
+  reconcile = RECONCILE_RULES.LATEST,
+  statusPriority = DEFAULT_STATUS_PRIORITY,
+  onProgress
+} = {}) {
+  const entries = [];
+  const errors = [];
+  const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+
+  const { dateOrder, warning } = resolveDateOrder(requestedOrder, data.flatMap(row => [row.date, row.informed_time]));
+  const [timezone, statusDictionary] = await Promise.all([
+    getTimezone(companyId),
+    loadStatusDictionary(companyId)
+  ]);
+
+  data.forEach((row, i) => {
+    const source = sources ? sources[i] : { row: i + 2 };
+    const { record, error } = validateRow(row, rowLabel(source), { dateOrder, timezone, statusDictionary });
+    if (error) {
+      errors.push(error);
+      counts.failed++;
+    } else {
+      entries.push({ record, source });
+    }
+  });
+
+  const reconciled = reconcileEntries(entries, {
+    rule: reconcile,
+    statusPriority,
+    keyOf: record => `${record.employeeId}_${record.date}`
+  });
+  reconciled.errors.forEach(({ errors: [message], ...source }) => {
+    errors.push(`Row ${rowLabel(source)}: ${message}`);
+    counts.failed++;
+  });
+  const records = reconciled.kept.map(entry => entry.record);
+
+  for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+    if (onProgress && i > 0) {
+      await onProgress((i / records.length) * 100, `Processed ${i} of ${records.length} rows`);
+    }
+    await writeInBatches(companyId, uploadedFileId, records.slice(i, i + WRITE_BATCH_SIZE), counts);
+  }
+
+  // Cached attrition reports no longer reflect this organization's attendance
+  if (counts.created > 0 || counts.updated > 0) {
+    await scoreCache.invalidate(companyId);
+  }
+
+  return {
+    processedRecords: records.map(r => ({
+      employeeId: r.employeeId,
+      name: r.employeeName,
+      date: r.date,
+      status: r.status
+    })),
+    errors,
+    warnings: warning ? [warning] : [],
+    duplicates: reconciled.duplicateCount,
+    counts
+  };
+}
+
+// Position of a row in the file, for matching the two passes of importAttendanceFile
+function sourceKey({ sheet, row }) {
+  return `${sheet ?? ''}:${row}`;
+}
+
+/**
+ * Stream a stored CSV/XLSX file into the database
+ * The file is read twice. The first pass validates every row and decides, for
+ * each employee and date, which row is kept (see importReconciler); only the
+ * key, status and position of a row are held, never the row itself. The
+ * second pass writes the kept rows in batches of WRITE_BATCH_SIZE. Only the
+ * first MAX_REPORTED_ERRORS row errors are kept; all are counted. With
+ * dateOrder 'auto' the order is detected from the first WRITE_BATCH_SIZE rows.
+ * @param {Object} options - { uploadedFileId, mapping, mappingId, dateOrder, sheets, sheetPattern, reconcile, statusPriority, onProgress(percent, message) }
+ *   mapping: resolved column mapping; otherwise resolved from mappingId or the file headers
+ *   sheets, sheetPattern: workbook sheets to read (see fileParser.selectSheets; first sheet by default)
+ *   reconcile, statusPriority: duplicate rule ('latest' by default) and status ranking for 'priority'
+ * @returns {Promise<{ processed: number, totalRows: number, errors: Array, warnings: Array, duplicates: number, counts: Object }>}
+ */
+async function importAttendanceFile(companyId, filePath, originalName, {
+  uploadedFileId,
+  mapping,
+  mappingId,
+  dateOrder: requestedOrder,
+  sheets,
+  sheetPattern,
+  reconcile = RECONCILE_RULES.LATEST,
+  statusPriority = DEFAULT_STATUS_PRIORITY,
+  onProgress
+} = {}) {
+  const { size } = await fs.stat(filePath);
+  const errors = [];
+  const warnings = [];
+  const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+  const [timezone, statusDictionary] = await Promise.all([
+    getTimezone(companyId),
+    loadStatusDictionary(companyId)
+  ]);
+  let activeMapping = mapping;
+  let dateOptions = null;
+  let bytesRead = 0;
+
+  const reportError = error => {
+    counts.failed++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(error);
+  };
+
+  // Share of the progress bar each pass takes up
+  const progressOf = (pass) => (pass + (size > 0 ? bytesRead / size : 0)) * 50;
+
+  async function* readMappedRows() {
+    const rows = fileParser.streamFile(filePath, originalName, {
+      sheets,
+      sheetPattern,
+      onBytesRead: bytes => { bytesRead = bytes; }
+    });
+
+    for await (const { sheet, row: number, record } of rows) {
+      if (!activeMapping) {
+        ({ mapping: activeMapping } = await resolveMapping(companyId, Object.keys(record), { mappingId }));
+        if (!activeMapping) {
+          throw new Error('Column mapping profile not found');
+        }
+      }
+
+      const { rows: [row], missingColumns } = mapRows([record], activeMapping);
+      if (missingColumns.length > 0) {
+        throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
+      }
+      yield { row, source: { sheet, row: number } };
+    }
+  }
+
+  // First pass: validate every row and key the valid ones by employee and date
+  const entries = [];
+  let pending = []; // Rows held back until the date order is known
+  let totalRows = 0;
+
+  const check = ({ row, source }) => {
+    const { record, error } = validateRow(row, rowLabel(source), dateOptions);
+    if (error) {
+      reportError(error);
+    } else {
+      entries.push({ record: { key: `${record.employeeId}_${record.date}`, status: record.status }, source });
+    }
+  };
+
+  const resolveDates = () => {
+    const { dateOrder, warning } = resolveDateOrder(requestedOrder, pending.flatMap(({ row }) => [row.date, row.informed_time]));
+    if (warning) warnings.push(warning);
+    dateOptions = { dateOrder, timezone, statusDictionary };
+    pending.forEach(check);
+    pending = [];
+  };
+
+  for await (const mapped of readMappedRows()) {
+    totalRows++;
+
+    if (dateOptions) {
+      check(mapped);
+    } else {
+      pending.push(mapped);
+      if (pending.length >= WRITE_BATCH_SIZE) resolveDates();
+    }
+
+    if (onProgress && totalRows % WRITE_BATCH_SIZE === 0) {
+      await onProgress(progressOf(0), `Checked ${totalRows} rows`);
+    }
+  }
+
+  if (totalRows === 0) {
+    throw new Error('File is empty or invalid format');
+  }
+  if (!dateOptions) resolveDates();
+
+  const reconciled = reconcileEntries(entries, {
+    rule: reconcile,
+    statusPriority,
+    keyOf: record => record.key
+  });
+  reconciled.errors.forEach(({ errors: [message], ...source }) => reportError(`Row ${rowLabel(source)}: ${message}`));
+  const kept = new Set(reconciled.kept.map(({ source }) => sourceKey(source)));
+  entries.length = 0;
+
+  // Second pass: write the kept rows
+  let batch = [];
+  let written = 0;
+
+  const flush = async () => {
+    await writeInBatches(companyId, uploadedFileId, batch, counts);
+    written += batch.length;
+    batch = [];
+    if (onProgress) {
+      await onProgress(progressOf(1), `Imported ${written} of ${kept.size} rows`);
+    }
+  };
+
+  try {
+    for await (const { row, source } of readMappedRows()) {
+      if (!kept.has(sourceKey(source))) continue;
+
+      batch.push(validateRow(row, rowLabel(source), dateOptions).record);
+      if (batch.length >= WRITE_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+  } finally {
+    // Batches written before a failure are already visible
+    if (counts.created > 0 || counts.updated > 0) {
+      await scoreCache.invalidate(companyId);
+    }
+  }
+
+  return {
+    processed: kept.size,
+    totalRows,
+    errors,
+    warnings,
+    duplicates: reconciled.duplicateCount,
+    counts
+  };
+}
+
+module.exports = {
+  EXPECTED_FORMAT,
+  readSheetRows,
+  readRows,
+  mapRows,
+  getUploadDir,
+  storeUploadedFile,
+  validateRow,
+  importAttendanceRows,
+  importAttendanceFile
+};
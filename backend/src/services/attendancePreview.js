@@ -0,0 +1,384 @@
+/**
+ * Attendance Import Preview
+ * Dry-run of an attendance upload: runs the full FileParserService validation,
+ * compares the valid rows with the attendance already stored and keeps the
+ * result as a preview. Nothing is written to attendance until the preview is
+ * confirmed, which commits it in a single transaction.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const fs = require('fs').promises;
+const path = require('path');
+const fileParser = require('./fileParser');
+const reportGenerator = require('./reportGenerator');
+const { loadCalendar, toDateKey } = require('./workCalendar');
+const { loadStatusDictionary } = require('./statusDictionary');
+const { collectHeaders, resolveMapping } = require('./columnMapper');
+const { resolveDateOrder, parseDateValue } = require('./dateParsing');
+const { RECONCILE_RULES, DEFAULT_STATUS_PRIORITY, reconcileEntries } = require('./importReconciler');
+const scoreCache = require('./scoreCache');
+const { storeUploadedFile } = require('./attendanceImport');
+const { computeChecksum, startUpload, finishUpload, diffAttendance, writeAttendanceBatch } = require('./uploadHistory');
+
+const prisma = new PrismaClient();
+
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+const SAMPLE_CHANGES = 50;
+const CONFIRM_TIMEOUT_MS = 120 * 1000;
+
+const PREVIEW_STATUS = {
+  PENDING: 'PENDING',
+  CONFIRMED: 'CONFIRMED'
+};
+
+function serializeRecord(record) {
+  return {
+    ...record,
+    date: toDateKey(record.date),
+    informedTime: record.informedTime ? record.informedTime.toISOString() : null
+  };
+}
+
+/**
+ * Read and map the selected sheets of every file in a batch
+ * @returns {{ entries: Array, sources: Array }}
+ *   entries: every row in read order with its source { file, fileName, sheet, row }
+ *   sources: one entry per sheet read
+ */
+async function readBatch(companyId, files, { mapping, sheets, sheetPattern }) {
+  const entries = [];
+  const sources = [];
+
+  for (const [fileIndex, file] of files.entries()) {
+    for (const { sheet, records } of fileParser.readSheets(file.buffer, file.originalname, { sheets, sheetPattern })) {
+      // Sheets of one vendor can differ; without a profile each sheet is mapped from its own headers
+      const resolved = mapping
+        ? { mapping, source: 'profile' }
+        : await resolveMapping(companyId, collectHeaders(records));
+      const mapped = fileParser.mapRecords(records, { mapping: resolved.mapping });
+
+      sources.push({
+        file: fileIndex,
+        fileName: file.originalname,
+        sheet,
+        rows: mapped.length,
+        mapping: { source: resolved.source, name: resolved.mapping.name, columns: resolved.mapping.columns }
+      });
+      // Workbook rows carry their sheet row (blank rows are skipped); CSV rows follow the header
+      mapped.forEach((record, i) => entries.push({
+        record,
+        source: {
+          file: fileIndex,
+          fileName: file.originalname,
+          sheet,
+          row: records[i].__rowNum__ !== undefined ? records[i].__rowNum__ + 1 : i + 2
+        }
+      }));
+    }
+  }
+
+  return { entries, sources };
+}
+
+/**
+ * Validate one or more files without importing them and store the result as a preview
+ * The selected sheets of every file are validated together after rows for the
+ * same employee and date are reconciled (see importReconciler).
+ * @param {Object|Array} files - multer file(s) (buffer, originalname)
+ * @param {Object} options - { mapping, dateOrder, sheets, sheetPattern, reconcile, statusPriority, createdById }
+ *   mapping: column mapping for every sheet; otherwise each sheet's is resolved from its headers
+ */
+async function createPreview(companyId, files, {
+  mapping,
+  dateOrder,
+  sheets,
+  sheetPattern,
+  reconcile = RECONCILE_RULES.LATEST,
+  statusPriority = DEFAULT_STATUS_PRIORITY,
+  createdById = null
+} = {}) {
+  const fileList = Array.isArray(files) ? files : [files];
+  const [calendar, statusDictionary] = await Promise.all([
+    loadCalendar(companyId),
+    loadStatusDictionary(companyId)
+  ]);
+
+  const { entries, sources } = await readBatch(companyId, fileList, { mapping, sheets, sheetPattern });
+  if (entries.length === 0) {
+    throw new Error('File is empty');
+  }
+
+  // One DD/MM order for the whole batch so duplicates are matched on the same dates
+  const resolvedOrder = resolveDateOrder(dateOrder, entries.flatMap(e => [e.record.date, e.record.informed_time]));
+  const reconciled = reconcileEntries(entries, {
+    rule: reconcile,
+    statusPriority,
+    keyOf: record => {
+      const employeeId = String(record.employee_id ?? '').trim();
+      const { date } = parseDateValue(record.date, { dateOrder: resolvedOrder.dateOrder, timezone: calendar.timezone });
+      return employeeId && date ? `${employeeId}_${date}` : null;
+    },
+    statusOf: record => statusDictionary.resolve(record.status)?.status
+  });
+
+  const kept = reconciled.kept;
+  const result = fileParser.validateAndNormalize(kept.map(entry => entry.record), {
+    calendar,
+    statusDictionary,
+    dateOrder: resolvedOrder.dateOrder
+  });
+
+  // Row errors point at the batch position (index + 2); report them by file, sheet and row
+  const rowErrors = [
+    ...result.errors.filter(e => e.row).map(e => ({ ...kept[e.row - 2].source, errors: e.errors, fields: e.fields })),
+    ...reconciled.errors.map(e => ({ ...e, fields: e.errors.map(message => ({ field: 'date', message })) }))
+  ];
+  const errors = [...rowErrors, ...result.errors.filter(e => !e.row)];
+
+  // validRecords keep the order of the rows that passed validation
+  const failedRows = new Set(result.errors.filter(e => e.row).map(e => e.row - 2));
+  const validSources = kept.filter((entry, i) => !failedRows.has(i)).map(entry => entry.source);
+
+  // Rows rejected by the error rule are reported as invalid rather than discarded
+  const keptEntries = new Set(kept);
+  const discardedSources = reconcile === RECONCILE_RULES.ERROR
+    ? []
+    : entries.filter(entry => !keptEntries.has(entry)).map(entry => entry.source);
+  sources.forEach(source => {
+    const fromSheet = s => s.fileName === source.fileName && s.sheet === source.sheet;
+    source.validRows = validSources.filter(fromSheet).length;
+    source.invalidRows = rowErrors.filter(fromSheet).length;
+    source.discardedRows = discardedSources.filter(fromSheet).length;
+  });
+
+  const records = result.validRecords.map((record, i) => ({
+    ...serializeRecord(record),
+    sourceFile: validSources[i].file
+  }));
+  const diff = records.length > 0
+    ? await diffAttendance(prisma, companyId, records)
+    : { newEmployees: [], toCreate: [], toUpdate: [], unchanged: 0 };
+
+  const changes = {
+    newEmployees: diff.newEmployees.length,
+    newRecords: diff.toCreate.length,
+    updatedRecords: diff.toUpdate.length,
+    unchangedRecords: diff.unchanged,
+    sample: diff.toUpdate.slice(0, SAMPLE_CHANGES).map(change => ({
+      employeeId: change.record.employeeId,
+      date: change.record.date,
+      from: change.previous,
+      to: {
+        status: change.record.status,
+        statusCode: change.record.statusCode,
+        dayFraction: change.record.dayFraction,
+        hoursWorked: change.record.hoursWorked
+      }
+    }))
+  };
+
+  const summary = {
+    totalRows: entries.length,
+    validRows: records.length,
+    invalidRows: rowErrors.length,
+    duplicateRows: discardedSources.length,
+    employees: result.coverage.length,
+    range: result.range,
+    dateOrder: result.dateOrder,
+    timezone: calendar.timezone,
+    warnings: [...(resolvedOrder.warning ? [resolvedOrder.warning] : []), ...result.warnings],
+    files: fileList.length,
+    sources,
+    reconcile: {
+      rule: reconcile,
+      ...(reconcile === RECONCILE_RULES.PRIORITY && { statusPriority }),
+      duplicates: reconciled.duplicateCount,
+      sample: reconciled.duplicates
+    }
+  };
+
+  // Kept so each confirmed file has the same provenance as a direct upload
+  const storedFiles = [];
+  for (const file of fileList) {
+    storedFiles.push({
+      fileName: file.originalname,
+      storedPath: await storeUploadedFile(file),
+      checksum: computeChecksum(file.buffer)
+    });
+  }
+
+  const preview = await prisma.attendanceImportPreview.create({
+    data: {
+      organizationId: companyId,
+      fileName: storedFiles.length > 1
+        ? `${storedFiles[0].fileName} (+${storedFiles.length - 1} more)`
+        : storedFiles[0].fileName,
+      storedPath: storedFiles[0].storedPath,
+      checksum: storedFiles[0].checksum,
+      files: storedFiles,
+      valid: result.valid && reconciled.errors.length === 0,
+      summary,
+      changes,
+      errors,
+      coverage: result.coverage,
+      records,
+      status: PREVIEW_STATUS.PENDING,
+      createdById,
+      expiresAt: new Date(Date.now() + PREVIEW_TTL_MS)
+    }
+  });
+
+  return formatPreview(preview);
+}
+
+// Everything except the stored records
+function formatPreview(preview) {
+  return {
+    previewId: preview.id,
+    fileName: preview.fileName,
+    valid: preview.valid,
+    status: preview.status,
+    summary: preview.summary,
+    changes: preview.changes,
+    coverage: preview.coverage,
+    errors: preview.errors,
+    expiresAt: preview.expiresAt,
+    confirmedAt: preview.confirmedAt
+  };
+}
+
+async function getPreview(companyId, id) {
+  const preview = await prisma.attendanceImportPreview.findFirst({
+    where: { id, organizationId: companyId }
+  });
+  return preview ? formatPreview(preview) : null;
+}
+
+/**
+ * Commit a validated preview in one transaction
+ * The diff is recomputed inside the transaction so data changed since the
+ * preview was taken is not overwritten with stale comparisons.
+ * @returns {Promise<Object|null>} null when the preview does not exist
+ */
+async function confirmPreview(companyId, id, { confirmedById = null } = {}) {
+  const preview = await prisma.attendanceImportPreview.findFirst({
+    where: { id, organizationId: companyId }
+  });
+
+  if (!preview) return null;
+  if (preview.status !== PREVIEW_STATUS.PENDING) {
+    throw new Error('Preview has already been confirmed');
+  }
+  if (preview.expiresAt < new Date()) {
+    throw new Error('Preview has expired. Validate the file again.');
+  }
+  if (!preview.valid) {
+    throw new Error('Preview has validation errors. Fix the file and validate it again.');
+  }
+
+  const records = preview.records;
+  // Previews taken before batch uploads have a single file and no files list
+  const files = preview.files || [{
+    fileName: preview.fileName,
+    storedPath: preview.storedPath,
+    checksum: preview.checksum
+  }];
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Claim the preview first so a concurrent confirm cannot import it twice
+    const claimed = await tx.attendanceImportPreview.updateMany({
+      where: { id, status: PREVIEW_STATUS.PENDING },
+      data: { status: PREVIEW_STATUS.CONFIRMED, confirmedAt: new Date() }
+    });
+    if (claimed.count === 0) {
+      throw new Error('Preview has already been confirmed');
+    }
+
+    // One upload per file, so each file of a batch can be rolled back on its own
+    const uploads = [];
+    for (const [index, file] of files.entries()) {
+      const fileRecords = records.filter(r => (r.sourceFile ?? 0) === index);
+      if (fileRecords.length === 0 && files.length > 1) continue;
+
+      const uploadedFile = await startUpload(companyId, {
+        originalName: file.fileName,
+        storedPath: file.storedPath,
+        checksum: file.checksum,
+        source: 'PREVIEW',
+        totalRows: fileRecords.length,
+        uploadedById: confirmedById || preview.createdById
+      }, tx);
+
+      const counts = await writeAttendanceBatch(tx, companyId, uploadedFile.id, fileRecords);
+      await finishUpload(uploadedFile.id, counts, {}, tx);
+      uploads.push({ uploadId: uploadedFile.id, fileName: file.fileName, ...counts });
+    }
+
+    const totals = ['newEmployees', 'created', 'updated', 'unchanged'].reduce((sum, key) => ({
+      ...sum,
+      [key]: uploads.reduce((total, upload) => total + upload[key], 0)
+    }), {});
+
+    return {
+      uploadId: uploads[0]?.uploadId ?? null,
+      ...totals,
+      ...(files.length > 1 && { uploads })
+    };
+  }, { timeout: CONFIRM_TIMEOUT_MS });
+
+  await scoreCache.invalidate(companyId);
+
+  return result;
+}
+
+/**
+ * Copy of one file of a preview with its errors marked (see reportGenerator.generateAnnotatedWorkbook)
+ * @param {number} fileIndex - Position of the file in the batch
+ * @returns {Promise<Object|null>} { fileName, buffer }, null when the preview or file does not exist
+ */
+async function getAnnotatedWorkbook(companyId, id, fileIndex = 0) {
+  const preview = await prisma.attendanceImportPreview.findFirst({
+    where: { id, organizationId: companyId }
+  });
+  if (!preview) return null;
+
+  const files = preview.files || [{ fileName: preview.fileName, storedPath: preview.storedPath }];
+  const file = files[fileIndex];
+  if (!file) return null;
+
+  // Previews taken before sheet selection have no sources: one sheet with canonical headers
+  const sources = (preview.summary.sources || [{ file: 0, sheet: null, rows: preview.summary.totalRows }])
+    .filter(source => (source.file ?? 0) === fileIndex);
+  const rowErrors = preview.errors.filter(e => e.row && (e.file ?? 0) === fileIndex);
+
+  const buffer = await reportGenerator.generateAnnotatedWorkbook(
+    { buffer: await fs.readFile(file.storedPath), fileName: file.fileName },
+    {
+      sheets: sources.map(source => ({
+        sheet: source.sheet,
+        columns: source.mapping?.columns,
+        errors: rowErrors.filter(e => (e.sheet ?? null) === source.sheet)
+      })),
+      summary: {
+        'Sheets': sources.map(source => source.sheet || 'CSV').join(', '),
+        'Rows': sources.reduce((sum, source) => sum + source.rows, 0),
+        'Rows with errors': rowErrors.length,
+        ...(preview.summary.reconcile && { 'Duplicate rule': preview.summary.reconcile.rule })
+      },
+      otherErrors: preview.errors.filter(e => !e.row).flatMap(e => e.errors)
+    }
+  );
+
+  return {
+    fileName: `${path.parse(file.fileName).name}_errors.xlsx`,
+    buffer
+  };
+}
+
+module.exports = {
+  PREVIEW_STATUS,
+  createPreview,
+  getPreview,
+  confirmPreview,
+  getAnnotatedWorkbook
+};
@@ -7,19 +7,69 @@
  */
 
 const { PrismaClient } = require('@prisma/client');
+const { getActiveProfile, SCORING_ALGORITHMS } = require('./scoringModel');
+const { saveScoreSnapshot, buildSnapshot, buildAnalysisResult, saveAnalysisResults } = require('./scoreHistory');
+const scoreCache = require('./scoreCache');
+const { loadCalendar, createCalendar, isoWeekKey, toDateKey } = require('./workCalendar');
+const { STATUS_CATEGORIES, LEAVE_STATUSES, countDays, countWorkedDays, dayWeight } = require('./statusDictionary');
+const { activeEmployeesWhere, exitForDay, formatExit } = require('./exits');
+const { employeesAsOf } = require('./employees');
+const { getActiveModel, extractFeatures, predict } = require('./riskModel');
+const { DEFAULT_COHORT, compareToCohort } = require('./cohortScoring');
 const prisma = new PrismaClient();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Absence that was not planned: absence spells and change points are built from it
+const UNPLANNED_ABSENCE_STATUSES = [STATUS_CATEGORIES.ABSENT, STATUS_CATEGORIES.UNPLANNED_LEAVE];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Employees scored per set-based fetch in batch runs
+const BATCH_CHUNK_SIZE = 500;
+
+// Reference points used to translate raw data into theory constructs
+const THEORY_DEFAULTS = {
+  standardHoursPerDay: 8,       // Hours considered a normal working day
+  tenureSaturationMonths: 60,   // Tenure beyond 5 years adds no further embeddedness
+  leadTimeSaturationDays: 14,   // Two weeks' notice counts as fully planned
+  expectedPlannedLeaveRate: 0.05 // ~1 day of planned leave per month keeps resources replenished
+};
+
+// Psych test keys feeding each construct (scores assumed normalized to 0-100)
+const PSYCH_TESTS = {
+  engagement: ['ENGAGEMENT'],
+  satisfaction: ['SATISFACTION'],
+  strain: ['BURNOUT', 'STRESS']
+};
+
+/**
+ * Resolve the analysis window ending at endDate
+ * @param {number} months - Number of months to analyze
+ * @param {Date} endDate - End of the window (default: now)
+ */
+function getAnalysisPeriod(months, endDate = new Date()) {
+  const startDate = new Date(endDate);
+  startDate.setMonth(startDate.getMonth() - months);
+  return { startDate, endDate };
+}
+
 /**
  * Calculate attrition risk score for an employee
  * @param {string} employeeId - Employee ID
  * @param {number} months - Number of months to analyze (default: 3)
+ * @param {Object} options - { profile, persist, asOf, cohort }
+ *   profile: scoring profile to use (default: organization's active profile)
+ *   asOf: end of the analysis window (default: now), to score as of a past day
+ *   (department, designation and tenure are then taken as they were that day)
+ *   persist: store the result as an AttritionScore snapshot and an analysis_results row (default: false;
+ *   never once the employee's exit date has passed)
+ *   cohort: { groupBy, method } adds risk.relative, the score relative to the
+ *   employee's department or designation peers (see cohortScoring.js)
  * @returns {Promise<Object>} Attrition risk assessment
  */
-async function calculateAttritionRisk(employeeId, months = 3) {
+async function calculateAttritionRisk(employeeId, months = 3, options = {}) {
   // Fetch attendance data for the specified period
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setMonth(startDate.getMonth() - months);
+  const { startDate, endDate } = getAnalysisPeriod(months, options.asOf);
 
   const employee = await prisma.employee.findUnique({
     where: { id: employeeId },
@@ -33,186 +83,713 @@ async function calculateAttritionRisk(employeeId, months = 3) {
         },
         orderBy: { date: 'asc' }
       },
-      company: true
+      psychResponses: {
+        where: {
+          createdAt: {
+            gte: startDate,
+            lte: endDate
+          }
+        }
+      },
+      company: true,
+      exits: true
     }
   });
 
   if (!employee) {
     throw new Error('Employee not found');
   }
+  const [asScored] = options.asOf ? await employeesAsOf([employee], endDate) : [employee];
+
+  const profile = options.profile || await getActiveProfile(employee.companyId);
+  const [calendar, riskModel] = await Promise.all([
+    loadCalendar(employee.companyId, { from: startDate, to: endDate }),
+    getActiveModel(employee.companyId)
+  ]);
+  const risk = scoreEmployee(asScored, employee.attendance, employee.psychResponses, {
+    profile,
+    calendar,
+    startDate,
+    endDate,
+    riskModel
+  });
+
+  // After the exit date the stored snapshots are ground truth and are not added to
+  // (a rehired employee's earlier exits end employments before this one)
+  const exit = exitForDay(employee.exits, endDate);
+  const exited = exit && toDateKey(exit.exitDate) < toDateKey(endDate);
+  if (exit) {
+    risk.exit = formatExit(exit, employee);
+  }
+
+  if (options.cohort && risk.riskLevel !== 'Insufficient Data') {
+    risk.relative = await scoreRelativeToCohort(asScored, risk, {
+      profile,
+      startDate,
+      endDate,
+      historical: Boolean(options.asOf),
+      ...options.cohort
+    });
+  }
+
+  if (options.persist && !exited) {
+    await saveScoreSnapshot(employee.companyId, employee.id, risk);
+  }
+
+  return risk;
+}
+
+/**
+ * Score an employee from data already in memory
+ * Single and batch scoring both go through here so results are identical.
+ * @param {Object} employee - Employee record (employeeId, name, email, joinDate)
+ * @param {Array} attendanceRecords - Attendance in the window, ordered by date
+ * @param {Array} psychResponses - Psych responses in the window
+ * @param {Object} context - { profile, calendar, startDate, endDate, riskModel, factorOverrides }
+ *   riskModel: learned model adding an exit prediction; used only with the
+ *   profile version it was trained on (otherwise the formula stands alone)
+ *   factorOverrides: { factor: score|null } replacing computed factor scores (what-if simulations)
+ * @returns {Object} Attrition risk assessment
+ */
+function scoreEmployee(employee, records, psychResponses, {
+  profile,
+  calendar = createCalendar(),
+  startDate,
+  endDate,
+  riskModel = null,
+  factorOverrides = {}
+}) {
+  // Holidays and non-working days are neither attendance nor absence
+  // (profiles on the original record-window algorithm count every record)
+  const calendarAware = profile.algorithmVersion !== SCORING_ALGORITHMS.RECORD_WINDOWS;
+  const attendanceRecords = calendarAware
+    ? records.filter(r => calendar.isWorkingDay(r.date, employee.department))
+    : records;
 
-  const attendanceRecords = employee.attendance;
-  
   if (attendanceRecords.length === 0) {
     return {
       employeeId: employee.employeeId,
       name: employee.name,
+      department: employee.department ?? null,
+      designation: employee.designation ?? null,
       score: 0,
       riskLevel: 'Insufficient Data',
+      modelVersion: profile.version,
       factors: {},
       recommendation: 'Need at least 3 months of attendance data'
     };
   }
 
   // Calculate individual risk factors
-  const absenteeismScore = calculateAbsenteeismScore(attendanceRecords);
-  const leavePatternScore = calculateLeavePatternScore(attendanceRecords);
-  const consistencyScore = calculateConsistencyScore(attendanceRecords);
-  const recentTrendScore = calculateRecentTrendScore(attendanceRecords);
+  const { thresholds, weights } = profile;
+  const absenteeismScore = calculateAbsenteeismScore(attendanceRecords, thresholds.absenteeism);
+  const leavePatternScore = calculateLeavePatternScore(attendanceRecords, thresholds.leavePattern);
+  const consistencyScore = calendarAware
+    ? calculateConsistencyScore(attendanceRecords, thresholds.consistency)
+    : calculateRecordConsistencyScore(attendanceRecords, thresholds.consistency);
+  const recentTrendScore = calendarAware
+    ? calculateRecentTrendScore(attendanceRecords, thresholds.recentTrend)
+    : calculateRecordTrendScore(attendanceRecords, thresholds.recentTrend);
+  const punctualityScore = calculatePunctualityScore(attendanceRecords, thresholds.punctuality);
+  const leaveNotice = summarizeLeaveNotice(attendanceRecords, thresholds.leaveNotice);
+  const leaveNoticeScore = calculateLeaveNoticeScore(leaveNotice, thresholds.leaveNotice);
+  const absencePattern = analyzeAbsencePattern(attendanceRecords, calendar, employee.department, thresholds.absencePattern);
+  const absencePatternScore = calculateAbsencePatternScore(absencePattern, thresholds.absencePattern);
+  const changePoints = detectChangePoints(attendanceRecords, thresholds.changePoint);
+  const changePointScore = calculateChangePointScore(changePoints, thresholds.changePoint);
 
-  // Weighted composite score (0-100)
-  const weights = {
-    absenteeism: 0.35,    // Highest weight - direct indicator
-    leavePattern: 0.25,   // Unplanned leaves indicate disengagement
-    consistency: 0.25,    // Erratic patterns suggest instability
-    recentTrend: 0.15     // Recent behavior is predictive
+  const factorScores = {
+    absenteeism: absenteeismScore,
+    leavePattern: leavePatternScore,
+    consistency: consistencyScore,
+    recentTrend: recentTrendScore,
+    punctuality: punctualityScore,
+    leaveNotice: leaveNoticeScore,
+    absencePattern: absencePatternScore,
+    changePoint: changePointScore,
+    ...factorOverrides
   };
 
-  const compositeScore = (
-    absenteeismScore * weights.absenteeism +
-    leavePatternScore * weights.leavePattern +
-    consistencyScore * weights.consistency +
-    recentTrendScore * weights.recentTrend
-  );
+  // Weighted composite score (0-100)
+  const compositeScore = weightedComposite(factorScores, weights);
 
   // Determine risk level
-  const riskLevel = determineRiskLevel(compositeScore);
+  const riskLevel = determineRiskLevel(compositeScore, profile.riskBands);
 
-  return {
+  // Theory constructs reported alongside the behavioral factors
+  const theory = calculateTheoryScores(employee, attendanceRecords, psychResponses || [], endDate);
+
+  const risk = {
     employeeId: employee.employeeId,
     name: employee.name,
     email: employee.email,
+    department: employee.department ?? null,
+    designation: employee.designation ?? null,
     score: Math.round(compositeScore * 10) / 10,
     riskLevel,
-    factors: {
-      absenteeism: Math.round(absenteeismScore * 10) / 10,
-      leavePattern: Math.round(leavePatternScore * 10) / 10,
-      consistency: Math.round(consistencyScore * 10) / 10,
-      recentTrend: Math.round(recentTrendScore * 10) / 10
+    modelVersion: profile.version,
+    period: { start: startDate, end: endDate },
+    factors: Object.fromEntries(Object.entries(factorScores).map(([factor, score]) =>
+      [factor, score === null ? null : Math.round(score * 10) / 10]
+    )),
+    theory,
+    statistics: {
+      ...calculateStatistics(attendanceRecords),
+      leaveNotice,
+      absencePattern,
+      changePoints,
+      nonWorkingDaysExcluded: records.length - attendanceRecords.length
     },
-    statistics: calculateStatistics(attendanceRecords),
+    explanations: [
+      ...buildTheoryExplanations(theory),
+      ...buildLeaveNoticeExplanations(leaveNotice, factorScores.leaveNotice),
+      ...buildAbsencePatternExplanations(absencePattern, factorScores.absencePattern),
+      ...buildChangePointExplanations(changePoints)
+    ],
     recommendation: generateRecommendation(riskLevel, compositeScore)
   };
+
+  if (riskModel && riskModel.profileVersion === profile.version) {
+    risk.prediction = predict(riskModel, extractFeatures(risk, employee, endDate));
+  }
+
+  return risk;
+}
+
+/**
+ * Weighted average of the factor scores
+ * Factors without data (null) are left out and their weight is shared
+ * among the others in proportion to their weights.
+ * @param {Object} scores - { factor: score|null }
+ * @param {Object} weights - { factor: weight }
+ */
+function weightedComposite(scores, weights) {
+  const available = Object.entries(scores).filter(([, score]) => score !== null);
+  const totalWeight = available.reduce((sum, [factor]) => sum + (weights[factor] || 0), 0);
+  if (totalWeight === 0) return 0;
+
+  return available.reduce((sum, [factor, score]) => sum + score * (weights[factor] || 0), 0) / totalWeight;
+}
+
+/**
+ * Map a rate onto a step table, falling back to a linear score below the lowest step
+ * @param {number} value - Observed rate or ratio
+ * @param {Object} config - { steps: [{ min, score }] ordered by descending min, linearMultiplier }
+ */
+function scoreFromSteps(value, { steps, linearMultiplier }) {
+  const step = steps.find(s => value >= s.min);
+  return step ? step.score : value * linearMultiplier;
 }
 
 /**
  * Calculate absenteeism score based on absent days
- * Higher score = higher risk
+ * Higher score = higher risk. Partial days count by their day fraction.
  */
-function calculateAbsenteeismScore(records) {
+function calculateAbsenteeismScore(records, config) {
   const totalDays = records.length;
-  const absentDays = records.filter(r => r.status === 'Absent').length;
+  const absentDays = countDays(records, STATUS_CATEGORIES.ABSENT);
   const absentRate = absentDays / totalDays;
 
-  // Score increases exponentially with absent rate
-  if (absentRate >= 0.20) return 100; // 20%+ absent = critical
-  if (absentRate >= 0.15) return 85;
-  if (absentRate >= 0.10) return 65;
-  if (absentRate >= 0.05) return 40;
-  return absentRate * 800; // Linear for low rates
+  return scoreFromSteps(absentRate, config);
 }
 
 /**
  * Calculate leave pattern score
  * Unplanned leaves indicate lower job embeddedness
  */
-function calculateLeavePatternScore(records) {
-  const totalLeaves = records.filter(r => 
-    r.status === 'Planned Leave' || r.status === 'Unplanned Leave'
-  ).length;
+function calculateLeavePatternScore(records, config) {
+  const totalLeaves = countDays(records, LEAVE_STATUSES);
   
   if (totalLeaves === 0) return 0;
 
-  const unplannedLeaves = records.filter(r => r.status === 'Unplanned Leave').length;
+  const unplannedLeaves = countDays(records, STATUS_CATEGORIES.UNPLANNED_LEAVE);
   const unplannedRatio = unplannedLeaves / totalLeaves;
 
   // High unplanned leave ratio suggests disengagement
-  if (unplannedRatio >= 0.80) return 90;
-  if (unplannedRatio >= 0.60) return 70;
-  if (unplannedRatio >= 0.40) return 50;
-  if (unplannedRatio >= 0.20) return 30;
-  return unplannedRatio * 100;
+  return scoreFromSteps(unplannedRatio, config);
 }
 
 /**
  * Calculate consistency score
  * Erratic patterns (high variance) indicate instability
  */
-function calculateConsistencyScore(records) {
-  // Group by week and calculate weekly absent rates
-  const weeklyRates = [];
-  let currentWeek = [];
-  
-  records.forEach((record, index) => {
-    currentWeek.push(record);
-    
-    if (currentWeek.length === 5 || index === records.length - 1) {
-      const weekAbsentRate = currentWeek.filter(r => r.status === 'Absent').length / currentWeek.length;
-      weeklyRates.push(weekAbsentRate);
-      currentWeek = [];
+function calculateConsistencyScore(records, config) {
+  // Group by ISO week and calculate weekly absent rates
+  const weeks = new Map();
+  records.forEach(record => {
+    const key = isoWeekKey(record.date);
+    if (!weeks.has(key)) {
+      weeks.set(key, []);
     }
+    weeks.get(key).push(record);
+  });
+
+  // Partially covered weeks (upload gaps, holiday weeks) say little about variance
+  const weeklyRates = [...weeks.values()]
+    .filter(week => week.length >= config.minDaysPerWeek)
+    .map(week => countDays(week, STATUS_CATEGORIES.ABSENT) / week.length);
+
+  return weeklyRateScore(weeklyRates, config);
+}
+
+/**
+ * Calculate recent trend score
+ * Recent deterioration is highly predictive
+ */
+function calculateRecentTrendScore(records, config) {
+  if (records.length === 0) return 0;
+
+  // Compare the last window of calendar days (3 weeks by default) with the one before,
+  // anchored on the latest record so partial uploads do not create empty windows
+  const windowMs = config.windowDays * DAY_MS;
+  const latest = new Date(records[records.length - 1].date).getTime();
+  const recentRecords = records.filter(r => latest - new Date(r.date).getTime() < windowMs);
+  const previousRecords = records.filter(r => {
+    const age = latest - new Date(r.date).getTime();
+    return age >= windowMs && age < 2 * windowMs;
   });
 
+  if (recentRecords.length < config.minRecordsPerWindow || previousRecords.length < config.minRecordsPerWindow) {
+    return 0;
+  }
+
+  return trendScore(recentRecords, previousRecords, config);
+}
+
+// Standard deviation of the weekly absent rates -> score
+function weeklyRateScore(weeklyRates, config) {
   if (weeklyRates.length < 2) return 0;
 
-  // Calculate standard deviation
   const mean = weeklyRates.reduce((a, b) => a + b, 0) / weeklyRates.length;
   const variance = weeklyRates.reduce((sum, rate) => sum + Math.pow(rate - mean, 2), 0) / weeklyRates.length;
-  const stdDev = Math.sqrt(variance);
 
   // Higher standard deviation = higher score (more erratic)
-  return Math.min(stdDev * 200, 100);
+  return Math.min(Math.sqrt(variance) * config.stdDevMultiplier, 100);
+}
+
+// Absent rate of the recent window minus the one before -> score
+function trendScore(recentRecords, previousRecords, config) {
+  const recentAbsentRate = countDays(recentRecords, STATUS_CATEGORIES.ABSENT) / recentRecords.length;
+  const previousAbsentRate = countDays(previousRecords, STATUS_CATEGORIES.ABSENT) / previousRecords.length;
+
+  const trend = recentAbsentRate - previousAbsentRate;
+
+  // Worsening trend = higher score
+  if (trend <= 0) return 0; // Improving trend = no risk
+  return scoreFromSteps(trend, config);
 }
 
 /**
- * Calculate recent trend score
- * Recent deterioration is highly predictive
+ * Consistency score of the original record-window algorithm
+ * Every 5 records make a "week", whatever dates they fall on.
  */
-function calculateRecentTrendScore(records) {
-  if (records.length < 20) return 0;
+function calculateRecordConsistencyScore(records, config) {
+  const weeklyRates = [];
+  for (let i = 0; i < records.length; i += 5) {
+    const week = records.slice(i, i + 5);
+    weeklyRates.push(countDays(week, STATUS_CATEGORIES.ABSENT) / week.length);
+  }
 
-  // Compare last 3 weeks vs previous period
-  const recentRecords = records.slice(-15); // Last 3 weeks
-  const previousRecords = records.slice(-30, -15); // Previous 3 weeks
+  return weeklyRateScore(weeklyRates, config);
+}
 
-  const recentAbsentRate = recentRecords.filter(r => r.status === 'Absent').length / recentRecords.length;
-  const previousAbsentRate = previousRecords.filter(r => r.status === 'Absent').length / previousRecords.length;
+/**
+ * Recent trend score of the original record-window algorithm
+ * The last windowSize records against the windowSize records before them.
+ */
+function calculateRecordTrendScore(records, config) {
+  if (records.length < config.minRecords) return 0;
 
-  const trend = recentAbsentRate - previousAbsentRate;
+  const recentRecords = records.slice(-config.windowSize);
+  const previousRecords = records.slice(-2 * config.windowSize, -config.windowSize);
 
-  // Worsening trend = higher score
-  if (trend >= 0.15) return 100;
-  if (trend >= 0.10) return 75;
-  if (trend >= 0.05) return 50;
-  if (trend > 0) return trend * 500;
-  return 0; // Improving trend = no risk
+  return trendScore(recentRecords, previousRecords, config);
+}
+
+/**
+ * Calculate punctuality score from punch-log timings
+ * Share of punched days with a late arrival or an early departure.
+ * Null when there are too few punched days to judge.
+ */
+function calculatePunctualityScore(records, config) {
+  const punched = records.filter(r => r.lateMinutes !== null && r.lateMinutes !== undefined);
+  if (punched.length < config.minPunchedDays) return null;
+
+  const incidents = punched.filter(r => r.lateMinutes > 0 || r.earlyDepartureMinutes > 0).length;
+  return scoreFromSteps(incidents / punched.length, config);
+}
+
+/**
+ * Summarize leave notice lead times (days from informed_time to the leave day)
+ * @returns {Object|null} { notices, medianLeadDays, sameDayShare, leadTimeChangeDays } or null without notices
+ *   leadTimeChangeDays: average lead time in the second half of the period minus the first half
+ *   (negative = notice shortening), null with fewer than minNoticesPerHalf notices in either half
+ */
+function summarizeLeaveNotice(records, config) {
+  const leadDays = leaveLeadDays(records);
+  if (leadDays.length === 0) return null;
+
+  const sorted = [...leadDays].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+
+  // Records are ordered by date, so the halves are the earlier and later notices
+  const half = Math.floor(leadDays.length / 2);
+  const average = list => list.reduce((a, b) => a + b, 0) / list.length;
+  const change = half >= config.minNoticesPerHalf && leadDays.length - half >= config.minNoticesPerHalf
+    ? average(leadDays.slice(half)) - average(leadDays.slice(0, half))
+    : null;
+
+  return {
+    notices: leadDays.length,
+    medianLeadDays: Math.round(median * 10) / 10,
+    sameDayShare: Math.round((leadDays.filter(days => days < 1).length / leadDays.length) * 1000) / 1000,
+    leadTimeChangeDays: change === null ? null : Math.round(change * 10) / 10
+  };
+}
+
+/**
+ * Calculate leave notice score from the lead-time summary
+ * Combines the median lead time, the share of same-day notices and how far
+ * notice shortened over the period. Null when there are too few notices to judge.
+ */
+function calculateLeaveNoticeScore(notice, config) {
+  if (!notice || notice.notices < config.minNotices) return null;
+
+  const step = config.leadTimeSteps.find(s => notice.medianLeadDays <= s.maxDays);
+  const components = {
+    leadTime: step ? step.score : 0,
+    sameDay: Math.min(notice.sameDayShare * config.sameDayMultiplier, 100),
+    deterioration: notice.leadTimeChangeDays === null
+      ? null
+      : Math.min(Math.max(-notice.leadTimeChangeDays / config.deteriorationMaxDays, 0), 1) * 100
+  };
+
+  return weightedComposite(components, config.componentWeights);
+}
+
+function buildLeaveNoticeExplanations(notice, score) {
+  if (score === null || !notice) return [];
+
+  const details = [`median notice ${notice.medianLeadDays} days`, `${Math.round(notice.sameDayShare * 100)}% given the same day`];
+  if (notice.leadTimeChangeDays !== null && notice.leadTimeChangeDays < 0) {
+    details.push(`notice shortened by ${Math.abs(notice.leadTimeChangeDays)} days over the period`);
+  }
+  const reading = score >= 50
+    ? 'Short notice before leave: an early disengagement signal'
+    : 'Leave is usually notified ahead';
+  return [`Leave notice ${Math.round(score)}/100 - ${reading} (${details.join(', ')})`];
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+/**
+ * Group absent and unplanned-leave working days into spells
+ * Consecutive means no working day in between, so a spell runs across weekends
+ * and holidays but not across a working day without a record.
+ * @returns {Array} [{ start, end, days }] with days weighted by day fraction
+ */
+function findAbsenceSpells(records, calendar, department) {
+  const spells = [];
+  let current = null;
+  let previous = null;
+
+  records.forEach(record => {
+    const contiguous = previous !== null &&
+      calendar.countWorkingDays(addDays(previous.date, 1), addDays(record.date, -1), department) === 0;
+
+    if (!UNPLANNED_ABSENCE_STATUSES.includes(record.status)) {
+      current = null;
+    } else if (current && contiguous) {
+      current.end = toDateKey(record.date);
+      current.days += dayWeight(record);
+    } else {
+      current = { start: toDateKey(record.date), end: toDateKey(record.date), days: dayWeight(record) };
+      spells.push(current);
+    }
+    previous = record;
+  });
+
+  return spells.map(spell => ({ ...spell, days: Math.round(spell.days * 100) / 100 }));
+}
+
+// First and last days of the work week (Monday and Friday for a Monday-Friday week)
+function weekEdgeDays(calendar, department) {
+  const workDays = calendar.workDaysFor(department);
+  return workDays.filter(day => !workDays.includes((day + 6) % 7) || !workDays.includes((day + 1) % 7));
+}
+
+// A holiday lies between this working day and the previous or next one
+function isHolidayAdjacent(date, calendar, department) {
+  return [-1, 1].some(direction => {
+    for (let step = 1; step <= 7; step++) {
+      const day = addDays(date, direction * step);
+      if (calendar.isHoliday(day, department)) return true;
+      if (calendar.isWorkingDay(day, department)) return false;
+    }
+    return false;
+  });
+}
+
+// Absence rate on a subset of days against the rest
+function compareAbsenceRates(records, inGroup) {
+  const group = records.filter(inGroup);
+  const others = records.filter(r => !inGroup(r));
+  const absences = countDays(group, UNPLANNED_ABSENCE_STATUSES);
+  const rate = group.length > 0 ? absences / group.length : null;
+  const otherRate = others.length > 0 ? countDays(others, UNPLANNED_ABSENCE_STATUSES) / others.length : null;
+
+  return {
+    absences,
+    workingDays: group.length,
+    absenceRate: rate === null ? null : Math.round(rate * 1000) / 1000,
+    otherDaysRate: otherRate === null ? null : Math.round(otherRate * 1000) / 1000,
+    ratio: rate === null || !otherRate ? null : Math.round((rate / otherRate) * 100) / 100
+  };
+}
+
+/**
+ * Absence spell analysis: spells, Bradford Factor, week-edge and holiday-adjacent
+ * absence rates and weekdays with recurring absences
+ * @returns {Object} {
+ *   spells, spellCount, absenceDays, bradfordFactor,
+ *   annualizedBradfordFactor: projected to 365 days (null below minWorkingDays),
+ *   weekEdge: { days, absences, workingDays, absenceRate, otherDaysRate, ratio },
+ *   holidayAdjacent: { absences, workingDays, absenceRate, otherDaysRate, ratio },
+ *   weekdays: [{ weekday, workingDays, absences, absenceRate }], recurringWeekdays
+ * }
+ */
+function analyzeAbsencePattern(records, calendar, department, config) {
+  const spells = findAbsenceSpells(records, calendar, department);
+  const absenceDays = countDays(records, UNPLANNED_ABSENCE_STATUSES);
+  const bradford = spells.length * spells.length * absenceDays;
+
+  // Bradford thresholds are set for a rolling year; scale spells and days to one
+  const spanDays = (new Date(records[records.length - 1].date) - new Date(records[0].date)) / DAY_MS + 1;
+  const yearShare = 365 / spanDays;
+  const annualized = records.length >= config.minWorkingDays
+    ? Math.round(Math.pow(spells.length * yearShare, 2) * absenceDays * yearShare)
+    : null;
+
+  const edges = weekEdgeDays(calendar, department);
+  const overallRate = absenceDays / records.length;
+  const weekdays = [...new Set(records.map(r => new Date(r.date).getUTCDay()))].sort((a, b) => a - b).map(day => {
+    const onDay = records.filter(r => new Date(r.date).getUTCDay() === day);
+    const absences = countDays(onDay, UNPLANNED_ABSENCE_STATUSES);
+    return {
+      weekday: WEEKDAY_NAMES[day],
+      workingDays: onDay.length,
+      absences,
+      absenceRate: Math.round((absences / onDay.length) * 1000) / 1000
+    };
+  });
+
+  return {
+    spells,
+    spellCount: spells.length,
+    absenceDays,
+    bradfordFactor: Math.round(bradford),
+    annualizedBradfordFactor: annualized,
+    weekEdge: {
+      days: edges.map(day => WEEKDAY_NAMES[day]),
+      ...compareAbsenceRates(records, r => edges.includes(new Date(r.date).getUTCDay()))
+    },
+    holidayAdjacent: compareAbsenceRates(records, r => isHolidayAdjacent(r.date, calendar, department)),
+    weekdays,
+    recurringWeekdays: weekdays
+      .filter(d => d.absences >= config.recurringMinOccurrences && d.absenceRate >= overallRate * config.recurringRatio)
+      .map(d => d.weekday)
+  };
+}
+
+// Excess absence on clustered days: rate equal to the other days scores 0, clusterRatioMax times it scores 100
+function clusterScore(comparison, config) {
+  if (comparison.absences < config.minClusterAbsences) return null;
+  if (!comparison.otherDaysRate) return 100;
+  const excess = (comparison.absenceRate / comparison.otherDaysRate - 1) / (config.clusterRatioMax - 1);
+  return Math.min(Math.max(excess, 0), 1) * 100;
+}
+
+/**
+ * Calculate absence pattern score
+ * Combines the annualized Bradford Factor with week-edge and holiday-adjacent
+ * clustering and recurring weekdays. Null when the period is too short to project.
+ */
+function calculateAbsencePatternScore(pattern, config) {
+  if (pattern.annualizedBradfordFactor === null) return null;
+
+  const clustered = pattern.absenceDays >= config.minClusterAbsences;
+  return weightedComposite({
+    bradford: pattern.annualizedBradfordFactor === 0 ? 0 : Math.min(scoreFromSteps(pattern.annualizedBradfordFactor, config.bradford), 100),
+    weekEdge: clusterScore(pattern.weekEdge, config),
+    holidayAdjacent: clusterScore(pattern.holidayAdjacent, config),
+    recurringWeekday: clustered ? (pattern.recurringWeekdays.length > 0 ? 100 : 0) : null
+  }, config.componentWeights);
+}
+
+function buildAbsencePatternExplanations(pattern, score) {
+  if (score === null || pattern.spellCount === 0 || pattern.annualizedBradfordFactor === null) return [];
+
+  const details = [
+    `${pattern.spellCount} spell${pattern.spellCount === 1 ? '' : 's'} over ${pattern.absenceDays} days`,
+    `Bradford Factor ${pattern.annualizedBradfordFactor} a year`
+  ];
+  if (pattern.weekEdge.ratio !== null && pattern.weekEdge.ratio > 1) {
+    details.push(`${pattern.weekEdge.days.join('/')} absence ${pattern.weekEdge.ratio}x other days`);
+  }
+  if (pattern.holidayAdjacent.ratio !== null && pattern.holidayAdjacent.ratio > 1) {
+    details.push(`next to holidays ${pattern.holidayAdjacent.ratio}x other days`);
+  }
+  if (pattern.recurringWeekdays.length > 0) {
+    details.push(`recurring on ${pattern.recurringWeekdays.join(', ')}`);
+  }
+  const reading = score >= 50
+    ? 'Frequent short absences: a disengagement signal beyond the absence rate'
+    : 'Absences are few or in long spells';
+  return [`Absence pattern ${Math.round(score)}/100 - ${reading} (${details.join(', ')})`];
+}
+
+/**
+ * CUSUM test on values[from, to): S_k sums the departures from the segment mean.
+ * Its peak and trough mark where the rate changed - one of them for a single
+ * shift, both for a spell of different behavior with a return to normal.
+ * @returns {{ indices: Array, statistic: number }|null} statistic is (max S - min S) / (sigma * sqrt(n))
+ */
+function cusumTest(values, from, to, minSegment) {
+  const n = to - from;
+  if (n < 2 * minSegment) return null;
+
+  const segment = values.slice(from, to);
+  const mean = segment.reduce((a, b) => a + b, 0) / n;
+  const sigma = Math.sqrt(segment.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n);
+  if (sigma === 0) return null;
+
+  // S_0 = S_n = 0; change points are only considered minSegment days from either end
+  let peak = { k: 0, cusum: 0 };
+  let trough = { k: 0, cusum: 0 };
+  let cusum = 0;
+  for (let k = 1; k < n; k++) {
+    cusum += segment[k - 1] - mean;
+    if (k < minSegment || n - k < minSegment) continue;
+    if (cusum > peak.cusum) peak = { k, cusum };
+    if (cusum < trough.cusum) trough = { k, cusum };
+  }
+
+  let points = [peak, trough].filter(point => point.k > 0);
+  if (points.length === 2 && Math.abs(peak.k - trough.k) < minSegment) {
+    points = [Math.abs(peak.cusum) >= Math.abs(trough.cusum) ? peak : trough];
+  }
+  if (points.length === 0) return null;
+
+  return {
+    indices: points.map(point => from + point.k).sort((a, b) => a - b),
+    statistic: (peak.cusum - trough.cusum) / (sigma * Math.sqrt(n))
+  };
+}
+
+/**
+ * Detect shifts in the daily unplanned-absence series (1 = absent working day,
+ * partial days by their fraction) by binary segmentation with the CUSUM test
+ * @returns {Object|null} null when the series is too short:
+ *   { workingDays, changePoints: [{ date, direction, beforeRate, afterRate, shift, statistic }] }
+ *   date is the first working day of the new behavior; rates are over the adjacent segments
+ */
+function detectChangePoints(records, config) {
+  if (records.length < 2 * config.minSegmentDays) return null;
+
+  const values = records.map(r => (UNPLANNED_ABSENCE_STATUSES.includes(r.status) ? dayWeight(r) : 0));
+  const splits = [];
+  const pending = [[0, values.length]];
+  while (pending.length > 0) {
+    const [from, to] = pending.pop();
+    const test = cusumTest(values, from, to, config.minSegmentDays);
+    if (test && test.statistic > config.criticalValue) {
+      test.indices.forEach(index => splits.push({ index, statistic: test.statistic }));
+      const bounds = [from, ...test.indices, to];
+      bounds.slice(1).forEach((bound, i) => pending.push([bounds[i], bound]));
+    }
+  }
+
+  // Keep the strongest shifts, then describe each against its neighbouring segments
+  const kept = splits
+    .sort((a, b) => b.statistic - a.statistic)
+    .slice(0, config.maxChangePoints)
+    .sort((a, b) => a.index - b.index);
+  const bounds = [0, ...kept.map(split => split.index), values.length];
+  const rate = (from, to) => values.slice(from, to).reduce((a, b) => a + b, 0) / (to - from);
+
+  return {
+    workingDays: values.length,
+    changePoints: kept.map((split, i) => {
+      const beforeRate = rate(bounds[i], bounds[i + 1]);
+      const afterRate = rate(bounds[i + 1], bounds[i + 2]);
+      return {
+        date: toDateKey(records[split.index].date),
+        direction: afterRate > beforeRate ? 'deterioration' : 'improvement',
+        beforeRate: Math.round(beforeRate * 1000) / 1000,
+        afterRate: Math.round(afterRate * 1000) / 1000,
+        shift: Math.round((afterRate - beforeRate) * 1000) / 1000,
+        statistic: Math.round(split.statistic * 100) / 100
+      };
+    })
+  };
+}
+
+/**
+ * Calculate change-point score from the latest detected shift
+ * A deterioration still in effect at the end of the window scores by its size;
+ * no shift, or a latest shift that is an improvement, scores 0.
+ */
+function calculateChangePointScore(detection, config) {
+  if (!detection) return null;
+
+  const latest = detection.changePoints[detection.changePoints.length - 1];
+  if (!latest || latest.shift <= 0) return 0;
+  return Math.min(scoreFromSteps(latest.shift, config), 100);
+}
+
+function buildChangePointExplanations(detection) {
+  if (!detection) return [];
+
+  return detection.changePoints
+    .filter(change => change.direction === 'deterioration')
+    .map(change => `Attendance shift on ${change.date} - unplanned absence rose from ` +
+      `${Math.round(change.beforeRate * 100)}% to ${Math.round(change.afterRate * 100)}% of working days`);
 }
 
 /**
  * Determine risk level from composite score
+ * @param {Object} riskBands - { high, moderate } lower bounds of each band
  */
-function determineRiskLevel(score) {
-  if (score >= 70) return 'High';
-  if (score >= 40) return 'Moderate';
+function determineRiskLevel(score, riskBands) {
+  if (score >= riskBands.high) return 'High';
+  if (score >= riskBands.moderate) return 'Moderate';
   return 'Low';
 }
 
 /**
  * Calculate attendance statistics
+ * Day counts are weighted, so a half-day leave adds 0.5 leave and 0.5 present days.
  */
 function calculateStatistics(records) {
   const total = records.length;
-  const present = records.filter(r => r.status === 'Present').length;
-  const absent = records.filter(r => r.status === 'Absent').length;
-  const plannedLeave = records.filter(r => r.status === 'Planned Leave').length;
-  const unplannedLeave = records.filter(r => r.status === 'Unplanned Leave').length;
+  const present = countWorkedDays(records);
+  const absent = countDays(records, STATUS_CATEGORIES.ABSENT);
+  const plannedLeave = countDays(records, STATUS_CATEGORIES.PLANNED_LEAVE);
+  const unplannedLeave = countDays(records, STATUS_CATEGORIES.UNPLANNED_LEAVE);
 
   return {
     totalDays: total,
     presentDays: present,
+    remoteDays: countDays(records, STATUS_CATEGORIES.REMOTE),
+    halfDays: records.filter(r => (r.dayFraction ?? 1) < 1).length,
     absentDays: absent,
     plannedLeaveDays: plannedLeave,
     unplannedLeaveDays: unplannedLeave,
+    lateArrivals: records.filter(r => r.lateMinutes > 0).length,
+    earlyDepartures: records.filter(r => r.earlyDepartureMinutes > 0).length,
     attendanceRate: ((present / total) * 100).toFixed(2) + '%',
     absenteeismRate: ((absent / total) * 100).toFixed(2) + '%'
   };
@@ -232,51 +809,485 @@ function generateRecommendation(riskLevel, score) {
 }
 
 /**
- * Generate attrition report for multiple employees
+ * Theory layer
+ * Derives Job Embeddedness, COR and ERI construct scores (0-100) from the data
+ * available for an employee: tenure, hours worked, leave notice and psych responses.
+ * Components without data are left out; a construct without any data is null.
  */
-async function generateAttritionReport(companyId, months = 3) {
-  const employees = await prisma.employee.findMany({
-    where: { companyId },
-    include: {
-      attendance: {
+function calculateTheoryScores(employee, records, psychResponses, asOf) {
+  const inputs = {
+    tenureMonths: employee.joinDate ? (asOf - new Date(employee.joinDate)) / (DAY_MS * 30.44) : null,
+    averageHours: averageHoursWorked(records),
+    leaveNoticeDays: averageLeaveNoticeDays(records),
+    plannedShare: plannedLeaveShare(records),
+    plannedRate: countDays(records, STATUS_CATEGORIES.PLANNED_LEAVE) / records.length,
+    absenceEscalation: absenceRateChange(records),
+    engagement: averagePsychScore(psychResponses, PSYCH_TESTS.engagement),
+    satisfaction: averagePsychScore(psychResponses, PSYCH_TESTS.satisfaction),
+    strain: averagePsychScore(psychResponses, PSYCH_TESTS.strain)
+  };
+
+  return {
+    jobEmbeddedness: calculateJobEmbeddedness(inputs),
+    conservationOfResources: calculateConservationOfResources(inputs),
+    effortRewardImbalance: calculateEffortRewardImbalance(inputs)
+  };
+}
+
+/**
+ * Job Embeddedness (Mitchell et al., 2001)
+ * Higher score = more embedded (links, fit and sacrifice) = lower attrition risk
+ */
+function calculateJobEmbeddedness(inputs) {
+  const components = {
+    // Sacrifice: the longer the tenure, the more an employee gives up by leaving
+    tenure: inputs.tenureMonths === null
+      ? null
+      : clampScore((inputs.tenureMonths / THEORY_DEFAULTS.tenureSaturationMonths) * 100),
+    // Fit: leave planned ahead signals a future at the organization
+    leavePlanning: inputs.plannedShare === null ? null : inputs.plannedShare * 100,
+    // Links: generous notice reflects coordination with the team
+    noticeLeadTime: inputs.leaveNoticeDays === null
+      ? null
+      : clampScore((inputs.leaveNoticeDays / THEORY_DEFAULTS.leadTimeSaturationDays) * 100),
+    engagement: inputs.engagement
+  };
+
+  const score = averageComponents(components);
+
+  return {
+    score,
+    components: roundComponents(components),
+    interpretation: score === null ? null
+      : score >= 60 ? 'Strongly embedded: multiple ties keep the employee in the role'
+      : score >= 35 ? 'Moderately embedded: some ties, but few costs to leaving'
+      : 'Weakly embedded: little holds the employee to the organization'
+  };
+}
+
+/**
+ * Conservation of Resources (Hobfoll, 1989)
+ * Higher score = greater resource loss (overwork, no recovery, escalating withdrawal)
+ */
+function calculateConservationOfResources(inputs) {
+  const components = {
+    // Sustained overtime drains resources (25% above standard = full loss)
+    workload: inputs.averageHours === null
+      ? null
+      : clampScore(((inputs.averageHours - THEORY_DEFAULTS.standardHoursPerDay) / THEORY_DEFAULTS.standardHoursPerDay) * 400),
+    // Too little planned time off leaves no room to replenish
+    recoveryDeficit: clampScore((1 - inputs.plannedRate / THEORY_DEFAULTS.expectedPlannedLeaveRate) * 100),
+    // Rising absence across the period suggests a loss spiral
+    lossSpiral: inputs.absenceEscalation === null ? null : clampScore(inputs.absenceEscalation * 500),
+    strain: inputs.strain
+  };
+
+  const score = averageComponents(components);
+
+  return {
+    score,
+    components: roundComponents(components),
+    interpretation: score === null ? null
+      : score >= 60 ? 'High resource loss: employee is depleting faster than recovering'
+      : score >= 35 ? 'Some resource strain: watch workload and recovery time'
+      : 'Resources stable: workload and recovery appear balanced'
+  };
+}
+
+/**
+ * Effort-Reward Imbalance (Siegrist, 1996)
+ * ratio = effort / reward (1 = balanced). Score maps ratio 1 -> 50 and ratio 2+ -> 100.
+ */
+function calculateEffortRewardImbalance(inputs) {
+  const effortIndicators = [
+    inputs.averageHours === null ? null : inputs.averageHours / THEORY_DEFAULTS.standardHoursPerDay,
+    inputs.strain === null ? null : inputs.strain / 50
+  ].filter(v => v !== null);
+
+  const rewardIndicators = [
+    inputs.satisfaction === null ? null : inputs.satisfaction / 50,
+    inputs.plannedShare === null ? null : inputs.plannedShare / 0.5
+  ].filter(v => v !== null).map(v => Math.min(v, 2));
+
+  if (effortIndicators.length === 0 || rewardIndicators.length === 0) {
+    return { score: null, ratio: null, effort: null, reward: null, interpretation: null };
+  }
+
+  const effort = effortIndicators.reduce((a, b) => a + b, 0) / effortIndicators.length;
+  const reward = rewardIndicators.reduce((a, b) => a + b, 0) / rewardIndicators.length;
+  const ratio = effort / Math.max(reward, 0.1);
+  const score = clampScore(ratio * 50);
+
+  return {
+    score: round1(score),
+    ratio: Math.round(ratio * 100) / 100,
+    effort: Math.round(effort * 100) / 100,
+    reward: Math.round(reward * 100) / 100,
+    interpretation: ratio > 1.2 ? 'Imbalance: effort clearly exceeds the rewards received'
+      : ratio > 1 ? 'Mild imbalance: effort slightly exceeds rewards'
+      : 'Balanced: rewards keep pace with effort'
+  };
+}
+
+/**
+ * Plain-language explanation of the theory constructs for HR
+ */
+function buildTheoryExplanations(theory) {
+  const explanations = [];
+
+  if (theory.jobEmbeddedness.score !== null) {
+    explanations.push(`Job Embeddedness ${theory.jobEmbeddedness.score}/100 - ${theory.jobEmbeddedness.interpretation}`);
+  }
+  if (theory.conservationOfResources.score !== null) {
+    explanations.push(`Conservation of Resources ${theory.conservationOfResources.score}/100 - ${theory.conservationOfResources.interpretation}`);
+  }
+  if (theory.effortRewardImbalance.score !== null) {
+    explanations.push(`Effort-Reward ratio ${theory.effortRewardImbalance.ratio} - ${theory.effortRewardImbalance.interpretation}`);
+  }
+
+  return explanations;
+}
+
+function averageHoursWorked(records) {
+  const hours = records
+    .filter(r => r.hoursWorked !== null && r.hoursWorked !== undefined && (r.status === STATUS_CATEGORIES.PRESENT || r.status === STATUS_CATEGORIES.REMOTE))
+    .map(r => Number(r.hoursWorked));
+  return hours.length > 0 ? hours.reduce((a, b) => a + b, 0) / hours.length : null;
+}
+
+// Days between informed_time and the leave day, for leave days with a notice time
+function leaveLeadDays(records) {
+  return records
+    .filter(r => r.informedTime && LEAVE_STATUSES.includes(r.status))
+    .map(r => Math.max((new Date(r.date) - new Date(r.informedTime)) / DAY_MS, 0));
+}
+
+function averageLeaveNoticeDays(records) {
+  const leadDays = leaveLeadDays(records);
+  return leadDays.length > 0 ? leadDays.reduce((a, b) => a + b, 0) / leadDays.length : null;
+}
+
+function plannedLeaveShare(records) {
+  const leaves = countDays(records, LEAVE_STATUSES);
+  if (leaves === 0) return null;
+  return countDays(records, STATUS_CATEGORIES.PLANNED_LEAVE) / leaves;
+}
+
+// Absent rate in the second half of the period minus the first half
+function absenceRateChange(records) {
+  if (records.length < 10) return null;
+  const middle = Math.floor(records.length / 2);
+  const rate = list => countDays(list, STATUS_CATEGORIES.ABSENT) / list.length;
+  return rate(records.slice(middle)) - rate(records.slice(0, middle));
+}
+
+function averagePsychScore(responses, testKeys) {
+  const values = responses
+    .filter(r => testKeys.includes(r.testKey) && r.scores && typeof r.scores === 'object')
+    .flatMap(r => Object.values(r.scores))
+    .filter(v => typeof v === 'number' && Number.isFinite(v));
+  return values.length > 0 ? clampScore(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+function averageComponents(components) {
+  const values = Object.values(components).filter(v => v !== null);
+  return values.length > 0 ? round1(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+function roundComponents(components) {
+  return Object.fromEntries(
+    Object.entries(components).map(([key, value]) => [key, value === null ? null : round1(value)])
+  );
+}
+
+function clampScore(value) {
+  return Math.min(Math.max(value, 0), 100);
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Group rows by employee record id
+ */
+function groupByEmployee(rows) {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row.employeeId)) {
+      groups.set(row.employeeId, []);
+    }
+    groups.get(row.employeeId).push(row);
+  });
+  return groups;
+}
+
+/**
+ * Score every employee of an organization in set-based passes
+ * Attendance and psych responses are fetched per chunk of employees (one query
+ * each) and scored in memory, so memory stays bounded by the chunk size.
+ * @param {string} companyId - Organization ID
+ * @param {Object} context - { profile, startDate, endDate, persist, onProgress, employeeWhere, riskModel, historical }
+ *   employeeWhere: employees to score (default: those active at endDate)
+ *   riskModel: learned model for exit predictions (default: none)
+ *   historical: score employees with the department, designation and tenure
+ *   they had at endDate (see employees.employeesAsOf), for past cutoffs
+ * @returns {Promise<{ employees: Array, results: Array }>} employees as scored
+ */
+async function scoreOrganization(companyId, {
+  profile,
+  startDate,
+  endDate,
+  persist = false,
+  onProgress,
+  employeeWhere = activeEmployeesWhere(endDate),
+  riskModel = null,
+  historical = false
+}) {
+  const [employees, calendar] = await Promise.all([
+    prisma.employee.findMany({
+      where: { companyId, ...employeeWhere },
+      orderBy: { id: 'asc' }
+    }),
+    loadCalendar(companyId, { from: startDate, to: endDate })
+  ]);
+
+  const results = [];
+  const scoredEmployees = [];
+
+  for (let i = 0; i < employees.length; i += BATCH_CHUNK_SIZE) {
+    const current = employees.slice(i, i + BATCH_CHUNK_SIZE);
+    const chunk = historical ? await employeesAsOf(current, endDate) : current;
+    const ids = chunk.map(e => e.id);
+    scoredEmployees.push(...chunk);
+
+    const [attendance, psychResponses] = await Promise.all([
+      prisma.attendance.findMany({
         where: {
-          date: {
-            gte: new Date(Date.now() - months * 30 * 24 * 60 * 60 * 1000)
-          }
+          employeeId: { in: ids },
+          date: { gte: startDate, lte: endDate }
+        },
+        orderBy: [{ employeeId: 'asc' }, { date: 'asc' }]
+      }),
+      prisma.psychResponse.findMany({
+        where: {
+          employeeId: { in: ids },
+          createdAt: { gte: startDate, lte: endDate }
         }
+      })
+    ]);
+
+    const attendanceByEmployee = groupByEmployee(attendance);
+    const psychByEmployee = groupByEmployee(psychResponses);
+    const snapshots = [];
+    const analysisResults = [];
+
+    chunk.forEach(employee => {
+      try {
+        const risk = scoreEmployee(
+          employee,
+          attendanceByEmployee.get(employee.id) || [],
+          psychByEmployee.get(employee.id) || [],
+          { profile, calendar, startDate, endDate, riskModel }
+        );
+        results.push(risk);
+
+        const snapshot = persist ? buildSnapshot(companyId, employee.id, risk) : null;
+        if (snapshot) {
+          snapshots.push(snapshot);
+          analysisResults.push(buildAnalysisResult(companyId, risk));
+        }
+      } catch (error) {
+        console.error(`Error calculating risk for employee ${employee.id}:`, error);
       }
+    });
+
+    if (snapshots.length > 0) {
+      await prisma.attritionScore.createMany({ data: snapshots });
+      await saveAnalysisResults(analysisResults);
     }
+
+    if (onProgress) {
+      const scored = Math.min(i + BATCH_CHUNK_SIZE, employees.length);
+      await onProgress((scored / employees.length) * 100, `Scored ${scored} of ${employees.length} employees`);
+    }
+  }
+
+  return { employees: scoredEmployees, results };
+}
+
+/**
+ * Score an employee against their department or designation peers
+ * Peers active at the end of the window are scored with the same profile and
+ * window (nothing is persisted); the relative composite weights each factor's
+ * relative score (0 unless above the peer median) like the absolute one and
+ * uses the same risk bands.
+ * @param {Object} context - { profile, startDate, endDate, historical, groupBy, method, minCohortSize }
+ */
+async function scoreRelativeToCohort(employee, risk, {
+  profile,
+  startDate,
+  endDate,
+  historical = false,
+  groupBy = DEFAULT_COHORT.groupBy,
+  method = DEFAULT_COHORT.method,
+  minCohortSize = DEFAULT_COHORT.minCohortSize
+}) {
+  const cohortValue = employee[groupBy] ?? null;
+  const unavailable = (size, reason) => ({
+    cohort: { groupBy, value: cohortValue, size },
+    method,
+    score: null,
+    riskLevel: 'Insufficient Data',
+    reason
   });
 
-  const results = [];
-  
-  for (const employee of employees) {
-    try {
-      const risk = await calculateAttritionRisk(employee.id, months);
-      results.push(risk);
-    } catch (error) {
-      console.error(`Error calculating risk for employee ${employee.id}:`, error);
+  if (!cohortValue) {
+    return unavailable(0, `Employee has no ${groupBy}`);
+  }
+
+  // Historical peers are those in the cohort at endDate, wherever they are now
+  const day = new Date(`${toDateKey(endDate)}T00:00:00.000Z`);
+  const inCohort = historical
+    ? {
+      OR: [
+        { [groupBy]: cohortValue },
+        {
+          history: {
+            some: {
+              [groupBy]: cohortValue,
+              effectiveFrom: { lte: day },
+              OR: [{ effectiveTo: null }, { effectiveTo: { gt: day } }]
+            }
+          }
+        }
+      ]
+    }
+    : { [groupBy]: cohortValue };
+
+  const { results: scored } = await scoreOrganization(employee.companyId, {
+    profile,
+    startDate,
+    endDate,
+    historical,
+    employeeWhere: { AND: [activeEmployeesWhere(endDate), inCohort] }
+  });
+  const results = scored.filter(result => result[groupBy] === cohortValue);
+
+  const { size, factors } = compareToCohort(risk, results, {
+    factors: Object.keys(profile.weights),
+    method,
+    minCohortSize
+  });
+  if (size < minCohortSize) {
+    return unavailable(size, `Only ${size} scored employees share this ${groupBy}; at least ${minCohortSize} are needed`);
+  }
+
+  const score = weightedComposite(
+    Object.fromEntries(Object.entries(factors).map(([factor, value]) => [factor, value ? value.relativeScore : null])),
+    profile.weights
+  );
+
+  return {
+    cohort: { groupBy, value: cohortValue, size },
+    method,
+    score: Math.round(score * 10) / 10,
+    riskLevel: determineRiskLevel(score, profile.riskBands),
+    factors
+  };
+}
+
+/**
+ * Generate attrition report for multiple employees
+ * Results are cached per organization, period and profile version until the
+ * organization's attendance changes.
+ * @param {string} companyId - Organization ID
+ * @param {number} months - Number of months to analyze (default: 3)
+ * @param {Object} options - { refresh, save, onProgress }
+ *   refresh: bypass the cache
+ *   save: store the report in the report history (reportId) - once per computed
+ *     report, so serving it from the cache again adds no history entry
+ *   onProgress: called with (percent, message) after each scored chunk
+ */
+async function generateAttritionReport(companyId, months = 3, options = {}) {
+  const [profile, riskModel] = await Promise.all([getActiveProfile(companyId), getActiveModel(companyId)]);
+  const { startDate, endDate } = getAnalysisPeriod(months);
+  const cacheKey = `${months}:${profile.version}:${riskModel ? riskModel.version : 'formula'}:${endDate.toISOString().split('T')[0]}`;
+
+  const cached = await scoreCache.get(companyId, cacheKey);
+  if (!options.refresh && cached.value) {
+    // A cached report enters the history once, when first asked for with save
+    if (options.save && !cached.value.reportId) {
+      cached.value.reportId = (await saveAttritionReport(companyId, cached.value)).id;
     }
+    return cached.value;
   }
 
+  const { employees, results } = await scoreOrganization(companyId, {
+    profile,
+    startDate,
+    endDate,
+    persist: true,
+    onProgress: options.onProgress,
+    riskModel
+  });
+
   // Sort by risk score (highest first)
   results.sort((a, b) => b.score - a.score);
 
-  return {
+  const report = {
     companyId,
     generatedAt: new Date(),
     period: `${months} months`,
+    modelVersion: profile.version,
+    riskModelVersion: riskModel && riskModel.profileVersion === profile.version ? riskModel.version : null,
+    riskBands: profile.riskBands,
     totalEmployees: employees.length,
-    summary: {
-      high: results.filter(r => r.riskLevel === 'High').length,
-      moderate: results.filter(r => r.riskLevel === 'Moderate').length,
-      low: results.filter(r => r.riskLevel === 'Low').length
-    },
+    summary: summarizeRisk(results),
     employees: results
   };
+  if (options.save) {
+    report.reportId = (await saveAttritionReport(companyId, report)).id;
+  }
+
+  scoreCache.set(companyId, cacheKey, report, cached.version);
+  return report;
+}
+
+/**
+ * Employees per risk level
+ */
+function summarizeRisk(results) {
+  return {
+    high: results.filter(r => r.riskLevel === 'High').length,
+    moderate: results.filter(r => r.riskLevel === 'Moderate').length,
+    low: results.filter(r => r.riskLevel === 'Low').length
+  };
+}
+
+/**
+ * Store a generated report in the report history
+ */
+async function saveAttritionReport(companyId, report) {
+  return prisma.attritionReport.create({
+    data: {
+      companyId,
+      period: report.period,
+      totalEmployees: report.totalEmployees,
+      highRiskCount: report.summary.high,
+      moderateRiskCount: report.summary.moderate,
+      lowRiskCount: report.summary.low,
+      reportData: report
+    }
+  });
 }
 
 module.exports = {
   calculateAttritionRisk,
-  generateAttritionReport
+  getAnalysisPeriod,
+  scoreEmployee,
+  scoreOrganization,
+  generateAttritionReport,
+  summarizeRisk,
+  saveAttritionReport
 };
@@ -0,0 +1,248 @@
+/**
+ * Attrition Model Backtest
+ * Rescores the organization as of a past cutoff date, using only attendance
+ * and psych responses dated up to the cutoff, and compares the scores with
+ * the exits recorded in the following months: precision and recall at the
+ * risk bands, ROC AUC, lift by score decile and calibration by risk band.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getAnalysisPeriod, scoreOrganization } = require('./attritionEngine');
+const { getActiveProfile, getProfileVersion } = require('./scoringModel');
+const { employedOnWhere } = require('./exits');
+const { toDateKey } = require('./workCalendar');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_HORIZON_MONTHS = 6;
+const MAX_HORIZON_MONTHS = 24;
+const DECILES = 10;
+const RISK_BANDS = ['High', 'Moderate', 'Low'];
+
+function round(value, digits = 3) {
+  if (value === null || !isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Precision and recall when every employee scoring at or above threshold is flagged
+ * @param {Array} outcomes - [{ score, exited }]
+ */
+function classificationAt(outcomes, threshold) {
+  const counts = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+  outcomes.forEach(({ score, exited }) => {
+    const flagged = score >= threshold;
+    if (flagged && exited) counts.truePositives++;
+    else if (flagged) counts.falsePositives++;
+    else if (exited) counts.falseNegatives++;
+    else counts.trueNegatives++;
+  });
+
+  return {
+    threshold,
+    flagged: counts.truePositives + counts.falsePositives,
+    ...counts,
+    precision: round(ratio(counts.truePositives, counts.truePositives + counts.falsePositives)),
+    recall: round(ratio(counts.truePositives, counts.truePositives + counts.falseNegatives))
+  };
+}
+
+/**
+ * Area under the ROC curve: the chance a leaver outscores a stayer (ties count half)
+ * Computed from average ranks (Mann-Whitney U). null without both leavers and stayers.
+ */
+function rocAuc(outcomes) {
+  const positives = outcomes.filter(o => o.exited).length;
+  const negatives = outcomes.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  const sorted = [...outcomes].sort((a, b) => a.score - b.score);
+  let positiveRankSum = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j < sorted.length && sorted[j].score === sorted[i].score) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (sorted[k].exited) positiveRankSum += averageRank;
+    }
+    i = j;
+  }
+
+  return round((positiveRankSum - positives * (positives + 1) / 2) / (positives * negatives));
+}
+
+/**
+ * Exit rate per score decile (decile 1 holds the highest scores) against the base rate
+ */
+function liftByDecile(outcomes, baseRate) {
+  const sorted = [...outcomes].sort((a, b) => b.score - a.score);
+  const totalExits = sorted.filter(o => o.exited).length;
+  const deciles = [];
+  let cumulativeExits = 0;
+
+  for (let d = 0; d < DECILES; d++) {
+    const group = sorted.slice(Math.floor(d * sorted.length / DECILES), Math.floor((d + 1) * sorted.length / DECILES));
+    if (group.length === 0) continue;
+
+    const exits = group.filter(o => o.exited).length;
+    cumulativeExits += exits;
+    const exitRate = exits / group.length;
+
+    deciles.push({
+      decile: d + 1,
+      employees: group.length,
+      minScore: group[group.length - 1].score,
+      maxScore: group[0].score,
+      exits,
+      exitRate: round(exitRate),
+      lift: round(ratio(exitRate, baseRate), 2),
+      cumulativeCapture: round(ratio(cumulativeExits, totalExits))
+    });
+  }
+
+  return deciles;
+}
+
+/**
+ * Observed exit rate per risk band next to the band's mean score
+ * Scores are 0-100 risk indices, so meanScore / 100 is only a rough expected rate.
+ */
+function calibrationByBand(outcomes) {
+  return RISK_BANDS.map(riskLevel => {
+    const group = outcomes.filter(o => o.riskLevel === riskLevel);
+    const exits = group.filter(o => o.exited).length;
+    const meanScore = ratio(group.reduce((sum, o) => sum + o.score, 0), group.length);
+
+    return {
+      riskLevel,
+      employees: group.length,
+      exits,
+      observedExitRate: round(ratio(exits, group.length)),
+      meanScore: round(meanScore, 1),
+      expectedExitRate: meanScore === null ? null : round(meanScore / 100)
+    };
+  });
+}
+
+/**
+ * Backtest the scoring model at a historic cutoff
+ * Employees on the books on the cutoff date are scored with the same batch
+ * scorer as the live report (identical to calculateAttritionRisk per employee)
+ * over the months before the cutoff, with the department, designation and
+ * tenure they had on the cutoff; nothing is persisted. An employee counts as a
+ * leaver when their first exit after the cutoff falls within horizonMonths.
+ * @param {string} companyId - Organization ID
+ * @param {Object} options - { cutoffDate, horizonMonths, months, modelVersion, separationType, onProgress }
+ *   cutoffDate: 'YYYY-MM-DD', the day the scores are computed as of
+ *   months: analysis window before the cutoff (default: 3)
+ *   modelVersion: scoring profile version (default: the active profile)
+ *   separationType: count only VOLUNTARY or INVOLUNTARY exits as leavers; employees
+ *     leaving the other way in the window are left out of the evaluation
+ * @returns {Promise<Object|null>} null when modelVersion does not exist
+ */
+async function runBacktest(companyId, {
+  cutoffDate,
+  horizonMonths = DEFAULT_HORIZON_MONTHS,
+  months = 3,
+  modelVersion,
+  separationType,
+  onProgress
+}) {
+  const profile = modelVersion !== undefined
+    ? await getProfileVersion(companyId, modelVersion)
+    : await getActiveProfile(companyId);
+  if (!profile) return null;
+
+  const cutoff = new Date(`${cutoffDate}T00:00:00.000Z`);
+  const { startDate, endDate } = getAnalysisPeriod(months, cutoff);
+  const horizonEnd = new Date(cutoff);
+  horizonEnd.setUTCMonth(horizonEnd.getUTCMonth() + horizonMonths);
+
+  const { employees, results } = await scoreOrganization(companyId, {
+    profile,
+    startDate,
+    endDate,
+    historical: true,
+    employeeWhere: employedOnWhere(cutoff),
+    onProgress: onProgress && ((percent, message) => onProgress(percent * 0.9, message))
+  });
+
+  const exits = await prisma.employeeExit.findMany({
+    where: {
+      organizationId: companyId,
+      exitDate: { gt: cutoff, lte: horizonEnd }
+    },
+    include: { employee: { select: { employeeId: true } } },
+    orderBy: { exitDate: 'asc' }
+  });
+  // A rehired employee who left again in the window is counted by their first exit
+  const exitsByCode = new Map();
+  exits.forEach(exit => {
+    if (!exitsByCode.has(exit.employee.employeeId)) exitsByCode.set(exit.employee.employeeId, exit);
+  });
+
+  const scored = results.filter(r => r.riskLevel !== 'Insufficient Data');
+  const outcomes = [];
+  let excluded = 0;
+  scored.forEach(result => {
+    const exit = exitsByCode.get(result.employeeId);
+    if (exit && separationType && exit.separationType !== separationType) {
+      excluded++;
+      return;
+    }
+    outcomes.push({ score: result.score, riskLevel: result.riskLevel, exited: Boolean(exit) });
+  });
+
+  const leavers = outcomes.filter(o => o.exited).length;
+  const baseRate = ratio(leavers, outcomes.length);
+
+  const warnings = [];
+  if (horizonEnd > new Date()) {
+    warnings.push(`The outcome window runs to ${toDateKey(horizonEnd)}, which has not passed; exits still to come are counted as stays.`);
+  }
+  if (exits.length === 0) {
+    warnings.push('No exits are recorded in the outcome window. Record or import exits before relying on these figures.');
+  }
+  if (leavers > 0 && leavers < 10) {
+    warnings.push(`Only ${leavers} leavers in the outcome window; the figures will move a lot with a few more exits.`);
+  }
+
+  return {
+    cutoffDate,
+    horizonMonths,
+    outcomeWindow: { from: cutoffDate, to: toDateKey(horizonEnd) },
+    analysisPeriod: { start: toDateKey(startDate), end: toDateKey(endDate) },
+    modelVersion: profile.version,
+    riskBands: profile.riskBands,
+    separationType: separationType || null,
+    population: {
+      employees: employees.length,
+      scored: scored.length,
+      insufficientData: results.length - scored.length,
+      excluded,
+      evaluated: outcomes.length
+    },
+    leavers,
+    baseRate: round(baseRate),
+    classification: [
+      { flag: 'High', ...classificationAt(outcomes, profile.riskBands.high) },
+      { flag: 'High or Moderate', ...classificationAt(outcomes, profile.riskBands.moderate) }
+    ],
+    rocAuc: rocAuc(outcomes),
+    liftByDecile: liftByDecile(outcomes, baseRate),
+    calibration: calibrationByBand(outcomes),
+    warnings
+  };
+}
+
+module.exports = {
+  DEFAULT_HORIZON_MONTHS,
+  MAX_HORIZON_MONTHS,
+  rocAuc,
+  runBacktest
+};
@@ -0,0 +1,119 @@
+/**
+ * Cohort-Relative Scoring
+ * Absolute thresholds flag whole teams whose normal absence is high (field
+ * sales, shift work). Here each factor score is placed within the employee's
+ * department or designation peers scored over the same window, as a
+ * percentile or a z-score, so the engine can build a relative composite
+ * next to the absolute one. Only standing out above the peers counts as
+ * relative risk: a factor at or below the peer median, or one on which all
+ * peers score the same, contributes 0, so a uniformly clean or uniformly
+ * poor cohort is not flagged.
+ */
+
+const COHORT_GROUPS = {
+  DEPARTMENT: 'department',
+  DESIGNATION: 'designation'
+};
+
+const COHORT_METHODS = {
+  PERCENTILE: 'percentile',
+  ZSCORE: 'zscore'
+};
+
+const DEFAULT_COHORT = {
+  groupBy: COHORT_GROUPS.DEPARTMENT,
+  method: COHORT_METHODS.PERCENTILE,
+  minCohortSize: 5  // Scored peers (the employee included) needed for a relative view
+};
+
+function round(value, digits = 1) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26), so z-scores land on the 0-100 score scale
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+    Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Share of peers scoring below the value, ties counting half (0-100)
+ */
+function percentileRank(value, values) {
+  const below = values.filter(v => v < value).length;
+  const equal = values.filter(v => v === value).length;
+  return (below + equal / 2) / values.length * 100;
+}
+
+function zScore(value, values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+  return std === 0 ? 0 : (value - mean) / std;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Position above the cohort's middle (50th percentile) stretched onto 0-100
+function aboveMiddle(percentile) {
+  return Math.min(Math.max((percentile - 50) * 2, 0), 100);
+}
+
+/**
+ * Express each of an employee's factor scores relative to the cohort
+ * @param {Object} risk - scoreEmployee result for the employee
+ * @param {Array} cohortResults - scoreEmployee results of the peers (the employee may be among them)
+ * @param {Object} options - { factors, method, minCohortSize }
+ *   factors: factor names to compare (the profile's weights)
+ * @returns {Object} { size, factors: { factor: { value, cohortMean, percentile|zScore, relativeScore } | null } }
+ *   relativeScore is 0-100: how far above the middle of the cohort the percentile (or the
+ *   z-score's normal percentile) lies; 0 at or below the peer median and when every peer has
+ *   the same value; null when fewer than minCohortSize peers have a value for the factor
+ */
+function compareToCohort(risk, cohortResults, {
+  factors,
+  method = DEFAULT_COHORT.method,
+  minCohortSize = DEFAULT_COHORT.minCohortSize
+}) {
+  const scored = [
+    risk,
+    ...cohortResults.filter(r => r.employeeId !== risk.employeeId && r.riskLevel !== 'Insufficient Data')
+  ];
+
+  const relative = {};
+  factors.forEach(factor => {
+    const value = risk.factors[factor] ?? null;
+    const values = scored.map(r => r.factors[factor]).filter(v => v !== null && v !== undefined);
+    if (value === null || values.length < minCohortSize) {
+      relative[factor] = null;
+      return;
+    }
+
+    const cohortMean = values.reduce((a, b) => a + b, 0) / values.length;
+    const standsOut = value > median(values);
+    if (method === COHORT_METHODS.ZSCORE) {
+      const z = zScore(value, values);
+      const relativeScore = standsOut ? round(aboveMiddle(normalCdf(z) * 100)) : 0;
+      relative[factor] = { value, cohortMean: round(cohortMean), zScore: round(z, 2), relativeScore };
+    } else {
+      const percentile = percentileRank(value, values);
+      const relativeScore = standsOut ? round(aboveMiddle(percentile)) : 0;
+      relative[factor] = { value, cohortMean: round(cohortMean), percentile: round(percentile), relativeScore };
+    }
+  });
+
+  return { size: scored.length, factors: relative };
+}
+
+module.exports = {
+  COHORT_GROUPS,
+  COHORT_METHODS,
+  DEFAULT_COHORT,
+  compareToCohort
+};
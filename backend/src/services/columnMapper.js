@@ -0,0 +1,357 @@
+/**
+ * Column Mapper
+ * Maps the headers of an HRIS export onto the canonical attendance columns
+ * before validation. Mappings can be saved per organization as profiles
+ * (source header per field, value transforms and default values) or
+ * suggested from the headers found in an upload.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+
+const prisma = new PrismaClient();
+
+// Canonical columns (the FileParserService format) and the headers commonly used for them
+const CANONICAL_FIELDS = {
+  employee_id: {
+    required: true,
+    synonyms: ['employeeid', 'empid', 'empno', 'employeenumber', 'employeeno', 'staffid', 'workerid', 'personid', 'id']
+  },
+  employee_name: {
+    required: true,
+    synonyms: ['name', 'employeename', 'fullname', 'empname', 'staffname', 'workername']
+  },
+  date: {
+    required: true,
+    synonyms: ['date', 'attendancedate', 'workdate', 'day', 'shiftdate']
+  },
+  status: {
+    required: true,
+    synonyms: ['status', 'attendancestatus', 'attendance', 'type', 'attendancetype', 'leavetype']
+  },
+  informed_time: {
+    required: false,
+    synonyms: ['informedtime', 'informedat', 'notifiedat', 'requestedat', 'notificationtime', 'appliedon']
+  },
+  department: {
+    required: false,
+    synonyms: ['department', 'dept', 'division', 'team', 'costcenter']
+  },
+  manager_email: {
+    required: false,
+    synonyms: ['manageremail', 'supervisoremail', 'linemanageremail', 'reportingmanageremail', 'manager']
+  },
+  hours_worked: {
+    required: false,
+    synonyms: ['hoursworked', 'hours', 'workedhours', 'totalhours']
+  }
+};
+
+const FIELD_NAMES = Object.keys(CANONICAL_FIELDS);
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'MM-DD-YYYY', 'DD.MM.YYYY'];
+
+const fieldSchema = z.enum(FIELD_NAMES);
+
+const transformSchema = z.union([
+  z.enum(['trim', 'lowercase', 'uppercase', 'titlecase', 'number']),
+  z.object({ type: z.literal('map'), values: z.record(z.string()) }),
+  z.object({ type: z.literal('date'), format: z.enum(DATE_FORMATS) }),
+  z.object({ type: z.literal('prefix'), value: z.string() })
+]);
+
+const mappingSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  columns: z.record(fieldSchema, z.string().min(1)),
+  transforms: z.record(fieldSchema, z.array(transformSchema)).default({}),
+  defaults: z.record(fieldSchema, z.union([z.string(), z.number()])).default({})
+})
+  .refine(
+    mapping => FIELD_NAMES
+      .filter(field => CANONICAL_FIELDS[field].required)
+      .every(field => mapping.columns[field] || mapping.defaults[field] !== undefined),
+    { message: 'employee_id, employee_name, date and status must be mapped or have a default', path: ['columns'] }
+  );
+
+/**
+ * Headers across all rows (sheet_to_json omits empty cells, so the first row may lack some)
+ */
+function collectHeaders(rows) {
+  const headers = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => headers.add(key)));
+  return [...headers];
+}
+
+// 'Emp. No' -> 'empno'
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Suggest a source header for each canonical field
+ * Exact and synonym matches are preferred over partial ones; each header is used once.
+ * @param {Array} headers - Headers found in the upload
+ * @returns {{ columns: Object, suggestions: Array, unmappedHeaders: Array, missingFields: Array }}
+ */
+function suggestMappings(headers) {
+  const candidates = headers.map(header => ({ header, normalized: normalizeHeader(header) }));
+  const used = new Set();
+  const suggestions = [];
+
+  const match = (field, test, confidence) => {
+    if (suggestions.some(s => s.field === field)) return;
+    const candidate = candidates.find(c => !used.has(c.header) && test(c.normalized));
+    if (candidate) {
+      used.add(candidate.header);
+      suggestions.push({ field, header: candidate.header, confidence });
+    }
+  };
+
+  FIELD_NAMES.forEach(field => match(field, h => h === normalizeHeader(field), 'exact'));
+  FIELD_NAMES.forEach(field => match(field, h => CANONICAL_FIELDS[field].synonyms.includes(h), 'synonym'));
+  FIELD_NAMES.forEach(field => match(
+    field,
+    h => h.length >= 3 && CANONICAL_FIELDS[field].synonyms.some(s => s.length >= 4 && (h.includes(s) || s.includes(h))),
+    'partial'
+  ));
+
+  return {
+    columns: Object.fromEntries(suggestions.map(s => [s.field, s.header])),
+    suggestions,
+    unmappedHeaders: headers.filter(header => !used.has(header)),
+    missingFields: FIELD_NAMES.filter(field =>
+      CANONICAL_FIELDS[field].required && !suggestions.some(s => s.field === field)
+    )
+  };
+}
+
+function parseDateWithFormat(value, format) {
+  const parts = String(value).trim().split(/[-/.]/);
+  if (parts.length !== 3) return value;
+
+  const order = format.split(/[-/.]/);
+  const get = token => parts[order.indexOf(token)];
+  const year = get('YYYY');
+  const month = get('MM').padStart(2, '0');
+  const day = get('DD').padStart(2, '0');
+
+  return `${year}-${month}-${day}`;
+}
+
+function applyTransform(value, transform) {
+  if (value === undefined || value === null || value === '') return value;
+
+  if (typeof transform === 'string') {
+    const text = String(value);
+    switch (transform) {
+      case 'trim': return text.trim();
+      case 'lowercase': return text.toLowerCase();
+      case 'uppercase': return text.toUpperCase();
+      case 'titlecase': return text.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+      case 'number': return isNaN(Number(text)) ? value : Number(text);
+      default: return value;
+    }
+  }
+
+  switch (transform.type) {
+    case 'map': {
+      const text = String(value).trim();
+      const key = Object.keys(transform.values).find(k => k.toLowerCase() === text.toLowerCase());
+      return key !== undefined ? transform.values[key] : value;
+    }
+    case 'date':
+      return parseDateWithFormat(value, transform.format);
+    case 'prefix':
+      return `${transform.value}${value}`;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Map source rows onto canonical columns
+ * @param {Array} rows - Rows keyed by source header
+ * @param {Object} mapping - { columns, transforms, defaults }
+ * @returns {Array} Rows keyed by canonical field
+ */
+function applyMapping(rows, mapping) {
+  const { columns = {}, transforms = {}, defaults = {} } = mapping;
+
+  return rows.map(row => {
+    const mapped = {};
+
+    FIELD_NAMES.forEach(field => {
+      let value = columns[field] !== undefined ? row[columns[field]] : undefined;
+      (transforms[field] || []).forEach(transform => {
+        value = applyTransform(value, transform);
+      });
+
+      if ((value === undefined || value === null || value === '') && defaults[field] !== undefined) {
+        value = defaults[field];
+      }
+      // Mapped columns are always present so the column check of the validators passes
+      if (value !== undefined || columns[field] !== undefined) {
+        mapped[field] = value ?? '';
+      }
+    });
+
+    return mapped;
+  });
+}
+
+/**
+ * Validate a mapping profile
+ * @returns {{ valid: boolean, mapping?: Object, errors: Array }}
+ */
+function validateMapping(mapping) {
+  const result = mappingSchema.safeParse(mapping);
+
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.issues.map(issue => ({
+        path: issue.path.join('.'),
+        message: issue.message
+      }))
+    };
+  }
+
+  return { valid: true, mapping: result.data, errors: [] };
+}
+
+/**
+ * Pick the mapping for an upload: the requested profile, else the organization
+ * default profile, else one suggested from the headers
+ * @returns {Promise<{ mapping: Object|null, source: string, suggestion?: Object }>}
+ *   mapping is null when mappingId does not exist
+ */
+async function resolveMapping(organizationId, headers, { mappingId } = {}) {
+  if (mappingId) {
+    const profile = await getMappingProfile(organizationId, mappingId);
+    return { mapping: profile, source: 'profile' };
+  }
+
+  const defaultProfile = await prisma.columnMappingProfile.findFirst({
+    where: { organizationId, isDefault: true }
+  });
+  if (defaultProfile) {
+    return { mapping: defaultProfile, source: 'default' };
+  }
+
+  const suggestion = suggestMappings(headers);
+  return {
+    mapping: { name: 'Suggested', columns: suggestion.columns, transforms: {}, defaults: {} },
+    source: 'suggested',
+    suggestion
+  };
+}
+
+/**
+ * Required canonical fields a mapping does not provide
+ */
+function findUnmappedFields(mapping) {
+  return FIELD_NAMES.filter(field =>
+    CANONICAL_FIELDS[field].required && !mapping.columns[field] && mapping.defaults?.[field] === undefined
+  );
+}
+
+async function listMappingProfiles(organizationId) {
+  return prisma.columnMappingProfile.findMany({
+    where: { organizationId },
+    orderBy: { name: 'asc' }
+  });
+}
+
+async function getMappingProfile(organizationId, id) {
+  return prisma.columnMappingProfile.findFirst({ where: { id, organizationId } });
+}
+
+/**
+ * Store a mapping profile; making it the default clears the previous default
+ * @param {Object} options - { createdById }
+ */
+async function createMappingProfile(organizationId, input, { createdById = null } = {}) {
+  const validation = validateMapping(input);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  const profile = await prisma.$transaction(async (tx) => {
+    if (input.isDefault) {
+      await tx.columnMappingProfile.updateMany({
+        where: { organizationId, isDefault: true },
+        data: { isDefault: false }
+      });
+    }
+
+    return tx.columnMappingProfile.create({
+      data: {
+        organizationId,
+        ...validation.mapping,
+        isDefault: Boolean(input.isDefault),
+        createdById
+      }
+    });
+  });
+
+  return { valid: true, profile, errors: [] };
+}
+
+/**
+ * Update a mapping profile. Partial input is merged onto the stored profile.
+ * @returns {Promise<Object|null>} null when the profile does not exist
+ */
+async function updateMappingProfile(organizationId, id, input) {
+  const existing = await getMappingProfile(organizationId, id);
+  if (!existing) return null;
+
+  const validation = validateMapping({
+    name: input.name ?? existing.name,
+    columns: input.columns ?? existing.columns,
+    transforms: input.transforms ?? existing.transforms,
+    defaults: input.defaults ?? existing.defaults
+  });
+  if (!validation.valid) {
+    return validation;
+  }
+
+  const profile = await prisma.$transaction(async (tx) => {
+    if (input.isDefault) {
+      await tx.columnMappingProfile.updateMany({
+        where: { organizationId, isDefault: true, NOT: { id } },
+        data: { isDefault: false }
+      });
+    }
+
+    return tx.columnMappingProfile.update({
+      where: { id },
+      data: {
+        ...validation.mapping,
+        ...(input.isDefault !== undefined && { isDefault: Boolean(input.isDefault) })
+      }
+    });
+  });
+
+  return { valid: true, profile, errors: [] };
+}
+
+async function deleteMappingProfile(organizationId, id) {
+  const result = await prisma.columnMappingProfile.deleteMany({ where: { id, organizationId } });
+  return result.count > 0;
+}
+
+module.exports = {
+  CANONICAL_FIELDS,
+  DATE_FORMATS,
+  collectHeaders,
+  suggestMappings,
+  applyMapping,
+  validateMapping,
+  resolveMapping,
+  findUnmappedFields,
+  listMappingProfiles,
+  getMappingProfile,
+  createMappingProfile,
+  updateMappingProfile,
+  deleteMappingProfile
+};
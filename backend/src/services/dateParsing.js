@@ -0,0 +1,327 @@
+/**
+ * Date Parsing
+ * Date and datetime handling for attendance imports: Excel serial numbers,
+ * ISO dates and datetimes (with or without an offset), and DD/MM/YYYY or
+ * MM/DD/YYYY, either set per upload or detected from the values.
+ *
+ * Datetimes without an offset are wall-clock times in the organization's
+ * timezone and are converted to UTC instants with Intl (no timezone data
+ * of our own).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day 0 of the Excel 1900 date system for serials from 61 (1900-03-01) on;
+// serial 60 is the non-existent 1900-02-29, so earlier serials are a day later
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const EXCEL_LEAP_BUG_SERIAL = 60;
+const EXCEL_SERIAL_MIN = 1;
+const EXCEL_SERIAL_MAX = 2958465; // 9999-12-31
+
+const DATE_ORDERS = {
+  AUTO: 'auto',
+  DMY: 'DMY',
+  MDY: 'MDY'
+};
+
+const DEFAULT_DATE_ORDER = DATE_ORDERS.DMY;
+const DEFAULT_TIMEZONE = 'UTC';
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const ISO_DATETIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const SEPARATED_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i;
+const COMPACT_DATE = /^(\d{4})(\d{2})(\d{2})$/;
+const EXCEL_SERIAL = /^\d{1,7}(\.\d+)?$/;
+
+function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Offset of a timezone from UTC at an instant, in ms
+function timezoneOffsetMs(instant, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(instant)).map(part => [part.type, part.value])
+  );
+
+  const asUtc = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Wall-clock time in a timezone -> UTC Date
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone = DEFAULT_TIMEZONE) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Re-check the offset at the resulting instant to land correctly around DST changes
+  const firstGuess = wallClock - timezoneOffsetMs(wallClock, timezone);
+  return new Date(wallClock - timezoneOffsetMs(firstGuess, timezone));
+}
+
+/**
+ * Start of a calendar day ('YYYY-MM-DD') in a timezone, as a UTC Date
+ */
+function startOfDayInTimezone(dateKey, timezone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return zonedTimeToUtc({ year, month, day }, timezone);
+}
+
+/**
+ * UTC instant -> 'YYYY-MM-DD' as seen in a timezone
+ */
+function dateKeyInTimezone(instant, timezone = DEFAULT_TIMEZONE) {
+  const local = new Date(new Date(instant).getTime() + timezoneOffsetMs(new Date(instant).getTime(), timezone));
+  return local.toISOString().split('T')[0];
+}
+
+function isValidDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// A 12-hour clock runs 1-12; 24:00 and beyond are not read as the next day
+function isValidTime(hour, minute, second, meridiem) {
+  const validHour = meridiem ? hour >= 1 && hour <= 12 : hour <= 23;
+  return validHour && minute <= 59 && second <= 59;
+}
+
+function toKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function expandYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+/**
+ * Excel serial -> wall-clock parts (the fraction is the time of day)
+ */
+function excelSerialToParts(serial) {
+  const days = serial < EXCEL_LEAP_BUG_SERIAL ? serial + 1 : serial;
+  const date = new Date(EXCEL_EPOCH_MS + Math.round(days * DAY_MS / 1000) * 1000);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  };
+}
+
+function to24Hour(hour, meridiem) {
+  if (!meridiem) return hour;
+  const isPm = meridiem.toLowerCase() === 'pm';
+  if (hour === 12) return isPm ? 12 : 0;
+  return isPm ? hour + 12 : hour;
+}
+
+/**
+ * Break a value into wall-clock parts, or an absolute instant when it carries an offset
+ * @returns {{ parts?: Object, instant?: Date, error?: string }}
+ */
+function parseParts(value, { dateOrder = DEFAULT_DATE_ORDER } = {}) {
+  // Spreadsheet readers hand back wall-clock values as UTC Dates
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return { error: 'invalid date' };
+    return {
+      parts: {
+        year: value.getUTCFullYear(),
+        month: value.getUTCMonth() + 1,
+        day: value.getUTCDate(),
+        hour: value.getUTCHours(),
+        minute: value.getUTCMinutes(),
+        second: value.getUTCSeconds()
+      }
+    };
+  }
+
+  const text = String(value ?? '').trim();
+  if (text === '') return { error: 'value is empty' };
+
+  let match = text.match(COMPACT_DATE);
+  if (match) {
+    const [year, month, day] = match.slice(1).map(Number);
+    if (isValidDay(year, month, day)) {
+      return { parts: { year, month, day } };
+    }
+  }
+
+  if (typeof value === 'number' || EXCEL_SERIAL.test(text)) {
+    const serial = Number(text);
+    if (serial < EXCEL_SERIAL_MIN || serial > EXCEL_SERIAL_MAX || Math.floor(serial) === EXCEL_LEAP_BUG_SERIAL) {
+      return { error: `'${text}' is not a valid Excel date serial` };
+    }
+    return { parts: excelSerialToParts(serial) };
+  }
+
+  match = text.match(ISO_DATE);
+  if (match) {
+    const [year, month, day] = match.slice(1).map(Number);
+    return isValidDay(year, month, day) ? { parts: { year, month, day } } : { error: `'${text}' is not a valid date` };
+  }
+
+  match = text.match(ISO_DATETIME);
+  if (match) {
+    const [, year, month, day, hour, minute, second = '0', offset] = match;
+    const parts = {
+      year: Number(year), month: Number(month), day: Number(day),
+      hour: Number(hour), minute: Number(minute), second: Number(second)
+    };
+    if (!isValidDay(parts.year, parts.month, parts.day)) {
+      return { error: `'${text}' is not a valid date` };
+    }
+    if (!isValidTime(parts.hour, parts.minute, parts.second)) {
+      return { error: `'${text}' is not a valid time` };
+    }
+    if (offset) {
+      const instant = new Date(text.replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+      return isNaN(instant.getTime()) ? { error: `'${text}' is not a valid datetime` } : { instant };
+    }
+    return { parts };
+  }
+
+  match = text.match(SEPARATED_DATE);
+  if (match) {
+    const [, first, second, year, hour, minute, secondOfMinute, meridiem] = match;
+    const [day, month] = dateOrder === DATE_ORDERS.MDY
+      ? [Number(second), Number(first)]
+      : [Number(first), Number(second)];
+    const fullYear = expandYear(year);
+
+    if (!isValidDay(fullYear, month, day)) {
+      return { error: `'${text}' is not a valid ${dateOrder === DATE_ORDERS.MDY ? 'MM/DD/YYYY' : 'DD/MM/YYYY'} date` };
+    }
+    if (hour !== undefined && !isValidTime(Number(hour), Number(minute), Number(secondOfMinute || 0), meridiem)) {
+      return { error: `'${text}' is not a valid time` };
+    }
+
+    return {
+      parts: {
+        year: fullYear,
+        month,
+        day,
+        ...(hour !== undefined && {
+          hour: to24Hour(Number(hour), meridiem),
+          minute: Number(minute),
+          second: Number(secondOfMinute || 0)
+        })
+      }
+    };
+  }
+
+  return { error: `'${text}' is not a recognized date` };
+}
+
+/**
+ * Parse a calendar date
+ * @param {Object} options - { dateOrder: 'DMY' | 'MDY', timezone }
+ *   timezone decides the day of values that carry an offset
+ * @returns {{ date?: string, error?: string }} date as 'YYYY-MM-DD'
+ */
+function parseDateValue(value, { dateOrder = DEFAULT_DATE_ORDER, timezone = DEFAULT_TIMEZONE } = {}) {
+  const { parts, instant, error } = parseParts(value, { dateOrder });
+  if (error) return { error };
+  if (instant) return { date: dateKeyInTimezone(instant, timezone) };
+  return { date: toKey(parts.year, parts.month, parts.day) };
+}
+
+/**
+ * Parse a point in time
+ * Values without an offset are wall-clock times in the organization's timezone.
+ * @param {Object} options - { dateOrder: 'DMY' | 'MDY', timezone }
+ * @returns {{ instant?: Date, error?: string }}
+ */
+function parseDateTimeValue(value, { dateOrder = DEFAULT_DATE_ORDER, timezone = DEFAULT_TIMEZONE } = {}) {
+  const { parts, instant, error } = parseParts(value, { dateOrder });
+  if (error) return { error };
+  return { instant: instant || zonedTimeToUtc(parts, timezone) };
+}
+
+/**
+ * Decide between DD/MM and MM/DD from the values of an upload
+ * A first component above 12 means DMY, a second one above 12 means MDY.
+ * Without either the order cannot be told and the default is used with a warning.
+ * @returns {{ dateOrder: string, ambiguous: boolean, warning?: string }}
+ */
+function detectDateOrder(values) {
+  let dmyEvidence = 0;
+  let mdyEvidence = 0;
+  let separated = 0;
+
+  values.forEach(value => {
+    const match = String(value ?? '').trim().match(SEPARATED_DATE);
+    if (!match) return;
+    separated++;
+    if (Number(match[1]) > 12) dmyEvidence++;
+    if (Number(match[2]) > 12) mdyEvidence++;
+  });
+
+  if (separated === 0 || (dmyEvidence > 0 && mdyEvidence === 0)) {
+    return { dateOrder: DATE_ORDERS.DMY, ambiguous: false };
+  }
+  if (mdyEvidence > 0 && dmyEvidence === 0) {
+    return { dateOrder: DATE_ORDERS.MDY, ambiguous: false };
+  }
+
+  return {
+    dateOrder: DEFAULT_DATE_ORDER,
+    ambiguous: true,
+    warning: dmyEvidence > 0
+      ? `Dates mix DD/MM/YYYY and MM/DD/YYYY values; read as DD/MM/YYYY (${mdyEvidence} values will not parse). Set dateOrder to choose.`
+      : 'Every date could be DD/MM/YYYY or MM/DD/YYYY; read as DD/MM/YYYY. Set dateOrder=MDY if the file uses MM/DD/YYYY.'
+  };
+}
+
+/**
+ * Requested date order -> 'auto' | 'DMY' | 'MDY' (missing means auto), null when not recognized
+ */
+function normalizeDateOrder(value) {
+  if (value === undefined || value === null || value === '') return DATE_ORDERS.AUTO;
+  const order = String(value).trim().toUpperCase();
+  if (order === DATE_ORDERS.DMY || order === DATE_ORDERS.MDY) return order;
+  return order === DATE_ORDERS.AUTO.toUpperCase() ? DATE_ORDERS.AUTO : null;
+}
+
+/**
+ * Resolve the requested date order ('auto' detects from the values)
+ * @returns {{ dateOrder: string, warning?: string }}
+ */
+function resolveDateOrder(requested, values) {
+  const order = normalizeDateOrder(requested);
+  if (order === DATE_ORDERS.DMY || order === DATE_ORDERS.MDY) {
+    return { dateOrder: order };
+  }
+  const { dateOrder, warning } = detectDateOrder(values);
+  return { dateOrder, warning };
+}
+
+module.exports = {
+  DATE_ORDERS,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  startOfDayInTimezone,
+  dateKeyInTimezone,
+  parseDateValue,
+  parseDateTimeValue,
+  normalizeDateOrder,
+  detectDateOrder,
+  resolveDateOrder
+};
@@ -0,0 +1,795 @@
+/**
+ * Employee Master Data
+ * Employee records beyond what attendance uploads create: email, designation,
+ * join date, active flag and the manager each employee reports to. Changes to
+ * department, designation or manager are kept as effective-dated history so
+ * the org structure on any past day can be reconstructed.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const fileParser = require('./fileParser');
+const { toDateKey } = require('./workCalendar');
+const { parseDateValue, resolveDateOrder } = require('./dateParsing');
+const scoreCache = require('./scoreCache');
+
+const prisma = new PrismaClient();
+
+const HISTORY_SOURCES = {
+  API: 'API',
+  IMPORT: 'IMPORT'
+};
+
+// Fields whose changes open a new history row
+const ASSIGNMENT_FIELDS = ['department', 'designation', 'managerId'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const WRITE_BATCH_SIZE = 200;
+const WRITE_TIMEOUT_MS = 30 * 1000; // Per batch of writes in the import transaction
+const MAX_REPORTED_ERRORS = 1000;
+
+// Roster headers (normalized) for each field
+const ROSTER_COLUMNS = {
+  employeeId: ['employeeid', 'empid', 'empno', 'employeecode', 'employeenumber', 'staffid', 'id'],
+  name: ['name', 'employeename', 'fullname', 'empname'],
+  email: ['email', 'emailaddress', 'workemail', 'employeeemail'],
+  department: ['department', 'dept', 'division', 'team'],
+  designation: ['designation', 'title', 'jobtitle', 'position', 'role'],
+  joinDate: ['joindate', 'joiningdate', 'dateofjoining', 'doj', 'hiredate', 'startdate'],
+  managerEmployeeId: ['managerid', 'manageremployeeid', 'managercode', 'reportsto', 'supervisorid'],
+  managerEmail: ['manageremail', 'supervisoremail', 'linemanageremail', 'reportingmanageremail'],
+  isActive: ['active', 'isactive', 'status', 'employmentstatus']
+};
+
+const ACTIVE_VALUES = {
+  true: true, yes: true, y: true, 1: true, active: true, employed: true,
+  false: false, no: false, n: false, 0: false, inactive: false, exited: false, terminated: false
+};
+
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'must be YYYY-MM-DD');
+
+const employeeFields = {
+  name: z.string().trim().min(1).max(100),
+  email: z.string().trim().toLowerCase().email().max(255).optional().nullable(),
+  department: z.string().trim().min(1).max(50),
+  designation: z.string().trim().min(1).max(100).optional().nullable(),
+  joinDate: dateSchema.optional().nullable(),
+  isActive: z.boolean().optional(),
+  // Employee id (not the record id) of the manager; null removes the manager
+  managerEmployeeId: z.string().trim().min(1).max(20).optional().nullable(),
+  // Day department, designation or manager changes take effect (today by default)
+  effectiveDate: dateSchema.optional()
+};
+
+const createSchema = z.object({
+  employeeId: z.string().trim().min(1).max(20),
+  ...employeeFields
+});
+
+const updateSchema = z.object(employeeFields).partial();
+
+function validationErrors(result) {
+  return result.error.issues.map(issue => ({
+    path: issue.path.join('.'),
+    message: issue.message
+  }));
+}
+
+function invalid(path, message) {
+  return { valid: false, errors: [{ path, message }] };
+}
+
+function toDate(dateKey) {
+  return dateKey ? new Date(`${dateKey}T00:00:00.000Z`) : null;
+}
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function formatEmployee(employee) {
+  return {
+    id: employee.id,
+    employeeId: employee.employeeId,
+    name: employee.name,
+    email: employee.email ?? null,
+    department: employee.department ?? null,
+    designation: employee.designation ?? null,
+    joinDate: employee.joinDate ? toDateKey(employee.joinDate) : null,
+    isActive: employee.isActive ?? true,
+    manager: employee.manager
+      ? { employeeId: employee.manager.employeeId, name: employee.manager.name }
+      : null
+  };
+}
+
+const MANAGER_SELECT = { select: { employeeId: true, name: true } };
+
+/**
+ * Would making managerId the manager of employeeId close a reporting loop?
+ * @param {Map} managerOf - employee -> manager, keyed by record id or by employee id (the same as the arguments)
+ */
+function createsCycle(managerOf, employeeId, managerId) {
+  const seen = new Set();
+  for (let current = managerId; current; current = managerOf.get(current)) {
+    if (current === employeeId) return true;
+    if (seen.has(current)) return false; // An existing loop above; not this change's doing
+    seen.add(current);
+  }
+  return false;
+}
+
+async function loadManagerMap(client, companyId) {
+  const employees = await client.employee.findMany({
+    where: { companyId },
+    select: { id: true, managerId: true }
+  });
+  return new Map(employees.map(e => [e.id, e.managerId ?? null]));
+}
+
+/**
+ * Record an employee's department, designation and manager from effectiveDate
+ * The open history row is closed the day the new one starts; a change on the
+ * day the open row started amends it instead.
+ * @returns {Promise<{ changed: boolean, error?: string }>} nothing is written when error is set
+ */
+async function applyAssignment(client, employee, assignment, { effectiveDate, source, changedById }) {
+  const current = await client.employeeHistory.findFirst({
+    where: { employeeId: employee.id, effectiveTo: null },
+    orderBy: { effectiveFrom: 'desc' }
+  });
+
+  if (current && ASSIGNMENT_FIELDS.every(field => (current[field] ?? null) === (assignment[field] ?? null))) {
+    return { changed: false };
+  }
+
+  const data = {
+    department: assignment.department,
+    designation: assignment.designation ?? null,
+    managerId: assignment.managerId ?? null,
+    source,
+    changedById
+  };
+
+  if (!current) {
+    await client.employeeHistory.create({
+      data: {
+        organizationId: employee.companyId,
+        employeeId: employee.id,
+        effectiveFrom: toDate(effectiveDate),
+        ...data
+      }
+    });
+    return { changed: true };
+  }
+
+  const currentFrom = toDateKey(current.effectiveFrom);
+  if (effectiveDate < currentFrom) {
+    return { changed: false, error: `effectiveDate must be on or after ${currentFrom}, when the current assignment started` };
+  }
+
+  if (effectiveDate === currentFrom) {
+    await client.employeeHistory.update({ where: { id: current.id }, data });
+  } else {
+    await client.employeeHistory.update({
+      where: { id: current.id },
+      data: { effectiveTo: toDate(effectiveDate) }
+    });
+    await client.employeeHistory.create({
+      data: {
+        organizationId: employee.companyId,
+        employeeId: employee.id,
+        effectiveFrom: toDate(effectiveDate),
+        ...data
+      }
+    });
+  }
+  return { changed: true };
+}
+
+/**
+ * @param {Object} filters - { department, managerEmployeeId, isActive, search, page, limit }
+ * @returns {Promise<Object|null>} null when the manager does not exist
+ */
+async function listEmployees(companyId, { department, managerEmployeeId, isActive, search, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const where = { companyId };
+  if (department) where.department = department;
+  if (isActive !== undefined) where.isActive = isActive;
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { employeeId: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+  if (managerEmployeeId) {
+    const manager = await prisma.employee.findFirst({ where: { companyId, employeeId: managerEmployeeId } });
+    if (!manager) return null;
+    where.managerId = manager.id;
+  }
+
+  const take = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const [employees, total] = await Promise.all([
+    prisma.employee.findMany({
+      where,
+      include: { manager: MANAGER_SELECT },
+      orderBy: { employeeId: 'asc' },
+      skip: (Math.max(page, 1) - 1) * take,
+      take
+    }),
+    prisma.employee.count({ where })
+  ]);
+
+  return { employees: employees.map(formatEmployee), total, page: Math.max(page, 1), limit: take };
+}
+
+async function getEmployee(companyId, employeeId) {
+  const employee = await prisma.employee.findFirst({
+    where: { companyId, employeeId },
+    include: {
+      manager: MANAGER_SELECT,
+      directReports: {
+        select: { employeeId: true, name: true, designation: true, isActive: true },
+        orderBy: { employeeId: 'asc' }
+      },
+      exits: {
+        select: { exitDate: true, rehiredOn: true, separationType: true },
+        orderBy: { exitDate: 'desc' }
+      }
+    }
+  });
+  if (!employee) return null;
+
+  const exits = employee.exits.map(exit => ({
+    exitDate: toDateKey(exit.exitDate),
+    rehiredOn: exit.rehiredOn ? toDateKey(exit.rehiredOn) : null,
+    separationType: exit.separationType
+  }));
+
+  return {
+    ...formatEmployee(employee),
+    directReports: employee.directReports,
+    // Exit of the current employment (null once rehired), then every exit newest first
+    exit: exits.length > 0 && !exits[0].rehiredOn ? exits[0] : null,
+    exits
+  };
+}
+
+/**
+ * Employees as they were on a past day: department, designation and manager
+ * from the assignment in effect then, and joinDate moved to the start of the
+ * employment the day falls in (the last rehire on or before it). Employees
+ * without history keep their current values.
+ * @param {Array} employees - Employee records
+ * @returns {Promise<Array>} Copies of the employees
+ */
+async function employeesAsOf(employees, date) {
+  const day = toDate(toDateKey(date));
+  const ids = employees.map(e => e.id);
+
+  const [assignments, rehires] = await Promise.all([
+    prisma.employeeHistory.findMany({
+      where: {
+        employeeId: { in: ids },
+        effectiveFrom: { lte: day },
+        OR: [{ effectiveTo: null }, { effectiveTo: { gt: day } }]
+      }
+    }),
+    prisma.employeeExit.findMany({
+      where: { employeeId: { in: ids }, rehiredOn: { lte: day } },
+      orderBy: { rehiredOn: 'asc' }
+    })
+  ]);
+  const assignmentOf = new Map(assignments.map(a => [a.employeeId, a]));
+  const rehiredOn = new Map(rehires.map(exit => [exit.employeeId, exit.rehiredOn]));
+
+  return employees.map(employee => {
+    const assignment = assignmentOf.get(employee.id);
+    return {
+      ...employee,
+      ...(assignment && {
+        department: assignment.department,
+        designation: assignment.designation,
+        managerId: assignment.managerId
+      }),
+      ...(rehiredOn.has(employee.id) && { joinDate: rehiredOn.get(employee.id) })
+    };
+  });
+}
+
+/**
+ * Effective-dated department, designation and manager, newest first
+ * @returns {Promise<Array|null>} null when the employee does not exist
+ */
+async function getEmployeeHistory(companyId, employeeId) {
+  const employee = await prisma.employee.findFirst({ where: { companyId, employeeId } });
+  if (!employee) return null;
+
+  const history = await prisma.employeeHistory.findMany({
+    where: { employeeId: employee.id },
+    orderBy: { effectiveFrom: 'desc' }
+  });
+
+  const managerIds = [...new Set(history.map(h => h.managerId).filter(Boolean))];
+  const managers = managerIds.length === 0 ? [] : await prisma.employee.findMany({
+    where: { id: { in: managerIds } },
+    select: { id: true, employeeId: true, name: true }
+  });
+  const managersById = new Map(managers.map(m => [m.id, m]));
+
+  return history.map(entry => ({
+    department: entry.department,
+    designation: entry.designation,
+    manager: entry.managerId && managersById.has(entry.managerId)
+      ? { employeeId: managersById.get(entry.managerId).employeeId, name: managersById.get(entry.managerId).name }
+      : null,
+    effectiveFrom: toDateKey(entry.effectiveFrom),
+    effectiveTo: entry.effectiveTo ? toDateKey(entry.effectiveTo) : null,
+    source: entry.source,
+    changedById: entry.changedById
+  }));
+}
+
+async function findManager(companyId, managerEmployeeId) {
+  return prisma.employee.findFirst({ where: { companyId, employeeId: managerEmployeeId } });
+}
+
+async function createEmployee(companyId, input, { changedById = null } = {}) {
+  const result = createSchema.safeParse(input);
+  if (!result.success) {
+    return { valid: false, errors: validationErrors(result) };
+  }
+  const { employeeId, managerEmployeeId, effectiveDate, ...fields } = result.data;
+
+  let manager = null;
+  if (managerEmployeeId) {
+    manager = await findManager(companyId, managerEmployeeId);
+    if (!manager) return invalid('managerEmployeeId', `Manager '${managerEmployeeId}' not found`);
+  }
+
+  const employee = await prisma.$transaction(async (tx) => {
+    const created = await tx.employee.create({
+      data: {
+        companyId,
+        employeeId,
+        name: fields.name,
+        email: fields.email ?? null,
+        department: fields.department,
+        designation: fields.designation ?? null,
+        joinDate: toDate(fields.joinDate),
+        isActive: fields.isActive ?? true,
+        managerId: manager ? manager.id : null
+      },
+      include: { manager: MANAGER_SELECT }
+    });
+
+    // History starts when the employee joined unless another day is given
+    await applyAssignment(tx, created, created, {
+      effectiveDate: effectiveDate || fields.joinDate || toDateKey(new Date()),
+      source: HISTORY_SOURCES.API,
+      changedById
+    });
+
+    return created;
+  });
+
+  // Reports and cohorts group employees by department and active status
+  await scoreCache.invalidate(companyId);
+  return { valid: true, employee: formatEmployee(employee), errors: [] };
+}
+
+/**
+ * Update an employee. Partial input is merged onto the stored employee.
+ * @returns {Promise<Object|null>} null when the employee does not exist
+ */
+async function updateEmployee(companyId, employeeId, input, { changedById = null } = {}) {
+  const existing = await prisma.employee.findFirst({ where: { companyId, employeeId } });
+  if (!existing) return null;
+
+  const result = updateSchema.safeParse(input);
+  if (!result.success) {
+    return { valid: false, errors: validationErrors(result) };
+  }
+  const { managerEmployeeId, effectiveDate = toDateKey(new Date()), ...fields } = result.data;
+
+  let managerId = existing.managerId ?? null;
+  if (managerEmployeeId === null) {
+    managerId = null;
+  } else if (managerEmployeeId !== undefined) {
+    const manager = await findManager(companyId, managerEmployeeId);
+    if (!manager) return invalid('managerEmployeeId', `Manager '${managerEmployeeId}' not found`);
+    if (manager.id === existing.id) return invalid('managerEmployeeId', 'An employee cannot report to themselves');
+    if (createsCycle(await loadManagerMap(prisma, companyId), existing.id, manager.id)) {
+      return invalid('managerEmployeeId', `${managerEmployeeId} already reports to ${employeeId}`);
+    }
+    managerId = manager.id;
+  }
+
+  const data = {
+    ...(fields.name !== undefined && { name: fields.name }),
+    ...(fields.email !== undefined && { email: fields.email }),
+    ...(fields.department !== undefined && { department: fields.department }),
+    ...(fields.designation !== undefined && { designation: fields.designation }),
+    ...(fields.joinDate !== undefined && { joinDate: toDate(fields.joinDate) }),
+    ...(fields.isActive !== undefined && { isActive: fields.isActive }),
+    managerId
+  };
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const assignment = await applyAssignment(tx, existing, { ...existing, ...data }, {
+      effectiveDate,
+      source: HISTORY_SOURCES.API,
+      changedById
+    });
+    if (assignment.error) {
+      return invalid('effectiveDate', assignment.error);
+    }
+
+    const employee = await tx.employee.update({
+      where: { id: existing.id },
+      data,
+      include: { manager: MANAGER_SELECT }
+    });
+
+    return { valid: true, employee: formatEmployee(employee), errors: [] };
+  });
+
+  if (updated.valid) await scoreCache.invalidate(companyId);
+  return updated;
+}
+
+/**
+ * Mark an employee inactive. Records are kept: attendance and risk history
+ * stay available for reports.
+ */
+async function deactivateEmployee(companyId, employeeId) {
+  const result = await prisma.employee.updateMany({
+    where: { companyId, employeeId },
+    data: { isActive: false }
+  });
+  if (result.count > 0) await scoreCache.invalidate(companyId);
+  return result.count > 0;
+}
+
+/**
+ * Direct and indirect reports of an employee as a tree
+ * @param {Object} options - { depth } levels below the employee (all by default)
+ * @returns {Promise<Object|null>} { employeeId, name, reports, total }, null when the employee does not exist
+ */
+async function getReportingTree(companyId, employeeId, { depth = Infinity } = {}) {
+  const employees = await prisma.employee.findMany({
+    where: { companyId },
+    select: { id: true, employeeId: true, name: true, department: true, designation: true, isActive: true, managerId: true },
+    orderBy: { employeeId: 'asc' }
+  });
+
+  const root = employees.find(e => e.employeeId === employeeId);
+  if (!root) return null;
+
+  const reportsOf = new Map();
+  employees.forEach(e => {
+    if (!e.managerId) return;
+    if (!reportsOf.has(e.managerId)) reportsOf.set(e.managerId, []);
+    reportsOf.get(e.managerId).push(e);
+  });
+
+  let total = 0;
+  const visited = new Set([root.id]);
+  const build = (manager, level) => (reportsOf.get(manager.id) || [])
+    .filter(e => !visited.has(e.id))
+    .map(e => {
+      visited.add(e.id);
+      total++;
+      return {
+        employeeId: e.employeeId,
+        name: e.name,
+        department: e.department,
+        designation: e.designation,
+        isActive: e.isActive,
+        reports: level < depth ? build(e, level + 1) : undefined
+      };
+    });
+
+  const reports = build(root, 1);
+  return { employeeId: root.employeeId, name: root.name, reports, total };
+}
+
+/**
+ * Employee ids in an org slice, for filtering reports
+ * @param {Object} scope - { department, managerEmployeeId } (manager: everyone reporting to them, directly or not)
+ * @returns {Promise<Set|null>} null when the manager does not exist
+ */
+async function findEmployeesInScope(companyId, { department, managerEmployeeId } = {}) {
+  const employees = await prisma.employee.findMany({
+    where: { companyId },
+    select: { id: true, employeeId: true, department: true, managerId: true }
+  });
+
+  let inScope = employees;
+  if (managerEmployeeId) {
+    const manager = employees.find(e => e.employeeId === managerEmployeeId);
+    if (!manager) return null;
+
+    const below = new Set([manager.id]);
+    let added = true;
+    while (added) {
+      added = false;
+      employees.forEach(e => {
+        if (e.managerId && below.has(e.managerId) && !below.has(e.id)) {
+          below.add(e.id);
+          added = true;
+        }
+      });
+    }
+    below.delete(manager.id);
+    inScope = inScope.filter(e => below.has(e.id));
+  }
+  if (department) {
+    inScope = inScope.filter(e => e.department === department);
+  }
+
+  return new Set(inScope.map(e => e.employeeId));
+}
+
+function findRosterColumn(headers, field) {
+  const normalized = headers.map(normalizeHeader);
+  const synonym = ROSTER_COLUMNS[field].find(name => normalized.includes(name));
+  return synonym ? headers[normalized.indexOf(synonym)] : null;
+}
+
+/**
+ * Roster row -> employee fields as in the file (blanks as undefined; join dates keep Excel serials)
+ */
+function readRosterRow(record, columns) {
+  const value = field => {
+    if (!columns[field]) return undefined;
+    const raw = record[columns[field]];
+    if (raw === undefined || raw === null || String(raw).trim() === '') return undefined;
+    return field === 'joinDate' && typeof raw !== 'string' ? raw : String(raw).trim();
+  };
+  return Object.fromEntries(Object.keys(ROSTER_COLUMNS).map(field => [field, value(field)]));
+}
+
+/**
+ * Read the rows of a roster file (a CSV or the first sheet of a workbook)
+ * Throws on file-level problems (format, missing columns); nothing is written.
+ * @returns {Array} Row values keyed by field
+ */
+function readRosterFile(buffer, filename) {
+  const [{ records }] = fileParser.readSheets(buffer, filename);
+  if (records.length === 0) {
+    throw new Error('Roster is empty');
+  }
+
+  const headers = Object.keys(records[0]);
+  const columns = Object.fromEntries(Object.keys(ROSTER_COLUMNS).map(field => [field, findRosterColumn(headers, field)]));
+  const missing = ['employeeId', 'name', 'department'].filter(field => !columns[field]);
+  if (missing.length > 0) {
+    throw new Error(`Roster must have employee id, name and department columns (missing: ${missing.join(', ')})`);
+  }
+
+  return records.map(record => readRosterRow(record, columns));
+}
+
+/**
+ * Create or update employees from rows read by readRosterFile
+ * Managers are matched by employee id or email, in the roster or already
+ * stored, so a roster can list reports before their managers. Rows are
+ * checked (including reporting loops) before anything is written, and the
+ * roster is applied in one transaction: all of it or, on a failure, none.
+ * @param {Object} options - { dateOrder, effectiveDate, deactivateMissing, changedById }
+ *   effectiveDate: day department / designation / manager changes take effect (today by default)
+ *   deactivateMissing: mark active employees absent from the roster inactive
+ * @returns {Promise<Object>} { processed, totalRows, counts, historyEntries, errors, warnings }
+ */
+async function importRoster(companyId, rows, {
+  dateOrder: requestedOrder,
+  effectiveDate = toDateKey(new Date()),
+  deactivateMissing = false,
+  changedById = null
+} = {}) {
+  const { dateOrder, warning } = resolveDateOrder(requestedOrder, rows.map(row => row.joinDate));
+
+  const errors = [];
+  const counts = { created: 0, updated: 0, unchanged: 0, deactivated: 0, failed: 0 };
+  const fail = (row, messages) => {
+    counts.failed++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push({ row, errors: messages });
+  };
+
+  const parsed = [];
+  const seen = new Set();
+  const rejected = new Set(); // Employee ids of rejected rows, to explain the rows reporting to them
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    const rowErrors = [];
+
+    let joinDate = null;
+    if (row.joinDate !== undefined) {
+      const date = parseDateValue(row.joinDate, { dateOrder });
+      if (date.error) rowErrors.push(`join date is invalid: ${date.error}`);
+      else joinDate = date.date;
+    }
+
+    let isActive;
+    if (row.isActive !== undefined) {
+      isActive = ACTIVE_VALUES[normalizeHeader(row.isActive)];
+      if (isActive === undefined) rowErrors.push(`active '${row.isActive}' must be yes/no, true/false or active/inactive`);
+    }
+
+    const result = createSchema.safeParse({
+      employeeId: row.employeeId,
+      name: row.name,
+      email: row.email,
+      department: row.department,
+      designation: row.designation,
+      joinDate,
+      isActive,
+      managerEmployeeId: row.managerEmployeeId
+    });
+    if (!result.success) {
+      rowErrors.push(...validationErrors(result).map(e => `${e.path}: ${e.message}`));
+    }
+    if (row.managerEmail !== undefined && !z.string().email().safeParse(row.managerEmail).success) {
+      rowErrors.push('manager email is invalid');
+    }
+    if (result.success && seen.has(result.data.employeeId)) {
+      rowErrors.push(`employee ${result.data.employeeId} appears more than once`);
+    }
+
+    if (rowErrors.length > 0) {
+      fail(rowNumber, rowErrors);
+      if (row.employeeId) rejected.add(String(row.employeeId).trim());
+      return;
+    }
+    seen.add(result.data.employeeId);
+    parsed.push({ rowNumber, ...result.data, managerEmail: row.managerEmail?.toLowerCase() });
+  });
+
+  // Resolve managers by employee id across stored employees and the roster
+  const existing = await prisma.employee.findMany({ where: { companyId } });
+  const existingByCode = new Map(existing.map(e => [e.employeeId, e]));
+  const codesById = new Map(existing.map(e => [e.id, e.employeeId]));
+  const codeByEmail = new Map();
+  existing.forEach(e => e.email && codeByEmail.set(e.email.toLowerCase(), e.employeeId));
+  parsed.forEach(row => row.email && codeByEmail.set(row.email, row.employeeId));
+  const storedManagerOf = new Map(existing.map(e => [e.employeeId, e.managerId ? codesById.get(e.managerId) : null]));
+
+  // Rejecting a row can strand the rows that report to it (a new manager that
+  // will not be created, a loop that now closes through a stored manager), so
+  // resolve managers again until a pass rejects nothing
+  let candidates = parsed.map(row => {
+    const current = existingByCode.get(row.employeeId);
+    const code = row.managerEmployeeId || (row.managerEmail ? codeByEmail.get(row.managerEmail) : undefined);
+    return { row, current, reference: row.managerEmployeeId || row.managerEmail, code };
+  });
+  let accepted;
+
+  for (;;) {
+    const candidateCodes = new Set(candidates.map(({ row }) => row.employeeId));
+    const managerOf = new Map(storedManagerOf);
+    candidates.forEach(({ row, reference, code }) => reference && managerOf.set(row.employeeId, code));
+
+    const stranded = new Set();
+    candidates.forEach(({ row, reference, code }) => {
+      if (!reference) return;
+      if (!code || (!existingByCode.has(code) && !candidateCodes.has(code))) {
+        fail(row.rowNumber, [rejected.has(code) ? `manager '${reference}' was rejected` : `manager '${reference}' not found`]);
+      } else if (createsCycle(managerOf, row.employeeId, code)) {
+        fail(row.rowNumber, [`manager '${reference}' reports to ${row.employeeId}`]);
+      } else {
+        return;
+      }
+      stranded.add(row.employeeId);
+    });
+
+    if (stranded.size === 0) {
+      accepted = candidates.map(({ row, current, reference, code }) => ({
+        row,
+        current,
+        managerCode: reference ? code : (current?.managerId ? codesById.get(current.managerId) : null)
+      }));
+      break;
+    }
+    stranded.forEach(code => rejected.add(code));
+    candidates = candidates.filter(({ row }) => !stranded.has(row.employeeId));
+  }
+
+  // One transaction, written in batches: a failure leaves no new employee without its
+  // details or manager link and no roster half applied
+  const newRows = accepted.filter(({ current }) => !current).map(({ row }) => row);
+  const batches = Math.ceil((newRows.length + accepted.length) / WRITE_BATCH_SIZE) + 1; // + lookup and deactivation
+  let historyEntries = 0;
+
+  await prisma.$transaction(async (tx) => {
+    // Create the new employees first so every manager has a record id
+    for (let i = 0; i < newRows.length; i += WRITE_BATCH_SIZE) {
+      await tx.employee.createMany({
+        data: newRows.slice(i, i + WRITE_BATCH_SIZE).map(row => ({
+          companyId,
+          employeeId: row.employeeId,
+          name: row.name,
+          department: row.department
+        })),
+        skipDuplicates: true
+      });
+    }
+    const byCode = newRows.length > 0
+      ? new Map((await tx.employee.findMany({ where: { companyId } })).map(e => [e.employeeId, e]))
+      : existingByCode;
+
+    for (const { row, current, managerCode } of accepted) {
+      const employee = byCode.get(row.employeeId);
+      const data = {
+        name: row.name,
+        email: row.email ?? employee.email ?? null,
+        department: row.department,
+        designation: row.designation ?? employee.designation ?? null,
+        joinDate: row.joinDate ? toDate(row.joinDate) : employee.joinDate ?? null,
+        isActive: row.isActive ?? employee.isActive ?? true,
+        managerId: managerCode ? byCode.get(managerCode).id : null
+      };
+
+      const unchanged = current && Object.entries(data).every(([field, value]) => value instanceof Date
+        ? current[field] instanceof Date && current[field].getTime() === value.getTime()
+        : (current[field] ?? null) === value
+      );
+      if (unchanged) {
+        counts.unchanged++;
+        continue;
+      }
+
+      // New employees' history starts when they joined
+      const assignment = await applyAssignment(tx, employee, data, {
+        effectiveDate: !current && row.joinDate ? row.joinDate : effectiveDate,
+        source: HISTORY_SOURCES.IMPORT,
+        changedById
+      });
+      if (assignment.error) {
+        fail(row.rowNumber, [assignment.error]);
+        continue;
+      }
+      if (assignment.changed) historyEntries++;
+
+      await tx.employee.update({ where: { id: employee.id }, data });
+      counts[current ? 'updated' : 'created']++;
+    }
+
+    if (deactivateMissing) {
+      const result = await tx.employee.updateMany({
+        where: { companyId, isActive: true, employeeId: { notIn: [...seen] } },
+        data: { isActive: false }
+      });
+      counts.deactivated = result.count;
+    }
+  }, { timeout: batches * WRITE_TIMEOUT_MS });
+
+  if (counts.created > 0 || counts.updated > 0 || counts.deactivated > 0) {
+    await scoreCache.invalidate(companyId);
+  }
+
+  return {
+    processed: counts.created + counts.updated + counts.unchanged,
+    totalRows: rows.length,
+    counts,
+    historyEntries,
+    errors: errors.sort((a, b) => a.row - b.row),
+    warnings: warning ? [warning] : []
+  };
+}
+
+module.exports = {
+  HISTORY_SOURCES,
+  listEmployees,
+  getEmployee,
+  getEmployeeHistory,
+  employeesAsOf,
+  createEmployee,
+  updateEmployee,
+  deactivateEmployee,
+  getReportingTree,
+  findEmployeesInScope,
+  readRosterFile,
+  importRoster
+};
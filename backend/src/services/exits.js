@@ -0,0 +1,577 @@
+/**
+ * Employee Exits
+ * Records that an employee left: exit date, reason, voluntary or involuntary
+ * and whether the loss was regrettable. The last risk snapshot computed on or
+ * before the exit date is attached to the exit so past High / Moderate / Low
+ * flags can be checked against what actually happened. Exited employees drop
+ * out of risk lists after their exit date; their snapshots are never touched.
+ * A rehire closes the exit (rehiredOn) instead of removing it, so an employee
+ * can have several exits, each covering exitDate up to the rehire.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const fileParser = require('./fileParser');
+const { toDateKey } = require('./workCalendar');
+const { parseDateValue, resolveDateOrder } = require('./dateParsing');
+const scoreCache = require('./scoreCache');
+
+const prisma = new PrismaClient();
+
+const SEPARATION_TYPES = {
+  VOLUNTARY: 'VOLUNTARY',
+  INVOLUNTARY: 'INVOLUNTARY'
+};
+
+const EXIT_SOURCES = {
+  API: 'API',
+  IMPORT: 'IMPORT'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_REPORTED_ERRORS = 1000;
+const WRITE_BATCH_SIZE = 200;
+const WRITE_TIMEOUT_MS = 30 * 1000; // Per batch transaction
+
+// Import headers (normalized) for each field
+const EXIT_COLUMNS = {
+  employeeId: ['employeeid', 'empid', 'empno', 'employeecode', 'employeenumber', 'staffid', 'id'],
+  exitDate: ['exitdate', 'lastworkingday', 'lastday', 'lwd', 'separationdate', 'terminationdate', 'leavingdate', 'relievingdate'],
+  separationType: ['separationtype', 'exittype', 'type', 'voluntary', 'voluntaryinvoluntary'],
+  regrettable: ['regrettable', 'regrettableloss', 'regret'],
+  reason: ['reason', 'exitreason', 'separationreason', 'leavingreason', 'comments']
+};
+
+// Separation type words as written in HRIS exports
+const SEPARATION_WORDS = {
+  voluntary: SEPARATION_TYPES.VOLUNTARY,
+  v: SEPARATION_TYPES.VOLUNTARY,
+  resignation: SEPARATION_TYPES.VOLUNTARY,
+  resigned: SEPARATION_TYPES.VOLUNTARY,
+  retirement: SEPARATION_TYPES.VOLUNTARY,
+  yes: SEPARATION_TYPES.VOLUNTARY,
+  involuntary: SEPARATION_TYPES.INVOLUNTARY,
+  i: SEPARATION_TYPES.INVOLUNTARY,
+  termination: SEPARATION_TYPES.INVOLUNTARY,
+  terminated: SEPARATION_TYPES.INVOLUNTARY,
+  dismissal: SEPARATION_TYPES.INVOLUNTARY,
+  layoff: SEPARATION_TYPES.INVOLUNTARY,
+  redundancy: SEPARATION_TYPES.INVOLUNTARY,
+  no: SEPARATION_TYPES.INVOLUNTARY
+};
+
+const BOOLEAN_WORDS = {
+  true: true, yes: true, y: true, 1: true, regrettable: true,
+  false: false, no: false, n: false, 0: false, nonregrettable: false
+};
+
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'must be YYYY-MM-DD');
+
+const exitFields = {
+  exitDate: dateSchema,
+  separationType: z.preprocess(
+    value => (typeof value === 'string' ? SEPARATION_WORDS[normalizeWord(value)] ?? value : value),
+    z.enum(Object.values(SEPARATION_TYPES), {
+      errorMap: () => ({ message: 'must be VOLUNTARY or INVOLUNTARY' })
+    })
+  ),
+  regrettable: z.boolean().optional().nullable(),
+  reason: z.string().trim().max(500).optional().nullable()
+};
+
+const exitSchema = z.object({
+  employeeId: z.string().trim().min(1).max(20),
+  ...exitFields
+});
+
+const updateSchema = z.object(exitFields).partial();
+
+const rehireSchema = z.object({ rehireDate: dateSchema });
+
+function normalizeWord(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function validationErrors(result) {
+  return result.error.issues.map(issue => ({
+    path: issue.path.join('.'),
+    message: issue.message
+  }));
+}
+
+function toDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`);
+}
+
+// Exits in effect on a day: the employee left on or before it and was not back yet
+function goneOn(day) {
+  return {
+    exitDate: { lte: day },
+    OR: [{ rehiredOn: null }, { rehiredOn: { gt: day } }]
+  };
+}
+
+/**
+ * Prisma filter for employees still on the books at a point in time:
+ * active, and not between an exit on or before that day and a rehire. Exits
+ * recorded ahead of time leave the employee active; this filter drops them
+ * once the day passes.
+ */
+function activeEmployeesWhere(asOf = new Date()) {
+  return {
+    isActive: true,
+    exits: { none: goneOn(toDate(toDateKey(asOf))) }
+  };
+}
+
+/**
+ * Prisma filter for employees on the books after a past day, including those
+ * who have left since (employees deactivated without an exit record after the
+ * day are left out: when they left is unknown)
+ */
+function employedOnWhere(date) {
+  const day = toDate(toDateKey(date));
+  return {
+    AND: [
+      { OR: [{ joinDate: null }, { joinDate: { lte: day } }] },
+      { exits: { none: goneOn(day) } },
+      { OR: [{ isActive: true }, { exits: { some: { exitDate: { gt: day } } } }] }
+    ]
+  };
+}
+
+/**
+ * Exit ending the employment that a day falls in: the first exit, oldest
+ * first, the employee had not come back from by that day
+ * @param {Array} exits - The employee's exits
+ * @returns {Object|null} null when that employment has no recorded end
+ */
+function exitForDay(exits, date) {
+  const day = toDate(toDateKey(date));
+  return [...exits]
+    .sort((a, b) => a.exitDate - b.exitDate)
+    .find(exit => !exit.rehiredOn || exit.rehiredOn > day) || null;
+}
+
+/**
+ * Why an exit date does not fit between the employee's other exits
+ * @param {Array} exits - The employee's exits
+ * @param {Object|null} existing - Exit being changed (left out of the comparison)
+ * @returns {string|null}
+ */
+function exitDateConflict(exits, exitDate, existing = null) {
+  const day = toDate(exitDate);
+  if (existing?.rehiredOn && day >= existing.rehiredOn) {
+    return `must be before the rehire on ${toDateKey(existing.rehiredOn)}`;
+  }
+
+  const other = exits.find(exit => exit.id !== existing?.id &&
+    (!exit.rehiredOn || (day >= exit.exitDate && day < exit.rehiredOn)));
+  if (!other) return null;
+
+  return other.rehiredOn
+    ? `falls between the exit on ${toDateKey(other.exitDate)} and the rehire on ${toDateKey(other.rehiredOn)}`
+    : `the employee left on ${toDateKey(other.exitDate)} and has not been rehired`;
+}
+
+function formatExit(exit, employee = exit.employee) {
+  return {
+    employeeId: employee?.employeeId,
+    name: employee?.name,
+    department: employee?.department ?? null,
+    exitDate: toDateKey(exit.exitDate),
+    rehiredOn: exit.rehiredOn ? toDateKey(exit.rehiredOn) : null,
+    separationType: exit.separationType,
+    regrettable: exit.regrettable,
+    reason: exit.reason,
+    // Ground truth for the risk model: the last score before the exit
+    lastScore: exit.lastScoreId
+      ? {
+        id: exit.lastScoreId,
+        riskScore: exit.lastRiskScore,
+        riskCategory: exit.lastRiskCategory,
+        computedAt: exit.lastScoreComputedAt
+      }
+      : null,
+    source: exit.source,
+    recordedAt: exit.createdAt
+  };
+}
+
+/**
+ * Last risk snapshot computed on or before the exit date
+ */
+async function findScoreBeforeExit(client, employeeId, exitDate) {
+  const endOfExitDay = new Date(toDate(exitDate).getTime() + 24 * 60 * 60 * 1000 - 1);
+  const score = await client.attritionScore.findFirst({
+    where: { employeeId, computedAt: { lte: endOfExitDay } },
+    orderBy: { computedAt: 'desc' }
+  });
+
+  return {
+    lastScoreId: score ? score.id : null,
+    lastRiskScore: score ? score.riskScore : null,
+    lastRiskCategory: score ? score.riskCategory : null,
+    lastScoreComputedAt: score ? score.computedAt : null
+  };
+}
+
+/**
+ * Store an employee's exit (replacing the existing exit when given)
+ * and deactivate them once the exit date is reached, unless the exit was closed by a rehire
+ */
+async function writeExit(client, employee, exit, { existing = null, source, recordedById }) {
+  const data = {
+    exitDate: toDate(exit.exitDate),
+    separationType: exit.separationType,
+    regrettable: exit.regrettable ?? null,
+    reason: exit.reason || null,
+    ...await findScoreBeforeExit(client, employee.id, exit.exitDate),
+    source,
+    recordedById
+  };
+
+  const saved = existing
+    ? await client.employeeExit.update({ where: { id: existing.id }, data })
+    : await client.employeeExit.create({ data: { organizationId: employee.companyId, employeeId: employee.id, ...data } });
+
+  // An exit closed by a rehire does not end the current employment
+  if (!existing?.rehiredOn) {
+    await client.employee.update({
+      where: { id: employee.id },
+      data: { isActive: exit.exitDate > toDateKey(new Date()) }
+    });
+  }
+
+  return saved;
+}
+
+/**
+ * @param {Object} filters - { from, to, separationType, regrettable, page, limit } (from / to: exit dates, YYYY-MM-DD)
+ */
+async function listExits(companyId, { from, to, separationType, regrettable, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const where = { organizationId: companyId };
+  if (from || to) {
+    where.exitDate = {
+      ...(from && { gte: toDate(from) }),
+      ...(to && { lte: toDate(to) })
+    };
+  }
+  if (separationType) where.separationType = separationType;
+  if (regrettable !== undefined) where.regrettable = regrettable;
+
+  const take = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const [exits, total] = await Promise.all([
+    prisma.employeeExit.findMany({
+      where,
+      include: { employee: true },
+      orderBy: { exitDate: 'desc' },
+      skip: (Math.max(page, 1) - 1) * take,
+      take
+    }),
+    prisma.employeeExit.count({ where })
+  ]);
+
+  return { exits: exits.map(exit => formatExit(exit)), total, page: Math.max(page, 1), limit: take };
+}
+
+// An employee's exits, newest first
+function findExits(client, employee) {
+  return client.employeeExit.findMany({
+    where: { employeeId: employee.id },
+    orderBy: { exitDate: 'desc' }
+  });
+}
+
+/**
+ * An employee's latest exit, with the earlier ones of a rehired employee
+ */
+async function getExit(companyId, employeeId) {
+  const employee = await prisma.employee.findFirst({ where: { companyId, employeeId } });
+  if (!employee) return null;
+
+  const [exit, ...earlier] = await findExits(prisma, employee);
+  return exit
+    ? { ...formatExit(exit, employee), earlierExits: earlier.map(e => formatExit(e, employee)) }
+    : null;
+}
+
+/**
+ * Record an employee's exit (a rehired employee's earlier exits are kept)
+ * @returns {Promise<Object|null>} null when the employee does not exist
+ */
+async function recordExit(companyId, input, { recordedById = null } = {}) {
+  const result = exitSchema.safeParse(input);
+  if (!result.success) {
+    return { valid: false, errors: validationErrors(result) };
+  }
+
+  const employee = await prisma.employee.findFirst({
+    where: { companyId, employeeId: result.data.employeeId }
+  });
+  if (!employee) return null;
+
+  const conflict = exitDateConflict(await findExits(prisma, employee), result.data.exitDate);
+  if (conflict) {
+    return { valid: false, errors: [{ path: 'exitDate', message: conflict }] };
+  }
+
+  const exit = await prisma.$transaction(tx =>
+    writeExit(tx, employee, result.data, { source: EXIT_SOURCES.API, recordedById })
+  );
+
+  // Exited employees drop out of cached reports
+  await scoreCache.invalidate(companyId);
+  return { valid: true, exit: formatExit(exit, employee), errors: [] };
+}
+
+/**
+ * Update an employee's latest exit. Partial input is merged onto the stored exit.
+ * @returns {Promise<Object|null>} null when the employee or exit does not exist
+ */
+async function updateExit(companyId, employeeId, input, { recordedById = null } = {}) {
+  const employee = await prisma.employee.findFirst({ where: { companyId, employeeId } });
+  if (!employee) return null;
+  const exits = await findExits(prisma, employee);
+  const existing = exits[0];
+  if (!existing) return null;
+
+  const result = updateSchema.safeParse(input);
+  if (!result.success) {
+    return { valid: false, errors: validationErrors(result) };
+  }
+
+  const merged = {
+    exitDate: result.data.exitDate ?? toDateKey(existing.exitDate),
+    separationType: result.data.separationType ?? existing.separationType,
+    regrettable: result.data.regrettable !== undefined ? result.data.regrettable : existing.regrettable,
+    reason: result.data.reason !== undefined ? result.data.reason : existing.reason
+  };
+
+  const conflict = exitDateConflict(exits, merged.exitDate, existing);
+  if (conflict) {
+    return { valid: false, errors: [{ path: 'exitDate', message: conflict }] };
+  }
+
+  const exit = await prisma.$transaction(tx =>
+    writeExit(tx, employee, merged, { existing, source: existing.source, recordedById })
+  );
+
+  await scoreCache.invalidate(companyId);
+  return { valid: true, exit: formatExit(exit, employee), errors: [] };
+}
+
+/**
+ * Record that an employee who left came back; their latest exit is kept and ends on the rehire date
+ * @param {Object} input - { rehireDate } (YYYY-MM-DD, first day back)
+ * @returns {Promise<Object|null>} null when the employee or an exit to return from does not exist
+ */
+async function rehireEmployee(companyId, employeeId, input) {
+  const employee = await prisma.employee.findFirst({ where: { companyId, employeeId } });
+  if (!employee) return null;
+  const [exit] = await findExits(prisma, employee);
+  if (!exit || exit.rehiredOn) return null;
+
+  const result = rehireSchema.safeParse(input);
+  if (!result.success) {
+    return { valid: false, errors: validationErrors(result) };
+  }
+  if (result.data.rehireDate <= toDateKey(exit.exitDate)) {
+    return { valid: false, errors: [{ path: 'rehireDate', message: `must be after the exit on ${toDateKey(exit.exitDate)}` }] };
+  }
+
+  const rehired = await prisma.$transaction(async (tx) => {
+    await tx.employee.update({ where: { id: employee.id }, data: { isActive: true } });
+    return tx.employeeExit.update({ where: { id: exit.id }, data: { rehiredOn: toDate(result.data.rehireDate) } });
+  });
+
+  await scoreCache.invalidate(companyId);
+  return { valid: true, exit: formatExit(rehired, employee), errors: [] };
+}
+
+/**
+ * Remove an employee's latest exit recorded by mistake and reactivate them
+ * (a rehire is recorded with rehireEmployee, which keeps the exit)
+ */
+async function deleteExit(companyId, employeeId) {
+  const employee = await prisma.employee.findFirst({ where: { companyId, employeeId } });
+  if (!employee) return false;
+
+  const deleted = await prisma.$transaction(async (tx) => {
+    const [latest] = await findExits(tx, employee);
+    if (!latest) return false;
+
+    await tx.employeeExit.delete({ where: { id: latest.id } });
+    await tx.employee.update({ where: { id: employee.id }, data: { isActive: true } });
+    return true;
+  });
+
+  if (deleted) await scoreCache.invalidate(companyId);
+  return deleted;
+}
+
+function findExitColumn(headers, field) {
+  const normalized = headers.map(normalizeWord);
+  const synonym = EXIT_COLUMNS[field].find(name => normalized.includes(name));
+  return synonym ? headers[normalized.indexOf(synonym)] : null;
+}
+
+// Trimmed cell values of an exit row (blank cells are undefined; dates keep their raw value)
+function readExitRow(record, columns) {
+  const row = {};
+  Object.entries(columns).forEach(([field, header]) => {
+    if (!header) return;
+    const value = record[header];
+    if (value === undefined || value === null || String(value).trim() === '') return;
+    row[field] = field === 'exitDate' && typeof value !== 'string' ? value : String(value).trim();
+  });
+  return row;
+}
+
+/**
+ * Read the rows of an exit file (a CSV or the first sheet of a workbook)
+ * Throws on file-level problems (format, missing columns); nothing is written.
+ * @returns {Array} Trimmed row values keyed by field
+ */
+function readExitFile(buffer, filename) {
+  const [{ records }] = fileParser.readSheets(buffer, filename);
+  if (records.length === 0) {
+    throw new Error('File is empty');
+  }
+
+  const headers = Object.keys(records[0]);
+  const columns = Object.fromEntries(Object.keys(EXIT_COLUMNS).map(field => [field, findExitColumn(headers, field)]));
+  const missing = ['employeeId', 'exitDate', 'separationType'].filter(field => !columns[field]);
+  if (missing.length > 0) {
+    throw new Error(`Exit file must have employee id, exit date and separation type columns (missing: ${missing.join(', ')})`);
+  }
+
+  return records.map(record => readExitRow(record, columns));
+}
+
+/**
+ * Record exits from rows read by readExitFile
+ * A row replaces the employee's exit on the same date, or their latest exit
+ * when they have not been rehired since; otherwise it adds an exit. Every row
+ * is checked before anything is written; valid rows are written in batches.
+ * @param {Object} options - { dateOrder, recordedById }
+ * @returns {Promise<Object>} { processed, totalRows, counts, errors, warnings }
+ */
+async function importExits(companyId, rows, { dateOrder: requestedOrder, recordedById = null } = {}) {
+  const { dateOrder, warning } = resolveDateOrder(requestedOrder, rows.map(row => row.exitDate));
+
+  const errors = [];
+  const counts = { created: 0, updated: 0, failed: 0 };
+  const fail = (row, messages) => {
+    counts.failed++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push({ row, errors: messages });
+  };
+
+  const employees = await prisma.employee.findMany({ where: { companyId } });
+  const byCode = new Map(employees.map(e => [e.employeeId, e]));
+  const exitsByEmployee = new Map();
+  (await prisma.employeeExit.findMany({ where: { organizationId: companyId } })).forEach(exit => {
+    if (!exitsByEmployee.has(exit.employeeId)) exitsByEmployee.set(exit.employeeId, []);
+    exitsByEmployee.get(exit.employeeId).push(exit);
+  });
+  const seen = new Set();
+  const accepted = [];
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    const rowErrors = [];
+
+    let exitDate;
+    if (row.exitDate !== undefined) {
+      const date = parseDateValue(row.exitDate, { dateOrder });
+      if (date.error) rowErrors.push(`exit date is invalid: ${date.error}`);
+      else exitDate = date.date;
+    }
+
+    let regrettable = null;
+    if (row.regrettable !== undefined) {
+      regrettable = BOOLEAN_WORDS[normalizeWord(row.regrettable)];
+      if (regrettable === undefined) rowErrors.push(`regrettable '${row.regrettable}' must be yes or no`);
+    }
+
+    const result = exitSchema.safeParse({
+      employeeId: row.employeeId,
+      exitDate,
+      separationType: row.separationType,
+      regrettable,
+      reason: row.reason
+    });
+    if (!result.success) {
+      // An unparseable date is already reported above
+      rowErrors.push(...validationErrors(result)
+        .filter(e => !(e.path === 'exitDate' && row.exitDate !== undefined && !exitDate))
+        .map(e => `${e.path}: ${e.message}`));
+    }
+
+    const employee = result.success ? byCode.get(result.data.employeeId) : null;
+    if (result.success && !employee) {
+      rowErrors.push(`employee '${result.data.employeeId}' not found`);
+    }
+    if (result.success && seen.has(result.data.employeeId)) {
+      rowErrors.push(`employee ${result.data.employeeId} appears more than once`);
+    }
+
+    let existing = null;
+    if (employee && rowErrors.length === 0) {
+      const exits = exitsByEmployee.get(employee.id) || [];
+      existing = exits.find(exit => toDateKey(exit.exitDate) === result.data.exitDate) ||
+        exits.find(exit => !exit.rehiredOn) || null;
+      const conflict = exitDateConflict(exits, result.data.exitDate, existing);
+      if (conflict) rowErrors.push(`exit date ${conflict}`);
+    }
+
+    if (rowErrors.length > 0) {
+      fail(rowNumber, rowErrors);
+      return;
+    }
+    seen.add(result.data.employeeId);
+    accepted.push({ employee, exit: result.data, existing });
+  });
+
+  try {
+    for (let i = 0; i < accepted.length; i += WRITE_BATCH_SIZE) {
+      const batch = accepted.slice(i, i + WRITE_BATCH_SIZE);
+      await prisma.$transaction(async (tx) => {
+        for (const { employee, exit, existing } of batch) {
+          await writeExit(tx, employee, exit, { existing, source: EXIT_SOURCES.IMPORT, recordedById });
+        }
+      }, { timeout: WRITE_TIMEOUT_MS });
+      batch.forEach(({ existing }) => counts[existing ? 'updated' : 'created']++);
+    }
+  } finally {
+    // Batches committed before a failure are kept and must not be hidden by cached reports
+    if (counts.created > 0 || counts.updated > 0) {
+      await scoreCache.invalidate(companyId);
+    }
+  }
+
+  return {
+    processed: counts.created + counts.updated,
+    totalRows: rows.length,
+    counts,
+    errors,
+    warnings: warning ? [warning] : []
+  };
+}
+
+module.exports = {
+  SEPARATION_TYPES,
+  activeEmployeesWhere,
+  employedOnWhere,
+  exitForDay,
+  formatExit,
+  listExits,
+  getExit,
+  recordExit,
+  updateExit,
+  rehireEmployee,
+  deleteExit,
+  readExitFile,
+  importExits
+};
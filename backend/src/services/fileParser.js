@@ -1,6 +1,12 @@
+const fs = require('fs');
 const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
 const { parse } = require('csv-parse/sync');
-const { format, isWeekend, parse: parseDate } = require('date-fns');
+const { parse: parseStream } = require('csv-parse');
+const { createCalendar, describeWorkDays, toDateKey } = require('./workCalendar');
+const { applyMapping } = require('./columnMapper');
+const { parseDateValue, parseDateTimeValue, resolveDateOrder, startOfDayInTimezone } = require('./dateParsing');
+const { createStatusDictionary, STATUS_CATEGORIES } = require('./statusDictionary');
 
 const REQUIRED_COLUMNS = [
   'employee_id',
@@ -12,49 +18,239 @@ const REQUIRED_COLUMNS = [
   'manager_email'
 ];
 
-const VALID_STATUSES = ['Present', 'Planned Leave', 'Unplanned Leave', 'Absent'];
+// Workbook sheet selection: sheets is 'first' (default), 'all' or a list of names; sheetPattern a glob such as 'Jan*'
+const SHEET_SELECTIONS = {
+  FIRST: 'first',
+  ALL: 'all'
+};
+
+// Summary sheet of an annotated error workbook; skipped unless named so a corrected file can be uploaded as is
+const ERROR_SUMMARY_SHEET = 'Import Errors';
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Pick the sheets of a workbook to read
+ * @param {Array} sheetNames - Sheets in workbook order
+ * @param {Object} selection - { sheets, sheetPattern }
+ * @returns {{ selected: Array, missing: Array }} missing lists requested names the workbook lacks
+ */
+function selectSheets(sheetNames, { sheets = SHEET_SELECTIONS.FIRST, sheetPattern } = {}) {
+  const dataSheets = sheetNames.filter(name => name !== ERROR_SUMMARY_SHEET);
+  if (sheetPattern) {
+    const pattern = globToRegExp(sheetPattern);
+    return { selected: dataSheets.filter(name => pattern.test(name)), missing: [] };
+  }
+  if (sheets === SHEET_SELECTIONS.ALL) {
+    return { selected: dataSheets, missing: [] };
+  }
+  if (!sheets || sheets === SHEET_SELECTIONS.FIRST) {
+    return { selected: dataSheets.slice(0, 1), missing: [] };
+  }
+
+  const requested = Array.isArray(sheets) ? sheets : String(sheets).split(',').map(name => name.trim()).filter(Boolean);
+  const byName = new Map(sheetNames.map(name => [name.toLowerCase(), name]));
+  return {
+    selected: requested.filter(name => byName.has(name.toLowerCase())).map(name => byName.get(name.toLowerCase())),
+    missing: requested.filter(name => !byName.has(name.toLowerCase()))
+  };
+}
+
+// Share of the expected working days an employee must cover (55 of 63 under the old fixed range)
+const MIN_COVERAGE_RATIO = 0.87;
+
+// ExcelJS cell value -> plain value (dates stay Dates for dateParsing, formulas as their result)
+function plainCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return plainCellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+  }
+  return value;
+}
 
 class FileParserService {
   
-  parseFile(buffer, filename) {
+  /**
+   * @param {Object} options - { calendar, statusDictionary, mapping, dateOrder, sheets, sheetPattern }
+   *   calendar: organization calendar from workCalendar.loadCalendar (work weeks, holidays, timezone)
+   *   statusDictionary: organization status codes from statusDictionary.loadStatusDictionary
+   *   mapping: column mapping applied before validation (columnMapper)
+   *   dateOrder: 'DMY' | 'MDY' | 'auto' for DD/MM vs MM/DD dates (auto detects and warns when ambiguous)
+   *   sheets, sheetPattern: workbook sheets to read (see selectSheets; first sheet by default)
+   */
+  parseFile(buffer, filename, options = {}) {
     const ext = filename.split('.').pop().toLowerCase();
     
     if (ext === 'csv') {
-      return this.parseCSV(buffer);
+      return this.parseCSV(buffer, options);
     } else if (['xlsx', 'xls'].includes(ext)) {
-      return this.parseExcel(buffer);
+      return this.parseExcel(buffer, { ...options, filename });
     } else {
       throw new Error('Unsupported file format. Only CSV and Excel files are allowed.');
     }
   }
   
-  parseCSV(buffer) {
+  parseCSV(buffer, options = {}) {
     try {
       const records = parse(buffer, {
         columns: true,
         skip_empty_lines: true,
         trim: true
       });
-      return this.validateAndNormalize(records);
+      return this.validateAndNormalize(this.mapRecords(records, options), options);
     } catch (error) {
       throw new Error(`CSV parsing failed: ${error.message}`);
     }
   }
   
-  parseExcel(buffer) {
+  parseExcel(buffer, options = {}) {
     try {
-      const workbook = XLSX.read(buffer, { type: 'buffer' });
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const records = XLSX.utils.sheet_to_json(worksheet);
-      return this.validateAndNormalize(records);
+      // Selected sheets are read one after another (options.sheets / options.sheetPattern)
+      const records = this.readSheets(buffer, options.filename || 'the workbook', options).flatMap(sheet => sheet.records);
+      return this.validateAndNormalize(this.mapRecords(records, options), options);
     } catch (error) {
       throw new Error(`Excel parsing failed: ${error.message}`);
     }
   }
   
-  validateAndNormalize(records) {
+  selectSheets(sheetNames, selection) {
+    return selectSheets(sheetNames, selection);
+  }
+  
+  /**
+   * Read the selected sheets of a workbook (a CSV file is one unnamed sheet)
+   * @param {Object} selection - { sheets, sheetPattern } as for selectSheets
+   * @returns {Array} [{ sheet, records }] in workbook order
+   */
+  readSheets(buffer, filename, selection = {}) {
+    if (filename.split('.').pop().toLowerCase() === 'csv') {
+      return [{
+        sheet: null,
+        records: parse(buffer, { columns: true, skip_empty_lines: true, trim: true })
+      }];
+    }
+    
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const { selected, missing } = selectSheets(workbook.SheetNames, selection);
+    
+    if (missing.length > 0) {
+      throw new Error(`Sheet(s) not found in ${filename}: ${missing.join(', ')}. Available: ${workbook.SheetNames.join(', ')}`);
+    }
+    if (selected.length === 0) {
+      throw new Error(`No sheet in ${filename} matches '${selection.sheetPattern}'. Available: ${workbook.SheetNames.join(', ')}`);
+    }
+    
+    // Empty cells are kept as '' (as in CSV) so a column left blank on every row still counts as present
+    return selected.map(sheet => ({
+      sheet,
+      records: XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { defval: '' })
+    }));
+  }
+  
+  /**
+   * Stream the rows of a CSV or XLSX file one at a time
+   * Unlike parseFile the file is never held in memory as a whole.
+   * @param {string} filePath - Stored file
+   * @param {string} filename - Original name, decides the format
+   * @param {Object} options - { sheets, sheetPattern, onBytesRead(bytes) }
+   *   sheets, sheetPattern: worksheets to read (see selectSheets; first sheet by default)
+   *   onBytesRead: for progress reporting
+   * @returns {AsyncGenerator<Object>} { sheet, row, record } with record keyed by header and row the
+   *   file row number; sheet is set only when several worksheets are read
+   */
+  async *streamFile(filePath, filename, { sheets, sheetPattern, onBytesRead } = {}) {
+    const ext = filename.split('.').pop().toLowerCase();
+    if (!['csv', 'xlsx'].includes(ext)) {
+      throw new Error('Unsupported file format for streaming. Only CSV and XLSX files are allowed.');
+    }
+    
+    const input = fs.createReadStream(filePath);
+    if (onBytesRead) {
+      input.on('data', () => onBytesRead(input.bytesRead));
+    }
+    
+    try {
+      if (ext === 'csv') {
+        let row = 1; // Header row
+        for await (const record of input.pipe(parseStream({
+          columns: true,
+          skip_empty_lines: true,
+          trim: true
+        }))) {
+          row++;
+          yield { sheet: null, row, record };
+        }
+        return;
+      }
+      
+      const workbook = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+        sharedStrings: 'cache',
+        hyperlinks: 'ignore',
+        styles: 'ignore',
+        worksheets: 'emit'
+      });
+      
+      // Sheet names are known once the workbook part is read, before the first worksheet is emitted
+      let selected = null;
+      let sheetsRead = 0;
+      for await (const worksheet of workbook) {
+        if (!selected) {
+          const sheetNames = (workbook.model?.sheets || []).map(sheet => sheet.name);
+          const selection = selectSheets(sheetNames, { sheets, sheetPattern });
+          if (selection.missing.length > 0) {
+            throw new Error(`Sheet(s) not found in ${filename}: ${selection.missing.join(', ')}. Available: ${sheetNames.join(', ')}`);
+          }
+          if (selection.selected.length === 0) {
+            throw new Error(`No sheet in ${filename} matches '${sheetPattern}'. Available: ${sheetNames.join(', ')}`);
+          }
+          selected = selection.selected;
+        }
+        if (!selected.includes(worksheet.name)) {
+          // A skipped worksheet still has to be drained for the zip stream to move on
+          for await (const row of worksheet) void row;
+          continue;
+        }
+        
+        const sheet = selected.length > 1 ? worksheet.name : null;
+        let headers = null;
+        
+        for await (const row of worksheet) {
+          // row.values is 1-based
+          const values = row.values.slice(1).map(plainCellValue);
+          if (!headers) {
+            headers = values.map(value => String(value).trim());
+            continue;
+          }
+          if (values.every(value => value === '')) continue;
+          
+          const record = {};
+          headers.forEach((header, i) => {
+            if (header) record[header] = values[i] ?? '';
+          });
+          yield { sheet, row: row.number, record };
+        }
+        
+        sheetsRead++;
+        if (sheetsRead === selected.length) break;
+      }
+    } finally {
+      input.destroy();
+    }
+  }
+  
+  mapRecords(records, { mapping } = {}) {
+    return mapping ? applyMapping(records, mapping) : records;
+  }
+  
+  validateAndNormalize(records, { calendar = createCalendar(), statusDictionary = createStatusDictionary(), dateOrder: requestedOrder } = {}) {
     const errors = [];
+    const warnings = [];
     const validRecords = [];
     const seenKeys = new Set();
     
@@ -70,83 +266,120 @@ class FileParserService {
       throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
     }
     
+    // DD/MM vs MM/DD is decided once for the whole file
+    const { dateOrder, warning } = resolveDateOrder(
+      requestedOrder,
+      records.flatMap(r => [r.date, r.informed_time])
+    );
+    if (warning) {
+      warnings.push(warning);
+    }
+    const dateOptions = { dateOrder, timezone: calendar.timezone };
+    
     // Validate each record
-    records.forEach((record, index) => {
+    records.forEach((source, index) => {
       const rowNumber = index + 2; // +2 for header and 0-index
+      // Excel cells arrive as numbers; validate everything except dates as text
+      const record = Object.fromEntries(
+        Object.entries(source).map(([key, value]) => [
+          key,
+          value === null || value === undefined ? '' : value instanceof Date ? value : String(value)
+        ])
+      );
+      
+      // Each error names the canonical field it concerns so it can be traced back to a cell
       const rowErrors = [];
+      const fieldErrors = [];
+      const fail = (field, message) => {
+        rowErrors.push(message);
+        fieldErrors.push({ field, message });
+      };
       
       // Validate employee_id
       if (!record.employee_id || record.employee_id.trim() === '') {
-        rowErrors.push('employee_id is required');
+        fail('employee_id', 'employee_id is required');
       } else if (record.employee_id.length > 20) {
-        rowErrors.push('employee_id must be max 20 characters');
+        fail('employee_id', 'employee_id must be max 20 characters');
       }
       
       // Validate employee_name
       if (!record.employee_name || record.employee_name.trim() === '') {
-        rowErrors.push('employee_name is required');
+        fail('employee_name', 'employee_name is required');
       } else if (record.employee_name.length > 100) {
-        rowErrors.push('employee_name must be max 100 characters');
+        fail('employee_name', 'employee_name must be max 100 characters');
       }
       
-      // Validate date
+      // Validate date (Excel serials, ISO and DD/MM/YYYY or MM/DD/YYYY)
       let parsedDate;
-      try {
-        parsedDate = parseDate(record.date, 'yyyy-MM-dd', new Date());
-        if (isNaN(parsedDate.getTime())) {
-          rowErrors.push('date must be in YYYY-MM-DD format');
-        } else if (isWeekend(parsedDate)) {
-          rowErrors.push('date cannot be a weekend (Saturday/Sunday)');
+      const department = record.department ? record.department.trim() : null;
+      const parsedDay = parseDateValue(record.date, dateOptions);
+      if (parsedDay.error) {
+        fail('date', `date is invalid: ${parsedDay.error}`);
+      } else {
+        parsedDate = new Date(`${parsedDay.date}T00:00:00.000Z`);
+        if (!calendar.isWorkDay(parsedDate, department)) {
+          fail('date', `date is not a working day (work week: ${describeWorkDays(calendar.workDaysFor(department))})`);
         }
-      } catch (e) {
-        rowErrors.push('date must be in YYYY-MM-DD format');
       }
       
-      // Validate status
-      if (!VALID_STATUSES.includes(record.status)) {
-        rowErrors.push(`status must be one of: ${VALID_STATUSES.join(', ')}`);
+      // Validate status (raw codes such as HD or WFH resolve through the status dictionary)
+      const status = statusDictionary.resolve(record.status);
+      if (!status) {
+        fail('status', `status '${record.status}' is not a known status code`);
       }
+      const isLeave = status && (status.status === STATUS_CATEGORIES.PLANNED_LEAVE || status.status === STATUS_CATEGORIES.UNPLANNED_LEAVE);
       
-      // Validate informed_time
-      if (record.status === 'Planned Leave' || record.status === 'Unplanned Leave') {
-        if (!record.informed_time) {
-          rowErrors.push('informed_time is required for leave records');
+      // Validate informed_time (lead time is measured from the start of the leave day in the organization's timezone)
+      let informedTime = null;
+      if (record.informed_time) {
+        const parsedInformed = parseDateTimeValue(record.informed_time, dateOptions);
+        if (parsedInformed.error) {
+          fail('informed_time', `informed_time is invalid: ${parsedInformed.error}`);
         } else {
-          try {
-            const informedDate = new Date(record.informed_time);
-            if (isNaN(informedDate.getTime())) {
-              rowErrors.push('informed_time must be valid datetime');
-            } else if (record.status === 'Planned Leave' && informedDate > parsedDate) {
-              rowErrors.push('informed_time must be before the leave date for planned leave');
-            } else if (record.status === 'Unplanned Leave') {
-              const timeDiff = Math.abs(parsedDate - informedDate) / (1000 * 60 * 60);
-              if (timeDiff > 24) {
-                rowErrors.push('informed_time must be within 24 hours of date for unplanned leave');
-              }
+          informedTime = parsedInformed.instant;
+        }
+      }
+      
+      if (isLeave) {
+        if (!record.informed_time) {
+          fail('informed_time', 'informed_time is required for leave records');
+        } else if (informedTime && parsedDate) {
+          const leaveStart = startOfDayInTimezone(parsedDay.date, calendar.timezone);
+          if (status.status === STATUS_CATEGORIES.PLANNED_LEAVE && informedTime > leaveStart) {
+            fail('informed_time', 'informed_time must be before the leave date for planned leave');
+          } else if (status.status === STATUS_CATEGORIES.UNPLANNED_LEAVE) {
+            const timeDiff = Math.abs(leaveStart - informedTime) / (1000 * 60 * 60);
+            if (timeDiff > 24) {
+              fail('informed_time', 'informed_time must be within 24 hours of date for unplanned leave');
             }
-          } catch (e) {
-            rowErrors.push('informed_time format is invalid');
           }
         }
       }
       
+      // Validate hours_worked (optional)
+      const hasHours = record.hours_worked !== undefined && record.hours_worked !== '';
+      const hoursWorked = hasHours ? Number(record.hours_worked) : null;
+      if (hasHours && (isNaN(hoursWorked) || hoursWorked < 0 || hoursWorked > 24)) {
+        fail('hours_worked', 'hours_worked must be a number between 0 and 24');
+      }
+      
       // Validate department
       if (!record.department || record.department.trim() === '') {
-        rowErrors.push('department is required');
+        fail('department', 'department is required');
       } else if (record.department.length > 50) {
-        rowErrors.push('department must be max 50 characters');
+        fail('department', 'department must be max 50 characters');
       }
       
       // Validate manager_email
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!record.manager_email || !emailRegex.test(record.manager_email)) {
-        rowErrors.push('manager_email must be a valid email address');
+        fail('manager_email', 'manager_email must be a valid email address');
       }
       
       // Check for duplicates
-      const key = `${record.employee_id}_${record.date}`;
+      const key = `${record.employee_id}_${parsedDay.date || record.date}`;
       if (seenKeys.has(key)) {
-        rowErrors.push('duplicate employee_id + date combination');
+        fail('date', 'duplicate employee_id + date combination');
       } else {
         seenKeys.add(key);
       }
@@ -154,22 +387,26 @@ class FileParserService {
       if (rowErrors.length > 0) {
         errors.push({
           row: rowNumber,
-          errors: rowErrors
+          errors: rowErrors,
+          fields: fieldErrors
         });
       } else {
         validRecords.push({
           employeeId: record.employee_id.trim(),
           employeeName: record.employee_name.trim(),
           date: parsedDate,
-          status: record.status,
-          informedTime: record.informed_time ? new Date(record.informed_time) : null,
+          status: status.status,
+          statusCode: status.statusCode,
+          dayFraction: status.dayFraction,
+          informedTime,
+          hoursWorked,
           department: record.department.trim(),
           managerEmail: record.manager_email.trim().toLowerCase()
         });
       }
     });
     
-    // Validate 3-month period (approximately 63 working days)
+    // Validate coverage against the working days in the upload's date range
     const employeeGroups = {};
     validRecords.forEach(record => {
       if (!employeeGroups[record.employeeId]) {
@@ -178,22 +415,53 @@ class FileParserService {
       employeeGroups[record.employeeId].push(record);
     });
     
-    Object.entries(employeeGroups).forEach(([empId, records]) => {
-      if (records.length < 55 || records.length > 70) {
-        errors.push({
-          employee: empId,
-          errors: [`Employee must have approximately 63 working days of data (3 months, 5-day week). Found ${records.length} days.`]
+    const coverage = [];
+    let range = null;
+    
+    if (validRecords.length > 0) {
+      const times = validRecords.map(record => record.date.getTime());
+      const rangeStart = new Date(Math.min(...times));
+      const rangeEnd = new Date(Math.max(...times));
+      range = { start: toDateKey(rangeStart), end: toDateKey(rangeEnd) };
+      
+      Object.entries(employeeGroups).forEach(([empId, records]) => {
+        const { department } = records[0];
+        const expected = calendar.countWorkingDays(rangeStart, rangeEnd, department);
+        // Work done on holidays is allowed, so the upper bound ignores holidays
+        const maximum = calendar.countWorkingDays(rangeStart, rangeEnd, department, { includeHolidays: true });
+        const minimum = Math.floor(expected * MIN_COVERAGE_RATIO);
+        const sufficient = records.length >= minimum && records.length <= maximum;
+        
+        coverage.push({
+          employeeId: empId,
+          department,
+          days: records.length,
+          expectedWorkingDays: expected,
+          coverage: expected > 0 ? Math.round((records.length / expected) * 1000) / 10 : null,
+          sufficient
         });
-      }
-    });
+        
+        if (!sufficient) {
+          errors.push({
+            employee: empId,
+            errors: [`Employee must have approximately ${expected} working days of data between ${toDateKey(rangeStart)} and ${toDateKey(rangeEnd)} (${describeWorkDays(calendar.workDaysFor(department))} work week). Found ${records.length} days.`]
+          });
+        }
+      });
+    }
     
     return {
       valid: errors.length === 0,
       validRecords,
       invalidRecords: errors.length,
-      errors
+      errors,
+      warnings,
+      dateOrder,
+      range,
+      coverage
     };
   }
 }
 
 module.exports = new FileParserService();
+module.exports.ERROR_SUMMARY_SHEET = ERROR_SUMMARY_SHEET;
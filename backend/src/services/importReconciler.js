@@ -0,0 +1,133 @@
+/**
+ * Import Reconciler
+ * A batch (several sheets of a workbook, or several files) can carry more
+ * than one row for the same employee and date. The reconcile rule decides
+ * which row is imported:
+ *   latest   - the row read last wins (file order, then sheet order, then row)
+ *   error    - duplicates are rejected and reported as validation errors
+ *   priority - the row whose status ranks first in statusPriority wins (ties: latest)
+ */
+
+const { STATUSES } = require('./statusDictionary');
+
+const RECONCILE_RULES = {
+  LATEST: 'latest',
+  ERROR: 'error',
+  PRIORITY: 'priority'
+};
+
+// Absences outrank presence so a correction sheet cannot hide an absence by accident
+const DEFAULT_STATUS_PRIORITY = ['Absent', 'Unplanned Leave', 'Planned Leave', 'Remote', 'Present'];
+
+const SAMPLE_DUPLICATES = 100;
+
+/**
+ * Requested rule -> one of RECONCILE_RULES (missing means latest), null when not recognized
+ */
+function normalizeReconcileRule(value) {
+  if (value === undefined || value === null || value === '') return RECONCILE_RULES.LATEST;
+  const rule = String(value).trim().toLowerCase();
+  return Object.values(RECONCILE_RULES).includes(rule) ? rule : null;
+}
+
+/**
+ * Status priority from a list or comma-separated string of statuses
+ * @returns {{ statusPriority?: Array, error?: string }}
+ */
+function parseStatusPriority(value) {
+  if (value === undefined || value === null || value === '') {
+    return { statusPriority: DEFAULT_STATUS_PRIORITY };
+  }
+
+  const requested = Array.isArray(value) ? value : String(value).split(',');
+  const byName = new Map(STATUSES.map(status => [status.toLowerCase(), status]));
+  const statusPriority = requested.map(status => byName.get(String(status).trim().toLowerCase()));
+
+  if (statusPriority.some(status => !status)) {
+    return { error: `statusPriority must list statuses from: ${STATUSES.join(', ')}` };
+  }
+  return { statusPriority };
+}
+
+function describeSource({ fileName, sheet, row }) {
+  return [fileName, sheet, `row ${row}`].filter(Boolean).join(' / ');
+}
+
+/**
+ * Keep one row per employee and date
+ * @param {Array} entries - [{ record, source: { fileName, sheet, row } }] in read order
+ * @param {Object} options - { rule, statusPriority, keyOf(record), statusOf(record) }
+ *   keyOf: employee + date key, null for rows that cannot be keyed (left to validation)
+ *   statusOf: canonical status of a record, for the priority rule
+ * @returns {{ kept: Array, duplicates: Array, duplicateCount: number, errors: Array }}
+ *   errors: [{ fileName, sheet, row, errors }] for rows rejected by the error rule
+ */
+function reconcileEntries(entries, {
+  rule = RECONCILE_RULES.LATEST,
+  statusPriority = DEFAULT_STATUS_PRIORITY,
+  keyOf,
+  statusOf = record => record.status
+}) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry.record);
+    if (key === null) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  const rank = entry => {
+    const index = statusPriority.indexOf(statusOf(entry.record));
+    return index === -1 ? statusPriority.length : index;
+  };
+
+  const discarded = new Set();
+  const duplicates = [];
+  const errors = [];
+
+  groups.forEach((group, key) => {
+    if (group.length < 2) return;
+
+    let winner;
+    if (rule === RECONCILE_RULES.ERROR) {
+      winner = group[0];
+    } else if (rule === RECONCILE_RULES.PRIORITY) {
+      winner = group.reduce((best, entry) => (rank(entry) <= rank(best) ? entry : best));
+    } else {
+      winner = group[group.length - 1];
+    }
+
+    const losers = group.filter(entry => entry !== winner);
+    losers.forEach(entry => discarded.add(entry));
+
+    if (rule === RECONCILE_RULES.ERROR) {
+      losers.forEach(entry => errors.push({
+        ...entry.source,
+        errors: [`duplicate employee_id + date: also in ${describeSource(winner.source)}`]
+      }));
+    }
+
+    duplicates.push({
+      key,
+      rule,
+      kept: winner.source,
+      discarded: losers.map(entry => entry.source)
+    });
+  });
+
+  return {
+    kept: entries.filter(entry => !discarded.has(entry)),
+    duplicates: duplicates.slice(0, SAMPLE_DUPLICATES),
+    duplicateCount: duplicates.length,
+    errors
+  };
+}
+
+module.exports = {
+  RECONCILE_RULES,
+  DEFAULT_STATUS_PRIORITY,
+  normalizeReconcileRule,
+  parseStatusPriority,
+  describeSource,
+  reconcileEntries
+};
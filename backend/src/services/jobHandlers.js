@@ -0,0 +1,315 @@
+/**
+ * Job Handlers
+ * One handler per JOB_TYPES entry. Each receives the claimed job and a
+ * context with reportProgress(percent, message) and returns the job result.
+ * reportProgress resolves to false once another worker has taken the job over.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { JOB_TYPES } = require('./jobQueue');
+const { generateAttritionReport } = require('./attritionEngine');
+const { readSheetRows, mapRows, importAttendanceRows, importAttendanceFile } = require('./attendanceImport');
+const { finishUpload, markUploadFailed, markUploadProcessing, hasUploadChanges, rollbackUpload } = require('./uploadHistory');
+const { runBacktest } = require('./backtest');
+const { trainRiskModel } = require('./modelTraining');
+const reportGenerator = require('./reportGenerator');
+
+function getReportDir(organizationId) {
+  return path.join(process.env.REPORT_DIR || './reports', organizationId);
+}
+
+/**
+ * Shape an attrition report for ReportGeneratorService
+ */
+function buildAttritionReportData(report) {
+  return {
+    title: 'Attrition Risk Report',
+    columns: [
+      'Employee ID', 'Name', 'Risk Score', 'Risk Level', 'Absenteeism', 'Leave Pattern', 'Consistency',
+      'Recent Trend', 'Punctuality', 'Leave Notice', 'Absence Pattern', 'Change Point'
+    ],
+    data: report.employees.map(e => ({
+      employeeId: e.employeeId,
+      name: e.name || '',
+      score: e.score,
+      riskLevel: e.riskLevel,
+      absenteeism: e.factors.absenteeism ?? '',
+      leavePattern: e.factors.leavePattern ?? '',
+      consistency: e.factors.consistency ?? '',
+      recentTrend: e.factors.recentTrend ?? '',
+      punctuality: e.factors.punctuality ?? '',
+      leaveNotice: e.factors.leaveNotice ?? '',
+      absencePattern: e.factors.absencePattern ?? '',
+      changePoint: e.factors.changePoint ?? ''
+    })),
+    summary: {
+      'Period': report.period,
+      'Scoring Model Version': report.modelVersion,
+      'Total Employees': report.totalEmployees,
+      'High Risk': report.summary.high,
+      'Moderate Risk': report.summary.moderate,
+      'Low Risk': report.summary.low
+    }
+  };
+}
+
+async function runAttritionReport(job, { reportProgress }) {
+  const { months = 3, refresh = false } = job.payload;
+
+  const report = await generateAttritionReport(job.organizationId, months, {
+    refresh,
+    save: true,
+    onProgress: (percent, message) => reportProgress(percent * 0.95, message)
+  });
+
+  return {
+    reportId: report.reportId,
+    period: report.period,
+    modelVersion: report.modelVersion,
+    totalEmployees: report.totalEmployees,
+    summary: report.summary
+  };
+}
+
+// Formats the streaming reader handles; legacy .xls files are read whole
+const STREAMABLE_EXTENSIONS = ['csv', 'xlsx'];
+
+async function importLegacyFile(job, { reportProgress }) {
+  const { uploadedFileId, storedPath, mapping, dateOrder, sheets, sheetPattern, reconcile, statusPriority } = job.payload;
+
+  const sheetRows = readSheetRows(await fs.readFile(storedPath), { sheets, sheetPattern });
+  const data = sheetRows.flatMap(({ rows }) => rows);
+  if (data.length === 0) {
+    throw new Error('File is empty or invalid format');
+  }
+
+  const { rows, missingColumns } = mapRows(data, mapping);
+  if (missingColumns.length > 0) {
+    throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
+  }
+
+  const { processedRecords, errors, warnings, duplicates, counts } = await importAttendanceRows(job.organizationId, rows, {
+    uploadedFileId,
+    dateOrder,
+    sources: sheetRows.flatMap(({ sheet, rows: sheetData }) => sheetData.map((row, i) => ({
+      sheet: sheetRows.length > 1 ? sheet : null,
+      row: i + 2
+    }))),
+    reconcile,
+    statusPriority,
+    onProgress: reportProgress
+  });
+
+  return { processed: processedRecords.length, totalRows: data.length, errors, warnings, duplicates, counts };
+}
+
+/**
+ * Undo what a failed attendance import has written, so a failed attempt leaves nothing half applied
+ * @returns {Promise<Error>} The import error; when the rollback fails too its message says the upload
+ *   still has to be rolled back
+ */
+async function rollBackFailedImport(job, error) {
+  const { uploadedFileId } = job.payload;
+
+  try {
+    // Nothing to undo when the file was rejected before any row was written
+    if (await hasUploadChanges(uploadedFileId)) {
+      await rollbackUpload(job.organizationId, uploadedFileId);
+    }
+    return error;
+  } catch (rollbackError) {
+    console.error(`Rollback of failed upload ${uploadedFileId} failed:`, rollbackError);
+    return new Error(
+      `${error.message}. Rows written before the failure are still applied and could not be rolled back ` +
+      `(${rollbackError.message}); roll the upload back with DELETE /api/uploads/${uploadedFileId}`
+    );
+  }
+}
+
+async function runAttendanceImport(job, { reportProgress }) {
+  const {
+    uploadedFileId, storedPath, originalName, mapping, mappingId, dateOrder, sheets, sheetPattern, reconcile, statusPriority
+  } = job.payload;
+
+  // A failed attempt is rolled back, so a retry imports the upload again from the start
+  await markUploadProcessing(uploadedFileId);
+
+  try {
+    const extension = originalName.split('.').pop().toLowerCase();
+    const { processed, totalRows, errors, warnings, duplicates, counts } = STREAMABLE_EXTENSIONS.includes(extension)
+      ? await importAttendanceFile(job.organizationId, storedPath, originalName, {
+        uploadedFileId,
+        mapping,
+        mappingId,
+        dateOrder,
+        sheets,
+        sheetPattern,
+        reconcile,
+        statusPriority,
+        onProgress: reportProgress
+      })
+      : await importLegacyFile(job, { reportProgress });
+
+    await finishUpload(uploadedFileId, { ...counts, totalRows });
+
+    return {
+      uploadId: uploadedFileId,
+      originalName,
+      processed,
+      duplicates,
+      counts,
+      errors,
+      warnings
+    };
+  } catch (error) {
+    await markUploadFailed(uploadedFileId);
+    throw await rollBackFailedImport(job, error);
+  }
+}
+
+async function runReportExport(job, { reportProgress }) {
+  const { months = 3, format = 'both' } = job.payload;
+
+  const report = await generateAttritionReport(job.organizationId, months, {
+    onProgress: (percent, message) => reportProgress(percent * 0.7, message)
+  });
+
+  await reportProgress(75, 'Rendering report files');
+  const files = await reportGenerator.generateReport(
+    buildAttritionReportData(report),
+    format,
+    getReportDir(job.organizationId)
+  );
+
+  return {
+    ...files,
+    summary: report.summary
+  };
+}
+
+/**
+ * Shape a backtest for ReportGeneratorService: lift by decile as the main table,
+ * calibration and precision / recall as further sections
+ */
+function buildBacktestReportData(backtest) {
+  const percent = value => (value === null ? '' : `${Math.round(value * 1000) / 10}%`);
+
+  return {
+    title: 'Attrition Model Backtest',
+    columns: ['Decile', 'Employees', 'Score Range', 'Exits', 'Exit Rate', 'Lift', 'Cumulative Capture'],
+    data: backtest.liftByDecile.map(d => ({
+      decile: d.decile,
+      employees: d.employees,
+      scoreRange: `${d.minScore} - ${d.maxScore}`,
+      exits: d.exits,
+      exitRate: percent(d.exitRate),
+      lift: d.lift ?? '',
+      cumulativeCapture: percent(d.cumulativeCapture)
+    })),
+    sections: [
+      {
+        title: 'Calibration by Risk Band',
+        columns: ['Risk Level', 'Employees', 'Exits', 'Observed Exit Rate', 'Mean Score'],
+        data: backtest.calibration.map(band => ({
+          riskLevel: band.riskLevel,
+          employees: band.employees,
+          exits: band.exits,
+          observedExitRate: percent(band.observedExitRate),
+          meanScore: band.meanScore ?? ''
+        }))
+      },
+      {
+        title: 'Precision and Recall',
+        columns: ['Flagged At', 'Threshold', 'Flagged', 'Leavers Caught', 'Precision', 'Recall'],
+        data: backtest.classification.map(c => ({
+          flag: c.flag,
+          threshold: c.threshold,
+          flagged: c.flagged,
+          truePositives: c.truePositives,
+          precision: percent(c.precision),
+          recall: percent(c.recall)
+        }))
+      }
+    ],
+    summary: {
+      'Cutoff Date': backtest.cutoffDate,
+      'Outcome Window': `${backtest.outcomeWindow.from} to ${backtest.outcomeWindow.to}`,
+      'Scoring Model Version': backtest.modelVersion,
+      'Separation Type': backtest.separationType || 'All',
+      'Employees Evaluated': backtest.population.evaluated,
+      'Leavers': backtest.leavers,
+      'Base Exit Rate': percent(backtest.baseRate),
+      'ROC AUC': backtest.rocAuc ?? 'n/a',
+      ...Object.fromEntries(backtest.warnings.map((warning, i) => [`Warning ${i + 1}`, warning]))
+    }
+  };
+}
+
+async function runBacktestReport(job, { reportProgress }) {
+  const { cutoffDate, horizonMonths, months = 3, modelVersion, separationType } = job.payload;
+
+  const backtest = await runBacktest(job.organizationId, {
+    cutoffDate,
+    horizonMonths,
+    months,
+    modelVersion,
+    separationType,
+    onProgress: reportProgress
+  });
+  if (!backtest) {
+    throw new Error(`Scoring profile version ${modelVersion} not found`);
+  }
+
+  await reportProgress(92, 'Rendering backtest report');
+  const files = await reportGenerator.generateReport(
+    buildBacktestReportData(backtest),
+    'pdf',
+    getReportDir(job.organizationId)
+  );
+
+  return {
+    ...files,
+    backtest
+  };
+}
+
+async function runRiskModelTraining(job, { reportProgress }) {
+  const { horizonMonths, cutoffs, months, separationType, activate = true } = job.payload;
+
+  const result = await trainRiskModel(job.organizationId, {
+    horizonMonths,
+    cutoffs,
+    months,
+    separationType,
+    activate,
+    jobId: job.id,
+    createdById: job.createdById,
+    onProgress: reportProgress
+  });
+
+  // Too little history is an outcome, not a failure: scoring stays on the formula
+  if (!result.trained) {
+    return result;
+  }
+
+  return {
+    trained: true,
+    version: result.model.version,
+    isActive: result.model.isActive,
+    metrics: result.model.metrics
+  };
+}
+
+const handlers = {
+  [JOB_TYPES.ATTRITION_REPORT]: runAttritionReport,
+  [JOB_TYPES.ATTENDANCE_IMPORT]: runAttendanceImport,
+  [JOB_TYPES.REPORT_EXPORT]: runReportExport,
+  [JOB_TYPES.BACKTEST_REPORT]: runBacktestReport,
+  [JOB_TYPES.RISK_MODEL_TRAINING]: runRiskModelTraining
+};
+
+module.exports = {
+  getReportDir,
+  handlers
+};
@@ -0,0 +1,211 @@
+/**
+ * Postgres-backed Job Queue
+ * Jobs are rows in the Job table. Workers claim them with
+ * SELECT ... FOR UPDATE SKIP LOCKED so several worker processes can share
+ * one queue, and keep a heartbeat while running so jobs orphaned by a crash
+ * can be detected and retried.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const JOB_TYPES = {
+  ATTRITION_REPORT: 'ATTRITION_REPORT',
+  ATTENDANCE_IMPORT: 'ATTENDANCE_IMPORT',
+  REPORT_EXPORT: 'REPORT_EXPORT',
+  BACKTEST_REPORT: 'BACKTEST_REPORT',
+  RISK_MODEL_TRAINING: 'RISK_MODEL_TRAINING'
+};
+
+const JOB_STATUS = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BACKOFF_MS = 30 * 1000;
+
+/**
+ * Queue a job
+ * @param {string} organizationId - Organization the job belongs to
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload - Handler input (must be JSON serializable)
+ * @param {Object} options - { createdById, maxAttempts }
+ */
+async function enqueueJob(organizationId, type, payload = {}, { createdById = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  if (!Object.values(JOB_TYPES).includes(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  return prisma.job.create({
+    data: {
+      organizationId,
+      type,
+      payload,
+      maxAttempts,
+      createdById
+    }
+  });
+}
+
+async function getJob(organizationId, id) {
+  return prisma.job.findFirst({
+    where: { id, organizationId }
+  });
+}
+
+async function listJobs(organizationId, { type, status, limit = 20 } = {}) {
+  return prisma.job.findMany({
+    where: {
+      organizationId,
+      ...(type && { type }),
+      ...(status && { status })
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+}
+
+/**
+ * Atomically claim the oldest runnable job
+ * @param {string} workerId - Identifier of the claiming worker
+ * @returns {Promise<Object|null>} The claimed job, or null when the queue is empty
+ */
+async function claimNextJob(workerId) {
+  const rows = await prisma.$queryRaw`
+    UPDATE "Job"
+    SET status = ${JOB_STATUS.RUNNING},
+        "lockedBy" = ${workerId},
+        "lockedAt" = NOW(),
+        "heartbeatAt" = NOW(),
+        "startedAt" = COALESCE("startedAt", NOW()),
+        attempts = attempts + 1
+    WHERE id = (
+      SELECT id FROM "Job"
+      WHERE status = ${JOB_STATUS.QUEUED} AND "runAfter" <= NOW()
+      ORDER BY "createdAt"
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+  return rows[0] || null;
+}
+
+async function heartbeat(id, workerId) {
+  await prisma.job.updateMany({
+    where: { id, lockedBy: workerId, status: JOB_STATUS.RUNNING },
+    data: { heartbeatAt: new Date() }
+  });
+}
+
+// Only the run holding the lock may write a job; a worker that lost it
+// (stale heartbeat, job recovered and claimed again) must not overwrite the new run
+function ownedBy(job) {
+  return { id: job.id, lockedBy: job.lockedBy, attempts: job.attempts, status: JOB_STATUS.RUNNING };
+}
+
+/**
+ * Record progress of a running job
+ * @param {number} percent - 0-100
+ * @param {string} message - Optional human readable step
+ * @returns {Promise<boolean>} false when the job is no longer locked by this run
+ */
+async function updateProgress(job, percent, message = null) {
+  const { count } = await prisma.job.updateMany({
+    where: ownedBy(job),
+    data: {
+      progress: Math.max(0, Math.min(100, Math.round(percent))),
+      progressMessage: message,
+      heartbeatAt: new Date()
+    }
+  });
+  return count > 0;
+}
+
+/**
+ * @returns {Promise<boolean>} false when the job is no longer locked by this run
+ */
+async function completeJob(job, result = null) {
+  const { count } = await prisma.job.updateMany({
+    where: ownedBy(job),
+    data: {
+      status: JOB_STATUS.COMPLETED,
+      progress: 100,
+      result,
+      lockedBy: null,
+      finishedAt: new Date()
+    }
+  });
+  return count > 0;
+}
+
+/**
+ * Record a failed attempt. The job is re-queued with backoff until it runs
+ * out of attempts; the error detail of the last attempt is always kept.
+ * The stack is stored for operators; the jobs API only returns message, attempt and failedAt.
+ * @returns {Promise<boolean>} false when the job is no longer locked by this run
+ */
+async function failJob(job, error) {
+  const retry = job.attempts < job.maxAttempts;
+
+  const { count } = await prisma.job.updateMany({
+    where: ownedBy(job),
+    data: {
+      status: retry ? JOB_STATUS.QUEUED : JOB_STATUS.FAILED,
+      error: {
+        message: error.message,
+        stack: error.stack,
+        attempt: job.attempts,
+        failedAt: new Date().toISOString()
+      },
+      lockedBy: null,
+      runAfter: retry ? new Date(Date.now() + job.attempts * job.attempts * RETRY_BACKOFF_MS) : undefined,
+      finishedAt: retry ? null : new Date()
+    }
+  });
+  return count > 0;
+}
+
+/**
+ * Return jobs whose worker stopped heartbeating (crash, deploy) to the queue,
+ * or fail them when no attempts are left.
+ * @param {number} staleAfterMs - Heartbeat age after which a running job is considered orphaned
+ * @returns {Promise<number>} Number of recovered jobs
+ */
+async function recoverStaleJobs(staleAfterMs) {
+  const cutoff = new Date(Date.now() - staleAfterMs);
+
+  const recovered = await prisma.$executeRaw`
+    UPDATE "Job"
+    SET status = CASE WHEN attempts >= "maxAttempts" THEN ${JOB_STATUS.FAILED} ELSE ${JOB_STATUS.QUEUED} END,
+        error = jsonb_build_object(
+          'message', 'Worker stopped responding while running the job',
+          'worker', "lockedBy",
+          'attempt', attempts,
+          'failedAt', NOW()
+        ),
+        "finishedAt" = CASE WHEN attempts >= "maxAttempts" THEN NOW() ELSE NULL END,
+        "lockedBy" = NULL
+    WHERE status = ${JOB_STATUS.RUNNING} AND "heartbeatAt" < ${cutoff}
+  `;
+
+  return recovered;
+}
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUS,
+  enqueueJob,
+  getJob,
+  listJobs,
+  claimNextJob,
+  heartbeat,
+  updateProgress,
+  completeJob,
+  failJob,
+  recoverStaleJobs
+};
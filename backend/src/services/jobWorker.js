@@ -0,0 +1,126 @@
+/**
+ * Job Worker
+ * Polls the job queue and runs handlers one job at a time. Runs inside the
+ * API process (JOB_WORKER_MODE=inline) or on its own via src/worker.js.
+ */
+
+const os = require('os');
+const jobQueue = require('./jobQueue');
+const { handlers } = require('./jobHandlers');
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_STALE_AFTER_MS = 5 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+class JobWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+    this.currentJob = null;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    // Read at start so values loaded by dotenv apply
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    this.staleAfterMs = parseInt(process.env.JOB_STALE_AFTER_MS) || DEFAULT_STALE_AFTER_MS;
+
+    await this.recover();
+    this.recoveryTimer = setInterval(() => this.recover(), RECOVERY_INTERVAL_MS);
+    this.schedulePoll(0);
+
+    console.log(`✅ Job worker ${this.workerId} started`);
+  }
+
+  /**
+   * Stop polling and wait for the current job to finish
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.recoveryTimer);
+
+    while (this.currentJob) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+
+  schedulePoll(delay = this.pollIntervalMs) {
+    if (!this.running) return;
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    let job = null;
+
+    try {
+      job = await jobQueue.claimNextJob(this.workerId);
+      if (job) {
+        await this.run(job);
+      }
+    } catch (error) {
+      console.error('Job worker poll error:', error);
+    }
+
+    // Drain the queue without waiting while there is work
+    this.schedulePoll(job ? 0 : this.pollIntervalMs);
+  }
+
+  async run(job) {
+    const handler = handlers[job.type];
+    this.currentJob = job;
+
+    const heartbeatTimer = setInterval(() => {
+      jobQueue.heartbeat(job.id, this.workerId).catch(error => {
+        console.error(`Heartbeat failed for job ${job.id}:`, error);
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      let leaseLost = false;
+      const result = await handler(job, {
+        reportProgress: async (percent, message) => {
+          const owned = await jobQueue.updateProgress(job, percent, message);
+          if (!owned && !leaseLost) {
+            leaseLost = true;
+            console.warn(`Job ${job.id} was recovered by another worker while running; progress no longer reported`);
+          }
+          return owned;
+        }
+      });
+      if (!await jobQueue.completeJob(job, result ?? null)) {
+        console.warn(`Job ${job.id} was recovered by another worker while running; result discarded`);
+      }
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+      if (!await jobQueue.failJob(job, error)) {
+        console.warn(`Job ${job.id} was recovered by another worker while running; failure not recorded`);
+      }
+    } finally {
+      clearInterval(heartbeatTimer);
+      this.currentJob = null;
+    }
+  }
+
+  async recover() {
+    try {
+      const recovered = await jobQueue.recoverStaleJobs(this.staleAfterMs);
+      if (recovered > 0) {
+        console.log(`🔁 Recovered ${recovered} stale job(s)`);
+      }
+    } catch (error) {
+      console.error('Job recovery error:', error);
+    }
+  }
+}
+
+module.exports = new JobWorker();
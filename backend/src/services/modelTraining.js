@@ -0,0 +1,199 @@
+/**
+ * Risk Model Training
+ * Builds a training set from the organization's own history: at monthly
+ * cutoffs the employees on the books are scored as of that day and labelled
+ * by whether they left within the horizon that followed. A logistic
+ * regression is fitted on it (riskModel.js) and stored as a new version.
+ * Organizations without enough exits keep the formula; nothing is stored.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getAnalysisPeriod, scoreOrganization } = require('./attritionEngine');
+const { getActiveProfile } = require('./scoringModel');
+const { employedOnWhere, exitForDay } = require('./exits');
+const { rocAuc } = require('./backtest');
+const { toDateKey } = require('./workCalendar');
+const { extractFeatures, describeFeatures, fitLogistic, predict, saveModel } = require('./riskModel');
+
+const prisma = new PrismaClient();
+
+const TRAINING_LIMITS = {
+  minRows: 200,        // Scored employee-cutoff rows
+  minLeavers: 20,      // Distinct employees who left within a horizon
+  holdoutShare: 4      // One employee in this many is held out for evaluation
+};
+
+const DEFAULT_TRAINING = {
+  horizonMonths: 6,
+  cutoffs: 12,
+  months: 3
+};
+
+// Deterministic holdout by employee, so one person's rows never straddle the split
+function isHoldout(employeeId) {
+  let hash = 0;
+  for (const char of String(employeeId)) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return Math.abs(hash) % TRAINING_LIMITS.holdoutShare === 0;
+}
+
+function logLoss(rows, probabilities) {
+  const total = rows.reduce((sum, row, i) => {
+    const p = Math.min(Math.max(probabilities[i], 1e-12), 1 - 1e-12);
+    return sum - (row.exited ? Math.log(p) : Math.log(1 - p));
+  }, 0);
+  return Math.round((total / rows.length) * 1000) / 1000;
+}
+
+/**
+ * Monthly cutoff dates, oldest first; the newest is horizonMonths ago so every
+ * outcome window has fully passed
+ */
+function trainingCutoffs(horizonMonths, count, today = new Date()) {
+  const latest = new Date(`${toDateKey(today)}T00:00:00.000Z`);
+  latest.setUTCMonth(latest.getUTCMonth() - horizonMonths);
+
+  return Array.from({ length: count }, (_, i) => {
+    const cutoff = new Date(latest);
+    cutoff.setUTCMonth(cutoff.getUTCMonth() - (count - 1 - i));
+    return cutoff;
+  });
+}
+
+/**
+ * Score the organization at each cutoff and label each employee's outcome
+ * @returns {Promise<Array>} [{ employeeId, features, score, exited }]
+ */
+async function buildTrainingSet(companyId, { profile, cutoffs, horizonMonths, months, separationType, onProgress }) {
+  const exits = await prisma.employeeExit.findMany({
+    where: { organizationId: companyId },
+    include: { employee: { select: { employeeId: true } } }
+  });
+  // A rehired employee has one exit per employment
+  const exitsByCode = new Map();
+  exits.forEach(exit => {
+    const code = exit.employee.employeeId;
+    exitsByCode.set(code, [...(exitsByCode.get(code) || []), exit]);
+  });
+
+  const rows = [];
+  for (const [index, cutoff] of cutoffs.entries()) {
+    const { startDate, endDate } = getAnalysisPeriod(months, cutoff);
+    const horizonEnd = new Date(cutoff);
+    horizonEnd.setUTCMonth(horizonEnd.getUTCMonth() + horizonMonths);
+
+    const { employees, results } = await scoreOrganization(companyId, {
+      profile,
+      startDate,
+      endDate,
+      historical: true,
+      employeeWhere: employedOnWhere(cutoff)
+    });
+    const employeesByCode = new Map(employees.map(e => [e.employeeId, e]));
+
+    results.forEach(risk => {
+      if (risk.riskLevel === 'Insufficient Data') return;
+
+      // The exit ending the employment the cutoff falls in
+      const exit = exitForDay(exitsByCode.get(risk.employeeId) || [], cutoff);
+      const exited = Boolean(exit && exit.exitDate > cutoff && exit.exitDate <= horizonEnd);
+      // Leavers of the other separation type are neither leavers nor stayers
+      if (exited && separationType && exit.separationType !== separationType) return;
+
+      rows.push({
+        employeeId: risk.employeeId,
+        features: extractFeatures(risk, employeesByCode.get(risk.employeeId), endDate),
+        score: risk.score,
+        exited
+      });
+    });
+
+    if (onProgress) {
+      await onProgress(((index + 1) / cutoffs.length) * 85, `Scored cutoff ${toDateKey(cutoff)} (${index + 1} of ${cutoffs.length})`);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Train and store a learned risk model
+ * @param {string} companyId - Organization ID
+ * @param {Object} options - { horizonMonths, cutoffs, months, separationType, activate, jobId, createdById, onProgress }
+ *   horizonMonths: predict exits within this many months of scoring (default: 6)
+ *   cutoffs: number of monthly cutoffs to learn from (default: 12)
+ *   months: analysis window of each score (default: 3)
+ *   separationType: learn only VOLUNTARY or INVOLUNTARY exits (default: all)
+ * @returns {Promise<Object>} { trained: true, model } or { trained: false, reason, rows, leavers }
+ */
+async function trainRiskModel(companyId, {
+  horizonMonths = DEFAULT_TRAINING.horizonMonths,
+  cutoffs: cutoffCount = DEFAULT_TRAINING.cutoffs,
+  months = DEFAULT_TRAINING.months,
+  separationType,
+  activate = true,
+  jobId = null,
+  createdById = null,
+  onProgress
+} = {}) {
+  const profile = await getActiveProfile(companyId);
+  const cutoffs = trainingCutoffs(horizonMonths, cutoffCount);
+
+  const rows = await buildTrainingSet(companyId, { profile, cutoffs, horizonMonths, months, separationType, onProgress });
+  const leavers = new Set(rows.filter(row => row.exited).map(row => row.employeeId)).size;
+
+  if (rows.length < TRAINING_LIMITS.minRows || leavers < TRAINING_LIMITS.minLeavers) {
+    return {
+      trained: false,
+      reason: `Not enough history to learn from: ${rows.length} scored rows and ${leavers} leavers ` +
+        `(at least ${TRAINING_LIMITS.minRows} and ${TRAINING_LIMITS.minLeavers} are needed). Scores keep using the formula.`,
+      rows: rows.length,
+      leavers
+    };
+  }
+
+  // Evaluate on held-out employees, then refit on everyone for the stored model
+  if (onProgress) await onProgress(88, 'Evaluating on held-out employees');
+  const trainRows = rows.filter(row => !isHoldout(row.employeeId));
+  const holdoutRows = rows.filter(row => isHoldout(row.employeeId));
+  const holdoutFeatures = describeFeatures(trainRows);
+  const holdoutModel = { features: holdoutFeatures, coefficients: fitLogistic(trainRows, holdoutFeatures), horizonMonths };
+  const probabilities = holdoutRows.map(row => predict(holdoutModel, row.features).exitProbability);
+  const trainBaseRate = trainRows.filter(row => row.exited).length / trainRows.length;
+
+  if (onProgress) await onProgress(94, 'Fitting the final model');
+  const features = describeFeatures(rows);
+  const { iterations, ...coefficients } = fitLogistic(rows, features);
+
+  const model = await saveModel(companyId, {
+    horizonMonths,
+    separationType: separationType || null,
+    profileVersion: profile.version,
+    features,
+    coefficients,
+    metrics: {
+      trainingRows: rows.length,
+      leavers,
+      baseRate: Math.round((rows.filter(row => row.exited).length / rows.length) * 1000) / 1000,
+      cutoffs: { from: toDateKey(cutoffs[0]), to: toDateKey(cutoffs[cutoffs.length - 1]) },
+      iterations,
+      holdout: {
+        rows: holdoutRows.length,
+        leavers: holdoutRows.filter(row => row.exited).length,
+        auc: rocAuc(holdoutRows.map((row, i) => ({ score: probabilities[i], exited: row.exited }))),
+        formulaAuc: rocAuc(holdoutRows.map(row => ({ score: row.score, exited: row.exited }))),
+        logLoss: holdoutRows.length > 0 ? logLoss(holdoutRows, probabilities) : null,
+        baseRateLogLoss: holdoutRows.length > 0 ? logLoss(holdoutRows, holdoutRows.map(() => trainBaseRate)) : null
+      }
+    }
+  }, { activate, jobId, createdById });
+
+  return { trained: true, model };
+}
+
+module.exports = {
+  DEFAULT_TRAINING,
+  TRAINING_LIMITS,
+  trainRiskModel
+};
@@ -0,0 +1,412 @@
+/**
+ * Punch Log Import
+ * Imports raw biometric punches (employee, timestamp, in/out) from CSV files
+ * or device text dumps, pairs them into worked spans, and writes one
+ * attendance record per employee and day with the hours worked, first
+ * check-in, last check-out and late / early-departure minutes against the
+ * organization's shift definitions.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { parse } = require('csv-parse/sync');
+const scoreCache = require('./scoreCache');
+const { getTimezone, toDateKey } = require('./workCalendar');
+const { parseDateTimeValue, dateKeyInTimezone, resolveDateOrder } = require('./dateParsing');
+const { listShifts, resolveShift, measureAgainstShift } = require('./shifts');
+const { writeAttendanceBatch } = require('./uploadHistory');
+const { STATUS_CATEGORIES } = require('./statusDictionary');
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const WRITE_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 1000;
+
+// Repeated punches closer than this are one punch (double taps on the reader)
+const DUPLICATE_PUNCH_MS = 2 * 60 * 1000;
+// A check-out further than this from the check-in is not the same span
+const MAX_SPAN_MS = 20 * HOUR_MS;
+
+const PUNCH_STATUS_CODE = 'PUNCH';
+
+const DIRECTIONS = {
+  IN: 'IN',
+  OUT: 'OUT'
+};
+
+const DIRECTION_WORDS = {
+  in: DIRECTIONS.IN,
+  i: DIRECTIONS.IN,
+  checkin: DIRECTIONS.IN,
+  cin: DIRECTIONS.IN,
+  entry: DIRECTIONS.IN,
+  enter: DIRECTIONS.IN,
+  out: DIRECTIONS.OUT,
+  o: DIRECTIONS.OUT,
+  checkout: DIRECTIONS.OUT,
+  cout: DIRECTIONS.OUT,
+  exit: DIRECTIONS.OUT
+};
+
+// Device check states (ZKTeco attlog): 0 check-in, 1 check-out, 2 break-out, 3 break-in, 4 OT-in, 5 OT-out
+const DEVICE_STATES = {
+  0: DIRECTIONS.IN,
+  1: DIRECTIONS.OUT,
+  2: DIRECTIONS.OUT,
+  3: DIRECTIONS.IN,
+  4: DIRECTIONS.IN,
+  5: DIRECTIONS.OUT
+};
+
+// CSV headers (normalized) for each punch field
+const PUNCH_COLUMNS = {
+  employeeId: ['employeeid', 'empid', 'empno', 'employeecode', 'userid', 'badge', 'badgeno', 'enrollno', 'cardno', 'id'],
+  timestamp: ['timestamp', 'datetime', 'punchtime', 'punchdatetime', 'checktime', 'logtime', 'time'],
+  date: ['date', 'punchdate'],
+  direction: ['direction', 'inout', 'io', 'type', 'punchtype', 'state', 'checktype']
+};
+
+// Device dump line: id, date and time, then device fields
+const DUMP_LINE = /^\s*(\S+)[\t ,;]+(\d{4}-\d{2}-\d{2}[ T]\d{1,2}:\d{2}(?::\d{2})?|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}[ T]\d{1,2}:\d{2}(?::\d{2})?)[\t ,;]*(.*)$/;
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function parseDirection(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+  if (/^\d$/.test(text)) return DEVICE_STATES[text] || null;
+  return DIRECTION_WORDS[normalizeHeader(text)] || null;
+}
+
+function findColumn(headers, field) {
+  const normalized = headers.map(normalizeHeader);
+  const synonym = PUNCH_COLUMNS[field].find(name => normalized.includes(name));
+  return synonym ? headers[normalized.indexOf(synonym)] : null;
+}
+
+/**
+ * Raw punches from a CSV file with a header row
+ * @returns {{ rows: Array, errors: Array }} rows: [{ line, employeeId, timestamp, direction }]
+ */
+function readCsvPunches(buffer) {
+  const records = parse(buffer, { columns: true, skip_empty_lines: true, trim: true });
+  if (records.length === 0) {
+    return { rows: [], errors: [] };
+  }
+
+  const headers = Object.keys(records[0]);
+  const columns = {
+    employeeId: findColumn(headers, 'employeeId'),
+    timestamp: findColumn(headers, 'timestamp'),
+    date: findColumn(headers, 'date'),
+    direction: findColumn(headers, 'direction')
+  };
+
+  if (!columns.employeeId || !columns.timestamp) {
+    throw new Error('Punch log must have an employee id column and a timestamp (or date and time) column');
+  }
+
+  return {
+    rows: records.map((record, i) => ({
+      line: i + 2,
+      employeeId: String(record[columns.employeeId] ?? '').trim(),
+      // Separate date and time columns are joined into one timestamp
+      timestamp: columns.date && columns.date !== columns.timestamp
+        ? `${record[columns.date]} ${record[columns.timestamp]}`.trim()
+        : String(record[columns.timestamp] ?? '').trim(),
+      direction: columns.direction ? record[columns.direction] : null
+    })),
+    errors: []
+  };
+}
+
+/**
+ * Raw punches from a device text dump (one punch per line, no header)
+ * A direction word anywhere after the timestamp wins; otherwise the second
+ * numeric device field is read as the check state, as in ZKTeco attlog files.
+ */
+function readDumpPunches(text) {
+  const rows = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    if (rawLine.trim() === '') return;
+
+    const match = rawLine.match(DUMP_LINE);
+    if (!match) {
+      errors.push(`Line ${i + 1}: not a punch record`);
+      return;
+    }
+
+    const [, employeeId, timestamp, rest] = match;
+    const fields = rest.split(/[\t ,;]+/).filter(Boolean);
+    const word = fields.find(field => !/^\d+$/.test(field) && parseDirection(field));
+    const numeric = fields.filter(field => /^\d+$/.test(field));
+
+    rows.push({
+      line: i + 1,
+      employeeId,
+      timestamp,
+      direction: word || (numeric.length >= 2 ? numeric[1] : null)
+    });
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Parse a punch log into timestamped punches
+ * @param {Object} options - { timezone, dateOrder } for timestamps without an offset
+ * @returns {{ punches: Array, errors: Array, warnings: Array }}
+ *   punches: [{ employeeId, time: Date, direction: 'IN' | 'OUT' | null }]
+ */
+function parsePunchLog(buffer, filename, { timezone, dateOrder } = {}) {
+  const ext = filename.split('.').pop().toLowerCase();
+  const { rows, errors } = ext === 'csv'
+    ? readCsvPunches(buffer)
+    : readDumpPunches(buffer.toString('utf8'));
+
+  const resolved = resolveDateOrder(dateOrder, rows.map(row => row.timestamp));
+  const punches = [];
+
+  rows.forEach(row => {
+    if (!row.employeeId) {
+      errors.push(`Line ${row.line}: employee id is missing`);
+      return;
+    }
+
+    const { instant, error } = parseDateTimeValue(row.timestamp, { dateOrder: resolved.dateOrder, timezone });
+    if (error) {
+      errors.push(`Line ${row.line}: invalid timestamp: ${error}`);
+      return;
+    }
+
+    punches.push({ employeeId: row.employeeId, time: instant, direction: parseDirection(row.direction) });
+  });
+
+  return { punches, errors, warnings: resolved.warning ? [resolved.warning] : [] };
+}
+
+/**
+ * Pair one employee's punches into worked spans
+ * Punches without a direction alternate in / out. Check-ins without a
+ * check-out are kept as open spans and reported.
+ * @param {Array} punches - Punches of one employee
+ * @returns {{ spans: Array, anomalies: Array }} spans: [{ checkIn, checkOut|null }]
+ */
+function pairPunches(punches) {
+  const sorted = [...punches].sort((a, b) => a.time - b.time);
+  const spans = [];
+  const anomalies = [];
+  let open = null;
+  let last = null;
+
+  sorted.forEach(punch => {
+    if (last && punch.time - last.time < DUPLICATE_PUNCH_MS && (punch.direction || last.direction) === last.direction) {
+      return;
+    }
+    last = punch;
+
+    const direction = punch.direction || (open ? DIRECTIONS.OUT : DIRECTIONS.IN);
+
+    if (direction === DIRECTIONS.IN) {
+      if (open) {
+        anomalies.push({ type: 'MISSING_CHECK_OUT', time: open.checkIn });
+        spans.push(open);
+      }
+      open = { checkIn: punch.time, checkOut: null };
+      return;
+    }
+
+    if (!open || punch.time - open.checkIn > MAX_SPAN_MS) {
+      if (open) {
+        anomalies.push({ type: 'MISSING_CHECK_OUT', time: open.checkIn });
+        spans.push(open);
+        open = null;
+      }
+      anomalies.push({ type: 'MISSING_CHECK_IN', time: punch.time });
+      return;
+    }
+
+    spans.push({ checkIn: open.checkIn, checkOut: punch.time });
+    open = null;
+  });
+
+  if (open) {
+    anomalies.push({ type: 'MISSING_CHECK_OUT', time: open.checkIn });
+    spans.push(open);
+  }
+
+  return { spans, anomalies };
+}
+
+/**
+ * Worked days of one employee: spans grouped by the local date of their check-in
+ * @returns {Array} [{ date, checkIn, checkOut, hoursWorked }]
+ */
+function summarizeDays(spans, timezone) {
+  const days = new Map();
+
+  spans.forEach(span => {
+    const date = dateKeyInTimezone(span.checkIn, timezone);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(span);
+  });
+
+  return [...days.entries()].map(([date, daySpans]) => {
+    const closed = daySpans.filter(span => span.checkOut);
+    const hours = closed.reduce((sum, span) => sum + (span.checkOut - span.checkIn) / HOUR_MS, 0);
+
+    return {
+      date,
+      checkIn: daySpans[0].checkIn,
+      checkOut: closed.length > 0 ? closed[closed.length - 1].checkOut : null,
+      hoursWorked: closed.length > 0 ? Math.round(hours * 100) / 100 : null
+    };
+  });
+}
+
+/**
+ * Import a punch log for an organization
+ * Days that already have a leave or remote record keep their status; the
+ * punches only add hours and timings. Punches of unknown employees are rejected.
+ * @param {Object} options - { uploadedFileId, dateOrder }
+ * @returns {Promise<Object>} { processed, punches, errors, warnings, anomalies, summary, counts }
+ */
+async function importPunchLog(companyId, buffer, filename, { uploadedFileId, dateOrder } = {}) {
+  const [timezone, shifts] = await Promise.all([
+    getTimezone(companyId),
+    listShifts(companyId)
+  ]);
+
+  const { punches, errors, warnings } = parsePunchLog(buffer, filename, { timezone, dateOrder });
+  if (punches.length === 0) {
+    throw new Error(errors.length > 0 ? 'No valid punches found in the file' : 'File is empty or invalid format');
+  }
+
+  const byEmployee = new Map();
+  punches.forEach(punch => {
+    if (!byEmployee.has(punch.employeeId)) byEmployee.set(punch.employeeId, []);
+    byEmployee.get(punch.employeeId).push(punch);
+  });
+
+  const employees = await prisma.employee.findMany({
+    where: { companyId, employeeId: { in: [...byEmployee.keys()] } }
+  });
+  const employeesByCode = new Map(employees.map(e => [e.employeeId, e]));
+
+  const records = [];
+  const anomalies = [];
+  const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+
+  byEmployee.forEach((employeePunches, code) => {
+    const employee = employeesByCode.get(code);
+    if (!employee) {
+      counts.failed += employeePunches.length;
+      errors.push(`Employee ${code} not found (${employeePunches.length} punches skipped). Import the employee first.`);
+      return;
+    }
+
+    const paired = pairPunches(employeePunches);
+    paired.anomalies.forEach(anomaly => anomalies.push({
+      employeeId: code,
+      type: anomaly.type,
+      time: anomaly.time.toISOString()
+    }));
+
+    summarizeDays(paired.spans, timezone).forEach(day => {
+      const shift = resolveShift(shifts, {
+        department: employee.department,
+        dateKey: day.date,
+        checkIn: day.checkIn,
+        timezone
+      });
+
+      records.push({
+        employeeId: code,
+        employeeName: employee.name,
+        department: employee.department,
+        date: day.date,
+        status: STATUS_CATEGORIES.PRESENT,
+        statusCode: PUNCH_STATUS_CODE,
+        dayFraction: 1,
+        hoursWorked: day.hoursWorked,
+        checkIn: day.checkIn,
+        checkOut: day.checkOut,
+        ...(shift
+          ? measureAgainstShift(shift, day)
+          : { lateMinutes: null, earlyDepartureMinutes: null })
+      });
+    });
+  });
+
+  await keepRecordedStatuses(employeesByCode, records);
+
+  for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+    const batch = records.slice(i, i + WRITE_BATCH_SIZE);
+    const result = await prisma.$transaction(tx => writeAttendanceBatch(tx, companyId, uploadedFileId, batch));
+    counts.created += result.created;
+    counts.updated += result.updated;
+    counts.unchanged += result.unchanged;
+  }
+
+  if (counts.created > 0 || counts.updated > 0) {
+    await scoreCache.invalidate(companyId);
+  }
+
+  return {
+    processed: records.length,
+    punches: punches.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    warnings,
+    anomalies: anomalies.slice(0, MAX_REPORTED_ERRORS),
+    summary: {
+      days: records.length,
+      lateArrivals: records.filter(r => r.lateMinutes > 0).length,
+      earlyDepartures: records.filter(r => r.earlyDepartureMinutes > 0).length,
+      openSpans: anomalies.filter(a => a.type === 'MISSING_CHECK_OUT').length,
+      shiftsConfigured: shifts.length > 0
+    },
+    counts
+  };
+}
+
+/**
+ * Punches prove attendance but not the kind of day: an existing leave,
+ * half-day or remote record keeps its status and only gains the timings
+ */
+async function keepRecordedStatuses(employeesByCode, records) {
+  if (records.length === 0) return;
+
+  const dates = records.map(r => r.date).sort();
+  const existing = await prisma.attendance.findMany({
+    where: {
+      employeeId: { in: [...employeesByCode.values()].map(e => e.id) },
+      date: { gte: new Date(dates[0]), lte: new Date(dates[dates.length - 1]) },
+      status: { not: STATUS_CATEGORIES.ABSENT }
+    },
+    select: { employeeId: true, date: true, status: true, statusCode: true, dayFraction: true }
+  });
+  const byKey = new Map(existing.map(r => [`${r.employeeId}_${toDateKey(r.date)}`, r]));
+
+  records.forEach(record => {
+    const current = byKey.get(`${employeesByCode.get(record.employeeId).id}_${record.date}`);
+    if (current && current.statusCode !== PUNCH_STATUS_CODE) {
+      record.status = current.status;
+      record.statusCode = current.statusCode;
+      record.dayFraction = current.dayFraction ?? 1;
+    }
+  });
+}
+
+module.exports = {
+  DIRECTIONS,
+  parsePunchLog,
+  pairPunches,
+  summarizeDays,
+  importPunchLog
+};
@@ -1,8 +1,24 @@
 const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
 const PDFDocument = require('pdfkit');
 const fs = require('fs').promises;
 const path = require('path');
 const { format } = require('date-fns');
+const { ERROR_SUMMARY_SHEET } = require('./fileParser');
+
+// Column added to each annotated sheet; mappings never map it, so a corrected file uploads as is
+const ERRORS_COLUMN_HEADER = 'Import Errors';
+const INVALID_CELL_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFFEE2E2' }
+};
+
+// ExcelJS has no API to remove a note: a loaded note lives in the value model, an assigned one in _comment
+function removeNote(cell) {
+  cell.value = cell.value;
+  cell._comment = undefined;
+}
 
 class ReportGeneratorService {
   
@@ -190,6 +206,36 @@ class ReportGeneratorService {
            .stroke();
       });
       
+      // Further tables (sections: [{ title, columns, data }]), each starting on its own page
+      (reportData.sections || []).forEach(section => {
+        doc.addPage();
+        doc.fontSize(14).fillColor('#4F46E5').text(section.title, 50, 50);
+        
+        const sectionTop = doc.y + 10;
+        const sectionColumnWidth = (doc.page.width - 100) / section.columns.length;
+        
+        doc.rect(50, sectionTop, doc.page.width - 100, rowHeight)
+           .fillAndStroke('#4F46E5', '#4F46E5');
+        doc.fillColor('#FFFFFF').fontSize(10);
+        section.columns.forEach((col, i) => {
+          doc.text(col, 50 + (i * sectionColumnWidth), sectionTop + 7, { width: sectionColumnWidth, align: 'center' });
+        });
+        
+        section.data.forEach((row, rowIndex) => {
+          const y = sectionTop + rowHeight + (rowIndex * rowHeight);
+          if (rowIndex % 2 === 0) {
+            doc.rect(50, y, doc.page.width - 100, rowHeight).fill('#F9FAFB');
+          }
+          doc.fontSize(9).fillColor('#000000');
+          Object.values(row).forEach((value, colIndex) => {
+            doc.text(String(value), 50 + (colIndex * sectionColumnWidth), y + 7, { width: sectionColumnWidth - 5, align: 'left' });
+          });
+        });
+        
+        doc.x = 50;
+        doc.y = sectionTop + rowHeight * (section.data.length + 1);
+      });
+      
       // Summary if exists
       if (reportData.summary) {
         doc.moveDown(3);
@@ -232,6 +278,138 @@ class ReportGeneratorService {
     });
   }
   
+  /**
+   * Copy of an uploaded file with its validation errors marked
+   * Invalid cells are filled red with the messages as notes, each sheet gets an
+   * Import Errors column and a summary sheet is appended. CSV and .xls files
+   * come back as .xlsx.
+   * @param {Object} file - { buffer, fileName }
+   * @param {Object} annotations - { sheets, summary, otherErrors }
+   *   sheets: [{ sheet, columns, errors }] - sheet null for CSV; columns maps canonical fields to
+   *     headers (the field names when absent); errors: [{ row, errors, fields: [{ field, message }] }]
+   *   summary: label -> value pairs for the summary sheet
+   *   otherErrors: messages not tied to a row (e.g. employee coverage)
+   * @returns {Promise<Buffer>}
+   */
+  async generateAnnotatedWorkbook(file, { sheets, summary = {}, otherErrors = [] }) {
+    const workbook = new ExcelJS.Workbook();
+    
+    if (file.fileName.split('.').pop().toLowerCase() === 'xlsx') {
+      await workbook.xlsx.load(file.buffer);
+    } else {
+      // CSV and legacy .xls are copied cell by cell; raw keeps CSV text as typed
+      const source = XLSX.read(file.buffer, { type: 'buffer', raw: true });
+      source.SheetNames.forEach(name => {
+        const worksheet = workbook.addWorksheet(name);
+        XLSX.utils.sheet_to_json(source.Sheets[name], { header: 1, raw: true, blankrows: true, defval: null })
+          .forEach(values => worksheet.addRow(values));
+      });
+    }
+    
+    // Annotating an annotated file again replaces its summary
+    const previousSummary = workbook.getWorksheet(ERROR_SUMMARY_SHEET);
+    if (previousSummary) workbook.removeWorksheet(previousSummary.id);
+    
+    const fieldCounts = {};
+    
+    sheets.forEach(({ sheet, columns = {}, errors }) => {
+      const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+      if (!worksheet) return;
+      
+      const headerRow = worksheet.getRow(1);
+      const columnsByHeader = new Map();
+      headerRow.eachCell((cell, colNumber) => columnsByHeader.set(String(cell.text).trim(), colNumber));
+      
+      // Reuse the errors column of an earlier annotation, clearing its old messages and marks
+      let errorsColumn = columnsByHeader.get(ERRORS_COLUMN_HEADER);
+      if (errorsColumn) {
+        worksheet.getColumn(errorsColumn).eachCell((cell, rowNumber) => {
+          if (rowNumber > 1) cell.value = null;
+        });
+        worksheet.eachRow((row, rowNumber) => {
+          if (rowNumber === 1) return;
+          row.eachCell(cell => {
+            if (cell.fill?.fgColor?.argb !== INVALID_CELL_FILL.fgColor.argb) return;
+            cell.style = { ...cell.style, fill: undefined };
+            removeNote(cell);
+          });
+        });
+      } else {
+        errorsColumn = worksheet.columnCount + 1;
+      }
+      
+      const headerCell = headerRow.getCell(errorsColumn);
+      headerCell.value = ERRORS_COLUMN_HEADER;
+      headerCell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      headerCell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFDC2626' }
+      };
+      worksheet.getColumn(errorsColumn).width = 60;
+      
+      errors.forEach(({ row, errors: messages, fields = [] }) => {
+        const excelRow = worksheet.getRow(row);
+        excelRow.getCell(errorsColumn).value = messages.join('; ');
+        excelRow.getCell(errorsColumn).alignment = { wrapText: true, vertical: 'top' };
+        
+        // One note per cell listing every message about it
+        const cellMessages = new Map();
+        fields.forEach(({ field, message }) => {
+          fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+          const colNumber = columnsByHeader.get(columns[field] || field);
+          if (!colNumber) return;
+          cellMessages.set(colNumber, [...(cellMessages.get(colNumber) || []), message]);
+        });
+        
+        cellMessages.forEach((cellErrors, colNumber) => {
+          const cell = excelRow.getCell(colNumber);
+          // Cells loaded from a file share style objects; a copy keeps the fill on this cell
+          cell.style = { ...cell.style, fill: INVALID_CELL_FILL };
+          cell.note = cellErrors.join('\n');
+        });
+      });
+    });
+    
+    // Summary sheet
+    const summarySheet = workbook.addWorksheet(ERROR_SUMMARY_SHEET);
+    summarySheet.columns = [{ width: 30 }, { width: 20 }];
+    
+    const titleCell = summarySheet.getCell('A1');
+    titleCell.value = `Import errors - ${file.fileName}`;
+    titleCell.font = { size: 16, bold: true, color: { argb: 'FF4F46E5' } };
+    summarySheet.getCell('A2').value = `Generated: ${format(new Date(), 'PPpp')}`;
+    summarySheet.getCell('A2').font = { size: 9, italic: true };
+    summarySheet.getCell('A3').value = `Fix the highlighted cells and upload this file again. The ${ERRORS_COLUMN_HEADER} column and this sheet are ignored on upload.`;
+    summarySheet.addRow([]);
+    
+    Object.entries(summary).forEach(([key, value]) => {
+      const summaryRow = summarySheet.addRow([key, value]);
+      summaryRow.getCell(1).font = { bold: true };
+    });
+    
+    const addSection = (title, headers, rows) => {
+      if (rows.length === 0) return;
+      summarySheet.addRow([]);
+      summarySheet.addRow([title]).font = { bold: true, size: 14, color: { argb: 'FF4F46E5' } };
+      const headerRow = summarySheet.addRow(headers);
+      headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      headerRow.eachCell(cell => {
+        cell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FF4F46E5' }
+        };
+      });
+      rows.forEach(values => summarySheet.addRow(values));
+    };
+    
+    addSection('ERRORS BY FIELD', ['Field', 'Errors'], Object.entries(fieldCounts).sort((a, b) => b[1] - a[1]));
+    addSection('OTHER ERRORS', ['Message'], otherErrors.map(message => [message]));
+    
+    return workbook.xlsx.writeBuffer();
+  }
+  
   async generateReport(reportData, format, outputDir) {
     // Ensure output directory exists
     await fs.mkdir(outputDir, { recursive: true });
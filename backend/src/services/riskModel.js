@@ -0,0 +1,339 @@
+/**
+ * Learned Risk Model
+ * Logistic regression on the engine's factor scores plus tenure and department,
+ * fitted in-process to an organization's exit history (see modelTraining.js).
+ * A stored model adds an exit probability with per-feature explanations to
+ * each scored employee; the formula score stays the headline score, and
+ * employees or organizations the model cannot cover keep the formula alone.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const MODEL_METHODS = {
+  LOGISTIC: 'LOGISTIC'
+};
+
+const FACTOR_FEATURES = ['absenteeism', 'leavePattern', 'consistency', 'recentTrend', 'punctuality', 'leaveNotice', 'absencePattern', 'changePoint'];
+const DEPARTMENT_PREFIX = 'department:';
+const MONTH_DAYS = 30.44;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRAINING_DEFAULTS = {
+  iterations: 3000,
+  learningRate: 0.5,
+  l2: 0.01,             // Ridge penalty on the coefficients (not the intercept)
+  tolerance: 1e-7       // Stop once the loss improves by less than this
+};
+
+const EXPLANATION_COUNT = 3;
+
+const FEATURE_LABELS = {
+  absenteeism: 'Absenteeism',
+  leavePattern: 'Unplanned leave',
+  consistency: 'Attendance consistency',
+  recentTrend: 'Recent trend',
+  punctuality: 'Punctuality',
+  leaveNotice: 'Leave notice',
+  absencePattern: 'Absence pattern',
+  changePoint: 'Attendance shift',
+  tenureMonths: 'Tenure'
+};
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Raw feature values of a scored employee; missing values are null
+ * @param {Object} risk - scoreEmployee result (factors, department)
+ * @param {Object} employee - { joinDate }
+ * @param {Date} asOf - End of the analysis window (tenure is measured to it)
+ */
+function extractFeatures(risk, employee, asOf) {
+  const features = {};
+  FACTOR_FEATURES.forEach(factor => {
+    const value = risk.factors?.[factor];
+    features[factor] = value === undefined ? null : value;
+  });
+  features.tenureMonths = employee.joinDate
+    ? Math.max(0, (new Date(asOf) - new Date(employee.joinDate)) / (DAY_MS * MONTH_DAYS))
+    : null;
+  features.department = risk.department ?? null;
+  return features;
+}
+
+/**
+ * Feature list for a training set: the numeric features plus one indicator
+ * per department with at least minDepartmentRows rows. The largest department
+ * and the small ones share the baseline.
+ * Missing values are imputed with the mean, so they add nothing to the log-odds.
+ * @param {Array} rows - [{ features }]
+ * @returns {Array} [{ name, mean, std }]
+ */
+function describeFeatures(rows, { minDepartmentRows = 20 } = {}) {
+  const departmentCounts = new Map();
+  rows.forEach(({ features }) => {
+    if (features.department) {
+      departmentCounts.set(features.department, (departmentCounts.get(features.department) || 0) + 1);
+    }
+  });
+  const departments = [...departmentCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(1)
+    .filter(([, count]) => count >= minDepartmentRows)
+    .map(([department]) => `${DEPARTMENT_PREFIX}${department}`)
+    .sort();
+
+  return [...FACTOR_FEATURES, 'tenureMonths', ...departments].map(name => {
+    const values = rows.map(({ features }) => rawValue(features, name)).filter(value => value !== null);
+    const mean = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    const variance = values.length > 0 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length : 0;
+    return { name, mean, std: Math.sqrt(variance) };
+  }).filter(feature => feature.std > 0);
+}
+
+function rawValue(features, name) {
+  if (name.startsWith(DEPARTMENT_PREFIX)) {
+    return features.department === name.slice(DEPARTMENT_PREFIX.length) ? 1 : 0;
+  }
+  return features[name] ?? null;
+}
+
+function standardize(features, featureList) {
+  return featureList.map(({ name, mean, std }) => {
+    const value = rawValue(features, name);
+    return value === null ? 0 : (value - mean) / std;
+  });
+}
+
+/**
+ * Fit a logistic regression by batch gradient descent on standardized features
+ * @param {Array} rows - [{ features, exited }]
+ * @param {Array} featureList - from describeFeatures
+ * @returns {{ intercept: number, weights: Object, iterations: number }}
+ */
+function fitLogistic(rows, featureList, options = {}) {
+  const { iterations, learningRate, l2, tolerance } = { ...TRAINING_DEFAULTS, ...options };
+  const X = rows.map(row => standardize(row.features, featureList));
+  const y = rows.map(row => (row.exited ? 1 : 0));
+  const n = rows.length;
+  const k = featureList.length;
+
+  // Start from the base rate so early steps are not spent on the intercept
+  const baseRate = Math.min(Math.max(y.reduce((a, b) => a + b, 0) / n, 1e-6), 1 - 1e-6);
+  let intercept = Math.log(baseRate / (1 - baseRate));
+  const weights = new Array(k).fill(0);
+  let previousLoss = Infinity;
+  let iteration = 0;
+
+  for (; iteration < iterations; iteration++) {
+    const gradient = new Array(k).fill(0);
+    let interceptGradient = 0;
+    let loss = 0;
+
+    for (let i = 0; i < n; i++) {
+      let z = intercept;
+      for (let j = 0; j < k; j++) z += weights[j] * X[i][j];
+      const p = sigmoid(z);
+      const error = p - y[i];
+      interceptGradient += error;
+      for (let j = 0; j < k; j++) gradient[j] += error * X[i][j];
+      loss -= y[i] ? Math.log(Math.max(p, 1e-12)) : Math.log(Math.max(1 - p, 1e-12));
+    }
+
+    loss = loss / n + (l2 / 2) * weights.reduce((sum, w) => sum + w * w, 0);
+    if (previousLoss - loss < tolerance) break;
+    previousLoss = loss;
+
+    intercept -= learningRate * interceptGradient / n;
+    for (let j = 0; j < k; j++) {
+      weights[j] -= learningRate * (gradient[j] / n + l2 * weights[j]);
+    }
+  }
+
+  return {
+    intercept,
+    weights: Object.fromEntries(featureList.map(({ name }, j) => [name, weights[j]])),
+    iterations: iteration
+  };
+}
+
+function describeFeature(name) {
+  if (name.startsWith(DEPARTMENT_PREFIX)) {
+    return `Department ${name.slice(DEPARTMENT_PREFIX.length)}`;
+  }
+  return FEATURE_LABELS[name] || name;
+}
+
+/**
+ * Exit probability with the features that moved it most
+ * Each explanation is the feature's contribution to the log-odds relative to
+ * an average employee (positive raises the probability).
+ * @param {Object} model - { features, coefficients, horizonMonths, version }
+ * @param {Object} features - from extractFeatures
+ */
+function predict(model, features) {
+  const values = standardize(features, model.features);
+  const contributions = model.features.map(({ name }, j) => ({
+    name,
+    contribution: (model.coefficients.weights[name] || 0) * values[j]
+  }));
+  const logOdds = contributions.reduce((sum, c) => sum + c.contribution, model.coefficients.intercept);
+
+  return {
+    exitProbability: Math.round(sigmoid(logOdds) * 1000) / 1000,
+    horizonMonths: model.horizonMonths,
+    modelVersion: model.version,
+    explanations: contributions
+      // A department explains only the employees in it
+      .filter(c => !c.name.startsWith(DEPARTMENT_PREFIX) || rawValue(features, c.name) === 1)
+      .filter(c => Math.abs(c.contribution) >= 0.01)
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+      .slice(0, EXPLANATION_COUNT)
+      .map(c => ({
+        feature: c.name,
+        label: describeFeature(c.name),
+        value: c.name.startsWith(DEPARTMENT_PREFIX) || rawValue(features, c.name) === null
+          ? undefined
+          : Math.round(rawValue(features, c.name) * 10) / 10,
+        effect: c.contribution > 0 ? 'raises' : 'lowers',
+        logOdds: Math.round(c.contribution * 1000) / 1000
+      }))
+  };
+}
+
+function toModel(row) {
+  return {
+    id: row.id,
+    version: row.version,
+    method: row.method,
+    horizonMonths: row.horizonMonths,
+    separationType: row.separationType,
+    profileVersion: row.profileVersion,
+    features: row.features,
+    coefficients: row.coefficients,
+    metrics: row.metrics,
+    isActive: row.isActive,
+    trainedAt: row.trainedAt
+  };
+}
+
+/**
+ * Get the learned model used for an organization's predictions
+ * @returns {Promise<Object|null>} null when the organization scores with the formula alone
+ */
+async function getActiveModel(organizationId) {
+  const row = await prisma.riskModel.findFirst({
+    where: { organizationId, isActive: true },
+    orderBy: { version: 'desc' }
+  });
+
+  return row ? toModel(row) : null;
+}
+
+async function getModelVersion(organizationId, version) {
+  const row = await prisma.riskModel.findUnique({
+    where: { organizationId_version: { organizationId, version } }
+  });
+
+  return row ? toModel(row) : null;
+}
+
+async function listModels(organizationId) {
+  const rows = await prisma.riskModel.findMany({
+    where: { organizationId },
+    orderBy: { version: 'desc' }
+  });
+
+  return rows.map(toModel);
+}
+
+/**
+ * Store a trained model as the next version
+ * @param {Object} model - { horizonMonths, separationType, profileVersion, features, coefficients, metrics }
+ * @param {Object} options - { activate, jobId, createdById }
+ */
+async function saveModel(organizationId, model, { activate = true, jobId = null, createdById = null } = {}) {
+  const created = await prisma.$transaction(async (tx) => {
+    const latest = await tx.riskModel.findFirst({
+      where: { organizationId },
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    });
+
+    if (activate) {
+      await tx.riskModel.updateMany({
+        where: { organizationId, isActive: true },
+        data: { isActive: false }
+      });
+    }
+
+    return tx.riskModel.create({
+      data: {
+        organizationId,
+        version: (latest?.version ?? 0) + 1,
+        method: MODEL_METHODS.LOGISTIC,
+        ...model,
+        isActive: activate,
+        jobId,
+        createdById
+      }
+    });
+  });
+
+  return toModel(created);
+}
+
+/**
+ * Make a stored version the one used for predictions
+ */
+async function activateModelVersion(organizationId, version) {
+  return prisma.$transaction(async (tx) => {
+    const row = await tx.riskModel.findUnique({
+      where: { organizationId_version: { organizationId, version } }
+    });
+
+    if (!row) {
+      return null;
+    }
+
+    await tx.riskModel.updateMany({
+      where: { organizationId, isActive: true },
+      data: { isActive: false }
+    });
+
+    return toModel(await tx.riskModel.update({
+      where: { id: row.id },
+      data: { isActive: true }
+    }));
+  });
+}
+
+/**
+ * Go back to the formula alone
+ * @returns {Promise<number>} Number of models deactivated
+ */
+async function deactivateModels(organizationId) {
+  const result = await prisma.riskModel.updateMany({
+    where: { organizationId, isActive: true },
+    data: { isActive: false }
+  });
+  return result.count;
+}
+
+module.exports = {
+  MODEL_METHODS,
+  TRAINING_DEFAULTS,
+  extractFeatures,
+  describeFeatures,
+  fitLogistic,
+  predict,
+  getActiveModel,
+  getModelVersion,
+  listModels,
+  saveModel,
+  activateModelVersion,
+  deactivateModels
+};
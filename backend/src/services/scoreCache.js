@@ -0,0 +1,72 @@
+/**
+ * In-memory cache of computed attrition reports
+ * Entries are grouped per organization and tagged with the organization's
+ * score data version. Invalidating bumps that version in the database, so
+ * every process (API servers, job workers) stops using what it cached before
+ * the attendance changed, not only the process that changed it.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_TTL_MINUTES = 60;
+
+class ScoreCacheService {
+  constructor() {
+    this.entries = new Map(); // organizationId -> Map(key -> { value, version, expiresAt })
+  }
+
+  // Read lazily so values loaded by dotenv apply
+  get ttlMs() {
+    return (parseInt(process.env.SCORE_CACHE_TTL_MINUTES) || DEFAULT_TTL_MINUTES) * 60 * 1000;
+  }
+
+  async currentVersion(organizationId) {
+    const organization = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { scoreDataVersion: true }
+    });
+    return organization?.scoreDataVersion ?? 0;
+  }
+
+  /**
+   * Look up a cached value
+   * @returns {Promise<{ value, version }>} value is null on a miss; pass version
+   *   to set() so a result computed while the data changed is never served
+   */
+  async get(organizationId, key) {
+    const version = await this.currentVersion(organizationId);
+    const entry = this.entries.get(organizationId)?.get(key);
+    if (!entry) return { value: null, version };
+
+    if (entry.version !== version || entry.expiresAt <= Date.now()) {
+      this.entries.get(organizationId).delete(key);
+      return { value: null, version };
+    }
+
+    return { value: entry.value, version };
+  }
+
+  set(organizationId, key, value, version) {
+    if (!this.entries.has(organizationId)) {
+      this.entries.set(organizationId, new Map());
+    }
+    this.entries.get(organizationId).set(key, {
+      value,
+      version,
+      expiresAt: Date.now() + this.ttlMs
+    });
+  }
+
+  // Drop every cached result for an organization, in every process (e.g. after an attendance upload)
+  async invalidate(organizationId) {
+    this.entries.delete(organizationId);
+    await prisma.organization.updateMany({
+      where: { id: organizationId },
+      data: { scoreDataVersion: { increment: 1 } }
+    });
+  }
+}
+
+module.exports = new ScoreCacheService();
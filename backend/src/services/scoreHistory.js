@@ -0,0 +1,236 @@
+/**
+ * Attrition Score History
+ * Persists every scoring run as an AttritionScore snapshot (plus a row in
+ * analysis_results carrying the theory construct scores) and turns the
+ * snapshots into a per-employee time series with factor deltas,
+ * risk-level transitions and detected attendance shifts.
+ */
+
+const { PrismaClient, Prisma } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Engine risk levels -> AttritionScore.riskCategory
+const RISK_CATEGORIES = {
+  High: 'HIGH',
+  Moderate: 'MODERATE',
+  Low: 'LOW'
+};
+
+/**
+ * Build AttritionScore create data from an engine result
+ * @returns {Object|null} null when the result carries no score (insufficient data)
+ */
+function buildSnapshot(organizationId, employeeId, risk) {
+  const riskCategory = RISK_CATEGORIES[risk.riskLevel];
+  if (!riskCategory || !risk.period) {
+    return null;
+  }
+
+  return {
+    organizationId,
+    employeeId,
+    periodStart: risk.period.start,
+    periodEnd: risk.period.end,
+    riskScore: risk.score,
+    riskCategory,
+    profileVersion: risk.modelVersion,
+    metrics: {
+      factors: risk.factors,
+      theory: risk.theory,
+      statistics: risk.statistics
+    }
+  };
+}
+
+/**
+ * Build an analysis_results row (see config/database.js) from an engine result
+ * The table predates the Prisma schema, so rows are written with raw SQL;
+ * user_id and upload_id refer to the legacy upload tables and stay empty.
+ * @returns {Object|null} Prisma.sql values tuple; null when the result carries no score
+ */
+function buildAnalysisResult(organizationId, risk) {
+  if (!RISK_CATEGORIES[risk.riskLevel] || !risk.statistics) {
+    return null;
+  }
+
+  const { totalDays, presentDays, absentDays, lateArrivals } = risk.statistics;
+  const { jobEmbeddedness, conservationOfResources, effortRewardImbalance } = risk.theory;
+
+  return Prisma.sql`(
+    ${organizationId}, ${risk.employeeId}, ${risk.name ?? null}, ${risk.score}, ${risk.riskLevel},
+    ${totalDays > 0 ? round1((presentDays / totalDays) * 100) : null}, ${Math.round(absentDays)}, ${lateArrivals},
+    ${jobEmbeddedness.score}, ${conservationOfResources.score}, ${effortRewardImbalance.score},
+    ${risk.recommendation}
+  )`;
+}
+
+/**
+ * Insert analysis_results rows built by buildAnalysisResult
+ */
+async function saveAnalysisResults(rows) {
+  if (rows.length === 0) return 0;
+
+  return prisma.$executeRaw`
+    INSERT INTO analysis_results (
+      organization_id, employee_id, employee_name, attrition_risk_score, attrition_risk_level,
+      attendance_rate, absence_days, late_arrivals,
+      job_embeddedness_score, conservation_of_resources_score, effort_reward_imbalance_score,
+      recommendations
+    )
+    VALUES ${Prisma.join(rows)}
+  `;
+}
+
+/**
+ * Store a single scoring run
+ * @param {string} organizationId - Organization the employee belongs to
+ * @param {string} employeeId - Employee record id
+ * @param {Object} risk - Result of calculateAttritionRisk
+ */
+async function saveScoreSnapshot(organizationId, employeeId, risk) {
+  const data = buildSnapshot(organizationId, employeeId, risk);
+  if (!data) return null;
+
+  const snapshot = await prisma.attritionScore.create({ data });
+  await saveAnalysisResults([buildAnalysisResult(organizationId, risk)]);
+  return snapshot;
+}
+
+// Re-detections of a shift by later runs land within this many days of each other
+const SHIFT_MERGE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function factorDeltas(previous = {}, current = {}) {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  const deltas = {};
+
+  keys.forEach(key => {
+    if (typeof previous[key] === 'number' && typeof current[key] === 'number') {
+      deltas[key] = round1(current[key] - previous[key]);
+    }
+  });
+
+  return deltas;
+}
+
+/**
+ * Attendance shifts found by the change-point detector across the snapshots
+ * Each run re-detects shifts still inside its window; those with the same
+ * direction within SHIFT_MERGE_DAYS are one event, described by the latest run.
+ */
+function shiftEvents(snapshots) {
+  const events = [];
+
+  snapshots.forEach(snapshot => {
+    const detection = snapshot.metrics?.statistics?.changePoints;
+    (detection?.changePoints || []).forEach(change => {
+      const event = events.find(e =>
+        e.direction === change.direction && Math.abs(Date.parse(e.date) - Date.parse(change.date)) <= SHIFT_MERGE_DAYS * DAY_MS
+      );
+      const details = {
+        date: change.date,
+        direction: change.direction,
+        beforeRate: change.beforeRate,
+        afterRate: change.afterRate,
+        shift: change.shift
+      };
+
+      if (event) {
+        Object.assign(event, details, { lastDetectedAt: snapshot.computedAt });
+      } else {
+        events.push({ type: 'ATTENDANCE_SHIFT', ...details, firstDetectedAt: snapshot.computedAt, lastDetectedAt: snapshot.computedAt });
+      }
+    });
+  });
+
+  return events.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get an employee's risk history
+ * @param {string} employeeId - Employee record id
+ * @param {Object} options - { from, to, limit }
+ * @returns {Promise<Object>} { series, deltas, transitions, events, summary }
+ *   events: attendance shifts (change points) detected by the scoring runs
+ */
+async function getEmployeeRiskHistory(employeeId, { from, to, limit = 100 } = {}) {
+  const where = { employeeId };
+  if (from || to) {
+    where.computedAt = {};
+    if (from) where.computedAt.gte = from;
+    if (to) where.computedAt.lte = to;
+  }
+
+  // Latest snapshots first so the limit keeps the most recent runs
+  const snapshots = (await prisma.attritionScore.findMany({
+    where,
+    orderBy: { computedAt: 'desc' },
+    take: limit
+  })).reverse();
+
+  const series = snapshots.map(snapshot => ({
+    id: snapshot.id,
+    computedAt: snapshot.computedAt,
+    periodStart: snapshot.periodStart,
+    periodEnd: snapshot.periodEnd,
+    score: snapshot.riskScore,
+    riskCategory: snapshot.riskCategory,
+    modelVersion: snapshot.profileVersion,
+    factors: snapshot.metrics?.factors || {}
+  }));
+
+  const deltas = [];
+  const transitions = [];
+
+  for (let i = 1; i < series.length; i++) {
+    const previous = series[i - 1];
+    const current = series[i];
+
+    deltas.push({
+      from: previous.computedAt,
+      to: current.computedAt,
+      scoreDelta: round1(current.score - previous.score),
+      factorDeltas: factorDeltas(previous.factors, current.factors),
+      modelChanged: previous.modelVersion !== current.modelVersion
+    });
+
+    if (previous.riskCategory !== current.riskCategory) {
+      transitions.push({
+        at: current.computedAt,
+        from: previous.riskCategory,
+        to: current.riskCategory,
+        scoreDelta: round1(current.score - previous.score)
+      });
+    }
+  }
+
+  const first = series[0];
+  const latest = series[series.length - 1];
+
+  return {
+    series,
+    deltas,
+    transitions,
+    events: shiftEvents(snapshots),
+    summary: {
+      snapshots: series.length,
+      firstScore: first ? first.score : null,
+      latestScore: latest ? latest.score : null,
+      netChange: first ? round1(latest.score - first.score) : null,
+      currentCategory: latest ? latest.riskCategory : null
+    }
+  };
+}
+
+module.exports = {
+  RISK_CATEGORIES,
+  buildSnapshot,
+  buildAnalysisResult,
+  saveAnalysisResults,
+  saveScoreSnapshot,
+  getEmployeeRiskHistory
+};
@@ -0,0 +1,474 @@
+/**
+ * Scoring Model Profiles
+ * Versioned, per-organization configuration for the attrition engine:
+ * factor weights, step thresholds and risk bands.
+ *
+ * Versions are immutable once stored so any historic AttritionScore can be
+ * reproduced from the profile version it was tagged with. Version 0 is the
+ * built-in default used when an organization has not defined its own. It keeps
+ * the original record-window algorithm, while versions stored from now on
+ * are calendar-aware (see SCORING_ALGORITHMS).
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+
+const prisma = new PrismaClient();
+
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+// How consistency and recent trend read the attendance. Stored with every
+// version so changing an algorithm never reinterprets an existing version.
+const SCORING_ALGORITHMS = {
+  RECORD_WINDOWS: 1, // Every record counts; 5-record "weeks", last windowSize records vs the ones before
+  CALENDAR: 2        // Non-working days dropped; ISO weeks, windows of windowDays calendar days
+};
+
+// Used for every version created from now on
+const CURRENT_ALGORITHM_VERSION = SCORING_ALGORITHMS.CALENDAR;
+
+const DEFAULT_SCORING_PROFILE = Object.freeze({
+  version: 0,
+  name: 'Default',
+  algorithmVersion: SCORING_ALGORITHMS.RECORD_WINDOWS,
+  weights: {
+    absenteeism: 0.35,    // Highest weight - direct indicator
+    leavePattern: 0.25,   // Unplanned leaves indicate disengagement
+    consistency: 0.25,    // Erratic patterns suggest instability
+    recentTrend: 0.15,    // Recent behavior is predictive
+    // Factors added later weigh 0 here and the algorithm stays RECORD_WINDOWS,
+    // so version 0 scores stay reproducible; organizations opt in through their
+    // own profile versions
+    punctuality: 0,       // Late arrivals / early departures from punch logs
+    leaveNotice: 0,       // Notice given before leave (informed_time)
+    absencePattern: 0,    // Absence spells: Bradford Factor, week-edge and holiday clustering
+    changePoint: 0        // Sudden shift in the daily absence series (CUSUM)
+  },
+  thresholds: {
+    absenteeism: {
+      // Score increases exponentially with absent rate
+      steps: [
+        { min: 0.20, score: 100 }, // 20%+ absent = critical
+        { min: 0.15, score: 85 },
+        { min: 0.10, score: 65 },
+        { min: 0.05, score: 40 }
+      ],
+      linearMultiplier: 800 // Linear for low rates
+    },
+    leavePattern: {
+      // High unplanned leave ratio suggests disengagement
+      steps: [
+        { min: 0.80, score: 90 },
+        { min: 0.60, score: 70 },
+        { min: 0.40, score: 50 },
+        { min: 0.20, score: 30 }
+      ],
+      linearMultiplier: 100
+    },
+    consistency: {
+      // Weekly absent-rate standard deviation -> score
+      stdDevMultiplier: 200,
+      minDaysPerWeek: 2 // CALENDAR: ISO weeks with fewer recorded working days are skipped
+    },
+    recentTrend: {
+      minRecords: 20,         // RECORD_WINDOWS: records needed before the trend is judged
+      windowSize: 15,         // RECORD_WINDOWS: records per comparison window (3 weeks)
+      windowDays: 21,         // CALENDAR: calendar days per comparison window (3 weeks)
+      minRecordsPerWindow: 5, // CALENDAR
+      steps: [
+        { min: 0.15, score: 100 },
+        { min: 0.10, score: 75 },
+        { min: 0.05, score: 50 }
+      ],
+      linearMultiplier: 500
+    },
+    punctuality: {
+      // Share of punched days with a late arrival or early departure -> score
+      minPunchedDays: 10, // Fewer punched days and the factor is left out
+      steps: [
+        { min: 0.30, score: 100 },
+        { min: 0.20, score: 75 },
+        { min: 0.10, score: 50 },
+        { min: 0.05, score: 25 }
+      ],
+      linearMultiplier: 500
+    },
+    leaveNotice: {
+      // Lead time between informed_time and the leave day
+      minNotices: 3, // Fewer leave days with a notice time and the factor is left out
+      // Median lead time -> score; shorter notice scores higher, longer than the last step scores 0
+      leadTimeSteps: [
+        { maxDays: 0.5, score: 100 },
+        { maxDays: 1, score: 75 },
+        { maxDays: 3, score: 50 },
+        { maxDays: 7, score: 25 }
+      ],
+      sameDayMultiplier: 100,      // Share of notices given less than a day ahead -> score
+      deteriorationMaxDays: 7,     // Drop in average lead time (first half -> second half) that scores 100
+      minNoticesPerHalf: 2,
+      componentWeights: { leadTime: 0.4, sameDay: 0.35, deterioration: 0.25 }
+    },
+    absencePattern: {
+      // Spells are runs of absent / unplanned-leave working days (weekends and holidays do not break them)
+      minWorkingDays: 40, // Fewer working days and the factor is left out
+      // Bradford Factor (spells² x days) projected to a year -> score; common policy triggers are 51 / 125 / 400 / 650
+      bradford: {
+        steps: [
+          { min: 650, score: 100 },
+          { min: 400, score: 80 },
+          { min: 125, score: 60 },
+          { min: 51, score: 40 }
+        ],
+        linearMultiplier: 0.75
+      },
+      minClusterAbsences: 3,      // Absences needed before their clustering is judged
+      clusterRatioMax: 3,         // Absence rate on week-edge / holiday-adjacent days vs other days that scores 100
+      recurringMinOccurrences: 3, // Absences on one weekday before it can count as recurring
+      recurringRatio: 2,          // Weekday absence rate vs the overall rate that counts as recurring
+      componentWeights: { bradford: 0.55, weekEdge: 0.2, holidayAdjacent: 0.15, recurringWeekday: 0.1 }
+    },
+    changePoint: {
+      // CUSUM over the daily unplanned-absence series, split recursively (binary segmentation)
+      minSegmentDays: 10,  // Working days on each side of a change point; shorter series leave the factor out
+      criticalValue: 1.75, // Normalized CUSUM range a segment must exceed to split (about 5% significance)
+      maxChangePoints: 3,
+      // Rise in absence rate from the segment before the latest change point to the one after -> score
+      steps: [
+        { min: 0.30, score: 100 },
+        { min: 0.20, score: 75 },
+        { min: 0.10, score: 50 }
+      ],
+      linearMultiplier: 500
+    }
+  },
+  riskBands: {
+    high: 70,
+    moderate: 40
+  }
+});
+
+const stepSchema = z.object({
+  min: z.number().min(0),
+  score: z.number().min(0).max(100)
+});
+
+const stepsSchema = z.array(stepSchema)
+  .refine(
+    steps => steps.every((step, i) => i === 0 || step.min < steps[i - 1].min),
+    { message: 'steps must be ordered by descending min' }
+  );
+
+const leadTimeStepsSchema = z.array(z.object({
+  maxDays: z.number().min(0),
+  score: z.number().min(0).max(100)
+}))
+  .refine(
+    steps => steps.every((step, i) => i === 0 || step.maxDays > steps[i - 1].maxDays),
+    { message: 'leadTimeSteps must be ordered by ascending maxDays' }
+  );
+
+const scoringProfileSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  algorithmVersion: z.number().int().refine(
+    version => Object.values(SCORING_ALGORITHMS).includes(version),
+    { message: `algorithmVersion must be one of ${Object.values(SCORING_ALGORITHMS).join(', ')}` }
+  ),
+  weights: z.object({
+    absenteeism: z.number().min(0).max(1),
+    leavePattern: z.number().min(0).max(1),
+    consistency: z.number().min(0).max(1),
+    recentTrend: z.number().min(0).max(1),
+    punctuality: z.number().min(0).max(1).default(0),
+    leaveNotice: z.number().min(0).max(1).default(0),
+    absencePattern: z.number().min(0).max(1).default(0),
+    changePoint: z.number().min(0).max(1).default(0)
+  }).strict(),
+  thresholds: z.object({
+    absenteeism: z.object({
+      steps: stepsSchema,
+      linearMultiplier: z.number().min(0)
+    }),
+    leavePattern: z.object({
+      steps: stepsSchema,
+      linearMultiplier: z.number().min(0)
+    }),
+    consistency: z.object({
+      stdDevMultiplier: z.number().min(0),
+      minDaysPerWeek: z.number().int().min(1).max(7)
+    }),
+    recentTrend: z.object({
+      minRecords: z.number().int().min(2),
+      windowSize: z.number().int().min(1),
+      windowDays: z.number().int().min(1),
+      minRecordsPerWindow: z.number().int().min(1),
+      steps: stepsSchema,
+      linearMultiplier: z.number().min(0)
+    }),
+    punctuality: z.object({
+      minPunchedDays: z.number().int().min(1),
+      steps: stepsSchema,
+      linearMultiplier: z.number().min(0)
+    }),
+    leaveNotice: z.object({
+      minNotices: z.number().int().min(1),
+      leadTimeSteps: leadTimeStepsSchema,
+      sameDayMultiplier: z.number().min(0),
+      deteriorationMaxDays: z.number().positive(),
+      minNoticesPerHalf: z.number().int().min(1),
+      componentWeights: z.object({
+        leadTime: z.number().min(0),
+        sameDay: z.number().min(0),
+        deterioration: z.number().min(0)
+      })
+    }),
+    absencePattern: z.object({
+      minWorkingDays: z.number().int().min(1),
+      bradford: z.object({
+        steps: stepsSchema,
+        linearMultiplier: z.number().min(0)
+      }),
+      minClusterAbsences: z.number().int().min(1),
+      clusterRatioMax: z.number().gt(1),
+      recurringMinOccurrences: z.number().int().min(1),
+      recurringRatio: z.number().min(1),
+      componentWeights: z.object({
+        bradford: z.number().min(0),
+        weekEdge: z.number().min(0),
+        holidayAdjacent: z.number().min(0),
+        recurringWeekday: z.number().min(0)
+      })
+    }),
+    changePoint: z.object({
+      minSegmentDays: z.number().int().min(2),
+      criticalValue: z.number().positive(),
+      maxChangePoints: z.number().int().min(1),
+      steps: stepsSchema,
+      linearMultiplier: z.number().min(0)
+    })
+  }),
+  riskBands: z.object({
+    high: z.number().min(0).max(100),
+    moderate: z.number().min(0).max(100)
+  })
+})
+  .refine(
+    profile => Math.abs(Object.values(profile.weights).reduce((a, b) => a + b, 0) - 1) <= WEIGHT_SUM_TOLERANCE,
+    { message: 'weights must sum to 1', path: ['weights'] }
+  )
+  .refine(
+    profile => profile.riskBands.high > profile.riskBands.moderate,
+    { message: 'riskBands.high must be greater than riskBands.moderate', path: ['riskBands'] }
+  );
+
+/**
+ * Merge a partial profile onto a base profile.
+ * Weights are replaced as a whole so the sum check is meaningful;
+ * thresholds are merged per factor.
+ */
+function mergeProfile(base, input = {}) {
+  const thresholds = { ...base.thresholds };
+  Object.entries(input.thresholds || {}).forEach(([factor, config]) => {
+    thresholds[factor] = { ...(base.thresholds[factor] || {}), ...config };
+  });
+
+  return {
+    name: input.name ?? base.name,
+    algorithmVersion: input.algorithmVersion ?? base.algorithmVersion,
+    weights: input.weights ?? base.weights,
+    thresholds,
+    riskBands: { ...base.riskBands, ...(input.riskBands || {}) }
+  };
+}
+
+/**
+ * Validate a complete scoring profile
+ * @returns {{ valid: boolean, profile?: Object, errors: Array }}
+ */
+function validateScoringProfile(profile) {
+  const result = scoringProfileSchema.safeParse(profile);
+
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.issues.map(issue => ({
+        path: issue.path.join('.'),
+        message: issue.message
+      }))
+    };
+  }
+
+  return { valid: true, profile: result.data, errors: [] };
+}
+
+/**
+ * Weights with every factor present; factors added after a version was stored weigh 0
+ */
+function completeWeights(weights) {
+  return {
+    ...Object.fromEntries(Object.keys(DEFAULT_SCORING_PROFILE.weights).map(factor => [factor, 0])),
+    ...weights
+  };
+}
+
+function toProfile(row) {
+  // Settings introduced after a version was stored fall back to the defaults
+  const { thresholds } = mergeProfile(DEFAULT_SCORING_PROFILE, { thresholds: row.thresholds });
+
+  return {
+    id: row.id,
+    version: row.version,
+    name: row.name,
+    algorithmVersion: row.algorithmVersion,
+    weights: completeWeights(row.weights),
+    thresholds,
+    riskBands: row.riskBands,
+    isActive: row.isActive,
+    createdAt: row.createdAt,
+    retiredAt: row.retiredAt
+  };
+}
+
+/**
+ * Get the profile currently used to score an organization
+ */
+async function getActiveProfile(organizationId) {
+  const row = await prisma.scoringProfile.findFirst({
+    where: { organizationId, isActive: true },
+    orderBy: { version: 'desc' }
+  });
+
+  return row ? toProfile(row) : { ...DEFAULT_SCORING_PROFILE, isActive: true };
+}
+
+/**
+ * Get a specific profile version (retired versions included, so old scores stay reproducible)
+ */
+async function getProfileVersion(organizationId, version) {
+  if (version === DEFAULT_SCORING_PROFILE.version) {
+    return { ...DEFAULT_SCORING_PROFILE };
+  }
+
+  const row = await prisma.scoringProfile.findUnique({
+    where: { organizationId_version: { organizationId, version } }
+  });
+
+  return row ? toProfile(row) : null;
+}
+
+async function listProfiles(organizationId, { includeRetired = false } = {}) {
+  const rows = await prisma.scoringProfile.findMany({
+    where: {
+      organizationId,
+      ...(includeRetired ? {} : { retiredAt: null })
+    },
+    orderBy: { version: 'desc' }
+  });
+
+  return rows.map(toProfile);
+}
+
+/**
+ * Store a new profile version derived from the active one
+ * New versions use the current algorithm unless input.algorithmVersion says otherwise.
+ * @param {Object} input - Partial profile (name, algorithmVersion, weights, thresholds, riskBands)
+ * @param {Object} options - { createdById, activate }
+ */
+async function createProfileVersion(organizationId, input, { createdById = null, activate = true } = {}) {
+  const base = await getActiveProfile(organizationId);
+  const validation = validateScoringProfile(mergeProfile(
+    { ...base, algorithmVersion: CURRENT_ALGORITHM_VERSION },
+    input
+  ));
+
+  if (!validation.valid) {
+    return validation;
+  }
+
+  const created = await prisma.$transaction(async (tx) => {
+    const latest = await tx.scoringProfile.findFirst({
+      where: { organizationId },
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    });
+
+    if (activate) {
+      await tx.scoringProfile.updateMany({
+        where: { organizationId, isActive: true },
+        data: { isActive: false }
+      });
+    }
+
+    return tx.scoringProfile.create({
+      data: {
+        organizationId,
+        version: (latest?.version ?? DEFAULT_SCORING_PROFILE.version) + 1,
+        ...validation.profile,
+        isActive: activate,
+        createdById
+      }
+    });
+  });
+
+  return { valid: true, profile: toProfile(created), errors: [] };
+}
+
+/**
+ * Make a stored version the active one (e.g. to roll back a change)
+ */
+async function activateProfileVersion(organizationId, version) {
+  return prisma.$transaction(async (tx) => {
+    const row = await tx.scoringProfile.findUnique({
+      where: { organizationId_version: { organizationId, version } }
+    });
+
+    if (!row || row.retiredAt) {
+      return null;
+    }
+
+    await tx.scoringProfile.updateMany({
+      where: { organizationId, isActive: true },
+      data: { isActive: false }
+    });
+
+    return toProfile(await tx.scoringProfile.update({
+      where: { id: row.id },
+      data: { isActive: true }
+    }));
+  });
+}
+
+/**
+ * Retire a version. It is hidden from listings but kept for reproducibility.
+ */
+async function retireProfileVersion(organizationId, version) {
+  const row = await prisma.scoringProfile.findUnique({
+    where: { organizationId_version: { organizationId, version } }
+  });
+
+  if (!row) {
+    return null;
+  }
+
+  if (row.isActive) {
+    throw new Error('Cannot retire the active scoring profile. Activate another version first.');
+  }
+
+  return toProfile(await prisma.scoringProfile.update({
+    where: { id: row.id },
+    data: { retiredAt: new Date() }
+  }));
+}
+
+module.exports = {
+  SCORING_ALGORITHMS,
+  CURRENT_ALGORITHM_VERSION,
+  DEFAULT_SCORING_PROFILE,
+  validateScoringProfile,
+  mergeProfile,
+  getActiveProfile,
+  getProfileVersion,
+  listProfiles,
+  createProfileVersion,
+  activateProfileVersion,
+  retireProfileVersion
+};
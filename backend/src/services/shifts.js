@@ -0,0 +1,174 @@
+/**
+ * Shift Definitions
+ * Configured shifts (start, end and grace periods, in the organization
+ * timezone) that punch-log imports are measured against to flag late
+ * arrivals and early departures.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { zonedTimeToUtc } = require('./dateParsing');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'must be HH:mm (24-hour)');
+
+const shiftSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  department: z.string().trim().min(1).max(50).optional().nullable(),
+  startTime: timeSchema,
+  endTime: timeSchema,
+  graceMinutes: z.number().int().min(0).max(240).default(0),
+  earlyDepartureGraceMinutes: z.number().int().min(0).max(240).default(0)
+})
+  .refine(shift => shift.startTime !== shift.endTime, {
+    message: 'endTime must differ from startTime',
+    path: ['endTime']
+  });
+
+function validateShift(input) {
+  const result = shiftSchema.safeParse(input);
+
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.issues.map(issue => ({
+        path: issue.path.join('.'),
+        message: issue.message
+      }))
+    };
+  }
+
+  return { valid: true, shift: { ...result.data, department: result.data.department || null }, errors: [] };
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// 'HH:mm' on a calendar day (plus dayOffset days) in a timezone -> UTC instant
+function timeOnDay(dateKey, time, timezone, dayOffset = 0) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day) + dayOffset * DAY_MS);
+  const minutes = minutesOfDay(time);
+
+  return zonedTimeToUtc({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60
+  }, timezone);
+}
+
+/**
+ * Start and end of a shift on a day ('YYYY-MM-DD'), as UTC instants
+ * Overnight shifts (end before start) end on the next day.
+ */
+function shiftWindow(shift, dateKey, timezone) {
+  const overnight = minutesOfDay(shift.endTime) < minutesOfDay(shift.startTime);
+  return {
+    start: timeOnDay(dateKey, shift.startTime, timezone),
+    end: timeOnDay(dateKey, shift.endTime, timezone, overnight ? 1 : 0)
+  };
+}
+
+/**
+ * Pick the shift for a worked day: the department's shifts, else the
+ * organization-wide ones, choosing the one starting closest to the first punch
+ * (so rotating shifts need no roster)
+ * @returns {Object|null} { shift, start, end }
+ */
+function resolveShift(shifts, { department, dateKey, checkIn, timezone }) {
+  const departmentShifts = shifts.filter(s => department && s.department === department);
+  const candidates = departmentShifts.length > 0 ? departmentShifts : shifts.filter(s => !s.department);
+  if (candidates.length === 0) return null;
+
+  return candidates
+    .map(shift => ({ shift, ...shiftWindow(shift, dateKey, timezone) }))
+    .reduce((best, option) =>
+      Math.abs(checkIn - option.start) < Math.abs(checkIn - best.start) ? option : best
+    );
+}
+
+/**
+ * Late and early-departure minutes of a worked day against its shift
+ * Both are 0 within the grace periods.
+ */
+function measureAgainstShift({ shift, start, end }, { checkIn, checkOut }) {
+  const late = (checkIn - start) / MINUTE_MS;
+  const early = checkOut ? (end - checkOut) / MINUTE_MS : null;
+
+  return {
+    lateMinutes: late > shift.graceMinutes ? Math.round(late) : 0,
+    earlyDepartureMinutes: early === null ? null : early > shift.earlyDepartureGraceMinutes ? Math.round(early) : 0
+  };
+}
+
+async function listShifts(organizationId) {
+  return prisma.shiftDefinition.findMany({
+    where: { organizationId },
+    orderBy: [{ department: 'asc' }, { startTime: 'asc' }]
+  });
+}
+
+async function createShift(organizationId, input) {
+  const validation = validateShift(input);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  const shift = await prisma.shiftDefinition.create({
+    data: { organizationId, ...validation.shift }
+  });
+
+  return { valid: true, shift, errors: [] };
+}
+
+/**
+ * Update a shift. Partial input is merged onto the stored shift.
+ * @returns {Promise<Object|null>} null when the shift does not exist
+ */
+async function updateShift(organizationId, id, input) {
+  const existing = await prisma.shiftDefinition.findFirst({ where: { id, organizationId } });
+  if (!existing) return null;
+
+  const validation = validateShift({
+    name: input.name ?? existing.name,
+    department: input.department !== undefined ? input.department : existing.department,
+    startTime: input.startTime ?? existing.startTime,
+    endTime: input.endTime ?? existing.endTime,
+    graceMinutes: input.graceMinutes ?? existing.graceMinutes,
+    earlyDepartureGraceMinutes: input.earlyDepartureGraceMinutes ?? existing.earlyDepartureGraceMinutes
+  });
+  if (!validation.valid) {
+    return validation;
+  }
+
+  const shift = await prisma.shiftDefinition.update({
+    where: { id },
+    data: validation.shift
+  });
+
+  return { valid: true, shift, errors: [] };
+}
+
+async function deleteShift(organizationId, id) {
+  const result = await prisma.shiftDefinition.deleteMany({ where: { id, organizationId } });
+  return result.count > 0;
+}
+
+module.exports = {
+  validateShift,
+  shiftWindow,
+  resolveShift,
+  measureAgainstShift,
+  listShifts,
+  createShift,
+  updateShift,
+  deleteShift
+};
@@ -0,0 +1,211 @@
+/**
+ * What-If Simulation
+ * Scores an employee (or a made-up attendance profile) twice through the
+ * engine's scoreEmployee: once on the attendance as it stands, once with
+ * hypothetical records laid over it and / or factor scores overridden.
+ * Nothing is persisted and no cache is touched.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { getAnalysisPeriod, scoreEmployee } = require('./attritionEngine');
+const { getActiveProfile, DEFAULT_SCORING_PROFILE } = require('./scoringModel');
+const { getActiveModel } = require('./riskModel');
+const { loadCalendar, toDateKey } = require('./workCalendar');
+const { loadStatusDictionary } = require('./statusDictionary');
+
+const prisma = new PrismaClient();
+
+const MAX_SIMULATED_RECORDS = 1000;
+const MAX_MONTHS = 24;
+const FACTORS = Object.keys(DEFAULT_SCORING_PROFILE.weights);
+
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'must be YYYY-MM-DD');
+
+const recordSchema = z.object({
+  date: dateSchema,
+  status: z.string().trim().min(1).max(50),
+  hoursWorked: z.number().min(0).max(24).optional().nullable(),
+  informedTime: z.string().datetime({ offset: true }).optional().nullable(),
+  lateMinutes: z.number().int().min(0).optional().nullable(),
+  earlyDepartureMinutes: z.number().int().min(0).optional().nullable()
+});
+
+const simulationSchema = z.object({
+  // An existing employee, by employee code...
+  employeeId: z.string().trim().min(1).max(20).optional(),
+  // ...or a made-up one with its own attendance history
+  employee: z.object({
+    department: z.string().trim().min(1).max(100).optional().nullable(),
+    designation: z.string().trim().min(1).max(100).optional().nullable(),
+    joinDate: dateSchema.optional().nullable()
+  }).optional(),
+  attendance: z.array(recordSchema).max(MAX_SIMULATED_RECORDS).default([]),
+  // Hypothetical records; a record on a day that already has one replaces it
+  records: z.array(recordSchema).max(MAX_SIMULATED_RECORDS).default([]),
+  factorOverrides: z.object(
+    Object.fromEntries(FACTORS.map(factor => [factor, z.number().min(0).max(100).nullable().optional()]))
+  ).strict().default({}),
+  months: z.number().int().min(1).max(MAX_MONTHS).default(3)
+})
+  .refine(input => Boolean(input.employeeId) !== Boolean(input.employee), {
+    message: 'Provide either employeeId or a made-up employee, not both',
+    path: ['employeeId']
+  })
+  .refine(input => !input.employeeId || input.attendance.length === 0, {
+    message: 'attendance is only used with a made-up employee; the stored attendance of employeeId is used instead',
+    path: ['attendance']
+  })
+  .refine(input => input.records.length > 0 || Object.keys(input.factorOverrides).length > 0, {
+    message: 'Provide hypothetical records or factorOverrides',
+    path: ['records']
+  });
+
+function validationErrors(result) {
+  return result.error.issues.map(issue => ({
+    path: issue.path.join('.'),
+    message: issue.message
+  }));
+}
+
+function toDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`);
+}
+
+/**
+ * Resolve statuses through the organization's status dictionary, as imports do
+ * @returns {{ records: Array, errors: Array }}
+ */
+function resolveRecords(input, field, statusDictionary) {
+  const records = [];
+  const errors = [];
+
+  input.forEach((record, i) => {
+    const resolved = statusDictionary.resolve(record.status);
+    if (!resolved) {
+      errors.push({ path: `${field}.${i}.status`, message: `Unknown status '${record.status}'` });
+      return;
+    }
+    records.push({
+      date: toDate(record.date),
+      status: resolved.status,
+      statusCode: resolved.statusCode,
+      dayFraction: resolved.dayFraction,
+      hoursWorked: record.hoursWorked ?? null,
+      informedTime: record.informedTime ? new Date(record.informedTime) : null,
+      lateMinutes: record.lateMinutes ?? null,
+      earlyDepartureMinutes: record.earlyDepartureMinutes ?? null
+    });
+  });
+
+  return { records, errors };
+}
+
+// Records within [startDate, endDate], oldest first; later sources win on the same day
+function recordsInWindow(sources, startDate, endDate) {
+  const byDay = new Map();
+  sources.flat().forEach(record => byDay.set(toDateKey(record.date), record));
+  return [...byDay.values()]
+    .filter(record => record.date >= toDate(toDateKey(startDate)) && record.date <= endDate)
+    .sort((a, b) => a.date - b.date);
+}
+
+function factorDeltas(baseline, projected) {
+  return Object.fromEntries(FACTORS.map(factor => {
+    const before = baseline.factors[factor];
+    const after = projected.factors[factor];
+    return [factor, typeof before === 'number' && typeof after === 'number' ? Math.round((after - before) * 10) / 10 : null];
+  }));
+}
+
+/**
+ * Run a what-if simulation
+ * The baseline is scored over the months up to today. The projection's window
+ * ends on the last hypothetical day (today when all of them are past) and
+ * covers the same number of months, so records added in the future push
+ * older ones out of the window just as time passing would.
+ * @param {string} companyId - Organization ID
+ * @param {Object} input - { employeeId | employee, attendance, records, factorOverrides, months }
+ * @returns {Promise<Object|null>} { valid, errors, simulation }; null when employeeId does not exist
+ */
+async function runSimulation(companyId, input) {
+  const result = simulationSchema.safeParse(input);
+  if (!result.success) {
+    return { valid: false, errors: validationErrors(result) };
+  }
+  const { employeeId, attendance, records, factorOverrides, months } = result.data;
+
+  const storedEmployee = employeeId
+    ? await prisma.employee.findFirst({ where: { companyId, employeeId } })
+    : null;
+  if (employeeId && !storedEmployee) return null;
+
+  const employee = storedEmployee || {
+    employeeId: null,
+    name: 'Simulated employee',
+    department: result.data.employee.department ?? null,
+    designation: result.data.employee.designation ?? null,
+    joinDate: result.data.employee.joinDate ? toDate(result.data.employee.joinDate) : null
+  };
+
+  const statusDictionary = await loadStatusDictionary(companyId);
+  const history = resolveRecords(attendance, 'attendance', statusDictionary);
+  const hypothetical = resolveRecords(records, 'records', statusDictionary);
+  const errors = [...history.errors, ...hypothetical.errors];
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const baselinePeriod = getAnalysisPeriod(months);
+  const lastDay = hypothetical.records.reduce((latest, r) => (r.date > latest ? r.date : latest), baselinePeriod.endDate);
+  const projectedPeriod = getAnalysisPeriod(months, lastDay);
+
+  const [profile, riskModel, calendar, stored, psychResponses] = await Promise.all([
+    getActiveProfile(companyId),
+    getActiveModel(companyId),
+    loadCalendar(companyId, { from: baselinePeriod.startDate, to: projectedPeriod.endDate }),
+    storedEmployee
+      ? prisma.attendance.findMany({
+        where: { employeeId: storedEmployee.id, date: { gte: baselinePeriod.startDate, lte: baselinePeriod.endDate } },
+        orderBy: { date: 'asc' }
+      })
+      : history.records,
+    storedEmployee
+      ? prisma.psychResponse.findMany({
+        where: { employeeId: storedEmployee.id, createdAt: { gte: baselinePeriod.startDate, lte: baselinePeriod.endDate } }
+      })
+      : []
+  ]);
+
+  const score = ({ startDate, endDate }, sources, overrides) => scoreEmployee(
+    employee,
+    recordsInWindow(sources, startDate, endDate),
+    psychResponses.filter(r => r.createdAt >= startDate && r.createdAt <= endDate),
+    { profile, calendar, startDate, endDate, riskModel, factorOverrides: overrides }
+  );
+
+  const baseline = score(baselinePeriod, [stored], {});
+  const projected = score(projectedPeriod, [stored, hypothetical.records], factorOverrides);
+
+  return {
+    valid: true,
+    errors: [],
+    simulation: {
+      employeeId: employee.employeeId,
+      simulatedEmployee: !storedEmployee,
+      modelVersion: profile.version,
+      baseline,
+      projected,
+      deltas: {
+        score: Math.round((projected.score - baseline.score) * 10) / 10,
+        riskLevelChanged: projected.riskLevel !== baseline.riskLevel,
+        factors: factorDeltas(baseline, projected)
+      }
+    }
+  };
+}
+
+module.exports = {
+  MAX_SIMULATED_RECORDS,
+  runSimulation
+};
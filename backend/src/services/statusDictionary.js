@@ -0,0 +1,205 @@
+/**
+ * Status Dictionary
+ * Maps the raw status codes of attendance sources (biometric exports use P, A,
+ * HD, WFH, CL, SL, OD...) onto canonical categories. Organizations can add or
+ * override codes; the built-in codes below apply otherwise.
+ *
+ * Each code resolves to the stored status plus a day fraction: the share of
+ * the day the status covers, the rest counting as present. A half-day
+ * unplanned leave is stored as 'Unplanned Leave' with dayFraction 0.5 and
+ * weighs half a day in scoring.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+
+const prisma = new PrismaClient();
+
+// Canonical categories and the status stored for each
+const STATUS_CATEGORIES = {
+  PRESENT: 'Present',
+  REMOTE: 'Remote',
+  ABSENT: 'Absent',
+  PLANNED_LEAVE: 'Planned Leave',
+  UNPLANNED_LEAVE: 'Unplanned Leave'
+};
+
+const STATUSES = Object.values(STATUS_CATEGORIES);
+
+// Statuses that count as attendance (work from home is still a worked day)
+const WORKED_STATUSES = [STATUS_CATEGORIES.PRESENT, STATUS_CATEGORIES.REMOTE];
+const LEAVE_STATUSES = [STATUS_CATEGORIES.PLANNED_LEAVE, STATUS_CATEGORIES.UNPLANNED_LEAVE];
+
+// Categories a code can cover part of a day with (dayFraction below 1)
+const PARTIAL_DAY_CATEGORIES = ['ABSENT', 'PLANNED_LEAVE', 'UNPLANNED_LEAVE'];
+
+// Used when an organization has not defined a code
+const DEFAULT_STATUS_CODES = [
+  { code: 'Present', label: 'Present', category: 'PRESENT' },
+  { code: 'Absent', label: 'Absent', category: 'ABSENT' },
+  { code: 'Planned Leave', label: 'Planned leave', category: 'PLANNED_LEAVE' },
+  { code: 'Unplanned Leave', label: 'Unplanned leave', category: 'UNPLANNED_LEAVE' },
+  { code: 'Remote', label: 'Remote work', category: 'REMOTE' },
+  { code: 'PRESENT', label: 'Present', category: 'PRESENT' },
+  { code: 'ABSENT', label: 'Absent', category: 'ABSENT' },
+  { code: 'PLANNED', label: 'Planned leave', category: 'PLANNED_LEAVE' },
+  { code: 'UNPLANNED', label: 'Unplanned leave', category: 'UNPLANNED_LEAVE' },
+  { code: 'P', label: 'Present', category: 'PRESENT' },
+  { code: 'A', label: 'Absent', category: 'ABSENT' },
+  { code: 'OD', label: 'On duty', category: 'PRESENT' },
+  { code: 'WFH', label: 'Work from home', category: 'REMOTE' },
+  { code: 'CL', label: 'Casual leave', category: 'PLANNED_LEAVE' },
+  { code: 'SL', label: 'Sick leave', category: 'UNPLANNED_LEAVE' },
+  { code: 'HD', label: 'Half day', category: 'UNPLANNED_LEAVE', dayFraction: 0.5 }
+];
+
+const statusCodeSchema = z.object({
+  code: z.string().trim().min(1).max(30),
+  label: z.string().trim().max(100).optional().nullable(),
+  category: z.enum(Object.keys(STATUS_CATEGORIES)),
+  dayFraction: z.number().gt(0).max(1).optional().nullable()
+})
+  .refine(
+    entry => (entry.dayFraction ?? 1) === 1 || PARTIAL_DAY_CATEGORIES.includes(entry.category),
+    { message: `dayFraction below 1 is only allowed for ${PARTIAL_DAY_CATEGORIES.join(', ')} codes`, path: ['dayFraction'] }
+  );
+
+function normalizeCode(code) {
+  return String(code ?? '').trim().toUpperCase();
+}
+
+/**
+ * Dictionary entry -> what is stored on the attendance record
+ * @returns {{ status: string, dayFraction: number }}
+ */
+function resolveEntry(entry) {
+  return { status: STATUS_CATEGORIES[entry.category], dayFraction: entry.dayFraction ?? 1 };
+}
+
+/**
+ * Build a dictionary from built-in and organization codes (organization codes win)
+ * @returns {Object} { resolve(rawStatus), codes }
+ */
+function createStatusDictionary(codes = []) {
+  const byCode = new Map();
+  [...DEFAULT_STATUS_CODES, ...codes].forEach(entry => byCode.set(normalizeCode(entry.code), entry));
+
+  return {
+    codes: [...byCode.values()],
+
+    /**
+     * Raw status from a file -> { status, dayFraction, statusCode }, null when unknown
+     */
+    resolve(rawStatus) {
+      const entry = byCode.get(normalizeCode(rawStatus));
+      if (!entry) return null;
+      return { ...resolveEntry(entry), statusCode: String(rawStatus).trim() };
+    }
+  };
+}
+
+async function loadStatusDictionary(organizationId) {
+  const codes = await prisma.attendanceStatusCode.findMany({ where: { organizationId } });
+  return createStatusDictionary(codes);
+}
+
+/**
+ * Share of a day a record counts for its status (1 unless it is a partial day)
+ */
+function dayWeight(record) {
+  return record.dayFraction ?? 1;
+}
+
+/**
+ * Days counted towards the given statuses, partial days weighted by their fraction
+ */
+function countDays(records, statuses) {
+  const wanted = Array.isArray(statuses) ? statuses : [statuses];
+  return records.reduce((sum, r) => sum + (wanted.includes(r.status) ? dayWeight(r) : 0), 0);
+}
+
+/**
+ * Days worked: present and remote days plus the worked part of partial days
+ */
+function countWorkedDays(records) {
+  return records.reduce((sum, r) => sum + (WORKED_STATUSES.includes(r.status) ? 1 : 1 - dayWeight(r)), 0);
+}
+
+function validateStatusCode(input) {
+  const result = statusCodeSchema.safeParse(input);
+
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.issues.map(issue => ({
+        path: issue.path.join('.'),
+        message: issue.message
+      }))
+    };
+  }
+
+  return { valid: true, entry: result.data, errors: [] };
+}
+
+/**
+ * Organization codes with the built-in codes they do not override
+ */
+async function listStatusCodes(organizationId) {
+  const codes = await prisma.attendanceStatusCode.findMany({
+    where: { organizationId },
+    orderBy: { code: 'asc' }
+  });
+  const overridden = new Set(codes.map(c => normalizeCode(c.code)));
+
+  return {
+    codes,
+    defaults: DEFAULT_STATUS_CODES.filter(c => !overridden.has(normalizeCode(c.code)))
+  };
+}
+
+/**
+ * Create or replace the organization's entry for a code
+ */
+async function setStatusCode(organizationId, input) {
+  const validation = validateStatusCode(input);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  const { code, label, category, dayFraction } = validation.entry;
+  const data = {
+    label: label || null,
+    category,
+    dayFraction: dayFraction ?? null
+  };
+
+  const statusCode = await prisma.attendanceStatusCode.upsert({
+    where: { organizationId_code: { organizationId, code: normalizeCode(code) } },
+    create: { organizationId, code: normalizeCode(code), ...data },
+    update: data
+  });
+
+  return { valid: true, statusCode, errors: [] };
+}
+
+async function deleteStatusCode(organizationId, id) {
+  const result = await prisma.attendanceStatusCode.deleteMany({ where: { id, organizationId } });
+  return result.count > 0;
+}
+
+module.exports = {
+  STATUS_CATEGORIES,
+  STATUSES,
+  WORKED_STATUSES,
+  LEAVE_STATUSES,
+  PARTIAL_DAY_CATEGORIES,
+  DEFAULT_STATUS_CODES,
+  createStatusDictionary,
+  loadStatusDictionary,
+  dayWeight,
+  countDays,
+  countWorkedDays,
+  listStatusCodes,
+  setStatusCode,
+  deleteStatusCode
+};
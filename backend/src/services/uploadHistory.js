@@ -0,0 +1,543 @@
+/**
+ * Upload History Service
+ * Provenance for attendance imports: every import is recorded as an
+ * UploadedFile (uploader, checksum, row counts) and every attendance record
+ * it creates or overwrites gets an AttendanceRecordChange row holding the
+ * previous values, so a bad import can be reverted by source file.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { PrismaClient } = require('@prisma/client');
+const { toDateKey } = require('./workCalendar');
+const scoreCache = require('./scoreCache');
+
+const prisma = new PrismaClient();
+
+const UPLOAD_STATUS = {
+  PROCESSING: 'PROCESSING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  ROLLED_BACK: 'ROLLED_BACK'
+};
+
+const CHANGE_ACTIONS = {
+  CREATED: 'CREATED',
+  UPDATED: 'UPDATED'
+};
+
+const ROLLBACK_BATCH_SIZE = 500; // Records reverted per transaction
+const ROLLBACK_BATCH_TIMEOUT_MS = 30 * 1000;
+const SAMPLE_CHANGES = 50;
+
+// Set only by imports that carry them (punch logs, informed_time); other imports leave them as they are
+const OPTIONAL_FIELDS = ['checkIn', 'checkOut', 'lateMinutes', 'earlyDepartureMinutes', 'informedTime'];
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value ?? null;
+}
+
+function optionalChanges(current, record) {
+  return OPTIONAL_FIELDS.some(field =>
+    record[field] !== undefined && comparable(current[field]) !== comparable(record[field])
+  );
+}
+
+function optionalData(record) {
+  return Object.fromEntries(
+    OPTIONAL_FIELDS.filter(field => record[field] !== undefined).map(field => [field, record[field]])
+  );
+}
+
+// Previews store informedTime as an ISO string
+function normalizeRecord(record) {
+  return typeof record.informedTime === 'string'
+    ? { ...record, informedTime: new Date(record.informedTime) }
+    : record;
+}
+
+function computeChecksum(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Checksum of a stored file, read as a stream
+ */
+async function computeFileChecksum(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Latest completed upload of the same file, if any
+ */
+async function findDuplicateUpload(organizationId, checksum) {
+  return prisma.uploadedFile.findFirst({
+    where: { organizationId, checksum, status: UPLOAD_STATUS.COMPLETED },
+    orderBy: { uploadedAt: 'desc' },
+    select: { id: true, originalName: true, uploadedAt: true }
+  });
+}
+
+/**
+ * Record the start of an import
+ * @param {Object} details - { originalName, storedPath, checksum, source, totalRows, uploadedById }
+ * @param {Object} client - Prisma client or transaction
+ */
+async function startUpload(organizationId, details, client = prisma) {
+  return client.uploadedFile.create({
+    data: {
+      organizationId,
+      originalName: details.originalName,
+      storedPath: details.storedPath,
+      checksum: details.checksum,
+      source: details.source || 'UPLOAD',
+      totalRows: details.totalRows || 0,
+      uploadedById: details.uploadedById || null,
+      status: UPLOAD_STATUS.PROCESSING
+    }
+  });
+}
+
+/**
+ * Record the outcome of an import
+ * @param {Object} counts - { created, updated, unchanged, failed, totalRows }
+ *   totalRows: set when the row count was unknown at start (streamed files)
+ */
+async function finishUpload(id, counts, { status = UPLOAD_STATUS.COMPLETED } = {}, client = prisma) {
+  return client.uploadedFile.update({
+    where: { id },
+    data: {
+      status,
+      createdRows: counts.created || 0,
+      updatedRows: counts.updated || 0,
+      unchangedRows: counts.unchanged || 0,
+      failedRows: counts.failed || 0,
+      ...(counts.totalRows !== undefined && { totalRows: counts.totalRows }),
+      processedAt: new Date()
+    }
+  });
+}
+
+async function markUploadFailed(id) {
+  return prisma.uploadedFile.update({
+    where: { id },
+    data: { status: UPLOAD_STATUS.FAILED, processedAt: new Date() }
+  });
+}
+
+async function markUploadProcessing(id) {
+  return prisma.uploadedFile.update({
+    where: { id },
+    // A retried import starts over after its failed attempt was rolled back
+    data: { status: UPLOAD_STATUS.PROCESSING, rolledBackById: null, rolledBackAt: null }
+  });
+}
+
+// Whether an import has written anything (its change log is not empty)
+async function hasUploadChanges(id) {
+  return (await prisma.attendanceRecordChange.count({ where: { uploadedFileId: id } })) > 0;
+}
+
+/**
+ * Compare normalized records with stored attendance
+ * @param {Object} client - Prisma client or transaction
+ * @param {Array} records - [{ employeeId (employee code), employeeName, department, date ('YYYY-MM-DD'), status, statusCode, dayFraction, hoursWorked }]
+ *   Punch-log records also carry checkIn, checkOut, lateMinutes and earlyDepartureMinutes
+ * @returns {Promise<{ employees: Map, newEmployees: Array, toCreate: Array, toUpdate: Array, unchanged: number }>}
+ */
+async function diffAttendance(client, companyId, records) {
+  const employeeIds = [...new Set(records.map(r => r.employeeId))];
+  const dates = records.map(r => r.date).sort();
+
+  const employees = await client.employee.findMany({
+    where: { companyId, employeeId: { in: employeeIds } }
+  });
+  const employeesByCode = new Map(employees.map(e => [e.employeeId, e]));
+
+  const existing = employees.length === 0 ? [] : await client.attendance.findMany({
+    where: {
+      employeeId: { in: employees.map(e => e.id) },
+      date: { gte: new Date(dates[0]), lte: new Date(dates[dates.length - 1]) }
+    }
+  });
+  const existingByKey = new Map(existing.map(a => [`${a.employeeId}_${toDateKey(a.date)}`, a]));
+
+  const toCreate = [];
+  const toUpdate = [];
+  let unchanged = 0;
+
+  records.forEach(record => {
+    const employee = employeesByCode.get(record.employeeId);
+    const current = employee && existingByKey.get(`${employee.id}_${record.date}`);
+
+    if (!current) {
+      toCreate.push(record);
+    } else if (
+      current.status !== record.status ||
+      (current.dayFraction ?? 1) !== (record.dayFraction ?? 1) ||
+      (current.hoursWorked ?? null) !== (record.hoursWorked ?? null) ||
+      optionalChanges(current, record)
+    ) {
+      toUpdate.push({
+        id: current.id,
+        record,
+        previous: {
+          status: current.status,
+          statusCode: current.statusCode ?? null,
+          dayFraction: current.dayFraction ?? 1,
+          hoursWorked: current.hoursWorked ?? null,
+          checkIn: current.checkIn ?? null,
+          checkOut: current.checkOut ?? null,
+          lateMinutes: current.lateMinutes ?? null,
+          earlyDepartureMinutes: current.earlyDepartureMinutes ?? null,
+          informedTime: current.informedTime ?? null
+        },
+        previousSourceFileId: current.sourceFileId ?? null
+      });
+    } else {
+      unchanged++;
+    }
+  });
+
+  return {
+    employees: employeesByCode,
+    newEmployees: employeeIds.filter(id => !employeesByCode.has(id)),
+    toCreate,
+    toUpdate,
+    unchanged
+  };
+}
+
+/**
+ * Write a batch of normalized records on behalf of an upload and log every change
+ * Missing employees are created. When a batch repeats an employee + date the
+ * last row wins, as with row-by-row upserts.
+ * @param {Object} tx - Prisma transaction
+ * @returns {Promise<{ newEmployees: number, created: number, updated: number, unchanged: number }>}
+ */
+async function writeAttendanceBatch(tx, companyId, uploadedFileId, records) {
+  const latest = new Map(records.map(r => [`${r.employeeId}_${r.date}`, normalizeRecord(r)]));
+  const batch = [...latest.values()];
+  if (batch.length === 0) {
+    return { newEmployees: 0, created: 0, updated: 0, unchanged: 0 };
+  }
+
+  const diff = await diffAttendance(tx, companyId, batch);
+
+  if (diff.newEmployees.length > 0) {
+    const details = new Map(batch.map(r => [r.employeeId, r]));
+
+    // Link new employees to managers already in the employee master by manager_email
+    const managerEmails = [...new Set(diff.newEmployees.map(id => details.get(id).managerEmail).filter(Boolean))];
+    const managers = managerEmails.length === 0 ? [] : await tx.employee.findMany({
+      where: { companyId, email: { in: managerEmails } }
+    });
+    const managersByEmail = new Map(managers.map(m => [m.email.toLowerCase(), m]));
+
+    await tx.employee.createMany({
+      data: diff.newEmployees.map(employeeId => {
+        const manager = managersByEmail.get(details.get(employeeId).managerEmail);
+        return {
+          employeeId,
+          name: details.get(employeeId).employeeName,
+          ...(details.get(employeeId).department && { department: details.get(employeeId).department }),
+          ...(manager && { managerId: manager.id }),
+          companyId
+        };
+      })
+    });
+
+    const created = await tx.employee.findMany({
+      where: { companyId, employeeId: { in: diff.newEmployees } }
+    });
+    created.forEach(e => diff.employees.set(e.employeeId, e));
+  }
+
+  const changeLog = [];
+
+  if (diff.toCreate.length > 0) {
+    const rows = diff.toCreate.map(record => ({
+      employeeId: diff.employees.get(record.employeeId).id,
+      date: new Date(record.date),
+      status: record.status,
+      statusCode: record.statusCode ?? null,
+      dayFraction: record.dayFraction ?? 1,
+      hoursWorked: record.hoursWorked ?? null,
+      ...optionalData(record),
+      sourceFileId: uploadedFileId
+    }));
+    await tx.attendance.createMany({ data: rows });
+
+    // createMany does not return ids; look the new rows up by employee and date
+    const createdKeys = new Set(rows.map(r => `${r.employeeId}_${toDateKey(r.date)}`));
+    const dates = rows.map(r => r.date.getTime());
+    const createdRecords = await tx.attendance.findMany({
+      where: {
+        sourceFileId: uploadedFileId,
+        employeeId: { in: [...new Set(rows.map(r => r.employeeId))] },
+        date: { gte: new Date(Math.min(...dates)), lte: new Date(Math.max(...dates)) }
+      }
+    });
+
+    createdRecords
+      .filter(record => createdKeys.has(`${record.employeeId}_${toDateKey(record.date)}`))
+      .forEach(record => changeLog.push({
+        uploadedFileId,
+        attendanceRecordId: record.id,
+        employeeId: record.employeeId,
+        date: record.date,
+        action: CHANGE_ACTIONS.CREATED,
+        newStatus: record.status,
+        newStatusCode: record.statusCode ?? null,
+        newDayFraction: record.dayFraction ?? 1,
+        newHoursWorked: record.hoursWorked ?? null
+      }));
+  }
+
+  for (const change of diff.toUpdate) {
+    const updated = await tx.attendance.update({
+      where: { id: change.id },
+      data: {
+        status: change.record.status,
+        statusCode: change.record.statusCode ?? null,
+        dayFraction: change.record.dayFraction ?? 1,
+        hoursWorked: change.record.hoursWorked ?? null,
+        ...optionalData(change.record),
+        sourceFileId: uploadedFileId
+      }
+    });
+
+    changeLog.push({
+      uploadedFileId,
+      attendanceRecordId: change.id,
+      employeeId: updated.employeeId,
+      date: updated.date,
+      action: CHANGE_ACTIONS.UPDATED,
+      previousStatus: change.previous.status,
+      previousStatusCode: change.previous.statusCode,
+      previousDayFraction: change.previous.dayFraction,
+      previousHoursWorked: change.previous.hoursWorked,
+      previousCheckIn: change.previous.checkIn,
+      previousCheckOut: change.previous.checkOut,
+      previousLateMinutes: change.previous.lateMinutes,
+      previousEarlyDepartureMinutes: change.previous.earlyDepartureMinutes,
+      previousInformedTime: change.previous.informedTime,
+      previousSourceFileId: change.previousSourceFileId,
+      newStatus: change.record.status,
+      newStatusCode: change.record.statusCode ?? null,
+      newDayFraction: change.record.dayFraction ?? 1,
+      newHoursWorked: change.record.hoursWorked ?? null
+    });
+  }
+
+  if (changeLog.length > 0) {
+    await tx.attendanceRecordChange.createMany({ data: changeLog });
+  }
+
+  return {
+    newEmployees: diff.newEmployees.length,
+    created: diff.toCreate.length,
+    updated: diff.toUpdate.length,
+    unchanged: diff.unchanged
+  };
+}
+
+async function listUploads(organizationId, { status, limit = 20, offset = 0 } = {}) {
+  const where = { organizationId, ...(status && { status }) };
+
+  const [uploads, total] = await Promise.all([
+    prisma.uploadedFile.findMany({
+      where,
+      orderBy: { uploadedAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.uploadedFile.count({ where })
+  ]);
+
+  return { uploads, total };
+}
+
+/**
+ * Upload details with a sample of the changes it made
+ */
+async function getUpload(organizationId, id) {
+  const upload = await prisma.uploadedFile.findFirst({ where: { id, organizationId } });
+  if (!upload) return null;
+
+  const changes = await prisma.attendanceRecordChange.findMany({
+    where: { uploadedFileId: id },
+    orderBy: { date: 'asc' },
+    take: SAMPLE_CHANGES
+  });
+
+  return {
+    ...upload,
+    changes: changes.map(change => ({
+      ...change,
+      date: toDateKey(change.date)
+    }))
+  };
+}
+
+/**
+ * First change an upload made to each record
+ * A record can be written by several batches of one upload (a streamed file
+ * repeating an employee and day): the first change holds the values from
+ * before the upload, later ones only the upload's own intermediate values.
+ * @param {Array} changes - The upload's changes ordered by createdAt
+ */
+function firstChangePerRecord(uploadedFileId, changes) {
+  const byRecord = new Map();
+  changes.forEach(change => {
+    const first = byRecord.get(change.attendanceRecordId);
+    // createdAt can tie across batches; a change that starts from the upload's own values is never the first
+    const startsFromUpload = change.action === CHANGE_ACTIONS.UPDATED && change.previousSourceFileId === uploadedFileId;
+    if (!first || (first.action === CHANGE_ACTIONS.UPDATED && first.previousSourceFileId === uploadedFileId && !startsFromUpload)) {
+      byRecord.set(change.attendanceRecordId, change);
+    }
+  });
+  return [...byRecord.values()];
+}
+
+/**
+ * Latest change by another (not rolled back) upload per record
+ * @returns {Promise<Map>} attendanceRecordId -> { uploadedFileId, createdAt }
+ */
+async function findLaterChanges(uploadedFileId, recordIds) {
+  const latest = new Map();
+
+  for (let i = 0; i < recordIds.length; i += ROLLBACK_BATCH_SIZE) {
+    const changes = await prisma.attendanceRecordChange.findMany({
+      where: {
+        attendanceRecordId: { in: recordIds.slice(i, i + ROLLBACK_BATCH_SIZE) },
+        uploadedFileId: { not: uploadedFileId },
+        uploadedFile: { status: { not: UPLOAD_STATUS.ROLLED_BACK } }
+      },
+      select: { attendanceRecordId: true, uploadedFileId: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    });
+    changes.forEach(change => latest.set(change.attendanceRecordId, change));
+  }
+
+  return latest;
+}
+
+/**
+ * Revert the records an upload created or changed
+ * Records a later (not rolled back) upload has changed again are left alone
+ * and reported as skipped. Employees created by the upload are kept.
+ * Records are reverted in batches, each in its own transaction; the upload is
+ * marked rolled back once all are done. Reverting is idempotent, so a
+ * rollback interrupted part way can simply be run again.
+ * @returns {Promise<Object|null>} null when the upload does not exist
+ */
+async function rollbackUpload(organizationId, id, { rolledBackById = null } = {}) {
+  const upload = await prisma.uploadedFile.findFirst({ where: { id, organizationId } });
+
+  if (!upload) return null;
+  if (upload.status === UPLOAD_STATUS.ROLLED_BACK) {
+    throw new Error('Upload has already been rolled back');
+  }
+  if (upload.status === UPLOAD_STATUS.PROCESSING) {
+    throw new Error('Upload is still being processed');
+  }
+
+  const changes = firstChangePerRecord(id, await prisma.attendanceRecordChange.findMany({
+    where: { uploadedFileId: id },
+    orderBy: { createdAt: 'asc' }
+  }));
+  const laterChanges = await findLaterChanges(id, changes.map(change => change.attendanceRecordId));
+
+  let deleted = 0;
+  let restored = 0;
+  const skipped = [];
+
+  try {
+    for (let i = 0; i < changes.length; i += ROLLBACK_BATCH_SIZE) {
+      const batch = changes.slice(i, i + ROLLBACK_BATCH_SIZE);
+      const toDelete = [];
+      const toRestore = [];
+
+      batch.forEach(change => {
+        const supersededBy = laterChanges.get(change.attendanceRecordId);
+        if (supersededBy && supersededBy.createdAt > change.createdAt) {
+          skipped.push({
+            attendanceRecordId: change.attendanceRecordId,
+            date: toDateKey(change.date),
+            changedByUpload: supersededBy.uploadedFileId
+          });
+        } else if (change.action === CHANGE_ACTIONS.CREATED) {
+          toDelete.push(change.attendanceRecordId);
+        } else {
+          toRestore.push(change);
+        }
+      });
+
+      await prisma.$transaction(async (tx) => {
+        for (const change of toRestore) {
+          await tx.attendance.update({
+            where: { id: change.attendanceRecordId },
+            data: {
+              status: change.previousStatus,
+              statusCode: change.previousStatusCode,
+              dayFraction: change.previousDayFraction ?? 1,
+              hoursWorked: change.previousHoursWorked,
+              checkIn: change.previousCheckIn,
+              checkOut: change.previousCheckOut,
+              lateMinutes: change.previousLateMinutes,
+              earlyDepartureMinutes: change.previousEarlyDepartureMinutes,
+              informedTime: change.previousInformedTime,
+              ...(change.previousSourceFileId && { sourceFileId: change.previousSourceFileId })
+            }
+          });
+        }
+
+        if (toDelete.length > 0) {
+          await tx.attendance.deleteMany({ where: { id: { in: toDelete } } });
+        }
+      }, { timeout: ROLLBACK_BATCH_TIMEOUT_MS });
+
+      deleted += toDelete.length;
+      restored += toRestore.length;
+    }
+
+    await prisma.uploadedFile.update({
+      where: { id },
+      data: {
+        status: UPLOAD_STATUS.ROLLED_BACK,
+        rolledBackById,
+        rolledBackAt: new Date()
+      }
+    });
+  } finally {
+    // Batches reverted before a failure are already visible
+    if (deleted > 0 || restored > 0) {
+      await scoreCache.invalidate(organizationId);
+    }
+  }
+
+  return { deleted, restored, skipped };
+}
+
+module.exports = {
+  UPLOAD_STATUS,
+  CHANGE_ACTIONS,
+  computeChecksum,
+  computeFileChecksum,
+  findDuplicateUpload,
+  startUpload,
+  finishUpload,
+  markUploadFailed,
+  markUploadProcessing,
+  hasUploadChanges,
+  diffAttendance,
+  writeAttendanceBatch,
+  listUploads,
+  getUpload,
+  rollbackUpload
+};
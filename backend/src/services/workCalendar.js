@@ -0,0 +1,393 @@
+/**
+ * Work Calendar Service
+ * Organization holidays, work weeks and working days. The attrition engine uses a
+ * calendar to group attendance into real ISO weeks and to keep holidays
+ * from counting as missing or absent days.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { DEFAULT_TIMEZONE } = require('./dateParsing');
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day numbers as returned by Date#getUTCDay (0 = Sunday)
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Yearly recurring ICS events are expanded this many years ahead when no end is given
+const ICS_RECURRENCE_YEARS = 2;
+
+/**
+ * Date -> 'YYYY-MM-DD' (attendance dates are stored as UTC dates)
+ */
+function toDateKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Date -> ISO-8601 week key, e.g. '2024-W07'
+ */
+function isoWeekKey(date) {
+  const source = new Date(date);
+  const d = new Date(Date.UTC(source.getUTCFullYear(), source.getUTCMonth(), source.getUTCDate()));
+  const dayNumber = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNumber); // Thursday decides the ISO year
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a work-week definition: day numbers (0 = Sunday) or day names ('Sun', 'Sunday')
+ * @returns {Array|null} Sorted unique day numbers, or null when invalid
+ */
+function normalizeWorkDays(days) {
+  if (!Array.isArray(days) || days.length === 0) return null;
+
+  const numbers = days.map(day => {
+    if (Number.isInteger(day)) return day;
+    const name = String(day).trim().toLowerCase();
+    return WEEKDAY_NAMES.findIndex(weekday => weekday.toLowerCase().startsWith(name) && name.length >= 3);
+  });
+
+  if (numbers.some(day => day < 0 || day > 6)) return null;
+  return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+/**
+ * Describe a work week, e.g. 'Sunday-Thursday' or 'Monday, Wednesday, Friday'
+ */
+function describeWorkDays(workDays) {
+  const consecutive = workDays.every((day, i) => i === 0 || day === workDays[i - 1] + 1);
+  if (consecutive && workDays.length > 2) {
+    return `${WEEKDAY_NAMES[workDays[0]]}-${WEEKDAY_NAMES[workDays[workDays.length - 1]]}`;
+  }
+  return workDays.map(day => WEEKDAY_NAMES[day]).join(', ');
+}
+
+/**
+ * Build an in-memory calendar
+ * @param {Array} holidays - [{ date, name, department }] (department null = organization-wide)
+ * @param {Object} options - { workDays, departmentWorkDays }
+ *   workDays: organization work week
+ *   departmentWorkDays: { [department]: workDays } overrides
+ */
+function createCalendar(holidays = [], { workDays = DEFAULT_WORK_DAYS, departmentWorkDays = {}, timezone = DEFAULT_TIMEZONE } = {}) {
+  const holidaysByDate = new Map();
+  holidays.forEach(holiday => {
+    const key = toDateKey(holiday.date);
+    if (!holidaysByDate.has(key)) {
+      holidaysByDate.set(key, []);
+    }
+    holidaysByDate.get(key).push(holiday);
+  });
+
+  const isHoliday = (date, department = null) => {
+    const entries = holidaysByDate.get(toDateKey(date)) || [];
+    return entries.some(h => !h.department || h.department === department);
+  };
+
+  const workDaysFor = (department = null) => (department && departmentWorkDays[department]) || workDays;
+
+  // Part of the work week (holidays not considered)
+  const isWorkDay = (date, department = null) => workDaysFor(department).includes(new Date(date).getUTCDay());
+
+  const isWorkingDay = (date, department = null) => isWorkDay(date, department) && !isHoliday(date, department);
+
+  const countWorkingDays = (start, end, department = null, { includeHolidays = false } = {}) => {
+    let count = 0;
+    for (let t = Date.parse(toDateKey(start)); t <= Date.parse(toDateKey(end)); t += DAY_MS) {
+      const day = new Date(t);
+      if (includeHolidays ? isWorkDay(day, department) : isWorkingDay(day, department)) count++;
+    }
+    return count;
+  };
+
+  return {
+    timezone,
+    workDaysFor,
+    isHoliday,
+    isWorkDay,
+    isWorkingDay,
+    countWorkingDays
+  };
+}
+
+/**
+ * Load an organization's calendar (holidays in a date range, work weeks and timezone)
+ */
+async function loadCalendar(organizationId, { from, to } = {}) {
+  const [holidays, workWeeks, timezone] = await Promise.all([
+    prisma.holiday.findMany({
+      where: {
+        organizationId,
+        ...((from || to) && {
+          date: {
+            ...(from && { gte: from }),
+            ...(to && { lte: to })
+          }
+        })
+      }
+    }),
+    prisma.workWeek.findMany({ where: { organizationId } }),
+    getTimezone(organizationId)
+  ]);
+
+  const organizationWeek = workWeeks.find(w => !w.department);
+  const departmentWorkDays = Object.fromEntries(
+    workWeeks.filter(w => w.department).map(w => [w.department, w.workDays])
+  );
+
+  return createCalendar(holidays, {
+    workDays: organizationWeek ? organizationWeek.workDays : DEFAULT_WORK_DAYS,
+    departmentWorkDays,
+    timezone
+  });
+}
+
+async function getTimezone(organizationId) {
+  const organization = await prisma.organization.findUnique({
+    where: { id: organizationId },
+    select: { timezone: true }
+  });
+  return organization?.timezone || DEFAULT_TIMEZONE;
+}
+
+async function setTimezone(organizationId, timezone) {
+  const organization = await prisma.organization.update({
+    where: { id: organizationId },
+    data: { timezone },
+    select: { timezone: true }
+  });
+  return organization.timezone;
+}
+
+async function listWorkWeeks(organizationId) {
+  const workWeeks = await prisma.workWeek.findMany({
+    where: { organizationId },
+    orderBy: { department: 'asc' }
+  });
+
+  return {
+    organization: workWeeks.find(w => !w.department) || { department: null, workDays: DEFAULT_WORK_DAYS, isDefault: true },
+    departments: workWeeks.filter(w => w.department)
+  };
+}
+
+/**
+ * Set the work week of the organization (department null) or of one department
+ */
+async function setWorkWeek(organizationId, { department = null, workDays }) {
+  const existing = await prisma.workWeek.findFirst({ where: { organizationId, department } });
+
+  if (existing) {
+    return prisma.workWeek.update({
+      where: { id: existing.id },
+      data: { workDays }
+    });
+  }
+
+  return prisma.workWeek.create({
+    data: { organizationId, department, workDays }
+  });
+}
+
+async function deleteWorkWeek(organizationId, id) {
+  const result = await prisma.workWeek.deleteMany({ where: { id, organizationId } });
+  return result.count > 0;
+}
+
+async function listHolidays(organizationId, { from, to, department } = {}) {
+  return prisma.holiday.findMany({
+    where: {
+      organizationId,
+      ...(department && { OR: [{ department }, { department: null }] }),
+      ...((from || to) && {
+        date: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to })
+        }
+      })
+    },
+    orderBy: { date: 'asc' }
+  });
+}
+
+async function createHoliday(organizationId, { date, name, department = null, source = 'MANUAL' }) {
+  return prisma.holiday.create({
+    data: { organizationId, date, name, department, source }
+  });
+}
+
+async function updateHoliday(organizationId, id, { date, name, department }) {
+  const existing = await prisma.holiday.findFirst({ where: { id, organizationId } });
+  if (!existing) return null;
+
+  return prisma.holiday.update({
+    where: { id },
+    data: {
+      ...(date !== undefined && { date }),
+      ...(name !== undefined && { name }),
+      ...(department !== undefined && { department })
+    }
+  });
+}
+
+async function deleteHoliday(organizationId, id) {
+  const result = await prisma.holiday.deleteMany({ where: { id, organizationId } });
+  return result.count > 0;
+}
+
+function unescapeIcsText(value) {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// 'DTSTART;VALUE=DATE:20240101' / 'DTSTART:20240101T090000Z' -> { date, allDay }
+function parseIcsDate(value, params) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  return {
+    date: new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))),
+    allDay: params.includes('VALUE=DATE') || !value.includes('T')
+  };
+}
+
+/**
+ * Parse holidays from an iCalendar (.ics) document
+ * All-day events spanning several days are expanded to one entry per day;
+ * FREQ=YEARLY recurrences are expanded until UNTIL/COUNT or a few years ahead.
+ * @param {string} text - ICS file content
+ * @returns {Array} [{ date, name }]
+ */
+function parseIcs(text) {
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const holidays = [];
+  let event = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        holidays.push(...expandIcsEvent(event));
+      }
+      event = null;
+      return;
+    }
+
+    if (!event) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const [property, ...params] = line.slice(0, separator).split(';');
+    const value = line.slice(separator + 1);
+
+    if (property === 'DTSTART') event.start = parseIcsDate(value, params);
+    if (property === 'DTEND') event.end = parseIcsDate(value, params);
+    if (property === 'SUMMARY') event.name = unescapeIcsText(value);
+    if (property === 'RRULE') event.rrule = value;
+  });
+
+  return holidays;
+}
+
+function expandIcsEvent(event) {
+  const name = event.name || 'Holiday';
+  const start = event.start.date;
+
+  // DTEND is exclusive for all-day events
+  let days = 1;
+  if (event.end && event.start.allDay) {
+    days = Math.max(1, Math.round((event.end.date - start) / DAY_MS));
+  }
+
+  const occurrences = [start];
+  const rule = Object.fromEntries((event.rrule || '').split(';').filter(Boolean).map(part => part.split('=')));
+
+  if (rule.FREQ === 'YEARLY') {
+    const until = rule.UNTIL ? parseIcsDate(rule.UNTIL, []).date : null;
+    const count = rule.COUNT ? parseInt(rule.COUNT) : null;
+    const lastYear = new Date().getUTCFullYear() + ICS_RECURRENCE_YEARS;
+
+    for (let year = start.getUTCFullYear() + 1; year <= lastYear; year++) {
+      const next = new Date(Date.UTC(year, start.getUTCMonth(), start.getUTCDate()));
+      if (until && next > until) break;
+      if (count && occurrences.length >= count) break;
+      occurrences.push(next);
+    }
+  }
+
+  return occurrences.flatMap(occurrence =>
+    Array.from({ length: days }, (_, i) => ({
+      date: new Date(occurrence.getTime() + i * DAY_MS),
+      name
+    }))
+  );
+}
+
+/**
+ * Import holidays from an .ics file, skipping dates already on the calendar
+ * @returns {Promise<{ imported: number, skipped: number, holidays: Array }>}
+ */
+async function importIcs(organizationId, text, { department = null } = {}) {
+  const parsed = parseIcs(text);
+  if (parsed.length === 0) {
+    throw new Error('No events found in calendar file');
+  }
+
+  const existing = await prisma.holiday.findMany({
+    where: { organizationId, department },
+    select: { date: true }
+  });
+  const existingKeys = new Set(existing.map(h => toDateKey(h.date)));
+
+  const toCreate = [];
+  parsed.forEach(holiday => {
+    const key = toDateKey(holiday.date);
+    if (!existingKeys.has(key)) {
+      existingKeys.add(key);
+      toCreate.push({ organizationId, date: holiday.date, name: holiday.name, department, source: 'ICS' });
+    }
+  });
+
+  if (toCreate.length > 0) {
+    await prisma.holiday.createMany({ data: toCreate });
+  }
+
+  return {
+    imported: toCreate.length,
+    skipped: parsed.length - toCreate.length,
+    holidays: toCreate.map(h => ({ date: toDateKey(h.date), name: h.name }))
+  };
+}
+
+module.exports = {
+  DEFAULT_WORK_DAYS,
+  toDateKey,
+  isoWeekKey,
+  normalizeWorkDays,
+  describeWorkDays,
+  createCalendar,
+  loadCalendar,
+  getTimezone,
+  setTimezone,
+  listWorkWeeks,
+  setWorkWeek,
+  deleteWorkWeek,
+  listHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  parseIcs,
+  importIcs
+};
@@ -0,0 +1,30 @@
+// Load environment variables before anything reads them
+import 'dotenv/config';
+
+import jobWorker from './services/jobWorker.js';
+
+// ============================================
+// STANDALONE JOB WORKER
+// Run with JOB_WORKER_MODE=separate on the API so only this process claims jobs
+// ============================================
+
+async function startWorker() {
+  try {
+    await jobWorker.start();
+  } catch (error) {
+    console.error('❌ Failed to start job worker:', error);
+    process.exit(1);
+  }
+}
+
+startWorker();
+
+// Graceful shutdown: let the running job finish
+async function shutdown() {
+  console.log('\n🛑 Stopping job worker...');
+  await jobWorker.stop();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
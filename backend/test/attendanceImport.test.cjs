@@ -0,0 +1,164 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+
+const { importAttendanceFile } = requireSrc('services/attendanceImport.js');
+const { handlers } = requireSrc('services/jobHandlers.js');
+const { JOB_TYPES } = requireSrc('services/jobQueue.js');
+const { UPLOAD_STATUS } = requireSrc('services/uploadHistory.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-import-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HEADER = ['employee_id', 'employee_name', 'date', 'status'];
+
+function writeCsv(name, rows) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, [HEADER, ...rows].map(row => row.join(',')).join('\n'));
+  return file;
+}
+
+async function writeWorkbook(name, sheets) {
+  const workbook = new ExcelJS.Workbook();
+  Object.entries(sheets).forEach(([sheet, rows]) => {
+    const worksheet = workbook.addWorksheet(sheet);
+    [HEADER, ...rows].forEach(row => worksheet.addRow(row));
+  });
+  const file = path.join(dir, name);
+  await workbook.xlsx.writeFile(file);
+  return file;
+}
+
+let written;
+beforeEach(() => {
+  resetDb();
+  written = [];
+  db.employee = {
+    findMany: async ({ where }) => (where.employeeId?.in || []).map(code => ({ id: `id-${code}`, employeeId: code }))
+  };
+  db.attendance = {
+    createMany: async ({ data }) => { written.push(...data.map(r => [r.employeeId, r.date.toISOString().slice(0, 10), r.status])); return { count: data.length }; }
+  };
+  db.organization = { updateMany: async () => ({ count: 1 }) };
+});
+
+test('the latest row for an employee and date wins across the whole file', async () => {
+  const file = writeCsv('latest.csv', [
+    ['E1', 'Asha', '2024-05-06', 'Present'],
+    ['E1', 'Asha', '2024-05-07', 'Present'],
+    ['E1', 'Asha', '2024-05-06', 'Absent']
+  ]);
+
+  const result = await importAttendanceFile('org-1', file, 'latest.csv', { uploadedFileId: 'up-1', dateOrder: 'auto' });
+
+  assert.equal(result.totalRows, 3);
+  assert.equal(result.processed, 2);
+  assert.equal(result.duplicates, 1);
+  assert.deepEqual(written.sort(), [['id-E1', '2024-05-06', 'Absent'], ['id-E1', '2024-05-07', 'Present']]);
+});
+
+test('the priority rule keeps the best ranked status', async () => {
+  const file = writeCsv('priority.csv', [
+    ['E1', 'Asha', '2024-05-06', 'Present'],
+    ['E1', 'Asha', '2024-05-06', 'Absent']
+  ]);
+
+  await importAttendanceFile('org-1', file, 'priority.csv', {
+    uploadedFileId: 'up-1',
+    dateOrder: 'auto',
+    reconcile: 'priority',
+    statusPriority: ['Present', 'Absent']
+  });
+
+  assert.deepEqual(written, [['id-E1', '2024-05-06', 'Present']]);
+});
+
+test('the error rule rejects repeated rows and reports them', async () => {
+  const file = writeCsv('error.csv', [
+    ['E1', 'Asha', '2024-05-06', 'Present'],
+    ['E1', 'Asha', '2024-05-06', 'Absent']
+  ]);
+
+  const result = await importAttendanceFile('org-1', file, 'error.csv', { uploadedFileId: 'up-1', dateOrder: 'auto', reconcile: 'error' });
+
+  assert.deepEqual(written, [['id-E1', '2024-05-06', 'Present']]);
+  assert.equal(result.counts.failed, 1);
+  assert.match(result.errors[0], /^Row 3: duplicate employee_id \+ date/);
+});
+
+test('only the selected sheets are read and errors name the sheet', async () => {
+  const file = await writeWorkbook('sheets.xlsx', {
+    Jan: [['E1', 'Asha', '2024-01-08', 'Present']],
+    Feb: [['E1', 'Asha', '2024-02-05', 'Present']],
+    Mar: [['E1', 'Asha', '2024-03-04', 'Nope']]
+  });
+
+  const result = await importAttendanceFile('org-1', file, 'sheets.xlsx', { uploadedFileId: 'up-1', dateOrder: 'auto', sheets: 'Feb,Mar' });
+
+  assert.equal(result.totalRows, 2);
+  assert.deepEqual(written, [['id-E1', '2024-02-05', 'Present']]);
+  assert.match(result.errors[0], /^Row 2 \(sheet Mar\): Unknown status 'Nope'/);
+});
+
+test('a sheet the workbook lacks fails the import', async () => {
+  const file = await writeWorkbook('missing.xlsx', { Jan: [['E1', 'Asha', '2024-01-08', 'Present']] });
+
+  await assert.rejects(
+    importAttendanceFile('org-1', file, 'missing.xlsx', { uploadedFileId: 'up-1', sheets: 'Dec' }),
+    /Sheet\(s\) not found in missing.xlsx: Dec/
+  );
+});
+
+function importJob(file) {
+  return {
+    id: 'job-1',
+    organizationId: 'org-1',
+    payload: { uploadedFileId: 'up-1', storedPath: file, originalName: path.basename(file), dateOrder: 'auto' }
+  };
+}
+
+test('a failed import job rolls back what it wrote', async () => {
+  const file = writeCsv('fails.csv', [['E1', 'Asha', '2024-05-06', 'Present']]);
+  const uploadStatuses = [];
+  db.uploadedFile = {
+    update: async ({ data }) => { uploadStatuses.push(data.status); return {}; },
+    findFirst: async () => ({ id: 'up-1', status: UPLOAD_STATUS.FAILED })
+  };
+  db.attendance.createMany = async () => { throw new Error('connection lost'); };
+  db.attendanceRecordChange = { count: async () => 1, findMany: async () => [] };
+
+  await assert.rejects(handlers[JOB_TYPES.ATTENDANCE_IMPORT](importJob(file), { reportProgress: async () => {} }), /^Error: connection lost$/);
+  assert.deepEqual(uploadStatuses, [UPLOAD_STATUS.PROCESSING, UPLOAD_STATUS.FAILED, UPLOAD_STATUS.ROLLED_BACK]);
+});
+
+test('a failed rollback is reported in the job error', async () => {
+  const file = writeCsv('stuck.csv', [['E1', 'Asha', '2024-05-06', 'Present']]);
+  db.uploadedFile = { update: async () => ({}), findFirst: async () => { throw new Error('database down'); } };
+  db.attendance.createMany = async () => { throw new Error('connection lost'); };
+  db.attendanceRecordChange = { count: async () => 1 };
+  const consoleError = console.error;
+  console.error = () => {};
+
+  try {
+    await assert.rejects(
+      handlers[JOB_TYPES.ATTENDANCE_IMPORT](importJob(file), { reportProgress: async () => {} }),
+      /connection lost\. Rows written before the failure are still applied .*DELETE \/api\/uploads\/up-1/
+    );
+  } finally {
+    console.error = consoleError;
+  }
+});
+
+test('a file rejected before anything was written is left failed', async () => {
+  const file = path.join(dir, 'bad.csv');
+  fs.writeFileSync(file, 'name,day\nAsha,2024-05-06');
+  const uploadStatuses = [];
+  db.uploadedFile = { update: async ({ data }) => { uploadStatuses.push(data.status); return {}; } };
+
+  await assert.rejects(handlers[JOB_TYPES.ATTENDANCE_IMPORT](importJob(file), { reportProgress: async () => {} }), /Missing required columns/);
+  assert.deepEqual(uploadStatuses, [UPLOAD_STATUS.PROCESSING, UPLOAD_STATUS.FAILED]);
+});
@@ -0,0 +1,102 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { dateOf } = require('./helpers/fixtures.cjs');
+
+const { createPreview, confirmPreview } = requireSrc('services/attendancePreview.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-preview-'));
+process.env.UPLOAD_DIR = dir;
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HEADER = 'employee_id,employee_name,date,status,informed_time,department,manager_email';
+const file = (originalname, rows) => ({
+  originalname,
+  buffer: Buffer.from([HEADER, ...rows.map(([id, date, status]) => `${id},Asha,${date},${status},,Ops,lead@example.com`)].join('\n'))
+});
+
+let stored;
+let invalidations;
+beforeEach(() => {
+  resetDb();
+  invalidations = 0;
+  db.employee = { findMany: async () => [{ id: 'id-E1', employeeId: 'E1' }] };
+  db.attendance = { findMany: async () => [{ id: 'att-1', employeeId: 'id-E1', date: dateOf('2024-05-06'), status: 'Present', dayFraction: 1 }] };
+  db.attendanceImportPreview = { create: async ({ data }) => { stored = { id: 'preview-1', ...data }; return stored; } };
+  db.organization = { updateMany: async () => { invalidations++; return { count: 1 }; } };
+});
+
+test('a preview reports the changes a batch would make without writing attendance', async () => {
+  const preview = await createPreview('org-1', [
+    file('week1.csv', [['E1', '2024-05-06', 'Present'], ['E1', '2024-05-07', 'Present'], ['E2', '2024-05-06', 'Nope']]),
+    file('fixes.csv', [['E1', '2024-05-06', 'Absent']])
+  ], { dateOrder: 'auto' });
+
+  assert.equal(preview.valid, false);
+  assert.equal(preview.changes.updatedRecords, 1);
+  const [change] = preview.changes.sample;
+  assert.deepEqual([change.employeeId, change.date, change.from.status, change.to.status], ['E1', '2024-05-06', 'Present', 'Absent']);
+  assert.equal(preview.changes.newRecords, 1);
+  assert.deepEqual([preview.summary.totalRows, preview.summary.validRows, preview.summary.invalidRows, preview.summary.duplicateRows], [4, 2, 1, 1]);
+  assert.equal(preview.errors[0].fileName, 'week1.csv');
+  assert.equal(preview.errors[0].row, 4);
+  assert.deepEqual(stored.records.map(r => r.sourceFile), [0, 1]);
+});
+
+function storedPreview(fields) {
+  return { id: 'preview-1', status: 'PENDING', valid: true, expiresAt: new Date(Date.now() + 60000), records: [], fileName: 'week1.csv', ...fields };
+}
+
+test('only a pending, valid and unexpired preview can be confirmed', async () => {
+  const confirm = preview => {
+    db.attendanceImportPreview = { findFirst: async () => preview };
+    return confirmPreview('org-1', 'preview-1');
+  };
+
+  await assert.rejects(confirm(storedPreview({ status: 'CONFIRMED' })), /already been confirmed/);
+  await assert.rejects(confirm(storedPreview({ expiresAt: new Date(Date.now() - 1) })), /expired/);
+  await assert.rejects(confirm(storedPreview({ valid: false })), /validation errors/);
+  assert.equal(await confirm(null), null);
+  assert.equal(invalidations, 0);
+});
+
+test('a preview confirmed by another request is not imported twice', async () => {
+  db.attendanceImportPreview = {
+    findFirst: async () => storedPreview(),
+    updateMany: async () => ({ count: 0 })
+  };
+  db.uploadedFile = { create: async () => { throw new Error('must not start an upload'); } };
+
+  await assert.rejects(confirmPreview('org-1', 'preview-1'), /already been confirmed/);
+});
+
+test('confirming a batch records one upload per file', async () => {
+  const uploads = [];
+  db.attendanceImportPreview = {
+    findFirst: async () => storedPreview({
+      files: [{ fileName: 'week1.csv', storedPath: 'a' }, { fileName: 'fixes.csv', storedPath: 'b' }],
+      records: [
+        { employeeId: 'E1', employeeName: 'Asha', date: '2024-05-07', status: 'Present', dayFraction: 1, sourceFile: 0 },
+        { employeeId: 'E1', employeeName: 'Asha', date: '2024-05-06', status: 'Absent', dayFraction: 1, sourceFile: 1 }
+      ]
+    }),
+    updateMany: async () => ({ count: 1 })
+  };
+  db.uploadedFile = {
+    create: async ({ data }) => { uploads.push(data.originalName); return { id: `up-${uploads.length}` }; },
+    update: async () => ({})
+  };
+  db.attendance.createMany = async ({ data }) => ({ count: data.length });
+  db.attendance.update = async () => ({});
+  db.attendanceRecordChange = { createMany: async ({ data }) => ({ count: data.length }) };
+
+  const result = await confirmPreview('org-1', 'preview-1');
+
+  assert.deepEqual(uploads, ['week1.csv', 'fixes.csv']);
+  assert.deepEqual([result.uploadId, result.created, result.updated], ['up-1', 1, 1]);
+  assert.deepEqual(result.uploads.map(u => u.fileName), ['week1.csv', 'fixes.csv']);
+  assert.equal(invalidations, 1);
+});
@@ -0,0 +1,181 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireSrc } = require('./helpers/setup.cjs');
+const { weekdayRecords, repeat, dateOf, DAY_MS, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const { DEFAULT_SCORING_PROFILE, SCORING_ALGORITHMS } = requireSrc('services/scoringModel.js');
+const { scoreEmployee } = requireSrc('services/attritionEngine.js');
+const { createCalendar } = requireSrc('services/workCalendar.js');
+
+const CALENDAR_PROFILE = { ...DEFAULT_SCORING_PROFILE, version: 1, algorithmVersion: SCORING_ALGORITHMS.CALENDAR };
+
+function score(records, { profile = CALENDAR_PROFILE, calendar, employee = EMPLOYEE, factorOverrides } = {}) {
+  return scoreEmployee(employee, records, [], {
+    profile,
+    calendar,
+    startDate: records[0].date,
+    endDate: records[records.length - 1].date,
+    factorOverrides
+  });
+}
+
+// 15 present weekdays, a four-week upload gap, then 15 weekdays with every fifth day absent
+const GAPPED = [
+  ...weekdayRecords('2024-03-04', repeat(15, 'Present')),
+  ...weekdayRecords('2024-04-29', repeat(3, 'Absent', 'Present', 'Present', 'Present', 'Present'))
+];
+
+test('version 0 keeps the record-window trend across upload gaps', () => {
+  const risk = score(GAPPED, { profile: DEFAULT_SCORING_PROFILE });
+  // Last 15 records (20% absent) against the 15 before (0%)
+  assert.equal(risk.factors.recentTrend, 100);
+  assert.equal(risk.factors.consistency, 20);
+});
+
+test('calendar-aware profiles compare calendar windows and skip the gap', () => {
+  const risk = score(GAPPED);
+  // Nothing was recorded in the 3 weeks before the latest window
+  assert.equal(risk.factors.recentTrend, 0);
+  assert.equal(risk.factors.consistency, 20);
+});
+
+test('version 0 counts records on holidays and weekends; calendar-aware profiles drop them', () => {
+  // Absent on a Wednesday holiday and on a Saturday, present on the other weekdays
+  const records = [
+    ...weekdayRecords('2024-05-06', repeat(10, 'Present')).map(r =>
+      (r.date.getTime() === dateOf('2024-05-08').getTime() ? { ...r, status: 'Absent' } : r)),
+    { date: dateOf('2024-05-11'), status: 'Absent', dayFraction: 1 }
+  ].sort((a, b) => a.date - b.date);
+  const calendar = createCalendar([{ date: dateOf('2024-05-08'), name: 'Holiday' }]);
+
+  const legacy = score(records, { profile: DEFAULT_SCORING_PROFILE, calendar });
+  assert.equal(legacy.statistics.nonWorkingDaysExcluded, 0);
+  assert.equal(legacy.statistics.totalDays, 11);
+  assert.equal(legacy.factors.absenteeism, 85);
+
+  const aware = score(records, { calendar });
+  assert.equal(aware.statistics.nonWorkingDaysExcluded, 2);
+  assert.equal(aware.statistics.totalDays, 9);
+  assert.equal(aware.factors.absenteeism, 0);
+});
+
+test('calendar-aware consistency groups by ISO week and skips sparse weeks', () => {
+  // Week 1 all present, week 2 all absent, week 3 one record only (skipped)
+  const records = [
+    ...weekdayRecords('2024-06-03', repeat(5, 'Present')),
+    ...weekdayRecords('2024-06-10', repeat(5, 'Absent')),
+    ...weekdayRecords('2024-06-17', ['Absent'])
+  ];
+  const risk = score(records);
+  // Weekly rates [0, 1]: standard deviation 0.5 x 200, capped at 100
+  assert.equal(risk.factors.consistency, 100);
+
+  const shifted = score([{ date: dateOf('2024-05-31'), status: 'Absent', dayFraction: 1 }, ...records.slice(0, 5)]);
+  // A Friday and the next week: the Friday's week has too few days to count
+  assert.equal(shifted.factors.consistency, 0);
+});
+
+// Leave days notified leadDays ahead, four present days before each
+function noticedLeaves(startKey, leaves) {
+  const entries = leaves.flatMap(([status, leadDays]) => [...repeat(4, 'Present'), { status, leadDays }]);
+  return weekdayRecords(startKey, [...entries, ...repeat(4, 'Present')]).map(({ leadDays, ...record }) =>
+    (leadDays === undefined ? record : { ...record, informedTime: new Date(record.date.getTime() - leadDays * DAY_MS) }));
+}
+
+test('leave notice combines the median lead time, same-day notices and shortening notice', () => {
+  const risk = score(noticedLeaves('2024-03-04', [
+    ['Planned Leave', 10], ['Planned Leave', 10], ['Unplanned Leave', 0], ['Unplanned Leave', 0]
+  ]));
+
+  assert.deepEqual(risk.statistics.leaveNotice, { notices: 4, medianLeadDays: 5, sameDayShare: 0.5, leadTimeChangeDays: -10 });
+  // Lead time 25 x 0.4 + same day 50 x 0.35 + shortening 100 x 0.25
+  assert.equal(risk.factors.leaveNotice, 52.5);
+  assert.match(risk.explanations.find(e => e.startsWith('Leave notice')), /notice shortened by 10 days over the period/);
+});
+
+test('leave notice needs enough notices and halves to judge', () => {
+  const sameDay = score(noticedLeaves('2024-03-04', [['Unplanned Leave', 0], ['Unplanned Leave', 0], ['Unplanned Leave', 0]]));
+  assert.equal(sameDay.statistics.leaveNotice.leadTimeChangeDays, null);
+  // The missing shortening component gives its weight to the other two
+  assert.equal(sameDay.factors.leaveNotice, 100);
+
+  const few = score(noticedLeaves('2024-03-04', [['Planned Leave', 1], ['Planned Leave', 1]]));
+  assert.equal(few.factors.leaveNotice, null);
+  assert.equal(score(weekdayRecords('2024-03-04', repeat(20, 'Present'))).statistics.leaveNotice, null);
+});
+
+// 41 weekdays present from 2024-03-04, with the statuses in changes by day and the holiday left out
+function weeksWith(changes, holiday) {
+  return weekdayRecords('2024-03-04', repeat(41, 'Present'))
+    .filter(r => r.date.getTime() !== holiday?.getTime())
+    .map(r => ({ ...r, status: changes[r.date.toISOString().slice(0, 10)] || r.status }));
+}
+
+test('absence spells run across weekends and holidays but not across a worked day', () => {
+  const holiday = dateOf('2024-03-20');
+  const records = weeksWith({
+    '2024-03-08': 'Absent', '2024-03-11': 'Unplanned Leave', // Friday and Monday
+    '2024-03-19': 'Absent', '2024-03-21': 'Absent',          // Either side of the holiday
+    '2024-04-02': 'Absent',
+    '2024-04-10': 'Planned Leave'                            // Not an unplanned absence
+  }, holiday);
+
+  const { absencePattern } = score(records, { calendar: createCalendar([{ date: holiday, name: 'Holiday' }]) }).statistics;
+  assert.deepEqual(absencePattern.spells, [
+    { start: '2024-03-08', end: '2024-03-11', days: 2 },
+    { start: '2024-03-19', end: '2024-03-21', days: 2 },
+    { start: '2024-04-02', end: '2024-04-02', days: 1 }
+  ]);
+  // 3 spells squared x 5 days, and projected from 57 days to a year
+  assert.equal(absencePattern.bradfordFactor, 45);
+  assert.equal(absencePattern.annualizedBradfordFactor, 11816);
+  assert.deepEqual([absencePattern.holidayAdjacent.absences, absencePattern.holidayAdjacent.workingDays], [2, 2]);
+});
+
+test('frequent one-day absences on the same weekday score high', () => {
+  const risk = score(weekdayRecords('2024-03-04', repeat(8, 'Absent', 'Present', 'Present', 'Present', 'Present')));
+  const { absencePattern } = risk.statistics;
+
+  assert.equal(absencePattern.bradfordFactor, 512);
+  assert.deepEqual(absencePattern.recurringWeekdays, ['Monday']);
+  assert.equal(risk.factors.absencePattern, 100);
+  assert.match(risk.explanations.find(e => e.startsWith('Absence pattern')), /8 spells over 8 days, .*recurring on Monday/);
+});
+
+test('the absence pattern is left out of periods too short to project to a year', () => {
+  const risk = score(weekdayRecords('2024-03-04', repeat(6, 'Absent', 'Present', 'Present', 'Present', 'Present')));
+  assert.equal(risk.statistics.absencePattern.annualizedBradfordFactor, null);
+  assert.equal(risk.factors.absencePattern, null);
+});
+
+test('a rise in absence that lasts to the end of the window is a change point and scores by its size', () => {
+  const risk = score(weekdayRecords('2024-03-04', [...repeat(30, 'Present'), ...repeat(10, 'Absent', 'Present')]));
+
+  assert.deepEqual(risk.statistics.changePoints, {
+    workingDays: 50,
+    changePoints: [{ date: '2024-04-15', direction: 'deterioration', beforeRate: 0, afterRate: 0.5, shift: 0.5, statistic: 2.12 }]
+  });
+  assert.equal(risk.factors.changePoint, 100);
+  assert.ok(risk.explanations.includes('Attendance shift on 2024-04-15 - unplanned absence rose from 0% to 50% of working days'));
+});
+
+test('a spell of absence followed by a return to normal scores 0', () => {
+  const risk = score(weekdayRecords('2024-03-04', [...repeat(15, 'Present'), ...repeat(10, 'Unplanned Leave', 'Present'), ...repeat(15, 'Present')]));
+
+  // The peak and trough of one CUSUM split both ends of the spell
+  assert.deepEqual(risk.statistics.changePoints.changePoints.map(c => [c.date, c.direction]), [
+    ['2024-03-25', 'deterioration'],
+    ['2024-04-19', 'improvement']
+  ]);
+  assert.equal(risk.factors.changePoint, 0);
+});
+
+test('a steady absence rate has no change point and a short series leaves the factor out', () => {
+  const steady = score(weekdayRecords('2024-03-04', repeat(10, 'Absent', 'Present', 'Present', 'Present')));
+  assert.deepEqual(steady.statistics.changePoints.changePoints, []);
+  assert.equal(steady.factors.changePoint, 0);
+
+  const short = score(weekdayRecords('2024-03-04', repeat(19, 'Absent')));
+  assert.equal(short.statistics.changePoints, null);
+  assert.equal(short.factors.changePoint, null);
+});
@@ -0,0 +1,109 @@
+const { test, beforeEach, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { DAY_MS, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const { DEFAULT_SCORING_PROFILE } = requireSrc('services/scoringModel.js');
+const scoreCache = requireSrc('services/scoreCache.js');
+const attritionRoutes = requireSrc('routes/attrition.js');
+
+let server;
+let baseUrl;
+before(async () => {
+  const app = express();
+  app.use((req, res, next) => { req.companyId = 'org-1'; next(); });
+  app.use('/api/attrition', attritionRoutes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/attrition`;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(path) {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// The weekdays of the last six weeks, oldest first
+const today = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`);
+const RECENT_DAYS = Array.from({ length: 42 }, (_, i) => new Date(today.getTime() - (42 - i) * DAY_MS))
+  .filter(date => ![0, 6].includes(date.getUTCDay()));
+
+const STEADY = { ...EMPLOYEE, id: 'emp-1', employeeId: 'E001' };
+const ABSENT = { ...EMPLOYEE, id: 'emp-2', employeeId: 'E002' };
+const RECORDS = {
+  'emp-1': RECENT_DAYS.map(date => ({ date, status: 'Present' })),
+  'emp-2': RECENT_DAYS.map((date, i) => ({ date, status: i % 3 === 0 ? 'Absent' : 'Present' }))
+};
+
+let savedReports;
+beforeEach(() => {
+  resetDb();
+  scoreCache.entries.clear();
+  savedReports = 0;
+  db.employee = { findMany: async () => [STEADY, ABSENT], findFirst: async () => STEADY };
+  db.attendance = {
+    findMany: async ({ where }) => where.employeeId.in.flatMap(id => RECORDS[id].map(r => ({ ...r, employeeId: id })))
+  };
+  db.attritionReport = { create: async () => ({ id: `report-${++savedReports}` }) };
+});
+
+// The organization's active profile, with its High band starting at high
+function useProfileWithHighBand(high) {
+  db.scoringProfile = {
+    findFirst: async () => ({ ...DEFAULT_SCORING_PROFILE, id: 'profile-2', version: 2, riskBands: { high, moderate: high / 2 }, isActive: true })
+  };
+}
+
+test('high-risk lists the employees the profile bands call High unless a threshold is given', async () => {
+  useProfileWithHighBand(30);
+  const { body: { report } } = await get('/report');
+  const absent = report.employees.find(e => e.employeeId === 'E002');
+  assert.equal(absent.riskLevel, 'High');
+  assert.ok(absent.score < 70);
+
+  const byBand = await get('/high-risk');
+  assert.equal(byBand.status, 200);
+  assert.equal(byBand.body.threshold, 30);
+  assert.deepEqual(byBand.body.employees.map(e => e.employeeId), ['E002']);
+
+  const byThreshold = await get(`/high-risk?threshold=${absent.score + 1}`);
+  assert.deepEqual(byThreshold.body.employees, []);
+
+  assert.equal((await get('/high-risk?threshold=high')).status, 400);
+});
+
+test('an invalid profile version is a bad request', async () => {
+  let profileLookups = 0;
+  db.scoringProfile = { findUnique: async () => { profileLookups++; return null; }, findFirst: async () => { profileLookups++; return null; } };
+
+  for (const modelVersion of ['abc', '-1', '1.5']) {
+    const { status, body } = await get(`/employee/E001?modelVersion=${modelVersion}`);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'modelVersion must be a non-negative integer');
+  }
+  assert.equal(profileLookups, 0);
+});
+
+test('a report served from the cache is not stored in the history again', async () => {
+  await get('/high-risk');
+  assert.equal(savedReports, 0);
+
+  // Computed for high-risk, stored once when the report is first asked for
+  const first = await get('/report');
+  const cached = await get('/report');
+  assert.equal(savedReports, 1);
+  assert.equal(cached.body.reportId, first.body.reportId);
+
+  const refreshed = await get('/report?refresh=true');
+  assert.equal(savedReports, 2);
+  assert.equal(refreshed.body.reportId, 'report-2');
+});
+
+test('history dates must be calendar dates', async () => {
+  db.attritionScore = { findMany: async () => [] };
+
+  assert.deepEqual(await get('/employee/E001/history?from=yesterday'), { status: 400, body: { error: 'from must be a date (YYYY-MM-DD)' } });
+  assert.equal((await get('/employee/E001/history?to=2024-13-01')).status, 400);
+  assert.equal((await get('/employee/E001/history?from=2024-01-01&to=2024-06-30')).status, 200);
+});
@@ -0,0 +1,94 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { weekdayRecords, repeat, dateOf, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const { runBacktest, rocAuc } = requireSrc('services/backtest.js');
+
+const outcomes = (...pairs) => pairs.map(([score, exited]) => ({ score, exited }));
+
+test('rocAuc is the chance a leaver outscores a stayer, ties counting half', () => {
+  assert.equal(rocAuc(outcomes([90, true], [80, true], [40, false], [10, false])), 1);
+  assert.equal(rocAuc(outcomes([10, true], [90, false])), 0);
+  assert.equal(rocAuc(outcomes([50, true], [50, false])), 0.5);
+  // Pairs: 70>40 and 70>20 win, 30<40 loses, 30>20 wins
+  assert.equal(rocAuc(outcomes([70, true], [30, true], [40, false], [20, false])), 0.75);
+});
+
+test('rocAuc needs both leavers and stayers', () => {
+  assert.equal(rocAuc(outcomes([70, true], [30, true])), null);
+  assert.equal(rocAuc([]), null);
+});
+
+const OTHER = { ...EMPLOYEE, id: 'emp-2', employeeId: 'E002' };
+
+let historyQueries;
+beforeEach(() => {
+  resetDb();
+  historyQueries = [];
+  db.employee = { findMany: async () => [EMPLOYEE, OTHER] };
+  db.attendance = {
+    findMany: async () => [EMPLOYEE, OTHER].flatMap(e =>
+      weekdayRecords('2024-04-01', repeat(40, 'Present')).map(r => ({ ...r, employeeId: e.id })))
+  };
+  db.employeeHistory = {
+    findMany: async ({ where }) => {
+      historyQueries.push(where);
+      return [{ employeeId: EMPLOYEE.id, department: 'Sales', designation: null, managerId: null }];
+    }
+  };
+});
+
+test('employees are scored as they were on the cutoff', async () => {
+  db.employeeExit = { findMany: async () => [] };
+  await runBacktest('org-1', { cutoffDate: '2024-05-31', horizonMonths: 6, months: 2 });
+
+  assert.deepEqual(historyQueries[0].effectiveFrom, { lte: dateOf('2024-05-31') });
+});
+
+test('a rehired employee who left twice in the window counts by the first exit', async () => {
+  let exitQuery;
+  const exits = [
+    { exitDate: dateOf('2024-07-31'), separationType: 'INVOLUNTARY', employee: { employeeId: EMPLOYEE.employeeId } },
+    { exitDate: dateOf('2024-10-31'), separationType: 'VOLUNTARY', employee: { employeeId: EMPLOYEE.employeeId } }
+  ];
+  db.employeeExit = {
+    findMany: async (query) => {
+      if (query.where.organizationId) exitQuery = query;
+      return query.where.organizationId ? exits : [];
+    }
+  };
+
+  const all = await runBacktest('org-1', { cutoffDate: '2024-05-31', horizonMonths: 6, months: 2 });
+  assert.deepEqual(exitQuery.orderBy, { exitDate: 'asc' });
+  assert.equal(all.leavers, 1);
+
+  const voluntary = await runBacktest('org-1', { cutoffDate: '2024-05-31', horizonMonths: 6, months: 2, separationType: 'VOLUNTARY' });
+  assert.equal(voluntary.population.excluded, 1);
+  assert.equal(voluntary.leavers, 0);
+});
+
+test('flags at the risk bands are compared with the exits that followed', async () => {
+  db.attendance = {
+    findMany: async () => [
+      ...weekdayRecords('2024-04-01', repeat(40, 'Present')).map(r => ({ ...r, employeeId: EMPLOYEE.id })),
+      ...weekdayRecords('2024-04-01', repeat(10, 'Present', 'Absent', 'Unplanned Leave', 'Absent')).map(r => ({ ...r, employeeId: OTHER.id }))
+    ]
+  };
+  db.employeeExit = {
+    findMany: async ({ where }) => (where.organizationId
+      ? [{ exitDate: dateOf('2024-07-31'), separationType: 'VOLUNTARY', employee: { employeeId: OTHER.employeeId } }]
+      : [])
+  };
+
+  const backtest = await runBacktest('org-1', { cutoffDate: '2024-05-31', horizonMonths: 6, months: 2 });
+
+  assert.equal(backtest.baseRate, 0.5);
+  assert.deepEqual(backtest.classification.map(c => [c.flag, c.flagged, c.precision, c.recall]), [
+    ['High', 1, 1, 1],
+    ['High or Moderate', 1, 1, 1]
+  ]);
+  assert.equal(backtest.rocAuc, 1);
+  assert.deepEqual(backtest.liftByDecile.map(d => [d.exits, d.lift]), [[1, 2], [0, 0]]);
+  assert.ok(backtest.warnings.some(w => /Only 1 leavers/.test(w)));
+});
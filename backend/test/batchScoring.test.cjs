@@ -0,0 +1,61 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { weekdayRecords, repeat, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const { DEFAULT_SCORING_PROFILE } = requireSrc('services/scoringModel.js');
+const { scoreEmployee, scoreOrganization, generateAttritionReport } = requireSrc('services/attritionEngine.js');
+const scoreCache = requireSrc('services/scoreCache.js');
+
+const STEADY = { ...EMPLOYEE, id: 'emp-1', employeeId: 'E001' };
+const ABSENT = { ...EMPLOYEE, id: 'emp-2', employeeId: 'E002' };
+const NEW_JOINER = { ...EMPLOYEE, id: 'emp-3', employeeId: 'E003' };
+
+const RECORDS = {
+  'emp-1': weekdayRecords('2024-03-04', repeat(30, 'Present')),
+  'emp-2': weekdayRecords('2024-03-04', repeat(10, 'Present', 'Absent', 'Unplanned Leave'))
+};
+const PERIOD = { startDate: RECORDS['emp-1'][0].date, endDate: RECORDS['emp-1'][29].date };
+
+let attendanceQueries;
+beforeEach(() => {
+  resetDb();
+  scoreCache.entries.clear();
+  attendanceQueries = 0;
+  db.employee = { findMany: async () => [STEADY, ABSENT, NEW_JOINER] };
+  // One query for the whole chunk, ordered by employee as the engine asks
+  db.attendance = {
+    findMany: async ({ where }) => {
+      attendanceQueries++;
+      return where.employeeId.in.flatMap(id => (RECORDS[id] || []).map(r => ({ ...r, employeeId: id })));
+    }
+  };
+  db.organization = { findUnique: async () => ({ scoreDataVersion: 0 }) };
+});
+
+test('batch scores match scoring each employee on their own', async () => {
+  const { employees, results } = await scoreOrganization('org-1', { profile: DEFAULT_SCORING_PROFILE, ...PERIOD });
+
+  assert.equal(attendanceQueries, 1);
+  assert.equal(employees.length, 3);
+  [STEADY, ABSENT].forEach((employee, i) => {
+    const alone = scoreEmployee(employee, RECORDS[employee.id], [], { profile: DEFAULT_SCORING_PROFILE, ...PERIOD });
+    assert.deepEqual([results[i].score, results[i].factors], [alone.score, alone.factors]);
+  });
+  assert.equal(results[2].riskLevel, 'Insufficient Data');
+});
+
+test('reports are served from the cache until a refresh is asked for', async () => {
+  db.attritionScore = { createMany: async ({ data }) => ({ count: data.length }) };
+  db.$executeRaw = async () => 0;
+
+  const report = await generateAttritionReport('org-1', 3);
+  assert.deepEqual(report.employees.map(e => e.employeeId), ['E002', 'E001', 'E003']);
+  assert.equal(report.totalEmployees, 3);
+
+  assert.equal(await generateAttritionReport('org-1', 3), report);
+  assert.equal(attendanceQueries, 1);
+
+  assert.notEqual(await generateAttritionReport('org-1', 3, { refresh: true }), report);
+  assert.equal(attendanceQueries, 2);
+});
@@ -0,0 +1,101 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { weekdayRecords, repeat, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const { compareToCohort, COHORT_METHODS } = requireSrc('services/cohortScoring.js');
+const { calculateAttritionRisk } = requireSrc('services/attritionEngine.js');
+
+beforeEach(resetDb);
+
+const result = (employeeId, absenteeism, riskLevel = 'Low') => ({ employeeId, riskLevel, factors: { absenteeism, consistency: null } });
+
+test('percentiles count ties as half and leave out the employee\'s own cohort entry', () => {
+  const risk = result('E1', 60);
+  const cohort = [risk, result('E2', 10), result('E3', 60), result('E4', 20), result('E5', 30)];
+
+  const { size, factors } = compareToCohort(risk, cohort, { factors: ['absenteeism', 'consistency'], minCohortSize: 5 });
+  assert.equal(size, 5);
+  // Three peers below, one tie (counts half) and the employee itself (half): 4 of 5, 30 points above the middle
+  assert.deepEqual(factors.absenteeism, { value: 60, cohortMean: 36, percentile: 80, relativeScore: 60 });
+  assert.equal(factors.consistency, null);
+});
+
+test('a factor at or below the peer median carries no relative risk', () => {
+  const cohort = [result('E2', 10), result('E3', 40), result('E4', 60), result('E5', 80)];
+
+  const atMedian = compareToCohort(result('E1', 40), cohort, { factors: ['absenteeism'], minCohortSize: 5 });
+  assert.equal(atMedian.factors.absenteeism.percentile, 40);
+  assert.equal(atMedian.factors.absenteeism.relativeScore, 0);
+
+  const below = compareToCohort(result('E1', 0), cohort, { factors: ['absenteeism'], method: COHORT_METHODS.ZSCORE, minCohortSize: 5 });
+  assert.equal(below.factors.absenteeism.relativeScore, 0);
+});
+
+test('z-scores map onto the score scale through the normal CDF', () => {
+  const risk = result('E1', 100);
+  const cohort = [result('E2', 0), result('E3', 0), result('E4', 100)];
+
+  const { factors } = compareToCohort(risk, cohort, { factors: ['absenteeism'], method: COHORT_METHODS.ZSCORE, minCohortSize: 4 });
+  assert.equal(factors.absenteeism.zScore, 1);
+  // The 84th normal percentile, 34 points above the middle
+  assert.equal(factors.absenteeism.relativeScore, 68.3);
+});
+
+// Five peers with the same attendance as the employee, scored over the same window
+function scoreInUniformCohort(statuses, method) {
+  const records = weekdayRecords('2024-03-04', statuses);
+  db.employee = {
+    findUnique: async () => ({ ...EMPLOYEE, companyId: 'org-1', attendance: records, psychResponses: [], exits: [] }),
+    findMany: async () => [1, 2, 3, 4, 5].map(n => ({ ...EMPLOYEE, id: `emp-${n}`, employeeId: `E00${n}` }))
+  };
+  db.attendance = { findMany: async ({ where }) => where.employeeId.in.flatMap(id => records.map(r => ({ ...r, employeeId: id }))) };
+  return calculateAttritionRisk('emp-1', 3, { asOf: records[records.length - 1].date, cohort: { groupBy: 'department', method } });
+}
+
+Object.values(COHORT_METHODS).forEach(method => {
+  test(`a uniformly clean or uniformly poor cohort is not flagged relative to itself (${method})`, async () => {
+    const clean = await scoreInUniformCohort(repeat(40, 'Present'), method);
+    assert.equal(clean.relative.cohort.size, 5);
+    assert.deepEqual([clean.relative.score, clean.relative.riskLevel], [0, 'Low']);
+
+    const poor = await scoreInUniformCohort(repeat(10, 'Present', 'Absent', 'Unplanned Leave', 'Absent'), method);
+    assert.notEqual(poor.riskLevel, 'Low');
+    assert.deepEqual([poor.relative.score, poor.relative.riskLevel], [0, 'Low']);
+  });
+});
+
+test('peers without data do not count towards the minimum cohort size', () => {
+  const risk = result('E1', 40);
+  const cohort = [result('E2', 10), result('E3', 20), result('E4', 0, 'Insufficient Data'), result('E5', 0, 'Insufficient Data')];
+
+  const { size, factors } = compareToCohort(risk, cohort, { factors: ['absenteeism'], minCohortSize: 5 });
+  assert.equal(size, 3);
+  assert.equal(factors.absenteeism, null);
+});
+
+test('the relative view is only computed when a cohort is requested', async () => {
+  let organizationScorings = 0;
+  db.employee = {
+    findUnique: async () => ({
+      ...EMPLOYEE,
+      companyId: 'org-1',
+      attendance: weekdayRecords('2024-03-04', repeat(20, 'Present')),
+      psychResponses: [],
+      exits: []
+    }),
+    findMany: async () => {
+      organizationScorings++;
+      return [];
+    }
+  };
+
+  const risk = await calculateAttritionRisk('emp-1', 3, { asOf: new Date('2024-03-29T00:00:00Z') });
+  assert.equal(risk.relative, undefined);
+  assert.equal(organizationScorings, 0);
+
+  const relative = await calculateAttritionRisk('emp-1', 3, { asOf: new Date('2024-03-29T00:00:00Z'), cohort: { groupBy: 'department' } });
+  assert.equal(organizationScorings, 1);
+  assert.equal(relative.relative.score, null);
+  assert.equal(relative.relative.cohort.value, 'Ops');
+});
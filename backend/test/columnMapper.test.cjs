@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireSrc } = require('./helpers/setup.cjs');
+
+const { suggestMappings, applyMapping, validateMapping, collectHeaders } = requireSrc('services/columnMapper.js');
+
+test('headers are matched exactly, then by synonym, then partially, each used once', () => {
+  const { columns, suggestions, unmappedHeaders, missingFields } = suggestMappings(['Emp. No', 'Full Name', 'Date', 'Attendance Status', 'Dept', 'Remarks']);
+
+  assert.deepEqual(columns, { employee_id: 'Emp. No', employee_name: 'Full Name', date: 'Date', status: 'Attendance Status', department: 'Dept' });
+  assert.deepEqual(suggestions.find(s => s.field === 'date'), { field: 'date', header: 'Date', confidence: 'exact' });
+  assert.equal(suggestions.find(s => s.field === 'employee_id').confidence, 'synonym');
+  assert.deepEqual(unmappedHeaders, ['Remarks']);
+  assert.deepEqual(missingFields, []);
+
+  assert.deepEqual(suggestMappings(['Worker Code', 'Clock Date']).missingFields, ['employee_id', 'employee_name', 'status']);
+});
+
+test('a mapping renames columns, applies transforms in order and fills defaults', () => {
+  const rows = applyMapping([
+    { 'Emp. No': ' 42 ', Name: 'ASHA RAO', Day: '06/05/2024', Code: 'p' },
+    { 'Emp. No': '43', Name: 'ravi k', Day: '07/05/2024', Code: '' }
+  ], {
+    columns: { employee_id: 'Emp. No', employee_name: 'Name', date: 'Day', status: 'Code' },
+    transforms: {
+      employee_id: ['trim', { type: 'prefix', value: 'E' }],
+      employee_name: ['titlecase'],
+      date: [{ type: 'date', format: 'DD/MM/YYYY' }],
+      status: [{ type: 'map', values: { P: 'Present', A: 'Absent' } }]
+    },
+    defaults: { status: 'Absent', department: 'Ops' }
+  });
+
+  assert.deepEqual(rows, [
+    { employee_id: 'E42', employee_name: 'Asha Rao', date: '2024-05-06', status: 'Present', department: 'Ops' },
+    { employee_id: 'E43', employee_name: 'Ravi K', date: '2024-05-07', status: 'Absent', department: 'Ops' }
+  ]);
+});
+
+test('a mapping must provide every required field', () => {
+  const missing = validateMapping({ name: 'HRIS', columns: { employee_id: 'Id', date: 'Day', status: 'Code' } });
+  assert.equal(missing.valid, false);
+  assert.equal(missing.errors[0].path, 'columns');
+
+  const withDefault = validateMapping({ name: 'HRIS', columns: { employee_id: 'Id', date: 'Day', status: 'Code' }, defaults: { employee_name: 'Unknown' } });
+  assert.equal(withDefault.valid, true);
+  assert.deepEqual(withDefault.mapping.transforms, {});
+});
+
+test('headers are collected from every row', () => {
+  assert.deepEqual(collectHeaders([{ id: 1 }, { id: 2, note: 'late' }]), ['id', 'note']);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireSrc } = require('./helpers/setup.cjs');
+
+const { parseDateValue, parseDateTimeValue, resolveDateOrder, normalizeDateOrder } = requireSrc('services/dateParsing.js');
+
+test('Excel serials follow the 1900 date system, leap-year bug included', () => {
+  assert.deepEqual(parseDateValue(45292), { date: '2024-01-01' });
+  assert.deepEqual(parseDateValue('45292.75'), { date: '2024-01-01' });
+  assert.deepEqual(parseDateValue(1), { date: '1900-01-01' });
+  assert.deepEqual(parseDateValue(59), { date: '1900-02-28' });
+  assert.deepEqual(parseDateValue(61), { date: '1900-03-01' });
+  assert.match(parseDateValue(60).error, /not a valid Excel date serial/);
+});
+
+test('separated dates follow the date order and are checked against the calendar', () => {
+  assert.deepEqual(parseDateValue('03/04/2024'), { date: '2024-04-03' });
+  assert.deepEqual(parseDateValue('03/04/2024', { dateOrder: 'MDY' }), { date: '2024-03-04' });
+  assert.deepEqual(parseDateValue('29.02.24'), { date: '2024-02-29' });
+  assert.match(parseDateValue('31/02/2024').error, /not a valid DD\/MM\/YYYY date/);
+  assert.match(parseDateValue('abc').error, /not a recognized date/);
+});
+
+test('values with an offset fall on their day in the organization timezone', () => {
+  assert.deepEqual(parseDateValue('2024-03-31T23:30:00Z', { timezone: 'Asia/Kolkata' }), { date: '2024-04-01' });
+  assert.deepEqual(parseDateValue('2024-03-31 23:30', { timezone: 'Asia/Kolkata' }), { date: '2024-03-31' });
+  assert.deepEqual(parseDateValue(new Date('2024-03-05T00:00:00Z')), { date: '2024-03-05' });
+});
+
+test('wall-clock datetimes are read in the organization timezone', () => {
+  assert.deepEqual(parseDateTimeValue('2024-03-10 09:00', { timezone: 'Asia/Kolkata' }), { instant: new Date('2024-03-10T03:30:00Z') });
+  // The day US daylight saving time starts
+  assert.deepEqual(
+    parseDateTimeValue('03/10/2024 9:05 pm', { dateOrder: 'MDY', timezone: 'America/New_York' }),
+    { instant: new Date('2024-03-11T01:05:00Z') }
+  );
+});
+
+test('times outside the clock are rejected instead of rolling into the next day', () => {
+  assert.deepEqual(parseDateTimeValue('2024-03-10 25:00'), { error: "'2024-03-10 25:00' is not a valid time" });
+  assert.deepEqual(parseDateTimeValue('10/03/2024 13:00 pm'), { error: "'10/03/2024 13:00 pm' is not a valid time" });
+  assert.deepEqual(parseDateTimeValue('10/03/2024 12:60'), { error: "'10/03/2024 12:60' is not a valid time" });
+});
+
+test('auto date order is detected from the values and warns when it cannot be told', () => {
+  assert.deepEqual(resolveDateOrder('auto', ['13/01/2024', '02/01/2024']), { dateOrder: 'DMY', warning: undefined });
+  assert.deepEqual(resolveDateOrder(undefined, ['01/13/2024']), { dateOrder: 'MDY', warning: undefined });
+  assert.match(resolveDateOrder('auto', ['01/02/2024']).warning, /could be DD\/MM\/YYYY or MM\/DD\/YYYY/);
+  assert.match(resolveDateOrder('auto', ['13/01/2024', '01/13/2024']).warning, /mix DD\/MM\/YYYY and MM\/DD\/YYYY/);
+  assert.deepEqual(resolveDateOrder('mdy', ['13/01/2024']), { dateOrder: 'MDY' });
+  assert.equal(normalizeDateOrder('ymd'), null);
+});
@@ -0,0 +1,163 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+
+const { readRosterFile, importRoster, deactivateEmployee, employeesAsOf } = requireSrc('services/employees.js');
+
+let employees;
+let invalidations;
+
+// Employees table shared by the import's reads and writes
+function useEmployees(initial = []) {
+  employees = initial.map(e => ({ companyId: 'org-1', managerId: null, email: null, designation: null, joinDate: null, isActive: true, ...e }));
+  invalidations = 0;
+  db.employee = {
+    findMany: async () => employees.map(e => ({ ...e })),
+    createMany: async ({ data }) => {
+      data.forEach(row => employees.push({ id: `id-${row.employeeId}`, managerId: null, email: null, designation: null, joinDate: null, isActive: true, ...row }));
+      return { count: data.length };
+    },
+    update: async ({ where, data }) => Object.assign(employees.find(e => e.id === where.id), data),
+    updateMany: async ({ where }) => ({ count: employees.filter(e => e.employeeId === where.employeeId).length })
+  };
+  db.organization = {
+    updateMany: async () => {
+      invalidations++;
+      return { count: 1 };
+    }
+  };
+}
+
+beforeEach(() => {
+  resetDb();
+  useEmployees();
+});
+
+const roster = (...lines) => readRosterFile(Buffer.from(['employee_id,name,department,manager_id', ...lines].join('\n')), 'roster.csv');
+
+function managerOf(employeeId) {
+  const employee = employees.find(e => e.employeeId === employeeId);
+  return employee.managerId ? employees.find(e => e.id === employee.managerId).employeeId : null;
+}
+
+test('a roster may list reports before their managers', async () => {
+  const result = await importRoster('org-1', roster('E2,Bea,Ops,E1', 'E1,Ann,Ops,'));
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.counts.created, 2);
+  assert.equal(managerOf('E2'), 'E1');
+  assert.equal(invalidations, 1);
+});
+
+test('a cyclic roster rejects the loop and the rows that report into it', async () => {
+  const result = await importRoster('org-1', roster(
+    'E1,Ann,Ops,E2',
+    'E2,Bea,Ops,E1',
+    'E3,Cal,Ops,E1', // reports to a rejected new employee
+    'E4,Dee,Ops,E3', // ... and so on down the chain
+    'E5,Eve,Ops,'
+  ));
+
+  assert.deepEqual(result.errors, [
+    { row: 2, errors: ["manager 'E2' reports to E1"] },
+    { row: 3, errors: ["manager 'E1' reports to E2"] },
+    { row: 4, errors: ["manager 'E1' was rejected"] },
+    { row: 5, errors: ["manager 'E3' was rejected"] }
+  ]);
+  assert.equal(result.counts.created, 1);
+  assert.equal(result.counts.failed, 4);
+  assert.deepEqual(employees.map(e => e.employeeId), ['E5']);
+});
+
+test('a row reporting to a row rejected for invalid fields is rejected', async () => {
+  const result = await importRoster('org-1', roster(',Nobody,Ops,', 'E1,,Ops,', 'E2,Bea,Ops,E1'));
+
+  assert.equal(result.counts.created, 0);
+  assert.deepEqual(result.errors.find(e => e.row === 4).errors, ["manager 'E1' was rejected"]);
+});
+
+test('rejected rows that are already stored keep their stored manager for the loop check', async () => {
+  useEmployees([
+    { id: 'id-E1', employeeId: 'E1', name: 'Ann', department: 'Ops' },
+    { id: 'id-E2', employeeId: 'E2', name: 'Bea', department: 'Ops', managerId: 'id-E1' }
+  ]);
+
+  // E1 -> E2 closes a loop with the stored E2 -> E1; E2 moving to E3 is fine
+  const result = await importRoster('org-1', roster('E1,Ann,Ops,E2', 'E3,Cal,Ops,', 'E2,Bea,Ops,E3'));
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(managerOf('E1'), 'E2');
+  assert.equal(managerOf('E2'), 'E3');
+});
+
+test('a failure while applying the roster leaves none of it written', async () => {
+  useEmployees([{ id: 'id-E1', employeeId: 'E1', name: 'Ann', department: 'Ops' }]);
+  let transactions = 0;
+  db.$transaction = async (work, client) => {
+    transactions++;
+    const committed = employees.map(e => ({ ...e }));
+    try {
+      return await work(client);
+    } catch (error) {
+      employees = committed;
+      throw error;
+    }
+  };
+  const update = db.employee.update;
+  db.employee.update = async (args) => {
+    if (args.where.id === 'id-E3') throw new Error('connection reset');
+    return update(args);
+  };
+
+  await assert.rejects(importRoster('org-1', roster('E2,Bea,Ops,E1', 'E3,Cal,Ops,E2')), /connection reset/);
+  assert.equal(transactions, 1);
+  assert.deepEqual(employees.map(e => e.employeeId), ['E1']);
+  assert.equal(invalidations, 0);
+});
+
+test('an unknown manager is reported', async () => {
+  const result = await importRoster('org-1', roster('E1,Ann,Ops,E9'));
+  assert.deepEqual(result.errors, [{ row: 2, errors: ["manager 'E9' not found"] }]);
+  assert.equal(invalidations, 0);
+});
+
+test('readRosterFile rejects files without the required columns', () => {
+  assert.throws(() => readRosterFile(Buffer.from('employee_id,name\nE1,Ann'), 'roster.csv'), /missing: department/);
+});
+
+test('deactivating an employee invalidates cached reports', async () => {
+  useEmployees([{ id: 'id-E1', employeeId: 'E1', name: 'Ann', department: 'Ops' }]);
+  assert.equal(await deactivateEmployee('org-1', 'E1'), true);
+  assert.equal(invalidations, 1);
+  assert.equal(await deactivateEmployee('org-1', 'E9'), false);
+  assert.equal(invalidations, 1);
+});
+
+test('employeesAsOf takes the assignment in effect that day and restarts tenure at the last rehire', async () => {
+  const day = key => new Date(`${key}T00:00:00.000Z`);
+  const queries = [];
+  db.employeeHistory = {
+    findMany: async ({ where }) => {
+      queries.push(where);
+      return [{ employeeId: 'id-E1', department: 'Sales', designation: 'Rep', managerId: 'id-M1' }];
+    }
+  };
+  db.employeeExit = {
+    findMany: async () => [
+      { employeeId: 'id-E1', rehiredOn: day('2022-02-01') },
+      { employeeId: 'id-E1', rehiredOn: day('2023-03-01') }
+    ]
+  };
+  const current = [
+    { id: 'id-E1', employeeId: 'E1', department: 'Ops', designation: 'Lead', managerId: null, joinDate: day('2019-01-07') },
+    { id: 'id-E2', employeeId: 'E2', department: 'Ops', designation: null, managerId: null, joinDate: day('2021-05-03') }
+  ];
+
+  const [asOf, unchanged] = await employeesAsOf(current, day('2023-06-30'));
+
+  assert.deepEqual(queries[0].effectiveFrom, { lte: day('2023-06-30') });
+  assert.deepEqual([asOf.department, asOf.designation, asOf.managerId], ['Sales', 'Rep', 'id-M1']);
+  assert.deepEqual(asOf.joinDate, day('2023-03-01'));
+  assert.deepEqual(unchanged, current[1]);
+  assert.equal(current[0].department, 'Ops');
+});
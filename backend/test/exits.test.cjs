@@ -0,0 +1,147 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+
+const { readExitFile, importExits, recordExit, updateExit, rehireEmployee, exitForDay } = requireSrc('services/exits.js');
+
+const { DEFAULT_SCORING_PROFILE } = requireSrc('services/scoringModel.js');
+const { scoreOrganization } = requireSrc('services/attritionEngine.js');
+const { weekdayRecords, repeat, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const day = key => new Date(`${key}T00:00:00.000Z`);
+
+const csv = (...lines) => Buffer.from(['employee_id,exit_date,separation_type,regrettable', ...lines].join('\n'));
+
+let writes;
+let invalidations;
+beforeEach(() => {
+  resetDb();
+  writes = [];
+  invalidations = 0;
+  db.employee = {
+    findMany: async () => [
+      { id: 'id-E1', employeeId: 'E1', companyId: 'org-1' },
+      { id: 'id-E2', employeeId: 'E2', companyId: 'org-1' }
+    ],
+    findFirst: async ({ where }) => ({ id: `id-${where.employeeId}`, employeeId: where.employeeId, companyId: 'org-1' }),
+    update: async () => ({})
+  };
+  db.employeeExit = {
+    findMany: async ({ where }) => [{ id: 'exit-E2', employeeId: 'id-E2', exitDate: day('2024-04-15'), rehiredOn: null }]
+      .filter(exit => !where.employeeId || exit.employeeId === where.employeeId),
+    create: async ({ data }) => { writes.push(['create', data.employeeId]); return { ...data }; },
+    update: async ({ where, data }) => { writes.push(['update', where.id]); return { ...data }; }
+  };
+  db.organization = { updateMany: async () => { invalidations++; return { count: 1 }; } };
+});
+
+test('readExitFile rejects files without the required columns', () => {
+  assert.throws(() => readExitFile(Buffer.from('employee_id,reason\nE1,moved'), 'exits.csv'), /missing: exitDate, separationType/);
+  assert.throws(() => readExitFile(Buffer.from('employee_id,exit_date,type\n'), 'exits.csv'), /empty/);
+});
+
+test('importExits checks every row, writes the valid ones and invalidates cached reports once', async () => {
+  const rows = readExitFile(csv('E1,2024-03-31,resigned,yes', 'E2,2024-04-30,terminated,', 'E9,2024-04-30,voluntary,', 'E1,2024-05-01,voluntary,'), 'exits.csv');
+  const result = await importExits('org-1', rows, { dateOrder: 'auto' });
+
+  assert.deepEqual(result.counts, { created: 1, updated: 1, failed: 2 });
+  assert.deepEqual(writes, [['create', 'id-E1'], ['update', 'exit-E2']]);
+  assert.deepEqual(result.errors.map(e => e.row), [4, 5]);
+  assert.equal(invalidations, 1);
+});
+
+test('a write failure is thrown rather than reported as a row error', async () => {
+  db.employeeExit.update = async () => { throw new Error('connection reset'); };
+  const rows = readExitFile(csv('E1,2024-03-31,voluntary,', 'E2,2024-04-30,involuntary,'), 'exits.csv');
+
+  await assert.rejects(importExits('org-1', rows, { dateOrder: 'auto' }), /connection reset/);
+  assert.equal(invalidations, 0); // Both rows are in the one failed batch
+});
+
+test('recordExit invalidates cached reports', async () => {
+  db.employeeExit.create = async ({ data }) => ({ ...data, exitDate: data.exitDate });
+  const result = await recordExit('org-1', { employeeId: 'E1', exitDate: '2024-03-31', separationType: 'VOLUNTARY' });
+  assert.equal(result.valid, true);
+  assert.equal(invalidations, 1);
+});
+
+test('a rehired employee keeps the earlier exit and a new exit is added', async () => {
+  db.employeeExit.findMany = async () => [{ id: 'exit-E2', employeeId: 'id-E2', exitDate: day('2023-06-30'), rehiredOn: day('2024-01-08') }];
+  const rows = readExitFile(csv('E2,2024-04-30,voluntary,'), 'exits.csv');
+  const result = await importExits('org-1', rows, { dateOrder: 'auto' });
+
+  assert.deepEqual(result.counts, { created: 1, updated: 0, failed: 0 });
+  assert.deepEqual(writes, [['create', 'id-E2']]);
+});
+
+test('editing or re-importing a rehired employee\'s earlier exit keeps them active and scored', async () => {
+  const employee = { ...EMPLOYEE, id: 'id-E2', employeeId: 'E2', companyId: 'org-1', isActive: true };
+  db.employee.update = async ({ data }) => { Object.assign(employee, data); return employee; };
+  db.employeeExit.findMany = async () => [{ id: 'exit-E2', employeeId: 'id-E2', exitDate: day('2023-06-30'), rehiredOn: day('2024-01-08'), separationType: 'VOLUNTARY' }];
+  db.employeeExit.update = async ({ where, data }) => { writes.push(['update', where.id]); return { exitDate: day('2023-06-30'), rehiredOn: day('2024-01-08'), ...data }; };
+
+  const edited = await updateExit('org-1', 'E2', { reason: 'relocated' });
+  assert.equal(edited.valid, true);
+  assert.equal(edited.exit.rehiredOn, '2024-01-08');
+
+  const rows = readExitFile(csv('E2,2023-06-30,involuntary,'), 'exits.csv');
+  const result = await importExits('org-1', rows, { dateOrder: 'auto' });
+  assert.deepEqual(result.counts, { created: 0, updated: 1, failed: 0 });
+  assert.deepEqual(writes, [['update', 'exit-E2'], ['update', 'exit-E2']]);
+
+  // Risk lists only take active employees
+  const records = weekdayRecords('2024-03-04', repeat(20, 'Present'));
+  db.employee.findMany = async ({ where }) => (where.isActive === employee.isActive ? [employee] : []);
+  db.attendance = { findMany: async () => records.map(r => ({ ...r, employeeId: employee.id })) };
+  const { results } = await scoreOrganization('org-1', {
+    profile: DEFAULT_SCORING_PROFILE,
+    startDate: records[0].date,
+    endDate: records[records.length - 1].date
+  });
+  assert.equal(employee.isActive, true);
+  assert.deepEqual(results.map(r => r.employeeId), ['E2']);
+});
+
+test('an exit must not fall inside an earlier absence or while the employee is gone', async () => {
+  db.employeeExit.findMany = async () => [{ id: 'exit-E1', employeeId: 'id-E1', exitDate: day('2023-06-30'), rehiredOn: day('2024-01-08') }];
+
+  const inGap = await recordExit('org-1', { employeeId: 'E1', exitDate: '2023-09-30', separationType: 'VOLUNTARY' });
+  assert.equal(inGap.valid, false);
+  assert.match(inGap.errors[0].message, /falls between the exit on 2023-06-30 and the rehire on 2024-01-08/);
+
+  db.employeeExit.findMany = async () => [{ id: 'exit-E1', employeeId: 'id-E1', exitDate: day('2024-03-31'), rehiredOn: null }];
+  const stillGone = await recordExit('org-1', { employeeId: 'E1', exitDate: '2024-06-30', separationType: 'VOLUNTARY' });
+  assert.match(stillGone.errors[0].message, /left on 2024-03-31 and has not been rehired/);
+  assert.equal(invalidations, 0);
+});
+
+test('rehireEmployee closes the open exit and reactivates the employee', async () => {
+  const reactivated = [];
+  db.employee.update = async ({ data }) => { reactivated.push(data.isActive); return {}; };
+  db.employeeExit.findMany = async () => [{ id: 'exit-E1', employeeId: 'id-E1', exitDate: day('2023-06-30'), rehiredOn: null }];
+  db.employeeExit.update = async ({ where, data }) => ({ id: where.id, exitDate: day('2023-06-30'), separationType: 'VOLUNTARY', ...data });
+
+  const early = await rehireEmployee('org-1', 'E1', { rehireDate: '2023-06-30' });
+  assert.equal(early.valid, false);
+  assert.equal(early.errors[0].path, 'rehireDate');
+
+  const result = await rehireEmployee('org-1', 'E1', { rehireDate: '2024-01-08' });
+  assert.equal(result.valid, true);
+  assert.equal(result.exit.rehiredOn, '2024-01-08');
+  assert.deepEqual(reactivated, [true]);
+  assert.equal(invalidations, 1);
+
+  db.employeeExit.findMany = async () => [{ id: 'exit-E1', exitDate: day('2023-06-30'), rehiredOn: day('2024-01-08') }];
+  assert.equal(await rehireEmployee('org-1', 'E1', { rehireDate: '2024-02-01' }), null);
+});
+
+test('exitForDay finds the exit ending the employment a day falls in', () => {
+  const exits = [
+    { exitDate: day('2024-09-30'), rehiredOn: null },
+    { exitDate: day('2023-06-30'), rehiredOn: day('2024-01-08') }
+  ];
+  assert.equal(exitForDay(exits, day('2023-05-01')).exitDate.toISOString().slice(0, 10), '2023-06-30');
+  assert.equal(exitForDay(exits, day('2023-10-01')).exitDate.toISOString().slice(0, 10), '2023-06-30');
+  assert.equal(exitForDay(exits, day('2024-01-08')).exitDate.toISOString().slice(0, 10), '2024-09-30');
+  assert.equal(exitForDay([], day('2024-01-08')), null);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireSrc } = require('./helpers/setup.cjs');
+const { weekdayRecords, repeat, dateOf } = require('./helpers/fixtures.cjs');
+
+const fileParser = requireSrc('services/fileParser.js');
+const { createCalendar } = requireSrc('services/workCalendar.js');
+
+const HEADER = 'employee_id,employee_name,date,status,informed_time,department,manager_email';
+const row = (employeeId, date, department) => `${employeeId},Asha,${date},Present,,${department},lead@example.com`;
+const csv = rows => Buffer.from([HEADER, ...rows].join('\n'));
+
+// Retail works Sunday to Thursday; everyone else Monday to Friday
+const calendar = createCalendar([{ date: dateOf('2024-05-01'), name: 'Labour Day' }], { departmentWorkDays: { Retail: [0, 1, 2, 3, 4] } });
+
+test('dates outside the department\'s work week are rejected', () => {
+  const result = fileParser.parseFile(csv([
+    row('E1', '2024-05-05', 'Retail'), // Sunday
+    row('E1', '2024-05-10', 'Retail'), // Friday
+    row('E2', '2024-05-05', 'Ops')
+  ]), 'attendance.csv', { calendar });
+
+  assert.deepEqual(result.errors.filter(e => e.row).map(e => [e.row, e.errors[0]]), [
+    [3, 'date is not a working day (work week: Sunday-Thursday)'],
+    [4, 'date is not a working day (work week: Monday-Friday)']
+  ]);
+});
+
+test('coverage is measured against the working days of each employee\'s week', () => {
+  const days = weekdayRecords('2024-04-29', repeat(10, 'Present')).map(r => r.date.toISOString().slice(0, 10));
+  const result = fileParser.parseFile(csv([
+    // Every weekday but the holiday: full coverage
+    ...days.filter(day => day !== '2024-05-01').map(day => row('E1', day, 'Ops')),
+    // Worked on the holiday too, which is allowed
+    ...days.map(day => row('E2', day, 'Ops')),
+    // Half the days are missing
+    ...days.slice(0, 5).map(day => row('E3', day, 'Ops'))
+  ]), 'attendance.csv', { calendar });
+
+  assert.deepEqual(result.range, { start: '2024-04-29', end: '2024-05-10' });
+  assert.deepEqual(result.coverage.map(c => [c.employeeId, c.days, c.expectedWorkingDays, c.sufficient]), [
+    ['E1', 9, 9, true],
+    ['E2', 10, 9, true],
+    ['E3', 5, 9, false]
+  ]);
+  assert.match(result.errors[0].errors[0], /^Employee must have approximately 9 working days of data between 2024-04-29 and 2024-05-10 \(Monday-Friday work week\)\. Found 5 days\.$/);
+});
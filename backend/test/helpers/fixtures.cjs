@@ -0,0 +1,37 @@
+/**
+ * Test fixtures: attendance records on consecutive Monday-Friday days
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dateOf(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`);
+}
+
+/**
+ * One record per weekday from startKey on
+ * @param {string} startKey - YYYY-MM-DD
+ * @param {Array<string|Object>} statuses - status, or record fields merged into the record
+ */
+function weekdayRecords(startKey, statuses) {
+  const records = [];
+  let t = dateOf(startKey).getTime();
+  statuses.forEach(entry => {
+    while ([0, 6].includes(new Date(t).getUTCDay())) t += DAY_MS;
+    const fields = typeof entry === 'string' ? { status: entry } : entry;
+    records.push({ date: new Date(t), dayFraction: 1, ...fields });
+    t += DAY_MS;
+  });
+  return records;
+}
+
+/**
+ * statuses repeated n times
+ */
+function repeat(n, ...statuses) {
+  return Array.from({ length: n }, () => statuses).flat();
+}
+
+const EMPLOYEE = { id: 'emp-1', employeeId: 'E001', name: 'Test Employee', department: 'Ops', joinDate: dateOf('2020-01-06') };
+
+module.exports = { DAY_MS, dateOf, weekdayRecords, repeat, EMPLOYEE };
@@ -0,0 +1,85 @@
+/**
+ * Test setup
+ * The services are CommonJS while package.json declares "type": "module", so
+ * .js files under src/ are compiled as CommonJS here. @prisma/client is
+ * replaced by an in-memory client whose model methods dispatch to `db`:
+ * db.<model>.<method> = async (args) => result. Unset finders return null
+ * (findMany: []); unset writes return {}. Transactions run their work on the
+ * same client unless db.$transaction = async (work, client, options) is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+const SRC_DIR = path.resolve(__dirname, '../../src') + path.sep;
+
+const loadJs = Module._extensions['.js'];
+Module._extensions['.js'] = function (module, filename) {
+  if (filename.startsWith(SRC_DIR)) {
+    module._compile(fs.readFileSync(filename, 'utf8'), filename);
+    return;
+  }
+  loadJs(module, filename);
+};
+
+const db = {};
+
+function dispatch(model, method, args) {
+  const impl = db[model] && db[model][method];
+  if (impl) return impl(...args);
+  if (method === 'findMany') return [];
+  if (method.startsWith('find')) return null;
+  if (method === 'count') return 0;
+  return {};
+}
+
+const client = new Proxy({}, {
+  get(_, model) {
+    if (model === 'then') return undefined;
+    if (model === '$transaction') {
+      return async (work, options) => {
+        if (db.$transaction) return db.$transaction(work, client, options);
+        return typeof work === 'function' ? work(client) : Promise.all(work);
+      };
+    }
+    if (typeof model === 'string' && model.startsWith('$')) {
+      return async (...args) => (db[model] ? db[model](...args) : 0);
+    }
+    return new Proxy({}, {
+      get: (__, method) => async (...args) => dispatch(model, method, args)
+    });
+  }
+});
+
+class PrismaClient {
+  constructor() {
+    return client;
+  }
+}
+
+const sqlTag = (strings, ...values) => ({ strings: [...strings], values });
+const Prisma = {
+  sql: sqlTag,
+  join: (items, separator = ', ') => ({ join: items, separator }),
+  empty: { strings: [''], values: [] }
+};
+
+const loadModule = Module._load;
+Module._load = function (request, ...rest) {
+  if (request === '@prisma/client') return { PrismaClient, Prisma };
+  return loadModule.call(this, request, ...rest);
+};
+
+/**
+ * Clear the fake tables between tests
+ */
+function resetDb() {
+  Object.keys(db).forEach(key => delete db[key]);
+}
+
+function requireSrc(relativePath) {
+  return require(path.join(SRC_DIR, relativePath));
+}
+
+module.exports = { db, resetDb, requireSrc };
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireSrc } = require('./helpers/setup.cjs');
+
+const { reconcileEntries, parseStatusPriority, normalizeReconcileRule, DEFAULT_STATUS_PRIORITY } = requireSrc('services/importReconciler.js');
+
+// One row per [employee, date, status] in read order, from two files
+function entries(...rows) {
+  return rows.map(([employeeId, date, status], i) => ({
+    record: { employeeId, date, status },
+    source: { fileName: i < 2 ? 'march.xlsx' : 'corrections.csv', sheet: i < 2 ? 'Week 1' : null, row: i + 2 }
+  }));
+}
+
+const keyOf = record => (record.date ? `${record.employeeId}|${record.date}` : null);
+const kept = result => result.kept.map(entry => entry.record.status);
+
+const ROWS = entries(
+  ['E1', '2024-03-04', 'Absent'],
+  ['E1', '2024-03-05', 'Present'],
+  ['E1', '2024-03-04', 'Present'],
+  ['E2', null, 'Present']
+);
+
+test('the latest rule keeps the row read last and leaves unkeyed rows to validation', () => {
+  const result = reconcileEntries(ROWS, { keyOf });
+  assert.deepEqual(kept(result), ['Present', 'Present', 'Present']);
+  assert.equal(result.duplicateCount, 1);
+  assert.deepEqual(result.duplicates[0], {
+    key: 'E1|2024-03-04',
+    rule: 'latest',
+    kept: { fileName: 'corrections.csv', sheet: null, row: 4 },
+    discarded: [{ fileName: 'march.xlsx', sheet: 'Week 1', row: 2 }]
+  });
+  assert.deepEqual(result.errors, []);
+});
+
+test('the priority rule keeps the best ranked status, the latest on a tie', () => {
+  assert.deepEqual(kept(reconcileEntries(ROWS, { rule: 'priority', keyOf })), ['Absent', 'Present', 'Present']);
+
+  const tie = entries(['E1', '2024-03-04', 'Present'], ['E1', '2024-03-04', 'Present']);
+  assert.equal(reconcileEntries(tie, { rule: 'priority', keyOf }).kept[0].source.row, 3);
+
+  const presentFirst = reconcileEntries(ROWS, { rule: 'priority', statusPriority: ['Present', 'Absent'], keyOf });
+  assert.deepEqual(kept(presentFirst), ['Present', 'Present', 'Present']);
+});
+
+test('the error rule keeps the first row and reports the others against it', () => {
+  const result = reconcileEntries(ROWS, { rule: 'error', keyOf });
+  assert.deepEqual(kept(result), ['Absent', 'Present', 'Present']);
+  assert.deepEqual(result.errors, [{
+    fileName: 'corrections.csv',
+    sheet: null,
+    row: 4,
+    errors: ['duplicate employee_id + date: also in march.xlsx / Week 1 / row 2']
+  }]);
+});
+
+test('rules and status priorities are read case-insensitively', () => {
+  assert.equal(normalizeReconcileRule(undefined), 'latest');
+  assert.equal(normalizeReconcileRule(' Priority '), 'priority');
+  assert.equal(normalizeReconcileRule('first'), null);
+
+  assert.deepEqual(parseStatusPriority(''), { statusPriority: DEFAULT_STATUS_PRIORITY });
+  assert.deepEqual(parseStatusPriority('present, remote'), { statusPriority: ['Present', 'Remote'] });
+  assert.match(parseStatusPriority(['Present', 'Holiday']).error, /statusPriority must list statuses from/);
+});
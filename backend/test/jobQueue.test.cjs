@@ -0,0 +1,62 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+
+const { JOB_STATUS, enqueueJob, updateProgress, completeJob, failJob } = requireSrc('services/jobQueue.js');
+
+const RUNNING = { id: 'job-1', lockedBy: 'host:1', attempts: 1, maxAttempts: 3, status: JOB_STATUS.RUNNING };
+
+let writes;
+beforeEach(() => {
+  resetDb();
+  writes = [];
+  db.job = {
+    updateMany: async (args) => {
+      writes.push(args);
+      return { count: 1 };
+    }
+  };
+});
+
+test('enqueueJob rejects unknown job types', async () => {
+  await assert.rejects(enqueueJob('org-1', 'NOPE'), /Unknown job type/);
+});
+
+test('completeJob only writes while this run holds the lock', async () => {
+  assert.equal(await completeJob(RUNNING, { rows: 3 }), true);
+  assert.deepEqual(writes[0].where, { id: 'job-1', lockedBy: 'host:1', attempts: 1, status: JOB_STATUS.RUNNING });
+  assert.equal(writes[0].data.status, JOB_STATUS.COMPLETED);
+  assert.deepEqual(writes[0].data.result, { rows: 3 });
+
+  db.job.updateMany = async () => ({ count: 0 }); // recovered and claimed again meanwhile
+  assert.equal(await completeJob(RUNNING, {}), false);
+});
+
+test('failJob re-queues with backoff until attempts run out', async () => {
+  const error = new Error('boom');
+  assert.equal(await failJob(RUNNING, error), true);
+  assert.equal(writes[0].where.lockedBy, 'host:1');
+  assert.equal(writes[0].data.status, JOB_STATUS.QUEUED);
+  assert.ok(writes[0].data.runAfter > new Date());
+  assert.equal(writes[0].data.error.message, 'boom');
+  assert.equal(writes[0].data.error.stack, error.stack);
+  assert.equal(writes[0].data.error.attempt, 1);
+
+  await failJob({ ...RUNNING, attempts: 3 }, error);
+  assert.equal(writes[1].data.status, JOB_STATUS.FAILED);
+  assert.ok(writes[1].data.finishedAt instanceof Date);
+});
+
+test('failJob reports a lost lock', async () => {
+  db.job.updateMany = async () => ({ count: 0 });
+  assert.equal(await failJob(RUNNING, new Error('late')), false);
+});
+
+test('updateProgress only writes while this run holds the lock', async () => {
+  assert.equal(await updateProgress(RUNNING, 42.4, 'Scoring'), true);
+  assert.deepEqual(writes[0].where, { id: 'job-1', lockedBy: 'host:1', attempts: 1, status: JOB_STATUS.RUNNING });
+  assert.deepEqual([writes[0].data.progress, writes[0].data.progressMessage], [42, 'Scoring']);
+
+  db.job.updateMany = async () => ({ count: 0 }); // recovered and claimed again meanwhile
+  assert.equal(await updateProgress(RUNNING, 50), false);
+});
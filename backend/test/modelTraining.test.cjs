@@ -0,0 +1,45 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { weekdayRecords, repeat, DAY_MS, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const { trainRiskModel } = requireSrc('services/modelTraining.js');
+
+// The single cutoff of a one-cutoff run with a six-month horizon
+const cutoff = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`);
+cutoff.setUTCMonth(cutoff.getUTCMonth() - 6);
+const daysFromCutoff = days => new Date(cutoff.getTime() + days * DAY_MS);
+
+let history;
+beforeEach(() => {
+  resetDb();
+  history = [];
+  db.employee = { findMany: async () => [EMPLOYEE] };
+  db.attendance = {
+    findMany: async () => weekdayRecords(daysFromCutoff(-60).toISOString().slice(0, 10), repeat(40, 'Present'))
+      .map(r => ({ ...r, employeeId: EMPLOYEE.id }))
+  };
+  db.employeeHistory = { findMany: async () => history };
+});
+
+function train(exits) {
+  db.employeeExit = {
+    findMany: async ({ where }) => (where.rehiredOn
+      ? exits.filter(e => e.rehiredOn && e.rehiredOn <= where.rehiredOn.lte).map(e => ({ ...e, employeeId: EMPLOYEE.id }))
+      : exits.map(e => ({ ...e, employee: { employeeId: EMPLOYEE.employeeId } })))
+  };
+  return trainRiskModel('org-1', { horizonMonths: 6, cutoffs: 1, months: 1 });
+}
+
+test('a rehired employee is labelled by the exit ending their current employment', async () => {
+  const result = await train([
+    { exitDate: daysFromCutoff(30), rehiredOn: null, separationType: 'VOLUNTARY' },
+    { exitDate: daysFromCutoff(-200), rehiredOn: daysFromCutoff(-100), separationType: 'VOLUNTARY' }
+  ]);
+  assert.equal(result.trained, false);
+  assert.equal(result.rows, 1);
+  assert.equal(result.leavers, 1);
+
+  const stayed = await train([{ exitDate: daysFromCutoff(-200), rehiredOn: daysFromCutoff(-100), separationType: 'VOLUNTARY' }]);
+  assert.equal(stayed.leavers, 0);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireSrc } = require('./helpers/setup.cjs');
+
+const { parsePunchLog, pairPunches, summarizeDays } = requireSrc('services/punchLogImport.js');
+const { resolveShift, measureAgainstShift } = requireSrc('services/shifts.js');
+
+const at = iso => new Date(iso);
+const punch = (iso, direction = null) => ({ employeeId: 'E1', time: at(iso), direction });
+
+test('CSV punch logs join separate date and time columns and read direction words', () => {
+  const { punches, errors } = parsePunchLog(Buffer.from([
+    'Emp No,Punch Date,Time,In/Out',
+    'E1,2024-05-06,09:05,Check In',
+    'E1,2024-05-06,17:30,out',
+    ',2024-05-06,17:30,out',
+    'E2,2024-05-06,25:00,in'
+  ].join('\n')), 'punches.csv', { timezone: 'Asia/Kolkata' });
+
+  assert.deepEqual(punches, [
+    { employeeId: 'E1', time: at('2024-05-06T03:35:00Z'), direction: 'IN' },
+    { employeeId: 'E1', time: at('2024-05-06T12:00:00Z'), direction: 'OUT' }
+  ]);
+  assert.equal(errors[0], 'Line 4: employee id is missing');
+  assert.equal(errors[1], "Line 5: invalid timestamp: '2024-05-06 25:00' is not a valid time");
+});
+
+test('device dumps read the check state from the second numeric field', () => {
+  const { punches, errors } = parsePunchLog(Buffer.from([
+    '  101\t2024-05-06 09:00:00\t1\t0\t1\t0',
+    '  101\t2024-05-06 18:00:00\t1\t1\t1\t0',
+    'garbage'
+  ].join('\n')), 'attlog.dat', { timezone: 'UTC' });
+
+  assert.deepEqual(punches.map(p => [p.employeeId, p.direction]), [['101', 'IN'], ['101', 'OUT']]);
+  assert.deepEqual(errors, ['Line 3: not a punch record']);
+});
+
+test('punches pair into spans, double taps collapse and unmatched punches are reported', () => {
+  const { spans, anomalies } = pairPunches([
+    punch('2024-05-06T09:00:00Z'),
+    punch('2024-05-06T09:01:00Z'),          // Double tap
+    punch('2024-05-06T13:00:00Z'),
+    punch('2024-05-06T14:00:00Z', 'IN'),
+    punch('2024-05-07T09:00:00Z', 'IN'),    // The day before never checked out
+    punch('2024-05-07T17:00:00Z', 'OUT'),
+    punch('2024-05-08T17:00:00Z', 'OUT')
+  ]);
+
+  assert.deepEqual(spans, [
+    { checkIn: at('2024-05-06T09:00:00Z'), checkOut: at('2024-05-06T13:00:00Z') },
+    { checkIn: at('2024-05-06T14:00:00Z'), checkOut: null },
+    { checkIn: at('2024-05-07T09:00:00Z'), checkOut: at('2024-05-07T17:00:00Z') }
+  ]);
+  assert.deepEqual(anomalies, [
+    { type: 'MISSING_CHECK_OUT', time: at('2024-05-06T14:00:00Z') },
+    { type: 'MISSING_CHECK_IN', time: at('2024-05-08T17:00:00Z') }
+  ]);
+});
+
+test('worked days follow the local date of the check-in and add up closed spans', () => {
+  const days = summarizeDays([
+    { checkIn: at('2024-05-06T20:00:00Z'), checkOut: at('2024-05-06T23:30:00Z') },
+    { checkIn: at('2024-05-07T00:00:00Z'), checkOut: at('2024-05-07T02:15:00Z') },
+    { checkIn: at('2024-05-07T04:00:00Z'), checkOut: null }
+  ], 'Asia/Kolkata');
+
+  // 01:30 and 05:30 local on the 7th, then 09:30
+  assert.deepEqual(days, [{
+    date: '2024-05-07',
+    checkIn: at('2024-05-06T20:00:00Z'),
+    checkOut: at('2024-05-07T02:15:00Z'),
+    hoursWorked: 5.75
+  }]);
+});
+
+test('late and early minutes are measured against the nearest shift outside the grace periods', () => {
+  const shifts = [
+    { name: 'Day', department: null, startTime: '09:00', endTime: '17:00', graceMinutes: 10, earlyDepartureGraceMinutes: 5 },
+    { name: 'Night', department: null, startTime: '22:00', endTime: '06:00', graceMinutes: 10, earlyDepartureGraceMinutes: 5 }
+  ];
+  const window = (dateKey, checkIn) => resolveShift(shifts, { department: 'Ops', dateKey, checkIn: at(checkIn), timezone: 'UTC' });
+
+  const night = window('2024-05-06', '2024-05-06T22:20:00Z');
+  assert.equal(night.shift.name, 'Night');
+  assert.deepEqual(night.end, at('2024-05-07T06:00:00Z'));
+  assert.deepEqual(measureAgainstShift(night, { checkIn: at('2024-05-06T22:20:00Z'), checkOut: at('2024-05-07T05:57:00Z') }), { lateMinutes: 20, earlyDepartureMinutes: 0 });
+
+  const day = window('2024-05-06', '2024-05-06T09:08:00Z');
+  assert.deepEqual(measureAgainstShift(day, { checkIn: at('2024-05-06T09:08:00Z'), checkOut: at('2024-05-06T16:30:00Z') }), { lateMinutes: 0, earlyDepartureMinutes: 30 });
+  assert.deepEqual(measureAgainstShift(day, { checkIn: at('2024-05-06T09:08:00Z'), checkOut: null }), { lateMinutes: 0, earlyDepartureMinutes: null });
+});
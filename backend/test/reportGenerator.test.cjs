@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+const { requireSrc } = require('./helpers/setup.cjs');
+
+const reportGenerator = requireSrc('services/reportGenerator.js');
+const fileParser = requireSrc('services/fileParser.js');
+
+const HEADER = 'employee_id,employee_name,date,status,informed_time,department,manager_email';
+const CSV = Buffer.from([
+  HEADER,
+  'E1,Asha,2024-05-06,Present,,Ops,lead@example.com',
+  'E2,Ravi,2024-05-06,Nope,,Ops,not-an-email'
+].join('\n'));
+
+// Annotate a parsed file the way an import preview does
+async function annotate(buffer, fileName) {
+  const { errors } = fileParser.parseFile(buffer, fileName);
+  const annotated = await reportGenerator.generateAnnotatedWorkbook({ buffer, fileName }, {
+    sheets: [{ sheet: fileName.endsWith('.csv') ? null : 'Sheet1', errors: errors.filter(e => e.row) }],
+    summary: { 'Rows with errors': errors.length },
+    otherErrors: ['E3 has no attendance']
+  });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(annotated);
+  return { buffer: Buffer.from(annotated), workbook };
+}
+
+// ExcelJS does not load notes back, SheetJS reads them as comments
+const noteText = (buffer, address) => XLSX.read(buffer).Sheets.Sheet1[address]?.c?.map(c => c.t).join('');
+
+test('invalid cells are marked with their messages and the row gets an errors column', async () => {
+  const { buffer, workbook } = await annotate(CSV, 'attendance.csv');
+  const [sheet, summary] = workbook.worksheets;
+
+  assert.equal(sheet.getCell('H1').value, 'Import Errors');
+  assert.equal(sheet.getCell('H2').value, null);
+  assert.match(sheet.getCell('H3').value, /status 'Nope' is not a known status code; manager_email must be a valid email address/);
+
+  assert.equal(sheet.getCell('D3').fill.fgColor.argb, 'FFFEE2E2');
+  assert.equal(noteText(buffer, 'D3'), "status 'Nope' is not a known status code");
+  assert.equal(noteText(buffer, 'B3'), undefined);
+  // CSV text is copied as typed
+  assert.equal(sheet.getCell('C2').value, '2024-05-06');
+
+  assert.equal(summary.name, 'Import Errors');
+  const summaryText = summary.getSheetValues().flat().filter(v => typeof v === 'string' || typeof v === 'number');
+  assert.ok(summaryText.includes('E3 has no attendance'));
+  assert.deepEqual(summaryText.slice(summaryText.indexOf('Rows with errors'), summaryText.indexOf('Rows with errors') + 2), ['Rows with errors', 1]);
+});
+
+test('an annotated file uploads as is and annotating it again replaces the old marks', async () => {
+  const first = await annotate(CSV, 'attendance.csv');
+
+  // The errors column and the summary sheet are ignored on upload
+  const reparsed = fileParser.parseFile(first.buffer, 'attendance_errors.xlsx');
+  assert.deepEqual(reparsed.validRecords.map(r => r.employeeId), ['E1']);
+  assert.equal(reparsed.errors.filter(e => e.row).length, 1);
+
+  // Fix the status; the email is still wrong
+  first.workbook.worksheets[0].getCell('D3').value = 'Present';
+  const fixed = Buffer.from(await first.workbook.xlsx.writeBuffer());
+  const { buffer, workbook } = await annotate(fixed, 'attendance_errors.xlsx');
+
+  assert.deepEqual(workbook.worksheets.map(s => s.name), ['Sheet1', 'Import Errors']);
+  const sheet = workbook.worksheets[0];
+  assert.equal(sheet.columnCount, 8);
+  assert.equal(sheet.getCell('H3').value, 'manager_email must be a valid email address');
+  assert.equal(sheet.getCell('D3').fill, undefined);
+  assert.equal(noteText(buffer, 'D3'), undefined);
+  assert.equal(noteText(buffer, 'G3'), 'manager_email must be a valid email address');
+});
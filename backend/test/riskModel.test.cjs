@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireSrc } = require('./helpers/setup.cjs');
+const { dateOf } = require('./helpers/fixtures.cjs');
+
+const { extractFeatures, describeFeatures, fitLogistic, predict } = requireSrc('services/riskModel.js');
+
+// Absenteeism drives exits; four rows go against it so the classes overlap
+const ROWS = Array.from({ length: 40 }, (_, i) => ({
+  features: { absenteeism: i * 2.5, punctuality: (i % 5) * 10, tenureMonths: 12, department: i % 4 === 0 ? 'Sales' : 'Ops' },
+  exited: [3, 36, 37, 38].includes(i) ? i < 20 : i >= 20
+}));
+
+test('extractFeatures takes factor scores and tenure up to the end of the window', () => {
+  const features = extractFeatures(
+    { factors: { absenteeism: 40, punctuality: null }, department: 'Ops' },
+    { joinDate: dateOf('2023-01-01') },
+    dateOf('2024-01-01')
+  );
+  assert.equal(features.absenteeism, 40);
+  assert.equal(features.punctuality, null);
+  assert.equal(features.leaveNotice, null);
+  assert.equal(Math.round(features.tenureMonths), 12);
+  assert.equal(features.department, 'Ops');
+  assert.equal(extractFeatures({ factors: {} }, { joinDate: null }, dateOf('2024-01-01')).tenureMonths, null);
+});
+
+test('describeFeatures drops constant features and keeps departments large enough to learn from', () => {
+  const names = describeFeatures(ROWS, { minDepartmentRows: 5 }).map(f => f.name);
+  // Ops is the largest department and is the baseline; tenure never varies
+  assert.deepEqual(names, ['absenteeism', 'punctuality', 'department:Sales']);
+  assert.deepEqual(describeFeatures(ROWS).map(f => f.name), ['absenteeism', 'punctuality']);
+});
+
+test('fitLogistic learns the direction of each feature', () => {
+  const features = describeFeatures(ROWS);
+  const { intercept, weights, iterations } = fitLogistic(ROWS, features);
+
+  assert.ok(weights.absenteeism > 1);
+  assert.ok(Math.abs(weights.punctuality) < weights.absenteeism / 4);
+  assert.ok(Math.abs(intercept) < 1);
+  assert.ok(iterations > 0);
+});
+
+test('predict explains the probability by the features that moved it', () => {
+  const features = describeFeatures(ROWS);
+  const model = { features, coefficients: fitLogistic(ROWS, features), horizonMonths: 6, version: 2 };
+
+  const high = predict(model, { absenteeism: 95, punctuality: 20 });
+  const low = predict(model, { absenteeism: 5, punctuality: 20 });
+  assert.ok(high.exitProbability > 0.8);
+  assert.ok(low.exitProbability < 0.2);
+  assert.deepEqual([high.horizonMonths, high.modelVersion], [6, 2]);
+  assert.deepEqual(
+    { feature: high.explanations[0].feature, value: high.explanations[0].value, effect: high.explanations[0].effect },
+    { feature: 'absenteeism', value: 95, effect: 'raises' }
+  );
+  assert.equal(low.explanations[0].effect, 'lowers');
+
+  // A missing value is imputed with the mean and adds nothing
+  assert.equal(predict(model, { absenteeism: null, punctuality: null }).explanations.length, 0);
+});
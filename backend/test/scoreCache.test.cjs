@@ -0,0 +1,60 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+
+const scoreCache = requireSrc('services/scoreCache.js');
+
+// The organization row every process reads; invalidate() bumps it
+let stored;
+beforeEach(() => {
+  resetDb();
+  scoreCache.entries.clear();
+  stored = { 'org-1': 0, 'org-2': 0 };
+  db.organization = {
+    findUnique: async ({ where }) => ({ scoreDataVersion: stored[where.id] }),
+    updateMany: async ({ where, data }) => {
+      stored[where.id] += data.scoreDataVersion.increment;
+      return { count: 1 };
+    }
+  };
+});
+
+test('values are served while the data version is unchanged', async () => {
+  const miss = await scoreCache.get('org-1', 'k');
+  assert.equal(miss.value, null);
+
+  scoreCache.set('org-1', 'k', { score: 1 }, miss.version);
+  assert.deepEqual((await scoreCache.get('org-1', 'k')).value, { score: 1 });
+});
+
+test('a version bump by another process drops entries cached here', async () => {
+  const { version } = await scoreCache.get('org-1', 'k');
+  scoreCache.set('org-1', 'k', { score: 1 }, version);
+
+  stored['org-1']++; // e.g. a job worker imported attendance
+  assert.equal((await scoreCache.get('org-1', 'k')).value, null);
+});
+
+test('a result computed while the data changed is not served', async () => {
+  const { version } = await scoreCache.get('org-1', 'k');
+  await scoreCache.invalidate('org-1'); // import finished while the report was being scored
+  scoreCache.set('org-1', 'k', { score: 1 }, version);
+
+  assert.equal((await scoreCache.get('org-1', 'k')).value, null);
+});
+
+test('invalidate only affects its organization', async () => {
+  scoreCache.set('org-1', 'k', 'one', 0);
+  scoreCache.set('org-2', 'k', 'two', 0);
+
+  await scoreCache.invalidate('org-1');
+  assert.equal(stored['org-1'], 1);
+  assert.equal((await scoreCache.get('org-1', 'k')).value, null);
+  assert.equal((await scoreCache.get('org-2', 'k')).value, 'two');
+});
+
+test('entries expire after the TTL', async () => {
+  scoreCache.set('org-1', 'k', 'value', 0);
+  scoreCache.entries.get('org-1').get('k').expiresAt = Date.now() - 1;
+  assert.equal((await scoreCache.get('org-1', 'k')).value, null);
+});
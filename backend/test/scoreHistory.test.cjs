@@ -0,0 +1,72 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+
+const { buildSnapshot, getEmployeeRiskHistory } = requireSrc('services/scoreHistory.js');
+
+function snapshot(id, computedAt, score, riskCategory, changePoints = []) {
+  return {
+    id,
+    computedAt: new Date(computedAt),
+    riskScore: score,
+    riskCategory,
+    profileVersion: 1,
+    metrics: { factors: { absenteeism: score }, statistics: { changePoints: { workingDays: 60, changePoints } } }
+  };
+}
+
+const rise = (date, afterRate) => ({ date, direction: 'deterioration', beforeRate: 0.05, afterRate, shift: afterRate - 0.05 });
+
+beforeEach(resetDb);
+
+test('shifts re-detected by later runs within a week are one event described by the latest run', async () => {
+  // Returned newest first, as the query orders them
+  db.attritionScore = {
+    findMany: async () => [
+      snapshot('s3', '2024-05-15', 72, 'HIGH', [rise('2024-04-12', 0.4), rise('2024-05-06', 0.6)]),
+      snapshot('s2', '2024-05-01', 55, 'MODERATE', [rise('2024-04-08', 0.3)]),
+      snapshot('s1', '2024-04-15', 30, 'LOW')
+    ]
+  };
+
+  const history = await getEmployeeRiskHistory('emp-1');
+
+  assert.deepEqual(history.events.map(e => [e.date, e.afterRate, e.firstDetectedAt.toISOString().slice(0, 10), e.lastDetectedAt.toISOString().slice(0, 10)]), [
+    ['2024-04-12', 0.4, '2024-05-01', '2024-05-15'],
+    ['2024-05-06', 0.6, '2024-05-15', '2024-05-15']
+  ]);
+  assert.deepEqual(history.transitions.map(t => [t.from, t.to]), [['LOW', 'MODERATE'], ['MODERATE', 'HIGH']]);
+  assert.deepEqual(history.deltas.map(d => d.factorDeltas.absenteeism), [25, 17]);
+  assert.equal(history.summary.netChange, 42);
+});
+
+test('the window and limit keep the most recent runs and a profile change is flagged', async () => {
+  let query;
+  db.attritionScore = {
+    findMany: async args => {
+      query = args;
+      return [{ ...snapshot('s2', '2024-05-01', 40, 'LOW'), profileVersion: 2 }, snapshot('s1', '2024-04-15', 30, 'LOW')];
+    }
+  };
+  const from = new Date('2024-04-01');
+
+  const history = await getEmployeeRiskHistory('emp-1', { from, limit: 2 });
+
+  assert.deepEqual(query, { where: { employeeId: 'emp-1', computedAt: { gte: from } }, orderBy: { computedAt: 'desc' }, take: 2 });
+  assert.deepEqual(history.series.map(s => [s.id, s.modelVersion]), [['s1', 1], ['s2', 2]]);
+  assert.deepEqual(history.deltas.map(d => [d.scoreDelta, d.modelChanged]), [[10, true]]);
+  assert.deepEqual(history.transitions, []);
+});
+
+test('an employee without snapshots has an empty history', async () => {
+  const history = await getEmployeeRiskHistory('emp-1');
+  assert.deepEqual(history.summary, { snapshots: 0, firstScore: null, latestScore: null, netChange: null, currentCategory: null });
+});
+
+test('a result with insufficient data is not stored as a snapshot', () => {
+  assert.equal(buildSnapshot('org-1', 'emp-1', { score: null, riskLevel: 'Insufficient Data' }), null);
+
+  const period = { start: new Date('2024-03-01'), end: new Date('2024-05-31') };
+  const stored = buildSnapshot('org-1', 'emp-1', { score: 64, riskLevel: 'Moderate', period, modelVersion: 3, factors: {}, theory: {}, statistics: {} });
+  assert.deepEqual([stored.riskCategory, stored.profileVersion, stored.periodEnd], ['MODERATE', 3, period.end]);
+});
@@ -0,0 +1,190 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { weekdayRecords, repeat, dateOf, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const {
+  SCORING_ALGORITHMS,
+  CURRENT_ALGORITHM_VERSION,
+  DEFAULT_SCORING_PROFILE,
+  validateScoringProfile,
+  mergeProfile,
+  getActiveProfile,
+  getProfileVersion,
+  createProfileVersion
+} = requireSrc('services/scoringModel.js');
+const { scoreEmployee } = requireSrc('services/attritionEngine.js');
+
+beforeEach(resetDb);
+
+function scoreWith(profile, records) {
+  return scoreEmployee(EMPLOYEE, records, [], {
+    profile,
+    startDate: records[0].date,
+    endDate: records[records.length - 1].date
+  });
+}
+
+test('the default profile validates', () => {
+  const result = validateScoringProfile(DEFAULT_SCORING_PROFILE);
+  assert.equal(result.valid, true, JSON.stringify(result.errors));
+});
+
+test('weights must sum to 1', () => {
+  const result = validateScoringProfile(mergeProfile(DEFAULT_SCORING_PROFILE, {
+    weights: { absenteeism: 0.5, leavePattern: 0.25, consistency: 0.25, recentTrend: 0.15 }
+  }));
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some(e => e.path === 'weights' && /sum to 1/.test(e.message)));
+});
+
+test('risk bands and step tables must be ordered', () => {
+  const bands = validateScoringProfile(mergeProfile(DEFAULT_SCORING_PROFILE, { riskBands: { high: 30 } }));
+  assert.equal(bands.valid, false);
+  assert.ok(bands.errors.some(e => e.path === 'riskBands'));
+
+  const steps = validateScoringProfile(mergeProfile(DEFAULT_SCORING_PROFILE, {
+    thresholds: { absenteeism: { steps: [{ min: 0.05, score: 40 }, { min: 0.2, score: 100 }] } }
+  }));
+  assert.equal(steps.valid, false);
+  assert.ok(steps.errors.some(e => e.path === 'thresholds.absenteeism.steps'));
+});
+
+test('mergeProfile replaces weights whole and merges thresholds per factor', () => {
+  const merged = mergeProfile(DEFAULT_SCORING_PROFILE, {
+    weights: { absenteeism: 1 },
+    thresholds: { absenteeism: { linearMultiplier: 400 } }
+  });
+
+  assert.deepEqual(merged.weights, { absenteeism: 1 });
+  assert.equal(merged.thresholds.absenteeism.linearMultiplier, 400);
+  assert.deepEqual(merged.thresholds.absenteeism.steps, DEFAULT_SCORING_PROFILE.thresholds.absenteeism.steps);
+  assert.deepEqual(merged.thresholds.leavePattern, DEFAULT_SCORING_PROFILE.thresholds.leavePattern);
+  assert.deepEqual(merged.riskBands, DEFAULT_SCORING_PROFILE.riskBands);
+});
+
+test('organizations without a stored profile get version 0', async () => {
+  const profile = await getActiveProfile('org-1');
+  assert.equal(profile.version, 0);
+  assert.equal(profile.isActive, true);
+  assert.deepEqual(await getProfileVersion('org-1', 0), { ...DEFAULT_SCORING_PROFILE });
+});
+
+test('stored versions get thresholds and weights added after they were stored', async () => {
+  db.scoringProfile = {
+    findFirst: async () => ({
+      id: 'p1',
+      version: 3,
+      name: 'Old',
+      weights: { absenteeism: 0.4, leavePattern: 0.2, consistency: 0.2, recentTrend: 0.2 },
+      thresholds: { absenteeism: { steps: [], linearMultiplier: 300 } },
+      riskBands: { high: 60, moderate: 30 },
+      isActive: true
+    })
+  };
+
+  const profile = await getActiveProfile('org-1');
+  assert.equal(profile.version, 3);
+  assert.equal(profile.weights.punctuality, 0);
+  assert.equal(profile.thresholds.absenteeism.linearMultiplier, 300);
+  assert.deepEqual(profile.thresholds.changePoint, DEFAULT_SCORING_PROFILE.thresholds.changePoint);
+});
+
+test('createProfileVersion stores the next version and deactivates the previous one', async () => {
+  const calls = [];
+  db.scoringProfile = {
+    findFirst: async ({ where }) => (where.isActive ? null : { version: 2 }),
+    updateMany: async (args) => { calls.push(args); return { count: 1 }; },
+    create: async ({ data }) => ({ id: 'p3', ...data, createdAt: new Date(), retiredAt: null })
+  };
+
+  const result = await createProfileVersion('org-1', { name: 'Plant', riskBands: { high: 60 } });
+  assert.equal(result.valid, true, JSON.stringify(result.errors));
+  assert.equal(result.profile.version, 3);
+  assert.equal(result.profile.riskBands.high, 60);
+  assert.deepEqual(calls, [{ where: { organizationId: 'org-1', isActive: true }, data: { isActive: false } }]);
+});
+
+test('createProfileVersion rejects an invalid profile without writing', async () => {
+  db.scoringProfile = {
+    create: async () => assert.fail('should not store an invalid profile')
+  };
+
+  const result = await createProfileVersion('org-1', { weights: { absenteeism: 2 } });
+  assert.equal(result.valid, false);
+});
+
+test('the composite shares the weight of factors without data among the others', () => {
+  // 20 weekdays, 1 in 5 absent (the top absenteeism step), no leave, no punch data
+  const records = weekdayRecords('2024-03-04', repeat(4, 'Present', 'Present', 'Absent', 'Present', 'Present'));
+  const profile = {
+    ...DEFAULT_SCORING_PROFILE,
+    weights: { ...DEFAULT_SCORING_PROFILE.weights, absenteeism: 0.5, leavePattern: 0, consistency: 0, recentTrend: 0, punctuality: 0.5 }
+  };
+
+  const risk = scoreWith(profile, records);
+  assert.equal(risk.factors.punctuality, null);
+  assert.equal(risk.factors.absenteeism, 100);
+  assert.equal(risk.score, 100);
+  assert.equal(risk.riskLevel, 'High');
+  assert.equal(risk.modelVersion, 0);
+});
+
+test('risk bands come from the profile', () => {
+  const records = weekdayRecords('2024-03-04', repeat(4, 'Present', 'Present', 'Present', 'Present', 'Absent'));
+  const profile = {
+    ...DEFAULT_SCORING_PROFILE,
+    version: 7,
+    weights: { ...DEFAULT_SCORING_PROFILE.weights, absenteeism: 1, leavePattern: 0, consistency: 0, recentTrend: 0 },
+    riskBands: { high: 101, moderate: 99 }
+  };
+
+  const risk = scoreWith(profile, records);
+  assert.equal(risk.score, 100);
+  assert.equal(risk.riskLevel, 'Moderate');
+  assert.equal(risk.modelVersion, 7);
+});
+
+test('an employee without records in the window is insufficient data', () => {
+  const risk = scoreEmployee(EMPLOYEE, [], [], { profile: DEFAULT_SCORING_PROFILE, startDate: dateOf('2024-01-01'), endDate: dateOf('2024-03-31') });
+  assert.equal(risk.riskLevel, 'Insufficient Data');
+});
+
+test('stored versions keep the algorithm they were created with', async () => {
+  db.scoringProfile = {
+    findFirst: async () => ({
+      id: 'p1',
+      version: 1,
+      name: 'Before calendars',
+      algorithmVersion: SCORING_ALGORITHMS.RECORD_WINDOWS,
+      weights: DEFAULT_SCORING_PROFILE.weights,
+      thresholds: { recentTrend: { minRecords: 10, windowSize: 5, steps: [], linearMultiplier: 500 } },
+      riskBands: { high: 70, moderate: 40 },
+      isActive: true
+    })
+  };
+
+  const profile = await getActiveProfile('org-1');
+  assert.equal(profile.algorithmVersion, SCORING_ALGORITHMS.RECORD_WINDOWS);
+  assert.equal(profile.thresholds.recentTrend.windowSize, 5);
+  assert.equal(profile.thresholds.recentTrend.minRecords, 10);
+});
+
+test('version 0 keeps the record-window algorithm; new versions use the current one', async () => {
+  assert.equal(DEFAULT_SCORING_PROFILE.algorithmVersion, SCORING_ALGORITHMS.RECORD_WINDOWS);
+
+  db.scoringProfile = {
+    create: async ({ data }) => ({ id: 'p1', ...data })
+  };
+  const created = await createProfileVersion('org-1', { name: 'Calendar' });
+  assert.equal(created.profile.version, 1);
+  assert.equal(created.profile.algorithmVersion, CURRENT_ALGORITHM_VERSION);
+  assert.equal(CURRENT_ALGORITHM_VERSION, SCORING_ALGORITHMS.CALENDAR);
+
+  const legacy = await createProfileVersion('org-1', { algorithmVersion: SCORING_ALGORITHMS.RECORD_WINDOWS });
+  assert.equal(legacy.profile.algorithmVersion, SCORING_ALGORITHMS.RECORD_WINDOWS);
+
+  const unknown = await createProfileVersion('org-1', { algorithmVersion: 9 });
+  assert.equal(unknown.valid, false);
+  assert.ok(unknown.errors.some(e => e.path === 'algorithmVersion'));
+});
@@ -0,0 +1,64 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { DAY_MS, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const { runSimulation } = requireSrc('services/simulation.js');
+
+// The weekdays of the last six weeks, oldest first, as YYYY-MM-DD
+const today = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`);
+const RECENT_DAYS = Array.from({ length: 42 }, (_, i) => new Date(today.getTime() - (42 - i) * DAY_MS))
+  .filter(date => ![0, 6].includes(date.getUTCDay()))
+  .map(date => date.toISOString().slice(0, 10));
+
+const attendance = (status = 'Present') => RECENT_DAYS.map(date => ({ date, status }));
+
+beforeEach(resetDb);
+
+test('the input names an employee or describes one, and asks for a change', async () => {
+  const both = await runSimulation('org-1', { employeeId: 'E001', employee: {}, factorOverrides: { absenteeism: 50 } });
+  assert.equal(both.valid, false);
+  assert.equal(both.errors[0].path, 'employeeId');
+
+  const nothing = await runSimulation('org-1', { employee: {}, attendance: attendance() });
+  assert.deepEqual(nothing.errors.map(e => e.path), ['records']);
+
+  const unknown = await runSimulation('org-1', { employee: {}, records: [{ date: RECENT_DAYS[0], status: 'Sabbatical' }] });
+  assert.deepEqual(unknown.errors, [{ path: 'records.0.status', message: "Unknown status 'Sabbatical'" }]);
+
+  assert.equal(await runSimulation('org-1', { employeeId: 'E404', factorOverrides: { absenteeism: 50 } }), null);
+});
+
+test('factor overrides replace the computed scores of the projection only', async () => {
+  const { valid, simulation } = await runSimulation('org-1', {
+    employee: { department: 'Ops' },
+    attendance: attendance(),
+    factorOverrides: { absenteeism: 100 }
+  });
+
+  assert.equal(valid, true);
+  assert.equal(simulation.simulatedEmployee, true);
+  assert.equal(simulation.baseline.factors.absenteeism, 0);
+  assert.equal(simulation.projected.factors.absenteeism, 100);
+  assert.equal(simulation.deltas.factors.absenteeism, 100);
+  // Absenteeism weighs 0.35 in the default profile
+  assert.equal(simulation.deltas.score, 35);
+});
+
+test('hypothetical records replace stored ones on the same day', async () => {
+  db.employee = { findFirst: async () => EMPLOYEE };
+  db.attendance = {
+    findMany: async () => attendance().map(({ date, status }) => ({ date: new Date(`${date}T00:00:00.000Z`), status, dayFraction: 1 }))
+  };
+
+  const { simulation } = await runSimulation('org-1', {
+    employeeId: 'E001',
+    records: RECENT_DAYS.slice(-10).map(date => ({ date, status: 'A' }))
+  });
+
+  assert.equal(simulation.employeeId, 'E001');
+  assert.equal(simulation.baseline.statistics.absentDays, 0);
+  assert.equal(simulation.projected.statistics.absentDays, 10);
+  assert.equal(simulation.projected.statistics.totalDays, simulation.baseline.statistics.totalDays);
+  assert.ok(simulation.deltas.score > 0);
+});
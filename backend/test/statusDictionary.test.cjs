@@ -0,0 +1,58 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { weekdayRecords } = require('./helpers/fixtures.cjs');
+
+const {
+  STATUS_CATEGORIES,
+  STATUSES,
+  createStatusDictionary,
+  countDays,
+  countWorkedDays,
+  setStatusCode
+} = requireSrc('services/statusDictionary.js');
+
+beforeEach(resetDb);
+
+test('every category maps to a stored status', () => {
+  assert.deepEqual(STATUSES, ['Present', 'Remote', 'Absent', 'Planned Leave', 'Unplanned Leave']);
+  assert.ok(Object.values(STATUS_CATEGORIES).every(Boolean));
+});
+
+test('built-in codes resolve case-insensitively and keep the raw code', () => {
+  const dictionary = createStatusDictionary();
+  assert.deepEqual(dictionary.resolve(' wfh '), { status: 'Remote', dayFraction: 1, statusCode: 'wfh' });
+  assert.deepEqual(dictionary.resolve('HD'), { status: 'Unplanned Leave', dayFraction: 0.5, statusCode: 'HD' });
+  assert.equal(dictionary.resolve('XYZ'), null);
+});
+
+test('organization codes override built-in ones', () => {
+  const dictionary = createStatusDictionary([{ code: 'HD', category: 'PLANNED_LEAVE', dayFraction: 0.5 }]);
+  assert.deepEqual(dictionary.resolve('hd'), { status: 'Planned Leave', dayFraction: 0.5, statusCode: 'hd' });
+});
+
+test('a half day counts half towards its category and half as worked', () => {
+  const records = weekdayRecords('2024-03-04', [
+    'Present',
+    { status: 'Unplanned Leave', dayFraction: 0.5 },
+    'Absent'
+  ]);
+  assert.equal(countDays(records, STATUS_CATEGORIES.UNPLANNED_LEAVE), 0.5);
+  assert.equal(countWorkedDays(records), 1.5);
+});
+
+test('a partial day is only accepted for absence and leave categories', async () => {
+  db.attendanceStatusCode = { upsert: async ({ create }) => create };
+
+  const saved = await setStatusCode('org-1', { code: 'hsl', category: 'UNPLANNED_LEAVE', dayFraction: 0.5 });
+  assert.equal(saved.valid, true);
+  assert.deepEqual(saved.statusCode, { organizationId: 'org-1', code: 'HSL', label: null, category: 'UNPLANNED_LEAVE', dayFraction: 0.5 });
+
+  const partialPresent = await setStatusCode('org-1', { code: 'HP', category: 'PRESENT', dayFraction: 0.5 });
+  assert.equal(partialPresent.valid, false);
+  assert.equal(partialPresent.errors[0].path, 'dayFraction');
+
+  const removed = await setStatusCode('org-1', { code: 'HD', category: 'HALF_DAY', dayFraction: 0.5 });
+  assert.equal(removed.valid, false);
+  assert.equal(removed.errors[0].path, 'category');
+});
@@ -0,0 +1,105 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { weekdayRecords, repeat, dateOf, DAY_MS, EMPLOYEE } = require('./helpers/fixtures.cjs');
+
+const { DEFAULT_SCORING_PROFILE } = requireSrc('services/scoringModel.js');
+const { scoreEmployee, scoreOrganization } = requireSrc('services/attritionEngine.js');
+const { saveScoreSnapshot } = requireSrc('services/scoreHistory.js');
+
+// Ten-hour days and two days of planned leave notified a week ahead
+const RECORDS = weekdayRecords('2024-03-04', [
+  ...repeat(18, { status: 'Present', hoursWorked: 10 }),
+  { status: 'Planned Leave' },
+  { status: 'Planned Leave' }
+]).map(r => (r.status === 'Planned Leave' ? { ...r, informedTime: new Date(r.date.getTime() - 7 * DAY_MS) } : r));
+
+function score(records, psychResponses = []) {
+  return scoreEmployee(EMPLOYEE, records, psychResponses, {
+    profile: DEFAULT_SCORING_PROFILE,
+    startDate: records[0].date,
+    endDate: records[records.length - 1].date
+  });
+}
+
+beforeEach(resetDb);
+
+test('leave notice lead time feeds job embeddedness', () => {
+  const { theory } = score(RECORDS);
+  assert.equal(theory.jobEmbeddedness.components.noticeLeadTime, 50);
+  assert.equal(theory.jobEmbeddedness.components.leavePlanning, 100);
+
+  const withoutNotice = score(RECORDS.map(({ informedTime, ...r }) => r));
+  assert.equal(withoutNotice.theory.jobEmbeddedness.components.noticeLeadTime, null);
+});
+
+test('overtime drains resources and is weighed against rewards', () => {
+  const { theory } = score(RECORDS);
+  assert.equal(theory.conservationOfResources.components.workload, 100);
+  // effort 10/8 against a reward of 2 (all leave planned)
+  assert.equal(theory.effortRewardImbalance.ratio, 0.63);
+  assert.equal(theory.effortRewardImbalance.score, 31.3);
+});
+
+test('psych responses enter the constructs they belong to', () => {
+  const { theory } = score(RECORDS, [
+    { testKey: 'ENGAGEMENT', scores: { overall: 80 }, createdAt: dateOf('2024-03-15') },
+    { testKey: 'BURNOUT', scores: { exhaustion: 90, cynicism: 70 }, createdAt: dateOf('2024-03-15') }
+  ]);
+  assert.equal(theory.jobEmbeddedness.components.engagement, 80);
+  assert.equal(theory.conservationOfResources.components.strain, 80);
+});
+
+test('a construct without any input is null', () => {
+  const { theory } = score(weekdayRecords('2024-03-04', repeat(20, 'Present')));
+  assert.equal(theory.effortRewardImbalance.score, null);
+});
+
+// Values of each inserted analysis_results row
+function captureAnalysisResults() {
+  const rows = [];
+  db.$executeRaw = async (strings, ...values) => {
+    assert.match(strings.join('?'), /INSERT INTO analysis_results/);
+    values[0].join.forEach(row => rows.push(row.values));
+    return values[0].join.length;
+  };
+  return rows;
+}
+
+test('a persisted score writes the theory constructs to analysis_results', async () => {
+  const rows = captureAnalysisResults();
+  db.attritionScore = { create: async ({ data }) => ({ id: 'score-1', ...data }) };
+  const risk = score(RECORDS);
+
+  await saveScoreSnapshot('org-1', EMPLOYEE.id, risk);
+
+  assert.equal(rows.length, 1);
+  const [organizationId, employeeId, name, riskScore, riskLevel, attendanceRate, absenceDays, lateArrivals, je, cor, eri] = rows[0];
+  assert.deepEqual([organizationId, employeeId, name, riskScore, riskLevel], ['org-1', 'E001', EMPLOYEE.name, risk.score, risk.riskLevel]);
+  assert.deepEqual([attendanceRate, absenceDays, lateArrivals], [90, 0, 0]);
+  assert.deepEqual([je, cor, eri], [
+    risk.theory.jobEmbeddedness.score,
+    risk.theory.conservationOfResources.score,
+    risk.theory.effortRewardImbalance.score
+  ]);
+});
+
+test('batch scoring writes one analysis_results row per stored snapshot', async () => {
+  const rows = captureAnalysisResults();
+  const snapshots = [];
+  const other = { ...EMPLOYEE, id: 'emp-2', employeeId: 'E002' };
+  db.employee = { findMany: async () => [EMPLOYEE, other] };
+  db.attendance = { findMany: async () => RECORDS.map(r => ({ ...r, employeeId: EMPLOYEE.id })) };
+  db.attritionScore = { createMany: async ({ data }) => { snapshots.push(...data); return { count: data.length }; } };
+
+  await scoreOrganization('org-1', {
+    profile: DEFAULT_SCORING_PROFILE,
+    startDate: RECORDS[0].date,
+    endDate: RECORDS[RECORDS.length - 1].date,
+    persist: true
+  });
+
+  // The employee without attendance has no score and no row
+  assert.equal(snapshots.length, 1);
+  assert.deepEqual(rows.map(row => row[1]), ['E001']);
+});
@@ -0,0 +1,102 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, requireSrc } = require('./helpers/setup.cjs');
+const { dateOf } = require('./helpers/fixtures.cjs');
+
+const { rollbackUpload, UPLOAD_STATUS, CHANGE_ACTIONS } = requireSrc('services/uploadHistory.js');
+
+const at = seconds => new Date(Date.UTC(2024, 4, 1, 9, 0, seconds));
+
+function change(fields) {
+  return { uploadedFileId: 'up-1', date: dateOf('2024-04-01'), previousSourceFileId: null, ...fields };
+}
+
+let restored;
+let deleted;
+let uploadUpdates;
+beforeEach(() => {
+  resetDb();
+  restored = [];
+  deleted = [];
+  uploadUpdates = [];
+  db.uploadedFile = {
+    findFirst: async () => ({ id: 'up-1', status: UPLOAD_STATUS.COMPLETED }),
+    update: async ({ data }) => { uploadUpdates.push(data); return data; }
+  };
+  db.attendance = {
+    update: async ({ where, data }) => { restored.push([where.id, data.status, data.sourceFileId]); return {}; },
+    deleteMany: async ({ where }) => { deleted.push(...where.id.in); return { count: where.id.in.length }; }
+  };
+  db.organization = { updateMany: async () => ({ count: 1 }) };
+});
+
+function useChanges(own, others = []) {
+  db.attendanceRecordChange = {
+    findMany: async ({ where }) => (where.uploadedFileId === 'up-1'
+      ? own
+      : others.filter(c => where.attendanceRecordId.in.includes(c.attendanceRecordId)))
+  };
+}
+
+test('a record created and then updated by the same upload is deleted', async () => {
+  useChanges([
+    change({ attendanceRecordId: 'r1', action: CHANGE_ACTIONS.CREATED, createdAt: at(1) }),
+    change({ attendanceRecordId: 'r1', action: CHANGE_ACTIONS.UPDATED, previousStatus: 'Absent', previousSourceFileId: 'up-1', createdAt: at(2) })
+  ]);
+
+  const result = await rollbackUpload('org-1', 'up-1');
+  assert.deepEqual(result, { deleted: 1, restored: 0, skipped: [] });
+  assert.deepEqual(deleted, ['r1']);
+  assert.deepEqual(restored, []);
+});
+
+test('a record updated twice by the upload gets the values from before the upload', async () => {
+  // Same createdAt: the change starting from another file's values is the first one
+  useChanges([
+    change({ attendanceRecordId: 'r2', action: CHANGE_ACTIONS.UPDATED, previousStatus: 'Absent', previousSourceFileId: 'up-1', createdAt: at(1) }),
+    change({ attendanceRecordId: 'r2', action: CHANGE_ACTIONS.UPDATED, previousStatus: 'Present', previousSourceFileId: 'up-0', createdAt: at(1) })
+  ]);
+
+  const result = await rollbackUpload('org-1', 'up-1', { rolledBackById: 'user-1' });
+  assert.equal(result.restored, 1);
+  assert.deepEqual(restored, [['r2', 'Present', 'up-0']]);
+  assert.equal(uploadUpdates[0].status, UPLOAD_STATUS.ROLLED_BACK);
+  assert.equal(uploadUpdates[0].rolledBackById, 'user-1');
+});
+
+test('records a later upload changed again are skipped', async () => {
+  useChanges(
+    [
+      change({ attendanceRecordId: 'r3', action: CHANGE_ACTIONS.UPDATED, previousStatus: 'Present', createdAt: at(1) }),
+      change({ attendanceRecordId: 'r4', action: CHANGE_ACTIONS.CREATED, createdAt: at(1) })
+    ],
+    [
+      { attendanceRecordId: 'r3', uploadedFileId: 'up-2', createdAt: at(5) },
+      { attendanceRecordId: 'r4', uploadedFileId: 'up-0', createdAt: at(0) } // before this upload
+    ]
+  );
+
+  const result = await rollbackUpload('org-1', 'up-1');
+  assert.deepEqual(result.skipped, [{ attendanceRecordId: 'r3', date: '2024-04-01', changedByUpload: 'up-2' }]);
+  assert.deepEqual(deleted, ['r4']);
+  assert.deepEqual(restored, []);
+});
+
+test('a rollback that fails part way leaves the upload to be rolled back again', async () => {
+  useChanges([change({ attendanceRecordId: 'r1', action: CHANGE_ACTIONS.UPDATED, previousStatus: 'Present', createdAt: at(1) })]);
+  db.attendance.update = async () => { throw new Error('deadlock'); };
+
+  await assert.rejects(rollbackUpload('org-1', 'up-1'), /deadlock/);
+  assert.deepEqual(uploadUpdates, []);
+});
+
+test('uploads already rolled back or still processing are refused', async () => {
+  db.uploadedFile.findFirst = async () => ({ id: 'up-1', status: UPLOAD_STATUS.ROLLED_BACK });
+  await assert.rejects(rollbackUpload('org-1', 'up-1'), /already been rolled back/);
+
+  db.uploadedFile.findFirst = async () => ({ id: 'up-1', status: UPLOAD_STATUS.PROCESSING });
+  await assert.rejects(rollbackUpload('org-1', 'up-1'), /still being processed/);
+
+  db.uploadedFile.findFirst = async () => null;
+  assert.equal(await rollbackUpload('org-1', 'up-1'), null);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireSrc } = require('./helpers/setup.cjs');
+const { dateOf } = require('./helpers/fixtures.cjs');
+
+const { parseIcs, isoWeekKey, createCalendar, normalizeWorkDays, toDateKey } = requireSrc('services/workCalendar.js');
+
+const ics = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+test('parseIcs reads all-day events and expands multi-day ones (DTEND exclusive)', () => {
+  const holidays = parseIcs(ics(
+    ['DTSTART;VALUE=DATE:20240101', 'DTEND;VALUE=DATE:20240102', 'SUMMARY:New Year'],
+    ['DTSTART;VALUE=DATE:20241225', 'DTEND;VALUE=DATE:20241227', 'SUMMARY:Christmas\\, Boxing Day']
+  ));
+
+  assert.deepEqual(holidays.map(h => [toDateKey(h.date), h.name]), [
+    ['2024-01-01', 'New Year'],
+    ['2024-12-25', 'Christmas, Boxing Day'],
+    ['2024-12-26', 'Christmas, Boxing Day']
+  ]);
+});
+
+test('parseIcs unfolds continuation lines and ignores content outside events', () => {
+  const holidays = parseIcs(ics(
+    ['DTSTART:20240501T090000Z', 'SUMMARY:Labour', ' Day']
+  ).replace('BEGIN:VCALENDAR', 'BEGIN:VCALENDAR\r\nSUMMARY:Not an event'));
+
+  assert.equal(holidays.length, 1);
+  assert.equal(holidays[0].name, 'LabourDay');
+  assert.equal(toDateKey(holidays[0].date), '2024-05-01');
+});
+
+test('parseIcs expands yearly recurrences up to COUNT', () => {
+  const holidays = parseIcs(ics(
+    ['DTSTART;VALUE=DATE:20200704', 'RRULE:FREQ=YEARLY;COUNT=3', 'SUMMARY:Independence Day']
+  ));
+
+  assert.deepEqual(holidays.map(h => toDateKey(h.date)), ['2020-07-04', '2021-07-04', '2022-07-04']);
+});
+
+test('isoWeekKey puts year-boundary days in the week holding Thursday', () => {
+  assert.equal(isoWeekKey(dateOf('2024-12-30')), '2025-W01');
+  assert.equal(isoWeekKey(dateOf('2021-01-03')), '2020-W53');
+  assert.equal(isoWeekKey(dateOf('2024-02-14')), '2024-W07');
+});
+
+test('calendars skip holidays and days outside the work week, per department', () => {
+  const calendar = createCalendar(
+    [{ date: dateOf('2024-05-01'), name: 'Labour Day' }, { date: dateOf('2024-05-02'), name: 'Plant shutdown', department: 'Plant' }],
+    { departmentWorkDays: { Retail: [0, 1, 2, 3, 4] } }
+  );
+
+  assert.equal(calendar.isWorkingDay(dateOf('2024-05-01')), false);
+  assert.equal(calendar.isWorkingDay(dateOf('2024-05-02')), true);
+  assert.equal(calendar.isWorkingDay(dateOf('2024-05-02'), 'Plant'), false);
+  assert.equal(calendar.isWorkingDay(dateOf('2024-05-05')), false); // Sunday
+  assert.equal(calendar.isWorkingDay(dateOf('2024-05-05'), 'Retail'), true);
+  assert.equal(calendar.countWorkingDays(dateOf('2024-04-29'), dateOf('2024-05-05')), 4);
+  assert.equal(calendar.countWorkingDays(dateOf('2024-04-29'), dateOf('2024-05-05'), null, { includeHolidays: true }), 5);
+});
+
+test('normalizeWorkDays accepts day numbers and names', () => {
+  assert.deepEqual(normalizeWorkDays(['Sun', 'monday', 2, 'Thu', 3]), [0, 1, 2, 3, 4]);
+  assert.equal(normalizeWorkDays(['Su']), null);
+  assert.equal(normalizeWorkDays([7]), null);
+  assert.equal(normalizeWorkDays([]), null);
+});